@@ -1,6 +1,9 @@
 // ============ Imports ============
 import { EventEmitter } from 'events';
 import Logger from '../utils/Logger.js';
+import { CorrelationMatrix } from '../analytics/CorrelationMatrix.js';
+import { ValueAtRisk } from '../analytics/ValueAtRisk.js';
+import { POSITION_EFFECTS, getPositionEffect, getExitLevels } from '../utils/Positions.js';
 
 // ============ Constants ============
 const RISK_LEVELS = {
@@ -15,6 +18,8 @@ const RISK_EVENTS = {
   DRAWDOWN_LIMIT_EXCEEDED: 'DRAWDOWN_LIMIT_EXCEEDED',
   DAILY_LOSS_LIMIT_EXCEEDED: 'DAILY_LOSS_LIMIT_EXCEEDED',
   CORRELATION_RISK_HIGH: 'CORRELATION_RISK_HIGH',
+  VAR_LIMIT_EXCEEDED: 'VAR_LIMIT_EXCEEDED',
+  CVAR_LIMIT_EXCEEDED: 'CVAR_LIMIT_EXCEEDED',
   VOLATILITY_SPIKE: 'VOLATILITY_SPIKE',
   LIQUIDITY_RISK: 'LIQUIDITY_RISK'
 };
@@ -26,7 +31,16 @@ const DEFAULT_RISK_PARAMS = {
   takeProfitPercent: 0.35, // Take profit percentage - quick profits in 1 hour
   maxConcurrentTrades: 12, // Maximum number of concurrent positions - maximum activity
   maxDailyLoss: 5.0, // Maximum hourly loss percentage - higher for 1-hour window
-  maxCorrelation: 0.7, // Maximum correlation between positions - allow more correlation
+  maxCorrelation: 0.7, // Positions correlated above this count as one concentrated exposure
+  maxCorrelatedExposure: 0.4, // Maximum correlated exposure as % of portfolio
+  correlationMethod: 'ewma', // 'ewma' or 'pearson'
+  correlationWindow: 120, // Returns kept per pair
+  correlationSampleMs: 60000, // Return sampling interval
+  correlationUpdateMs: 60000, // Matrix recompute interval
+  maxPortfolioVaR: 2.0, // Maximum portfolio Value-at-Risk as % of portfolio
+  maxCVaR: 3.0, // Maximum expected shortfall (CVaR) as % of portfolio
+  varConfidence: 0.95, // VaR/CVaR confidence level
+  varHorizonMs: 60 * 60 * 1000, // VaR/CVaR horizon - one competition hour
   minLiquidity: 30000, // Minimum liquidity threshold (USD) - lower for speed
   volatilityThreshold: 0.15 // Maximum volatility threshold - embrace volatility for profits
 };
@@ -48,19 +62,35 @@ export class RiskManager extends EventEmitter {
 
     // ============ Core Dependencies ============
     this.logger = Logger.createMainLogger('info', false);
+    this.priceOracle = null; // Shared PriceOracle, injected with setPriceOracle()
+    this.unsubscribePrices = null;
 
     // ============ Risk State Tracking ============
     this.portfolioValue = 0;
     this.startingBalance = 0;
+    this.peakPortfolioValue = 0;
     this.currentDrawdown = 0;
     this.maxDrawdownReached = 0;
     this.dailyPnL = 0;
     this.dailyStartBalance = 0;
+    this.dailyStartTime = Date.now();
 
     // ============ Position Tracking ============
     this.activePositions = new Map(); // positionId -> position data
     this.positionHistory = [];
-    this.correlationMatrix = new Map();
+    this.correlationMatrix = new Map(); // Manual correlations, used until enough returns are measured
+    this.correlations = new CorrelationMatrix({
+      method: this.config.correlationMethod,
+      window: this.config.correlationWindow,
+      sampleIntervalMs: this.config.correlationSampleMs
+    });
+    this.valueAtRisk = new ValueAtRisk({
+      correlations: this.correlations,
+      volatility: (pair) => this._getVolatility(pair),
+      correlation: (pair1, pair2) => this._getCorrelation(pair1, pair2),
+      confidence: this.config.varConfidence,
+      horizonMs: this.config.varHorizonMs
+    });
 
     // ============ Risk Metrics ============
     this.riskMetrics = {
@@ -105,9 +135,10 @@ export class RiskManager extends EventEmitter {
      * @notice Evaluate if a new position can be opened based on risk parameters
      * @param {string} pair - Trading pair
      * @param {Object} signal - Trading signal with confidence and indicators
+     * @param {number} size - Intended position size in USD
      * @returns {boolean} Whether position can be safely opened
      */
-  canOpenPosition (pair, signal) {
+  canOpenPosition (pair, signal, size = 0) {
     try {
       // ============ Emergency Stop Check ============
       if (this.emergencyStop) {
@@ -175,11 +206,7 @@ export class RiskManager extends EventEmitter {
       }
 
       // ============ Correlation Check ============
-      if (!this._checkCorrelationRisk(pair)) {
-        this._emitRiskEvent(RISK_EVENTS.CORRELATION_RISK_HIGH, {
-          pair,
-          maxCorrelation: this.config.maxCorrelation
-        });
+      if (!this._checkCorrelationRisk(pair, signal.action, size)) {
         return false;
       }
 
@@ -190,21 +217,38 @@ export class RiskManager extends EventEmitter {
     }
   }
 
+  /**
+     * @notice Whether a portfolio loss limit calls for closing open positions
+     * @dev Emergency stop, maximum drawdown or daily loss limit. Unlike canOpenPosition it
+     *      skips the entry-only checks (signal confidence, concurrent trades, volatility)
+     * @returns {boolean} True when positions should be closed
+     */
+  isLossLimitBreached () {
+    if (this.emergencyStop || this.currentDrawdown >= this.config.maxDrawdown) {
+      return true;
+    }
+
+    const dailyLossPercent = this.dailyStartBalance > 0 ? (this.dailyPnL / this.dailyStartBalance) * 100 : 0;
+    return dailyLossPercent <= -this.config.maxDailyLoss;
+  }
+
   /**
      * @notice Validate if a trade meets all risk management criteria
      * @param {Object} tradeParams - Trade parameters to validate
      * @param {string} tradeParams.pair - Trading pair
      * @param {string} tradeParams.action - BUY or SELL
+     * @param {string} tradeParams.positionEffect - OPEN or CLOSE (defaults to BUY opens, SELL closes)
      * @param {number} tradeParams.amount - Trade amount
      * @param {number} tradeParams.price - Trade price
      * @returns {Object} Validation result with approval status and reason
      */
   async validateTrade (tradeParams) {
     try {
-      const { pair, action, amount, price } = tradeParams;
+      const { pair, action, amount } = tradeParams;
+      const opensPosition = getPositionEffect(tradeParams) === POSITION_EFFECTS.OPEN;
 
       // ============ Basic Parameter Validation ============
-      if (!pair || !action || !amount || !price) {
+      if (!pair || !action || !amount || (!tradeParams.price && !this.priceOracle)) {
         return {
           approved: false,
           reason: 'Missing required trade parameters',
@@ -212,6 +256,16 @@ export class RiskManager extends EventEmitter {
         };
       }
 
+      // ============ Price Freshness Check ============
+      if (this.priceOracle?.isStale(pair)) {
+        return {
+          approved: false,
+          reason: `Stale price for ${pair}`,
+          riskLevel: RISK_LEVELS.HIGH
+        };
+      }
+      const price = this.priceOracle ? this.priceOracle.getPrice(pair, action) : tradeParams.price;
+
       // ============ Emergency Stop Check ============
       if (this.emergencyStop) {
         return {
@@ -232,7 +286,8 @@ export class RiskManager extends EventEmitter {
       }
 
       // ============ Daily Loss Limit Check ============
-      if (this.dailyPnL < -this.config.maxDailyLoss) {
+      const dailyLossPercent = this.dailyStartBalance > 0 ? (this.dailyPnL / this.dailyStartBalance) * 100 : 0;
+      if (dailyLossPercent <= -this.config.maxDailyLoss) {
         return {
           approved: false,
           reason: 'Daily loss limit exceeded',
@@ -241,7 +296,7 @@ export class RiskManager extends EventEmitter {
       }
 
       // ============ Concurrent Trades Check ============
-      if (action === 'BUY' && this.activePositions.size >= this.config.maxConcurrentTrades) {
+      if (opensPosition && this.activePositions.size >= this.config.maxConcurrentTrades) {
         return {
           approved: false,
           reason: 'Maximum concurrent trades limit reached',
@@ -278,6 +333,37 @@ export class RiskManager extends EventEmitter {
         };
       }
 
+      // ============ Portfolio VaR / CVaR Check ============
+      const portfolioRisk = this.calculatePortfolioVaR(opensPosition ? { pair, side: action, value: tradeValue } : null);
+      if (opensPosition && portfolioRisk.varPercent > this.config.maxPortfolioVaR) {
+        this._emitRiskEvent(RISK_EVENTS.VAR_LIMIT_EXCEEDED, {
+          pair,
+          varPercent: portfolioRisk.varPercent,
+          limit: this.config.maxPortfolioVaR,
+          var: portfolioRisk.var
+        });
+        return {
+          approved: false,
+          reason: `Portfolio VaR would exceed limit: ${portfolioRisk.varPercent.toFixed(2)}% > ${this.config.maxPortfolioVaR}%`,
+          riskLevel: RISK_LEVELS.HIGH,
+          details: { portfolioRisk }
+        };
+      }
+      if (opensPosition && portfolioRisk.cvarPercent > this.config.maxCVaR) {
+        this._emitRiskEvent(RISK_EVENTS.CVAR_LIMIT_EXCEEDED, {
+          pair,
+          cvarPercent: portfolioRisk.cvarPercent,
+          limit: this.config.maxCVaR,
+          cvar: portfolioRisk.cvar
+        });
+        return {
+          approved: false,
+          reason: `Portfolio CVaR would exceed limit: ${portfolioRisk.cvarPercent.toFixed(2)}% > ${this.config.maxCVaR}%`,
+          riskLevel: RISK_LEVELS.HIGH,
+          details: { portfolioRisk }
+        };
+      }
+
       // ============ Calculate Risk Score ============
       const riskScore = this._calculateTradeRiskScore(tradeParams);
       let riskLevel = RISK_LEVELS.LOW;
@@ -311,6 +397,8 @@ export class RiskManager extends EventEmitter {
           volatility,
           liquidity,
           tradeValue,
+          portfolioVaR: portfolioRisk.varPercent,
+          portfolioCVaR: portfolioRisk.cvarPercent,
           currentDrawdown: this.currentDrawdown,
           activePositions: this.activePositions.size
         }
@@ -390,7 +478,8 @@ export class RiskManager extends EventEmitter {
       }
 
       // ============ Calculate Current Drawdown ============
-      const highWaterMark = Math.max(this.startingBalance, this.portfolioValue);
+      this.peakPortfolioValue = Math.max(this.peakPortfolioValue, this.startingBalance, this.portfolioValue);
+      const highWaterMark = this.peakPortfolioValue;
       this.currentDrawdown = ((highWaterMark - this.portfolioValue) / highWaterMark) * 100;
       this.maxDrawdownReached = Math.max(this.maxDrawdownReached, this.currentDrawdown);
 
@@ -415,21 +504,22 @@ export class RiskManager extends EventEmitter {
 
   /**
      * @notice Register a new position
-     * @param {Object} position - Position data
+     * @param {Object} position - Position data with `side` BUY (long) or SELL (short), optionally with the caller's `id`
+     *      and the base `quantity` held or owed
      */
   registerPosition (position) {
     try {
-      const positionId = `${position.pair}_${Date.now()}`;
+      const positionId = position.id || `${position.pair}_${Date.now()}`;
 
       const positionData = {
         id: positionId,
         pair: position.pair,
         side: position.side,
         size: position.size,
+        quantity: position.quantity ?? position.size / position.entryPrice,
         entryPrice: position.entryPrice,
         entryTime: Date.now(),
-        stopLoss: position.entryPrice * (1 - this.config.stopLossPercent / 100),
-        takeProfit: position.entryPrice * (1 + this.config.takeProfitPercent / 100),
+        ...getExitLevels(position.side, position.entryPrice, this.config.stopLossPercent, this.config.takeProfitPercent),
         maxRisk: position.size * (this.config.stopLossPercent / 100),
         currentPnL: 0,
         maxPnL: 0,
@@ -455,9 +545,9 @@ export class RiskManager extends EventEmitter {
   /**
      * @notice Update existing position with current market data
      * @param {string} positionId - Position identifier
-     * @param {number} currentPrice - Current market price
+     * @param {number} currentPrice - Current market price (defaults to the price oracle)
      */
-  updatePosition (positionId, currentPrice) {
+  updatePosition (positionId, currentPrice = null) {
     try {
       const position = this.activePositions.get(positionId);
       if (!position) {
@@ -465,6 +555,12 @@ export class RiskManager extends EventEmitter {
         return;
       }
 
+      currentPrice = currentPrice ?? this.priceOracle?.getPrice(position.pair);
+      if (!currentPrice) {
+        this.logger.warn('No price available for position update', { positionId, pair: position.pair });
+        return;
+      }
+
       // ============ Calculate Current P&L ============
       const priceDiff = currentPrice - position.entryPrice;
       const sideMultiplier = position.side === 'BUY' ? 1 : -1;
@@ -537,6 +633,25 @@ export class RiskManager extends EventEmitter {
     }
   }
 
+  /**
+     * @notice Stop tracking a position without booking a P&L
+     * @dev For positions that turn out not to exist, e.g. when the venue's balances do not
+     *      back them; closePosition() is for positions that were actually exited
+     * @param {string} positionId - Position identifier
+     * @param {string} reason - Reason for removing
+     * @returns {Object|null} The removed position
+     */
+  removePosition (positionId, reason) {
+    const position = this.activePositions.get(positionId);
+    if (!position) {
+      return null;
+    }
+
+    this.activePositions.delete(positionId);
+    this.logger.warn('Position removed', { id: positionId, pair: position.pair, reason });
+    return position;
+  }
+
   // ============ Risk Monitoring ============
 
   /**
@@ -544,20 +659,43 @@ export class RiskManager extends EventEmitter {
      * @dev Monitors risk metrics and triggers alerts
      */
   _setupRiskMonitoring () {
-    // ============ Real-time Risk Assessment ============
-    setInterval(() => {
-      this._assessRealTimeRisk();
-    }, 5000); // Every 5 seconds
+    this.monitoringIntervals = [
+      // ============ Real-time Risk Assessment ============
+      setInterval(() => {
+        this._assessRealTimeRisk();
+      }, 5000), // Every 5 seconds
+
+      // ============ Daily Reset ============
+      setInterval(() => {
+        this._resetDailyMetrics();
+      }, 24 * 60 * 60 * 1000), // Every 24 hours
+
+      // ============ Risk Report Generation ============
+      setInterval(() => {
+        this._generateRiskReport();
+      }, 5 * 60 * 1000), // Every 5 minutes
+
+      // ============ Correlation Matrix ============
+      setInterval(() => {
+        this.updateCorrelationMatrix();
+      }, this.config.correlationUpdateMs)
+    ];
+  }
 
-    // ============ Daily Reset ============
-    setInterval(() => {
-      this._resetDailyMetrics();
-    }, 24 * 60 * 60 * 1000); // Every 24 hours
+  /**
+     * @notice Stop the risk monitoring timers
+     * @dev Lets short-lived owners such as backtests exit without waiting on the intervals
+     */
+  stop () {
+    for (const interval of this.monitoringIntervals) {
+      clearInterval(interval);
+    }
+    this.monitoringIntervals = [];
 
-    // ============ Risk Report Generation ============
-    setInterval(() => {
-      this._generateRiskReport();
-    }, 5 * 60 * 1000); // Every 5 minutes
+    if (this.unsubscribePrices) {
+      this.unsubscribePrices();
+      this.unsubscribePrices = null;
+    }
   }
 
   /**
@@ -702,38 +840,67 @@ export class RiskManager extends EventEmitter {
   /**
      * @notice Check correlation risk between positions
      * @param {string} newPair - New trading pair to check
+     * @param {string} side - BUY or SELL
+     * @param {number} size - Intended position size in USD
      * @returns {boolean} Whether correlation risk is acceptable
      */
-  _checkCorrelationRisk (newPair) {
-    try {
-      for (const [, position] of this.activePositions) {
-        const correlation = this._getCorrelation(position.pair, newPair);
-        if (Math.abs(correlation) > this.config.maxCorrelation) {
-          return false;
-        }
-      }
-      return true;
-    } catch (error) {
-      this.logger.error('Error checking correlation risk', { error: error.message });
-      return true; // Allow if calculation fails
+  _checkCorrelationRisk (newPair, side = 'BUY', size = 0) {
+    const exposure = this.checkCorrelatedExposure(newPair, side, size);
+    if (!exposure.allowed) {
+      this._emitRiskEvent(RISK_EVENTS.CORRELATION_RISK_HIGH, {
+        pair: newPair,
+        side,
+        exposure: exposure.exposure,
+        limit: exposure.limit,
+        correlatedWith: exposure.correlated.map(position => position.pair),
+        maxCorrelation: this.config.maxCorrelation
+      });
     }
+    return exposure.allowed;
   }
 
   /**
      * @notice Get correlation between two trading pairs
+     * @dev Uses the measured matrix once it has enough overlapping returns, then any
+     *      value set with updateCorrelation(), then a moderate default
      * @param {string} pair1 - First trading pair
      * @param {string} pair2 - Second trading pair
      * @returns {number} Correlation coefficient (-1 to 1)
      */
   _getCorrelation (pair1, pair2) {
-    // Simplified correlation calculation
-    // In production, this would use historical price data
     if (pair1 === pair2) return 1.0;
 
+    const measuredCorrelation = this.correlations.get(pair1, pair2);
+    if (measuredCorrelation !== null) {
+      return measuredCorrelation;
+    }
+
     const correlationKey = `${pair1}_${pair2}`;
     const storedCorrelation = this.correlationMatrix.get(correlationKey);
 
-    return storedCorrelation || 0.3; // Default moderate correlation
+    return storedCorrelation ?? 0.3; // Default moderate correlation
+  }
+
+  /**
+     * @notice Correlated exposure for each pair and side currently held
+     * @returns {Array<Object>} { pair, side, exposure, limit, correlatedWith }
+     */
+  _getCorrelatedExposureSummary () {
+    const held = new Map();
+    for (const [, position] of this.activePositions) {
+      held.set(`${position.pair}_${position.side}`, position);
+    }
+
+    return Array.from(held.values(), ({ pair, side }) => {
+      const { exposure, limit, correlated } = this.checkCorrelatedExposure(pair, side, 0);
+      return {
+        pair,
+        side,
+        exposure,
+        limit,
+        correlatedWith: [...new Set(correlated.map(position => position.pair))]
+      };
+    });
   }
 
   /**
@@ -960,6 +1127,7 @@ export class RiskManager extends EventEmitter {
      */
   _resetDailyMetrics () {
     this.dailyStartBalance = this.portfolioValue;
+    this.dailyStartTime = Date.now();
     this.dailyPnL = 0;
     this.riskLimitsBreached.clear();
 
@@ -1017,6 +1185,64 @@ export class RiskManager extends EventEmitter {
     };
   }
 
+  /**
+     * @notice Get the state needed to resume after a restart
+     * @dev Balances, the drawdown baseline, daily P&L and open positions; configuration
+     *      and derived metrics are rebuilt on startup
+     * @returns {Object} Serializable risk state
+     */
+  getPersistentState () {
+    return {
+      portfolioValue: this.portfolioValue,
+      startingBalance: this.startingBalance,
+      peakPortfolioValue: this.peakPortfolioValue,
+      currentDrawdown: this.currentDrawdown,
+      maxDrawdownReached: this.maxDrawdownReached,
+      dailyPnL: this.dailyPnL,
+      dailyStartBalance: this.dailyStartBalance,
+      dailyStartTime: this.dailyStartTime,
+      emergencyStop: this.emergencyStop,
+      performanceMetrics: { ...this.performanceMetrics },
+      activePositions: Array.from(this.activePositions.values(), position => ({ ...position }))
+    };
+  }
+
+  /**
+     * @notice Restore state saved by getPersistentState()
+     * @dev A trading day that ended while the agent was down starts over from the
+     *      restored portfolio value
+     * @param {Object} state - Saved risk state
+     */
+  restoreState (state) {
+    if (!state) {
+      return;
+    }
+
+    this.portfolioValue = state.portfolioValue ?? this.portfolioValue;
+    this.startingBalance = state.startingBalance ?? this.startingBalance;
+    this.peakPortfolioValue = state.peakPortfolioValue ?? Math.max(this.startingBalance, this.portfolioValue);
+    this.currentDrawdown = state.currentDrawdown ?? this.currentDrawdown;
+    this.maxDrawdownReached = state.maxDrawdownReached ?? this.maxDrawdownReached;
+    this.dailyPnL = state.dailyPnL ?? this.dailyPnL;
+    this.dailyStartBalance = state.dailyStartBalance ?? this.dailyStartBalance;
+    this.dailyStartTime = state.dailyStartTime ?? this.dailyStartTime;
+    this.emergencyStop = Boolean(state.emergencyStop);
+    this.performanceMetrics = { ...this.performanceMetrics, ...state.performanceMetrics };
+    this.activePositions = new Map((state.activePositions || []).map(position => [position.id, { ...position }]));
+
+    if (Date.now() - this.dailyStartTime >= 24 * 60 * 60 * 1000) {
+      this._resetDailyMetrics();
+    }
+
+    this.logger.info('Risk state restored', {
+      startingBalance: this.startingBalance,
+      dailyPnL: this.dailyPnL,
+      maxDrawdownReached: this.maxDrawdownReached,
+      activePositions: this.activePositions.size,
+      emergencyStop: this.emergencyStop
+    });
+  }
+
   /**
      * @notice Get risk configuration
      * @returns {Object} Current risk management configuration
@@ -1061,6 +1287,26 @@ export class RiskManager extends EventEmitter {
     return new Map(this.activePositions);
   }
 
+  /**
+     * @notice Use a shared price oracle for trade validation and position marks
+     * @dev Every oracle update also feeds the rolling return series behind the
+     *      correlation matrix
+     * @param {PriceOracle} priceOracle - Shared price oracle
+     */
+  setPriceOracle (priceOracle) {
+    if (this.unsubscribePrices) {
+      this.unsubscribePrices();
+      this.unsubscribePrices = null;
+    }
+
+    this.priceOracle = priceOracle;
+    if (priceOracle) {
+      this.unsubscribePrices = priceOracle.subscribe('*', (quote) => {
+        this.recordPrice(quote.pair, quote.last ?? quote.mid, quote.timestamp);
+      });
+    }
+  }
+
   /**
      * @notice Update volatility data for a trading pair
      * @param {string} pair - Trading pair
@@ -1099,6 +1345,98 @@ export class RiskManager extends EventEmitter {
     this.correlationMatrix.set(key2, correlation);
   }
 
+  /**
+     * @notice Record a price for the rolling correlation series
+     * @param {string} pair - Trading pair
+     * @param {number} price - Observed price
+     * @param {number} timestamp - Observation time in milliseconds
+     */
+  recordPrice (pair, price, timestamp = Date.now()) {
+    this.correlations.addPrice(pair, price, timestamp);
+  }
+
+  /**
+     * @notice Recompute the correlation matrix from the recorded return series
+     * @dev Runs every `correlationUpdateMs`; backtests call it directly on replay time
+     * @returns {number} Number of pair combinations with a measured correlation
+     */
+  updateCorrelationMatrix () {
+    try {
+      const measured = this.correlations.recompute();
+      this.logger.debug('Correlation matrix updated', { pairs: this.correlations.getPairs().length, measured });
+      return measured;
+    } catch (error) {
+      this.logger.error('Error updating correlation matrix', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+     * @notice Measure how much correlated exposure a new position would add to
+     * @dev Open positions whose correlation with the new one, signed by both sides, is
+     *      above `maxCorrelation` are treated as the same bet: their size, weighted by
+     *      that correlation, is added to the new size. Long BTC plus long ETH is one
+     *      concentrated exposure, while long BTC against short ETH is a hedge and is not
+     *      counted. Without a portfolio value any correlated position blocks the trade.
+     * @param {string} pair - Trading pair
+     * @param {string} side - BUY or SELL
+     * @param {number} size - Intended position size in USD
+     * @returns {Object} { allowed, exposure, limit, correlated }
+     */
+  checkCorrelatedExposure (pair, side = 'BUY', size = 0) {
+    try {
+      const direction = side === 'SELL' ? -1 : 1;
+      const correlated = [];
+      let exposure = size;
+
+      for (const [, position] of this.activePositions) {
+        const correlation = this._getCorrelation(position.pair, pair);
+        const signedCorrelation = correlation * direction * (position.side === 'SELL' ? -1 : 1);
+        if (signedCorrelation > this.config.maxCorrelation) {
+          exposure += position.size * signedCorrelation;
+          correlated.push({ id: position.id, pair: position.pair, side: position.side, size: position.size, correlation });
+        }
+      }
+
+      const limit = this.portfolioValue * this.config.maxCorrelatedExposure;
+      const allowed = correlated.length === 0 || (limit > 0 && exposure <= limit);
+
+      return { allowed, exposure, limit, correlated };
+    } catch (error) {
+      this.logger.error('Error checking correlated exposure', { error: error.message });
+      return { allowed: true, exposure: size, limit: 0, correlated: [] }; // Allow if calculation fails
+    }
+  }
+
+  /**
+     * @notice Estimate portfolio Value-at-Risk and expected shortfall
+     * @dev Covers every active position plus an optional candidate, using per-pair
+     *      volatility and the correlation matrix. Percentages are of the portfolio value.
+     * @param {Object} candidate - Optional { pair, side, value } position to include
+     * @returns {Object} ValueAtRisk result plus { varPercent, cvarPercent }
+     */
+  calculatePortfolioVaR (candidate = null) {
+    const exposures = Array.from(this.activePositions.values(), position => ({
+      pair: position.pair,
+      value: position.side === 'SELL' ? -position.size : position.size
+    }));
+    if (candidate) {
+      exposures.push({
+        pair: candidate.pair,
+        value: candidate.side === 'SELL' ? -candidate.value : candidate.value
+      });
+    }
+
+    const result = this.valueAtRisk.calculate(exposures);
+    const toPercent = (value) => this.portfolioValue > 0 ? (value / this.portfolioValue) * 100 : 0;
+
+    return {
+      ...result,
+      varPercent: toPercent(result.var),
+      cvarPercent: toPercent(result.cvar)
+    };
+  }
+
   /**
      * @notice Force close all positions (emergency action)
      * @dev Used during emergency stop or critical risk events
@@ -1166,7 +1504,20 @@ export class RiskManager extends EventEmitter {
         maxDailyLoss: this.config.maxDailyLoss,
         maxPositionSize: this.config.maxPositionSize,
         stopLoss: this.config.stopLossPercent,
-        takeProfit: this.config.takeProfitPercent
+        takeProfit: this.config.takeProfitPercent,
+        maxCorrelation: this.config.maxCorrelation,
+        maxCorrelatedExposure: this.config.maxCorrelatedExposure,
+        maxPortfolioVaR: this.config.maxPortfolioVaR,
+        maxCVaR: this.config.maxCVaR
+      },
+
+      // ============ Value at Risk ============
+      valueAtRisk: this.calculatePortfolioVaR(),
+
+      // ============ Correlation ============
+      correlation: {
+        ...this.correlations.getMatrix(),
+        exposure: this._getCorrelatedExposureSummary()
       },
 
       // ============ Recent Alerts ============
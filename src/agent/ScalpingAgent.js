@@ -1,11 +1,19 @@
 // ============ Imports ============
 // import { ethers } from 'ethers';
-import { TradingStrategy } from './TradingStrategy.js';
+import { TradingStrategy, createStrategyMarketDataFeed } from './TradingStrategy.js';
 import { RiskManager } from './RiskManager.js';
 import RecallClient from '../integrations/RecallClient.js';
+import PaperExchange from '../integrations/PaperExchange.js';
 import VincentClient from '../integrations/VincentClient.js';
 import GaiaClient from '../integrations/Gaia.Client.js';
+import PortfolioReconciler, { normalizePortfolio } from '../integrations/PortfolioReconciler.js';
+import { TradeJournal, JOURNAL_ENTRY_TYPES } from '../persistence/TradeJournal.js';
+import TransactionCostAnalyzer from '../analytics/TransactionCostAnalysis.js';
+import { CIRCUIT_STATES } from '../utils/CircuitBreaker.js';
+import config from '../utils/Config.js';
 import Logger from '../utils/Logger.js';
+import { POSITION_SIDES } from '../utils/Positions.js';
+import tokenRegistry from '../utils/TokenRegistry.js';
 // CONFIG will be loaded dynamically in constructor
 
 // ============ Constants ============
@@ -18,6 +26,7 @@ const AGENT_STATES = {
 };
 
 const COMPETITION_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const HOLDING_TOLERANCE = 0.01; // Recovered longs may exceed the held base by 1% (fees, rounding)
 
 /**
  * @title ScalpingAgent
@@ -35,12 +44,17 @@ export class ScalpingAgent {
     // ============ Core Dependencies ============
     this.logger = Logger;
     this.recallClient = null;
+    this.marketDataFeed = null;
     this.vincentClient = null;
     this.gaiaClient = null;
 
     // ============ Agent Components ============
     this.tradingStrategy = null;
     this.riskManager = null;
+    this.portfolioReconciler = null;
+    this.costAnalyzer = null;
+    this.journal = null;
+    this.recoveredState = false;
 
     // ============ Agent State ============
     this.state = AGENT_STATES.INACTIVE;
@@ -101,6 +115,9 @@ export class ScalpingAgent {
       // ============ Initialize Trading Components ============
       await this._initializeTradingComponents();
 
+      // ============ Recover State From Journal ============
+      await this._recoverFromJournal();
+
       // ============ Verify Permissions and Policies ============
       await this._verifyPermissions();
 
@@ -149,6 +166,12 @@ export class ScalpingAgent {
       // ============ Setup Competition Timer ============
       // this._setupCompetitionTimer(); // Disabled - manual control only
 
+      // ============ Start Portfolio Reconciliation ============
+      // The first run baselines holdings before the strategy opens anything
+      if (this.portfolioReconciler) {
+        await this.portfolioReconciler.start();
+      }
+
       // ============ Start Trading Strategy ============
       await this.tradingStrategy.start();
 
@@ -190,6 +213,20 @@ export class ScalpingAgent {
         this.competitionTimer = null;
       }
 
+      // ============ Stop Risk Monitoring ============
+      if (this.riskManager) {
+        this.riskManager.stop();
+      }
+      if (this.portfolioReconciler) {
+        this.portfolioReconciler.stop();
+      }
+
+      // ============ Flush Journal ============
+      if (this.journal) {
+        this._journalRiskState();
+        this.journal.close();
+      }
+
       // ============ Calculate Final Performance ============
       await this._calculateFinalPerformance();
 
@@ -221,12 +258,33 @@ export class ScalpingAgent {
       this.logger.info('Initializing service clients...');
 
       // ============ Initialize Recall Client ============
-      this.recallClient = new RecallClient({
+      const recallClient = new RecallClient({
         privateKey: this.config.RECALL_PRIVATE_KEY,
         network: this.config.RECALL_NETWORK || 'testnet'
       });
+
+      if (config.isSimulationMode()) {
+        // Prices still come from Recall (or the configured replay/synthetic feed); fills stay local
+        const paper = config.get('development.paper');
+        this.marketDataFeed = this.config.marketDataFeed || createStrategyMarketDataFeed({ recallClient });
+        this.recallClient = new PaperExchange({
+          marketDataFeed: this.marketDataFeed,
+          initialBalance: paper.initialBalance,
+          slippageBps: paper.slippageBps,
+          feeBps: paper.feeBps
+        });
+        this.logger.warn('📝 SIMULATION_MODE enabled - trades fill on the paper exchange');
+      } else {
+        this.marketDataFeed = this.config.marketDataFeed || null;
+        this.recallClient = recallClient;
+      }
       await this.recallClient.initialize();
 
+      // ============ Analyze Execution Costs ============
+      // Strategy trades are fed in as well (see _setupComponentEvents())
+      this.costAnalyzer = new TransactionCostAnalyzer();
+      this.costAnalyzer.attach(this.recallClient);
+
       // ============ Initialize Vincent Client ============
       this.vincentClient = new VincentClient({
         appId: this.config.VINCENT_APP_ID,
@@ -236,7 +294,8 @@ export class ScalpingAgent {
       await this.vincentClient.initialize();
 
       // ============ Initialize Gaia Client (Optional) ============
-      if (process.env.GAIA_API_KEY) {
+      // Extra providers such as a local llama.cpp server may not need a Gaia API key
+      if (process.env.GAIA_API_KEY || process.env.GAIA_PROVIDERS) {
         this.gaiaClient = new GaiaClient({
           apiKey: this.config.GAIA_API_KEY || process.env.GAIA_API_KEY,
           nodeUrl: this.config.GAIA_NODE_URL || process.env.GAIA_NODE_URL,
@@ -245,7 +304,7 @@ export class ScalpingAgent {
         await this.gaiaClient.initialize();
       } else {
         this.gaiaClient = null;
-        this.logger.warn('⚠️ Gaia AI client disabled - no API key provided');
+        this.logger.warn('⚠️ Gaia AI client disabled - no API key or providers provided');
       }
 
       this.logger.info('All service clients initialized successfully');
@@ -276,8 +335,26 @@ export class ScalpingAgent {
       this.tradingStrategy = new TradingStrategy({
         recallClient: this.recallClient,
         vincentClient: this.vincentClient,
-        gaiaClient: this.gaiaClient
+        gaiaClient: this.gaiaClient,
+        marketDataFeed: this.marketDataFeed
       }, this.logger);
+      this.tradingStrategy.riskManager = this.riskManager;
+
+      // ============ Share One Price Oracle ============
+      this.riskManager.setPriceOracle(this.tradingStrategy.priceOracle);
+      this.recallClient.setPriceOracle(this.tradingStrategy.priceOracle);
+
+      // ============ Initialize Portfolio Reconciliation ============
+      const reconciliation = config.get('reconciliation');
+      if (reconciliation?.enabled) {
+        this.portfolioReconciler = new PortfolioReconciler({
+          ...reconciliation,
+          client: this.recallClient,
+          riskManager: this.riskManager,
+          tradingStrategy: this.tradingStrategy,
+          quoteSymbols: config.get('trading').pairs.map(pair => pair.split('/')[1])
+        });
+      }
 
       // ============ Setup Component Event Listeners ============
       this._setupComponentEvents();
@@ -378,6 +455,159 @@ export class ScalpingAgent {
     }
   }
 
+  // ============ Persistence and Recovery ============
+
+  /**
+     * @notice Replay the trade journal and resume where the last run stopped
+     * @dev Restores trade history, open orders, open positions and the risk baseline
+     *      (starting balance, daily P&L, drawdown), after checking the recovered
+     *      positions against the portfolio the venue reports. The journal is then
+     *      compacted to one snapshot and follows every later change.
+     */
+  async _recoverFromJournal () {
+    const persistence = config.get('persistence');
+    if (!persistence?.journalEnabled) {
+      this.logger.warn('Trade journal disabled - state will not survive a restart');
+      return;
+    }
+
+    try {
+      this.journal = new TradeJournal({ directory: persistence.journalDir });
+      const saved = this.journal.replay();
+
+      if (saved.entries > 0) {
+        this.logger.info('Recovering state from journal', {
+          path: this.journal.path,
+          entries: saved.entries,
+          orders: saved.orders.length,
+          trades: saved.trades.length,
+          positions: saved.positions.length
+        });
+
+        // ============ Reconcile Positions Against The Portfolio ============
+        const { positions, dropped, portfolio } = await this._reconcileRecoveredPositions(saved.positions);
+        const kept = new Set(positions.map(position => position.id));
+
+        // ============ Restore Components ============
+        if (typeof this.recallClient.restoreHistory === 'function') {
+          this.recallClient.restoreHistory({ trades: saved.trades, orders: saved.orders });
+        }
+        this.tradingStrategy.restorePositions(positions);
+        if (saved.riskState) {
+          this.riskManager.restoreState({
+            ...saved.riskState,
+            activePositions: (saved.riskState.activePositions || []).filter(position => kept.has(position.id))
+          });
+        }
+        if (portfolio) {
+          this.riskManager.updatePortfolioValue(normalizePortfolio(portfolio).totalValue);
+        }
+
+        for (const position of dropped) {
+          this.journal.record(JOURNAL_ENTRY_TYPES.POSITION_CLOSED, { ...position, exitReason: 'RECONCILED_MISSING' });
+        }
+
+        this.recoveredState = true;
+        this.logger.info('State recovered from journal', {
+          positions: positions.length,
+          dropped: dropped.length,
+          startingBalance: this.riskManager.startingBalance,
+          dailyPnL: this.riskManager.dailyPnL
+        });
+      }
+
+      // ============ Compact And Follow Live Changes ============
+      this.journal.compact();
+      this._setupJournalEvents();
+      this._journalRiskState();
+    } catch (error) {
+      this.logger.error('Failed to recover state from journal', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+     * @notice Check recovered positions against the venue's portfolio
+     * @dev Longs must be backed by base tokens actually held. Per base token, the oldest
+     *      longs are kept while the holding covers them and the rest are dropped. Shorts
+     *      are kept as journaled: a spot balance cannot show what is owed. Without a
+     *      portfolio every position is kept unverified.
+     * @param {Array<Object>} positions - Positions replayed from the journal
+     * @returns {Object} { positions, dropped, portfolio }
+     */
+  async _reconcileRecoveredPositions (positions) {
+    let portfolio;
+    try {
+      portfolio = await this.recallClient.getPortfolio();
+    } catch (error) {
+      this.logger.warn('Could not fetch portfolio - keeping recovered positions unverified', { error: error.message });
+      return { positions, dropped: [], portfolio: null };
+    }
+
+    // ============ Holdings By Canonical Symbol ============
+    const { holdings } = normalizePortfolio(portfolio);
+    const available = new Map(Object.entries(holdings).map(([symbol, holding]) => [symbol, holding.amount]));
+
+    // ============ Match Longs To Holdings, Oldest First ============
+    const kept = [];
+    const dropped = [];
+    for (const position of [...positions].sort((a, b) => a.entryTime - b.entryTime)) {
+      if (position.side === POSITION_SIDES.SHORT) {
+        kept.push(position);
+        continue;
+      }
+
+      const base = tokenRegistry.getCanonicalSymbol(position.pair.split('/')[0]);
+      const held = available.get(base) || 0;
+      if (position.quantity <= held * (1 + HOLDING_TOLERANCE)) {
+        available.set(base, Math.max(0, held - position.quantity));
+        kept.push(position);
+      } else {
+        dropped.push(position);
+        this.logger.warn('Dropping recovered position not backed by holdings', {
+          id: position.id,
+          pair: position.pair,
+          quantity: position.quantity,
+          held
+        });
+      }
+    }
+
+    return { positions: kept, dropped, portfolio };
+  }
+
+  /**
+     * @notice Journal orders, trades, positions and risk state as they change
+     * @dev Fills are journaled from the strategy as well as the exchange client, so a fill
+     *      either one reports survives a restart. Replay keeps one trade per id.
+     */
+  _setupJournalEvents () {
+    const record = (type) => (data) => this.journal.record(type, data);
+
+    this.recallClient.on('order_update', record(JOURNAL_ENTRY_TYPES.ORDER));
+    this.recallClient.on('trade_executed', record(JOURNAL_ENTRY_TYPES.TRADE));
+    this.recallClient.on('trade_failed', record(JOURNAL_ENTRY_TYPES.TRADE));
+
+    this.tradingStrategy.on('trade_executed', record(JOURNAL_ENTRY_TYPES.TRADE));
+    this.tradingStrategy.on('position_opened', (position) => {
+      this.journal.record(JOURNAL_ENTRY_TYPES.POSITION_OPENED, position);
+      this._journalRiskState();
+    });
+    this.tradingStrategy.on('position_closed', (position) => {
+      this.journal.record(JOURNAL_ENTRY_TYPES.POSITION_CLOSED, position);
+      this._journalRiskState();
+    });
+  }
+
+  /**
+     * @notice Journal the risk manager's current state
+     */
+  _journalRiskState () {
+    if (this.journal && this.riskManager) {
+      this.journal.record(JOURNAL_ENTRY_TYPES.RISK_STATE, this.riskManager.getPersistentState());
+    }
+  }
+
   // ============ Competition Management ============
 
   /**
@@ -421,6 +651,14 @@ export class ScalpingAgent {
      * @dev Gets initial portfolio value from Vincent/Recall
      */
   async _recordStartingBalance () {
+    // ============ Keep The Baseline Of A Recovered Session ============
+    if (this.recoveredState && this.riskManager?.startingBalance > 0) {
+      this.performance.startingBalance = this.riskManager.startingBalance;
+      this.performance.currentBalance = this.riskManager.portfolioValue || this.performance.startingBalance;
+      this.logger.info('Starting balance restored from journal', { balance: this.performance.startingBalance });
+      return;
+    }
+
     try {
       // ============ Get Account Balance from Recall ============
       const accountInfo = await this.recallClient.getAccountInfo();
@@ -460,6 +698,7 @@ export class ScalpingAgent {
         await this._updatePerformanceMetrics();
         await this._updateHealthMetrics();
         await this._storePerformanceSnapshot();
+        this._journalRiskState();
       } catch (error) {
         this.logger.error('Performance monitoring error', { error: error.message });
       }
@@ -712,6 +951,42 @@ export class ScalpingAgent {
     }
   }
 
+  /**
+     * @notice Log the transaction-cost summary and write the full TCA report
+     * @dev Costs are in basis points of notional, positive when execution lost money:
+     *      delay is signal price to quote, slippage is quote to fill, shortfall is signal
+     *      price to fill plus fees. The JSON report and per-trade CSV go to REPORT_DIR.
+     */
+  _reportTransactionCosts () {
+    this.logger.info('\n' + '-'.repeat(60));
+
+    if (!this.costAnalyzer || this.costAnalyzer.records.length === 0) {
+      this.logger.info('💸 TRANSACTION COSTS: No trades analyzed');
+      return;
+    }
+
+    const report = this.costAnalyzer.getReport();
+    const bps = value => (value === null ? 'n/a' : `${value.toFixed(1)} bps`);
+    const describe = costs => `Shortfall: ${bps(costs.shortfallBps)} ($${costs.shortfallUsd.toFixed(2)}) | Slippage: ${bps(costs.slippageBps)} | Fee Drag: ${bps(costs.feeDragBps)}`;
+
+    this.logger.info('💸 TRANSACTION COSTS');
+    this.logger.info('-'.repeat(60));
+    this.logger.info(`📊 Trades: ${report.summary.trades} | Notional: $${report.summary.notional.toFixed(2)} | Fees: $${report.summary.fees.toFixed(2)}`);
+    this.logger.info(`⏱️ Delay (signal to quote): ${bps(report.summary.delayBps)} over ${report.summary.quotedTrades} quoted trades`);
+    this.logger.info(`📉 ${describe(report.summary)}`);
+
+    Object.entries(report.byPair).forEach(([pair, costs]) => {
+      this.logger.info(`   ${pair} (${costs.trades} trades) | ${describe(costs)}`);
+    });
+
+    try {
+      const paths = this.costAnalyzer.writeReport(config.get('persistence').reportDir);
+      this.logger.info(`📁 TCA report: ${paths.json} | ${paths.csv}`);
+    } catch (error) {
+      this.logger.error('Failed to write TCA report', { error: error.message });
+    }
+  }
+
   /**
      * @notice Generate comprehensive trade report
      * @dev Creates detailed trading session report with all trades and P&L
@@ -778,6 +1053,9 @@ export class ScalpingAgent {
       this.logger.info(`🚨 Stop Loss Triggers: ${this.healthMetrics.errorCount}`);
       this.logger.info(`⏰ System Uptime: ${durationMinutes}m`);
 
+      // ============ Transaction Costs ============
+      this._reportTransactionCosts();
+
       // ============ Final Status ============
       this.logger.info('\n' + '-'.repeat(60));
       const totalProfit = this.performance.totalProfit || 0;
@@ -828,6 +1106,7 @@ export class ScalpingAgent {
     if (this.tradingStrategy && typeof this.tradingStrategy.on === 'function') {
       this.tradingStrategy.on('trade_executed', (tradeData) => {
         this.logger.info('Trade executed', tradeData);
+        this.costAnalyzer?.record(tradeData); // Skipped when the client already reported it
         this._onTradeExecuted(tradeData);
       });
 
@@ -837,6 +1116,17 @@ export class ScalpingAgent {
       });
     }
 
+    // ============ Order Lifecycle Events ============
+    if (this.recallClient && typeof this.recallClient.on === 'function') {
+      this.recallClient.on('order_update', (order, previousState) => {
+        this._onOrderUpdate(order, previousState);
+      });
+
+      // Competitions are joined while the client initializes, before this listener exists
+      this.recallClient.on('competition_changed', () => this._applyCompetitionRules());
+      this._applyCompetitionRules();
+    }
+
     // ============ Risk Manager Events ============
     if (this.riskManager && typeof this.riskManager.on === 'function') {
       this.riskManager.on('risk_limit_exceeded', (riskData) => {
@@ -872,11 +1162,11 @@ export class ScalpingAgent {
       // ============ Record Trade in Performance History ============
       const trade = {
         timestamp: Date.now(),
-        tradeId: tradeData.tradeId || Date.now().toString(),
+        tradeId: tradeData.tradeId || tradeData.id || Date.now().toString(),
         pair: tradeData.pair,
-        side: tradeData.side, // 'BUY' or 'SELL'
+        side: tradeData.side || tradeData.action, // 'BUY' or 'SELL'
         amount: tradeData.amount,
-        price: tradeData.price,
+        price: tradeData.executedPrice ?? tradeData.price,
         fee: tradeData.fee || 0,
         pnl: tradeData.pnl || 0,
         strategy: tradeData.strategy || 'scalping',
@@ -901,6 +1191,65 @@ export class ScalpingAgent {
     }
   }
 
+  /**
+     * @notice Scope trading to the rules of the active Recall competition
+     * @dev The competition's allowed pairs narrow the strategy's pair list, and its window
+     *      and spending caps go to the Vincent competition policies
+     */
+  _applyCompetitionRules () {
+    if (typeof this.recallClient.getCompetitionRules !== 'function') {
+      return; // The paper exchange has no competitions
+    }
+
+    // Candidates default to the configured TRADING_PAIRS, which the Recall client resolved
+    // against networks.json at startup; a competition listing other pairs cannot add them
+    const rules = this.recallClient.getCompetitionRules();
+    if (!rules) {
+      return;
+    }
+
+    this.tradingStrategy.setTradingPairs(rules.allowedPairs, `competition ${rules.competitionId}`);
+    this.vincentClient?.applyCompetitionRules(rules);
+
+    this.logger.info('🏁 Competition rules applied', {
+      competitionId: rules.competitionId,
+      name: rules.name,
+      pairs: this.tradingStrategy.tradingPairs,
+      window: [rules.startTime, rules.endTime].map(time => (time ? new Date(time).toISOString() : null)),
+      maxTradeAmount: rules.maxTradeAmount,
+      maxDailySpend: rules.maxDailySpend
+    });
+  }
+
+  /**
+     * @notice Handle order state transitions from the Recall client
+     * @param {object} order - Order after the transition
+     * @param {string|null} previousState - State before the transition
+     */
+  _onOrderUpdate (order, previousState) {
+    try {
+      const details = {
+        orderId: order.id,
+        pair: order.pair,
+        action: order.action,
+        from: previousState,
+        to: order.state,
+        filledAmount: order.filledAmount,
+        amount: order.amount,
+        reason: order.reason
+      };
+
+      // ============ Log Transition ============
+      if (order.state === 'REJECTED' || order.state === 'EXPIRED') {
+        this.logger.warn('Order closed without filling', details);
+      } else {
+        this.logger.debug('Order state changed', details);
+      }
+    } catch (error) {
+      this.logger.error('Error handling order update', { error: error.message });
+    }
+  }
+
   /**
      * @notice Handle position closure events
      * @param {object} positionData - Position closure data
@@ -1103,14 +1452,30 @@ export class ScalpingAgent {
 
   /**
    * @notice Check RecallClient health status
-   * @return {Promise<object>} Health status
+   * @dev An open trade circuit breaker makes Recall unhealthy; any other breaker that is
+   *      not closed only degrades it
+   * @return {Promise<object>} Health status with the endpoint circuit breakers
    */
   async _checkRecallHealth () {
     const status = this.recallClient.getStatus();
     if (!status.isInitialized || !status.isConnected) {
       throw new Error(`RecallClient unhealthy: initialized=${status.isInitialized}, connected=${status.isConnected}`);
     }
-    return { service: 'recall', status: 'healthy', details: status };
+
+    const breakers = status.circuitBreakers || {};
+    if (breakers.trade?.state === CIRCUIT_STATES.OPEN) {
+      throw new Error(`RecallClient unhealthy: trade circuit breaker open (${breakers.trade.lastFailure?.message || 'no failure recorded'})`);
+    }
+
+    const tripped = Object.entries(breakers)
+      .filter(([, breaker]) => breaker.state !== CIRCUIT_STATES.CLOSED)
+      .map(([group, breaker]) => `${group}:${breaker.state}`);
+
+    return {
+      service: 'recall',
+      status: tripped.length > 0 ? 'degraded' : 'healthy',
+      details: { ...status, trippedBreakers: tripped }
+    };
   }
 
   /**
@@ -1152,6 +1517,7 @@ export class ScalpingAgent {
       performance: { ...this.performance },
       health: { ...this.healthMetrics },
       activePositions: this.tradingStrategy?.currentPositions?.size || 0,
+      reconciliation: this.portfolioReconciler?.getStatus() || null,
       uptime: this.startTime ? Date.now() - this.startTime : 0
     };
   }
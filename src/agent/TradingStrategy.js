@@ -1,16 +1,59 @@
 // ============ Imports ============
 // import { ethers } from 'ethers';
+import { EventEmitter } from 'events';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
 import TechnicalIndicators from '../analytics/TechnicalIndicators.js';
+import { RegimeClassifier, MARKET_REGIMES } from '../analytics/RegimeClassifier.js';
+import { PriceOracle } from '../analytics/PriceOracle.js';
+import { createMarketDataFeed, DEFAULT_TIMEFRAMES } from '../analytics/feeds/index.js';
+import { createOrderBookFeed } from '../analytics/orderbook/index.js';
+import { ExecutionEngine, EXECUTION_ALGORITHMS } from '../execution/ExecutionEngine.js';
+import { REQUEST_PRIORITIES, SCHEDULER_ERRORS } from '../integrations/RequestScheduler.js';
 // import { RiskManager } from './RiskManager.js'; // Will be injected separately
 import Logger from '../utils/Logger.js';
+import tokenRegistry from '../utils/TokenRegistry.js';
+import {
+  POSITION_SIDES,
+  POSITION_EFFECTS,
+  calculatePnLPercent,
+  getExitAction,
+  getExitLevels
+} from '../utils/Positions.js';
 // CONFIG will be loaded from environment variables
 
+// ============ Strategy Configuration ============
+const loadStrategyConfig = (fileName) => {
+  try {
+    return JSON.parse(readFileSync(fileURLToPath(new URL(`../configs/${fileName}`, import.meta.url)), 'utf8'));
+  } catch {
+    return {};
+  }
+};
+
+const TRADING_CONFIG = loadStrategyConfig('trading.json');
+const INDICATORS_CONFIG = loadStrategyConfig('indicators.json');
+const STRATEGY_TIMEFRAMES = TRADING_CONFIG.trading?.timeframes || DEFAULT_TIMEFRAMES;
+
+/**
+ * @notice Create the market data feed the strategy reads bars from
+ * @dev Exported so callers that share the feed (e.g. the paper exchange) aggregate the same timeframes
+ * @param {Object} options - Feed options, including `recallClient` for the Recall feed
+ * @returns {MarketDataFeed} Feed selected by MARKET_DATA_FEED
+ */
+export const createStrategyMarketDataFeed = (options = {}) =>
+  createMarketDataFeed({ timeframes: STRATEGY_TIMEFRAMES, ...options });
+
 // ============ Constants ============
 const TRADE_TYPES = {
   BUY: 'BUY',
   SELL: 'SELL'
 };
 
+// Extra quote spent when covering a short so slippage and fees cannot leave it under-covered.
+// Exchanges cap the fill at the owed quantity.
+const SHORT_COVER_BUFFER = 0.01;
+
 const SIGNAL_STRENGTH = {
   WEAK: 0.3,
   MODERATE: 0.6,
@@ -19,14 +62,6 @@ const SIGNAL_STRENGTH = {
   EXTREME: 0.95
 };
 
-const MARKET_REGIMES = {
-  TRENDING_BULL: 'TRENDING_BULL',
-  TRENDING_BEAR: 'TRENDING_BEAR',
-  RANGING: 'RANGING',
-  HIGH_VOLATILITY: 'HIGH_VOLATILITY',
-  LOW_VOLATILITY: 'LOW_VOLATILITY'
-};
-
 const ARBITRAGE_OPPORTUNITIES = {
   CROSS_EXCHANGE: 'CROSS_EXCHANGE',
   CROSS_CHAIN: 'CROSS_CHAIN',
@@ -37,23 +72,75 @@ const ARBITRAGE_OPPORTUNITIES = {
  * @title Enhanced TradingStrategy
  * @notice Advanced scalping strategy with multi-timeframe analysis, arbitrage detection, and adaptive algorithms
  * @dev Implements cutting-edge high-frequency trading optimized for maximum profit in 1-hour competition
+ *
+ *      Events:
+ *      - 'trade_executed' (trade) for every completed submission, sliced child orders
+ *        included: the exchange client's trade record with its `decisionPrice`, `quote`
+ *        and `executedPrice`
+ *      - 'position_opened' (position) once an entry fills
+ *      - 'position_closed' (closedPosition) once an exit fills, or when dropPosition() removes one
  */
-export class TradingStrategy {
+export class TradingStrategy extends EventEmitter {
   constructor (options = {}, logger = null) {
+    super();
+
     // Extract parameters from options object
     const {
       recallClient,
       vincentClient,
-      gaiaClient
+      gaiaClient,
+      marketDataFeed,
+      orderBookFeed,
+      priceOracle,
+      clock
     } = options;
     // ============ Core Dependencies ============
     this.recall = recallClient;
     this.vincent = vincentClient;
     this.gaia = gaiaClient;
     this.logger = logger || Logger.createMainLogger('info', false);
+    this.now = clock || Date.now; // Backtests inject the replay clock
 
     // ============ Strategy Components ============
-    this.indicators = new TechnicalIndicators();
+    this.timeframes = STRATEGY_TIMEFRAMES;
+    this.indicatorSettings = this._resolveIndicatorSettings(INDICATORS_CONFIG.technicalIndicators || {});
+    // One engine per timeframe so each keeps its own bar history per pair
+    const engineParameters = this._getEngineParameters();
+    this.indicators = new Map(this._getIndicatorTimeframes().map(tf => [tf, new TechnicalIndicators(engineParameters)]));
+    this.lastIndicatorBar = new Map(); // `${tf}:${pair}` -> timestamp of last bar fed
+    this.barHistoryLimit = parseInt(process.env.BAR_HISTORY_LIMIT) || 200;
+    this.marketDataFeed = marketDataFeed || createStrategyMarketDataFeed({ recallClient });
+    // Pass `orderBookFeed: null` to run without L2 data regardless of ORDER_BOOK_FEED
+    this.orderBookFeed = orderBookFeed !== undefined ? orderBookFeed : createOrderBookFeed();
+    this.orderBookMaxAge = parseInt(process.env.ORDER_BOOK_MAX_AGE_MS) || 10000;
+    // Share with RiskManager and the exchange client so every component prices off the same quotes
+    this.priceOracle = priceOracle || new PriceOracle({
+      marketDataFeed: this.marketDataFeed,
+      orderBookFeed: this.orderBookFeed,
+      clock: this.now
+    });
+    // Bearish signals open shorts when allowed, otherwise they only close longs. Recall trades are
+    // spot swaps, so unless ALLOW_SHORTS says otherwise shorts are only on against the PaperExchange
+    this.allowShorts = options.allowShorts ?? (process.env.ALLOW_SHORTS
+      ? process.env.ALLOW_SHORTS === 'true'
+      : Boolean(recallClient?.isPaperTrading));
+    // Gaia is asked at exit priority whether to close a position no rule closed, at most once per interval
+    this.gaiaExitInterval = parseInt(process.env.GAIA_EXIT_CHECK_INTERVAL) || 30000;
+    this.gaiaExitConfidence = 0.7;
+    // Entries of at least `minParentSize` are sliced by `algorithm`; MARKET sends every entry whole
+    this.executionConfig = {
+      algorithm: EXECUTION_ALGORITHMS.MARKET,
+      minParentSize: 2000,
+      ...TRADING_CONFIG.execution,
+      ...(process.env.EXECUTION_ALGORITHM && { algorithm: process.env.EXECUTION_ALGORITHM.toUpperCase() })
+    };
+    this.executionEngine = new ExecutionEngine({
+      submit: (tradeParams) => this._submitTrade(tradeParams),
+      priceOracle: this.priceOracle,
+      marketDataFeed: this.marketDataFeed,
+      config: this.executionConfig,
+      clock: this.now
+    });
     // RiskManager will be injected separately to avoid circular dependencies
 
     // ============ Strategy State ============
@@ -97,13 +184,18 @@ export class TradingStrategy {
     };
 
     // ============ Market Regime Detection ============
+    this.regimeClassifier = new RegimeClassifier({ detection: TRADING_CONFIG.marketRegimes?.detection });
     this.marketRegime = {
       current: MARKET_REGIMES.RANGING,
       confidence: 0.5,
-      lastUpdate: Date.now(),
-      history: []
+      lastUpdate: this.now(),
+      features: null
     };
 
+    // ============ Gaia Analysis Cancellation ============
+    // Aborted on shutdown and regime changes, then replaced for the requests that follow
+    this.analysisController = new AbortController();
+
     // ============ Adaptive Parameters ============
     this.adaptiveParams = {
       entryThreshold: parseFloat(process.env.BUY_THRESHOLD) || 0.6,
@@ -134,8 +226,10 @@ export class TradingStrategy {
     };
 
     // ============ Trading Parameters ============
-    // Only use competition-allowed pairs to avoid policy violations
-    this.tradingPairs = ['BTC/USDT', 'ETH/USDT', 'SOL/USDC', 'XRP/USDT', 'DOGE/USDT'];
+    // Only use competition-allowed pairs to avoid policy violations; setTradingPairs() narrows them per competition.
+    // Pairs are only supported once networks.json lists token addresses for both sides
+    this.supportedPairs = ['BTC/USDT', 'ETH/USDT', 'SOL/USDC', 'XRP/USDT', 'DOGE/USDT'].filter(pair => tokenRegistry.hasPair(pair));
+    this.tradingPairs = [...this.supportedPairs];
     this.maxConcurrentTrades = parseInt(process.env.MAX_CONCURRENT_TRADES) || 5;
     this.basePositionSize = parseFloat(process.env.BASE_POSITION_SIZE) || 1000; // Default $1000 position size
     this.scalingInterval = parseInt(process.env.SCALPING_INTERVAL) || 2000; // 2 seconds for micro-scalping
@@ -188,7 +282,11 @@ export class TradingStrategy {
       // Determine action and amount
       const action = signal > 0 ? 'BUY' : 'SELL';
       const amount = this._calculateOptimalPositionSize(signalStrength);
-      const price = this._getEstimatedPrice(pair);
+      const price = this.priceOracle.getPrice(pair, action);
+
+      if (!price || this.priceOracle.isStale(pair)) {
+        return { shouldTrade: false, reason: 'No fresh price' };
+      }
 
       this.logger.info('🚀 TRADE SIGNAL GENERATED', {
         pair,
@@ -226,22 +324,6 @@ export class TradingStrategy {
     return baseAmount * strengthMultiplier;
   }
 
-  /**
-   * @notice Get estimated price for trading pair
-   * @param {string} pair - Trading pair
-   * @return {number} Estimated price
-   */
-  _getEstimatedPrice (pair) {
-    const prices = {
-      'BTC/USDT': 43000,
-      'ETH/USDT': 2600,
-      'SOL/USDC': 95,
-      'BTC/USDC': 43000,
-      'ETH/USDC': 2600
-    };
-    return prices[pair] || 1000;
-  }
-
   // ============ Enhanced Strategy Lifecycle ============
 
   /**
@@ -252,8 +334,14 @@ export class TradingStrategy {
     try {
       this.logger.info('🎯 Starting enhanced trading strategy...');
 
-      // Initialize strategy components (simplified for working implementation)
-      this.logger.info('✅ Strategy components initialized');
+      // ============ Start Market Data Feed ============
+      await this.marketDataFeed.start(this.tradingPairs);
+      await this.orderBookFeed?.start(this.tradingPairs);
+      this.logger.info('✅ Strategy components initialized', {
+        marketDataFeed: this.marketDataFeed.name,
+        orderBookFeed: this.orderBookFeed?.name || 'disabled',
+        timeframes: this.timeframes
+      });
 
       // Begin enhanced trading loop
       this.isActive = true;
@@ -292,6 +380,9 @@ export class TradingStrategy {
           status: '🚀 SCANNING MARKETS'
         });
 
+        // ============ Market Regime Detection ============
+        await this._detectMarketRegime();
+
         // ============ Enhanced Market Analysis ============
         const enhancedAnalysis = await this._getEnhancedMarketAnalysis();
 
@@ -363,8 +454,7 @@ export class TradingStrategy {
       // Use Gaia analysis if available, otherwise use basic signal generation
       let signal, confidence;
       if (enhancedAnalysis && enhancedAnalysis.signals && enhancedAnalysis.signals[pair]) {
-        signal = enhancedAnalysis.signals[pair].strength || 0;
-        confidence = enhancedAnalysis.signals[pair].confidence || 0.5;
+        ({ strength: signal, confidence } = enhancedAnalysis.signals[pair]);
         this.logger.info('🧠 Using Gaia AI signal', {
           pair,
           signal: signal.toFixed(4),
@@ -372,19 +462,30 @@ export class TradingStrategy {
           source: 'Gaia AI'
         });
       } else {
-        // Generate basic trading signal with some randomness (for testing)
-        signal = (Math.random() - 0.5) * 0.4; // Range: -0.2 to +0.2
-        confidence = 0.3 + (Math.random() * 0.4); // Range: 0.3 to 0.7
-        this.logger.info('📊 Generated basic signal', {
+        // Fall back to the technical indicators computed from the market data feed
+        const multiTimeframeData = await this._getMultiTimeframeData(pair);
+        const indicators = await this._calculateAdvancedIndicators(pair, multiTimeframeData);
+
+        if (indicators.isReady) {
+          const technicalSignal = this._analyzeTechnicalSignals(indicators);
+          signal = technicalSignal.score;
+          confidence = technicalSignal.strength;
+        } else {
+          signal = 0;
+          confidence = 0;
+        }
+
+        this.logger.info('📊 Generated technical signal', {
           pair,
           signal: signal.toFixed(4),
           confidence: confidence.toFixed(3),
-          source: 'Basic generator'
+          timeframes: indicators.timeframes || [],
+          source: indicators.isReady ? 'Technical indicators' : 'Warming up'
         });
       }
 
       // ============ Analyze Market and Generate Trading Decision ============
-      const marketData = { pair, signal, confidence, timestamp: Date.now() };
+      const marketData = { pair, signal, confidence, timestamp: this.now() };
       const decision = await this.analyzeMarket(marketData);
 
       if (decision.shouldTrade) {
@@ -494,39 +595,153 @@ export class TradingStrategy {
 
   /**
      * @notice Analyze technical signals across multiple timeframes
+     * @dev Component weights come from indicators.json; disabled indicators carry zero weight and
+     *      the remaining weights are normalised so the score stays within [-1, 1]
      * @param {Object} indicators - Multi-timeframe technical indicators
      * @returns {Object} Technical analysis signal
      */
   _analyzeTechnicalSignals (indicators) {
+    const weights = indicators.weights || { rsi: 0.3, macd: 0.25, bollingerBands: 0.2, volume: 0.15, momentum: 0.1 };
+    const components = {
+      rsiSignal: this._analyzeMultiTimeframeRSI(indicators.rsi),
+      macdSignal: this._analyzeAdvancedMACD(indicators.macd),
+      bbSignal: this._analyzeBollingerBands(indicators.bollingerBands),
+      volumeSignal: this._analyzeVolumeProfile(indicators.volume),
+      momentumSignal: this._analyzeMomentumDivergence(indicators.momentum)
+    };
+    const componentWeights = [
+      [components.rsiSignal, weights.rsi],
+      [components.macdSignal, weights.macd],
+      [components.bbSignal, weights.bollingerBands],
+      [components.volumeSignal, weights.volume],
+      [components.momentumSignal, weights.momentum]
+    ];
+
     let score = 0;
     let strength = 0;
+    let totalWeight = 0;
+    for (const [signal, weight] of componentWeights) {
+      if (!weight) continue;
+      score += signal.score * weight;
+      strength += signal.strength * weight;
+      totalWeight += weight;
+    }
+
+    if (totalWeight > 0) {
+      score /= totalWeight;
+      strength /= totalWeight;
+    }
+
+    return { score, strength, components };
+  }
+
+  /**
+     * @notice Mean-reversion RSI signal weighted by timeframe
+     * @param {Object} rsi - timeframe -> RSI value
+     * @returns {Object} { score, strength }
+     */
+  _analyzeMultiTimeframeRSI (rsi) {
+    const { overbought = 70, oversold = 30 } = this.indicatorSettings.rsi.parameters;
+    const timeframeWeights = INDICATORS_CONFIG.scalingParameters?.timeframeWeights || {};
+    let score = 0;
+    let totalWeight = 0;
+
+    for (const [tf, value] of Object.entries(rsi || {})) {
+      if (!Number.isFinite(value)) continue;
+      const weight = timeframeWeights[tf] ?? 1;
+      // Reaches +/-0.5 at the oversold/overbought levels and saturates at +/-1
+      const tfScore = value < 50
+        ? (50 - value) / (50 - oversold) * 0.5
+        : -(value - 50) / (overbought - 50) * 0.5;
+      score += Math.max(-1, Math.min(1, tfScore)) * weight;
+      totalWeight += weight;
+    }
+
+    if (totalWeight === 0) return { score: 0, strength: 0 };
+    score /= totalWeight;
+    return { score, strength: Math.abs(score) };
+  }
 
-    // ============ Multi-Timeframe RSI Analysis ============
-    const rsiSignal = this._analyzeMultiTimeframeRSI(indicators.rsi);
-    score += rsiSignal.score * 0.3;
-    strength += rsiSignal.strength * 0.3;
+  /**
+     * @notice MACD crossover and histogram signal
+     * @param {Object} macd - MACD indicator data
+     * @returns {Object} { score, strength }
+     */
+  _analyzeAdvancedMACD (macd) {
+    const scores = {
+      BULLISH_CROSSOVER: 0.8,
+      BEARISH_CROSSOVER: -0.8,
+      BULLISH: 0.3,
+      BEARISH: -0.3
+    };
+    const score = scores[macd?.trend] || 0;
+    return { score, strength: Math.abs(score) };
+  }
 
-    // ============ Advanced MACD with Histogram Analysis ============
-    const macdSignal = this._analyzeAdvancedMACD(indicators.macd);
-    score += macdSignal.score * 0.25;
-    strength += macdSignal.strength * 0.25;
+  /**
+     * @notice Bollinger band mean-reversion signal, damped during a squeeze
+     * @param {Object} bollingerBands - Bollinger band data with %B position
+     * @returns {Object} { score, strength }
+     */
+  _analyzeBollingerBands (bollingerBands) {
+    const position = bollingerBands?.position;
+    if (!Number.isFinite(position)) return { score: 0, strength: 0 };
+
+    let score = Math.max(-1, Math.min(1, (0.5 - position) * 2)) * 0.7;
+    if (bollingerBands.squeeze) {
+      // A squeeze precedes breakouts, so fading the bands is less reliable
+      score *= 0.5;
+    }
+    return { score, strength: Math.abs(score) };
+  }
 
-    // ============ Bollinger Bands with Squeeze Detection ============
-    const bbSignal = this._analyzeBollingerBands(indicators.bollingerBands);
-    score += bbSignal.score * 0.2;
-    strength += bbSignal.strength * 0.2;
+  /**
+     * @notice Volume confirmation of the latest price move
+     * @param {Object} volume - Volume indicator data
+     * @returns {Object} { score, strength }
+     */
+  _analyzeVolumeProfile (volume) {
+    const direction = volume?.priceTrend === 'UP' ? 1 : volume?.priceTrend === 'DOWN' ? -1 : 0;
+    const ratio = volume?.spike || 0;
+    const { spikeThreshold = 2.0 } = this.indicatorSettings.volume.parameters;
 
-    // ============ Volume Profile and Flow Analysis ============
-    const volumeSignal = this._analyzeVolumeProfile(indicators.volume);
-    score += volumeSignal.score * 0.15;
-    strength += volumeSignal.strength * 0.15;
+    let score = 0;
+    if (direction !== 0 && ratio >= spikeThreshold) {
+      score = direction * 0.8;
+    } else if (direction !== 0 && ratio > 1) {
+      score = direction * 0.6 * (ratio - 1) / (spikeThreshold - 1);
+    }
+    return { score, strength: Math.abs(score) };
+  }
+
+  /**
+     * @notice Oscillator extremes and RSI divergence
+     * @param {Object} momentum - Momentum indicator data
+     * @returns {Object} { score, strength }
+     */
+  _analyzeMomentumDivergence (momentum) {
+    if (!momentum) return { score: 0, strength: 0 };
+
+    const stochasticParams = this.indicatorSettings.stochastic.parameters;
+    const williamsParams = this.indicatorSettings.williams.parameters;
+    const parts = [];
+
+    if (Number.isFinite(momentum.stochastic)) {
+      const { overbought = 80, oversold = 20 } = stochasticParams;
+      parts.push(momentum.stochastic < oversold ? 0.7 : momentum.stochastic > overbought ? -0.7 : 0);
+    }
+
+    if (Number.isFinite(momentum.williams)) {
+      const { overbought = -20, oversold = -80 } = williamsParams;
+      parts.push(momentum.williams < oversold ? 0.6 : momentum.williams > overbought ? -0.6 : 0);
+    }
 
-    // ============ Momentum Convergence/Divergence ============
-    const momentumSignal = this._analyzeMomentumDivergence(indicators.momentum);
-    score += momentumSignal.score * 0.1;
-    strength += momentumSignal.strength * 0.1;
+    if (momentum.divergence === 'BULLISH') parts.push(0.8);
+    if (momentum.divergence === 'BEARISH') parts.push(-0.8);
 
-    return { score, strength, components: { rsiSignal, macdSignal, bbSignal, volumeSignal, momentumSignal } };
+    if (parts.length === 0) return { score: 0, strength: 0 };
+    const score = parts.reduce((sum, value) => sum + value, 0) / parts.length;
+    return { score, strength: Math.abs(score) };
   }
 
   /**
@@ -539,14 +754,22 @@ export class TradingStrategy {
     let strength = 0;
 
     // ============ Order Book Imbalance ============
-    const imbalance = (orderBook.bidVolume - orderBook.askVolume) / (orderBook.bidVolume + orderBook.askVolume);
+    const imbalance = orderBook.imbalance ??
+      (orderBook.bidVolume - orderBook.askVolume) / (orderBook.bidVolume + orderBook.askVolume);
     if (Math.abs(imbalance) > 0.3) {
       score += imbalance * 0.4;
       strength += Math.abs(imbalance) * 0.4;
     }
 
+    // ============ Microprice Skew ============
+    if (orderBook.microprice && orderBook.midPrice && orderBook.spread > 0) {
+      // +1 when the microprice sits on the ask, -1 on the bid
+      const skew = (orderBook.microprice - orderBook.midPrice) / (orderBook.spread / 2);
+      score += skew * 0.1;
+    }
+
     // ============ Bid-Ask Spread Analysis ============
-    const spreadTightness = 1 - (orderBook.spread / orderBook.midPrice);
+    const spreadTightness = orderBook.spreadTightness ?? 1 - (orderBook.spread / orderBook.midPrice);
     if (spreadTightness > 0.998) { // Very tight spread indicates good liquidity
       strength += 0.2;
     }
@@ -710,45 +933,20 @@ export class TradingStrategy {
      */
   async _getEnhancedMarketAnalysis () {
     try {
-      const analysisPrompt = `Perform comprehensive crypto market analysis for high-frequency trading:
-
-            CURRENT MARKET CONDITIONS:
-            1. Overall trend direction and strength
-            2. Volatility regime and expected changes
-            3. Liquidity conditions across major pairs
-            4. Risk-on vs risk-off sentiment
-            5. Key support/resistance levels for next 10-15 minutes
-            
-            HIGH-FREQUENCY TRADING FOCUS:
-            1. Micro-trend opportunities (1-5 minute timeframes)
-            2. Order flow imbalances and large player activity
-            3. News catalyst impact timing and magnitude
-            4. Cross-market correlations and dependencies
-            5. Optimal pairs for scalping in current conditions
-            
-            ARBITRAGE ANALYSIS:
-            1. Cross-exchange price discrepancies
-            2. Cross-chain arbitrage opportunities
-            3. Funding rate arbitrage potential
-            4. Temporal arbitrage from news/events
-            
-            Return analysis in JSON format with specific trading recommendations, confidence scores, and risk factors.`;
-
-      const analysis = await this.gaia.chat({
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an elite cryptocurrency quantitative analyst and high-frequency trading expert with access to real-time market data, order flow, and advanced analytics.'
-          },
-          { role: 'user', content: analysisPrompt }
-        ]
-      });
-
-      const parsedAnalysis = this._parseGaiaResponse(analysis);
+      if (!this.gaia) return this._getDefaultEnhancedAnalysis();
+
+      // Null when Gaia's reply fails schema validation; pairs then use technical signals
+      const analysis = await this.gaia.getMarketAnalysis(this.tradingPairs, {
+        trend: this.marketRegime.current
+      }, { signal: this.analysisController.signal });
+      if (!analysis) {
+        return this._getDefaultEnhancedAnalysis();
+      }
 
       // Enhance with additional data points
       const enhancedAnalysis = {
-        ...parsedAnalysis,
+        ...analysis,
+        signals: this._getAnalysisSignals(analysis),
         marketRegime: this.marketRegime.current,
         timestamp: Date.now(),
         arbitrageOpportunities: this._summarizeArbitrageOpportunities(),
@@ -760,123 +958,183 @@ export class TradingStrategy {
 
       return enhancedAnalysis;
     } catch (error) {
+      if (error.code === SCHEDULER_ERRORS.CANCELLED) {
+        this.logger.debug('Enhanced market analysis cancelled', { reason: error.message });
+        return this._getDefaultEnhancedAnalysis();
+      }
       this.logger.error('Failed to get enhanced market analysis', { error: error.message });
       return this._getDefaultEnhancedAnalysis();
     }
   }
 
+  /**
+     * @notice Turn Gaia's scalping opportunities into per-pair signals
+     * @param {Object} analysis - Validated market analysis
+     * @returns {Object} pair -> { strength, confidence }, strength signed by direction; holds and unknown pairs are left out
+     */
+  _getAnalysisSignals (analysis) {
+    const signals = {};
+    for (const opportunity of analysis.scalpingOpportunities) {
+      if (opportunity.direction === 'hold' || !this.tradingPairs.includes(opportunity.pair)) {
+        continue;
+      }
+      signals[opportunity.pair] = {
+        strength: (opportunity.direction === 'buy' ? 1 : -1) * opportunity.confidence,
+        confidence: opportunity.confidence
+      };
+    }
+    return signals;
+  }
+
   /**
      * @notice Get machine learning prediction using Gaia AI
      * @param {string} pair - Trading pair
      * @param {Object} features - Feature set for ML prediction
-     * @returns {Object} ML prediction with confidence
+     * @returns {Object|null} ML prediction with confidence, or null when unavailable
      */
   async _getMachineLearningPrediction (pair, features) {
     try {
-      if (!this.features.machineInference) return null;
-
-      const predictionPrompt = `Analyze the following trading data and provide a machine learning-style prediction:
-
-            PAIR: ${pair}
-            
-            TECHNICAL FEATURES:
-            - RSI (1m): ${features.indicators.rsi?.['1m'] || 'N/A'}
-            - MACD Signal: ${features.indicators.macd?.signal || 'N/A'}
-            - Volume Spike: ${features.indicators.volume?.spike || 'N/A'}
-            - Bollinger Position: ${features.indicators.bollingerBands?.position || 'N/A'}
-            
-            ORDER BOOK FEATURES:
-            - Bid/Ask Imbalance: ${features.orderBook?.imbalance || 'N/A'}
-            - Large Order Flow: ${features.orderBook?.largeOrderFlow || 'N/A'}
-            - Spread Tightness: ${features.orderBook?.spreadTightness || 'N/A'}
-            
-            SENTIMENT FEATURES:
-            - Sentiment Score: ${features.sentiment?.score || 'N/A'}
-            - News Impact: ${features.sentiment?.newsImpact || 'N/A'}
-            - Social Momentum: ${features.sentiment?.socialMomentum || 'N/A'}
-            
-            MARKET REGIME: ${features.marketRegime?.current || 'N/A'}
-            
-            Provide prediction in JSON format:
-            {
-                "direction": "UP" | "DOWN" | "SIDEWAYS",
-                "confidence": 0.0-1.0,
-                "timeHorizon": "1-15 minutes",
-                "magnitude": "expected price movement %",
-                "riskFactors": ["factor1", "factor2"],
-                "supportingEvidence": "key reasons"
-            }`;
-
-      const prediction = await this.gaia.chat({
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an advanced machine learning model specialized in cryptocurrency price prediction using technical, microstructure, and sentiment features.'
-          },
-          { role: 'user', content: predictionPrompt }
-        ]
-      });
+      if (!this.features.machineInference || !this.gaia) return null;
 
-      return this._parseGaiaResponse(prediction);
+      // Null when Gaia's reply fails schema validation, so no neutral prediction is scored
+      return await this.gaia.getPricePrediction(pair, features, { signal: this.analysisController.signal });
     } catch (error) {
+      if (error.code === SCHEDULER_ERRORS.CANCELLED) {
+        this.logger.debug(`ML prediction for ${pair} cancelled`, { reason: error.message });
+        return null;
+      }
       this.logger.error(`Failed to get ML prediction for ${pair}`, { error: error.message });
       return null;
     }
   }
 
   /**
-     * @notice Detect current market regime using advanced analysis
-     * @dev Identifies market conditions to adapt strategy accordingly
+     * @notice Detect current market regime from stored bars
+     * @dev Classifies volatility, signed trend strength and liquidity across all trading
+     *      pairs with the RegimeClassifier. Until enough bars are stored the previous
+     *      regime (RANGING at start) is kept.
      */
   async _detectMarketRegime () {
     try {
-      // ============ Volatility Analysis ============
-      const avgVolatility = this._calculateAverageVolatility();
-
-      // ============ Trend Strength Analysis ============
-      const trendStrength = this._calculateTrendStrength();
-
-      // ============ Liquidity Analysis ============
-      this._analyzeLiquidityConditions();
-
-      // ============ Determine Market Regime ============
-      let newRegime = MARKET_REGIMES.RANGING;
-      let confidence = 0.5;
+      const { timeframe, lookback, adxPeriod } = this.regimeClassifier;
+      const barLimit = Math.max(lookback + 1, adxPeriod * 3);
+      const barsByPair = Object.fromEntries(
+        this.tradingPairs.map(pair => [pair, this.marketDataFeed.getBars(pair, timeframe, barLimit)])
+      );
 
-      if (avgVolatility > 0.05 && trendStrength > 0.7) {
-        newRegime = trendStrength > 0 ? MARKET_REGIMES.TRENDING_BULL : MARKET_REGIMES.TRENDING_BEAR;
-        confidence = 0.8;
-      } else if (avgVolatility > 0.08) {
-        newRegime = MARKET_REGIMES.HIGH_VOLATILITY;
-        confidence = 0.7;
-      } else if (avgVolatility < 0.02) {
-        newRegime = MARKET_REGIMES.LOW_VOLATILITY;
-        confidence = 0.6;
+      const state = this.regimeClassifier.update(barsByPair, this.now());
+      if (!state) {
+        return;
       }
 
-      // ============ Update Market Regime ============
-      if (newRegime !== this.marketRegime.current) {
+      if (state.changed && state.regime !== this.marketRegime.current) {
         this.logger.info('Market regime changed', {
           from: this.marketRegime.current,
-          to: newRegime,
-          confidence
+          to: state.regime,
+          confidence: state.confidence.toFixed(3),
+          volatility: state.features.realizedVolatility.toFixed(4),
+          trendStrength: state.features.trendStrength.toFixed(3)
         });
 
-        this.marketRegime.history.push({
-          regime: this.marketRegime.current,
-          duration: Date.now() - this.marketRegime.lastUpdate,
-          timestamp: this.marketRegime.lastUpdate
-        });
+        // Analyses requested under the old regime would be acted on under the new one
+        this.cancelPendingAnalyses(`regime changed to ${state.regime}`);
       }
 
-      this.marketRegime.current = newRegime;
-      this.marketRegime.confidence = confidence;
-      this.marketRegime.lastUpdate = Date.now();
+      this.marketRegime.current = state.regime;
+      this.marketRegime.confidence = state.confidence;
+      this.marketRegime.features = state.features;
+      this.marketRegime.lastUpdate = this.now();
     } catch (error) {
       this.logger.error('Error detecting market regime', { error: error.message });
     }
   }
 
+  /**
+     * @notice Cancel Gaia analyses still queued or in flight
+     * @dev Aborts the AbortSignal the strategy's Gaia requests were sent with; they reject
+     *      with `code: 'CANCELLED'` and are treated as unavailable. Requests made afterwards
+     *      use a new signal.
+     * @param {string} reason - Why the analyses are no longer wanted
+     */
+  cancelPendingAnalyses (reason) {
+    this.analysisController.abort(reason);
+    this.analysisController = new AbortController();
+    this.logger.debug('Pending Gaia analyses cancelled', { reason });
+  }
+
+  /**
+     * @notice Get the market regime history
+     * @returns {Object} Segments with durations, per-regime durations and transition probabilities
+     */
+  getRegimeHistory () {
+    const now = this.now();
+    return {
+      current: { ...this.marketRegime },
+      history: this.regimeClassifier.getHistory(now),
+      durations: this.regimeClassifier.getRegimeDurations(now),
+      transitions: this.regimeClassifier.getTransitionProbabilities()
+    };
+  }
+
+  /**
+     * @notice Put positions recovered after a restart back under management
+     * @dev Positions are keyed by their `id`; risk manager registration is restored separately
+     * @param {Array<Object>} positions - Open positions as emitted with 'position_opened'
+     */
+  restorePositions (positions) {
+    for (const position of positions) {
+      this.currentPositions.set(position.id, { ...position });
+    }
+
+    this.logger.info('Positions restored', {
+      restored: positions.length,
+      totalOpenPositions: this.currentPositions.size
+    });
+  }
+
+  /**
+     * @notice Restrict the pairs the strategy opens positions in
+     * @dev Used to apply competition rules. Only supported pairs are kept, and once the
+     *      market data feed runs only the pairs it streams. Open positions in pairs that
+     *      are no longer traded are still managed until they exit.
+     * @param {Array<string>} pairs - Allowed pairs
+     * @param {string} source - What set the pairs, for logs
+     * @returns {Array<string>} Pairs now traded
+     */
+  setTradingPairs (pairs, source = 'manual') {
+    const streamed = this.marketDataFeed?.isRunning ? this.marketDataFeed.pairs : null;
+    const tradingPairs = this.supportedPairs.filter(pair => pairs.includes(pair) && (!streamed || streamed.includes(pair)));
+    const skipped = pairs.filter(pair => !tradingPairs.includes(pair));
+
+    this.tradingPairs = tradingPairs;
+    this.logger.info('Trading pairs updated', { source, pairs: tradingPairs, skipped });
+    if (tradingPairs.length === 0) {
+      this.logger.warn('No tradable pairs left - only open positions are managed', { source });
+    }
+    return tradingPairs;
+  }
+
+  /**
+     * @notice Drop a position that does not exist on the venue, without trading
+     * @dev Emits 'position_closed' with `exitReason` set to the reason and no realized P&L
+     * @param {string} positionId - Position key
+     * @param {string} reason - Why the position is dropped
+     * @returns {Object|null} The dropped position
+     */
+  dropPosition (positionId, reason) {
+    const position = this.currentPositions.get(positionId);
+    this.riskManager?.removePosition(positionId, reason);
+    if (!position) {
+      return null;
+    }
+
+    this.currentPositions.delete(positionId);
+    const droppedPosition = { ...position, exitTime: this.now(), exitReason: reason, realizedPnL: null, closed: true };
+    this.logger.warn('Position dropped', { id: positionId, pair: position.pair, reason });
+    this.emit('position_closed', droppedPosition);
+    return droppedPosition;
+  }
+
   // ============ Enhanced Position Management ============
 
   /**
@@ -887,21 +1145,91 @@ export class TradingStrategy {
      */
   async _executeEnhancedTradingSignal (pair, signal, marketData) {
     try {
+      const action = signal > 0 ? POSITION_SIDES.LONG : POSITION_SIDES.SHORT;
+
+      // ============ Close Opposing Positions ============
+      // A reversal flattens first; a later signal in the same direction opens the new side
+      const opposing = this._getPairPositions(pair).filter(([, position]) => position.side !== action);
+      if (opposing.length > 0) {
+        for (const [positionKey, position] of opposing) {
+          await this._executePositionExit(positionKey, position, {
+            shouldExit: true,
+            exitType: 'SIGNAL_REVERSAL',
+            exitReasons: ['SIGNAL_REVERSAL'],
+            confidence: Math.abs(signal)
+          }, this.priceOracle.getPrice(pair, getExitAction(position.side)));
+        }
+        return;
+      }
+
+      if (action === POSITION_SIDES.SHORT && !this.allowShorts) {
+        this.logger.info('⏸️ Short entries disabled, skipping bearish signal', { pair });
+        return;
+      }
+
       // ============ Enhanced Risk Check ============
-      // Skip position check for now - focus on execution
+      if (this.currentPositions.size >= this.maxConcurrentTrades) {
+        this.logger.info('⏸️ Maximum concurrent positions reached, skipping trade', {
+          pair,
+          openPositions: this.currentPositions.size,
+          maxConcurrentTrades: this.maxConcurrentTrades
+        });
+        return;
+      }
+
+      if (this.riskManager?.getRiskStatus().emergencyStop) {
+        this.logger.warn('🛑 Risk manager emergency stop active, skipping trade', { pair });
+        return;
+      }
+
+      if (this.priceOracle.isStale(pair)) {
+        this.logger.warn('⏸️ Price is stale, skipping trade', { pair, quote: this.priceOracle.getQuote(pair) });
+        return;
+      }
+
       this.logger.info('📊 Position check passed, proceeding with trade', { pair, signal });
 
       // ============ Dynamic Position Sizing ============
       const enhancedPositionSize = this._calculateEnhancedPositionSize(pair, signal, marketData);
 
+      // ============ Correlated Exposure Check ============
+      const correlationRisk = this.riskManager?.checkCorrelatedExposure(pair, action, enhancedPositionSize);
+      if (correlationRisk && !correlationRisk.allowed) {
+        this.logger.info('⏸️ Correlated exposure limit reached, skipping trade', {
+          pair,
+          exposure: correlationRisk.exposure,
+          limit: correlationRisk.limit,
+          correlatedWith: correlationRisk.correlated.map(position => position.pair)
+        });
+        return;
+      }
+
       // ============ Smart Order Execution Strategy ============
-      const executionStrategy = this._determineExecutionStrategy(signal, marketData);
+      const executionStrategy = this._determineExecutionStrategy(signal, marketData, enhancedPositionSize);
 
       // ============ Prepare Enhanced Trade Parameters ============
       const enhancedTradeParams = this._prepareEnhancedTradeParams(
         pair, signal, enhancedPositionSize, marketData, executionStrategy
       );
 
+      // ============ Portfolio Risk Validation ============
+      // The risk manager values trades in base units; entry amounts are in the token sold
+      const validation = await this.riskManager?.validateTrade({
+        pair,
+        action: enhancedTradeParams.action,
+        positionEffect: POSITION_EFFECTS.OPEN,
+        amount: enhancedTradeParams.notional / enhancedTradeParams.price,
+        price: enhancedTradeParams.price
+      });
+      if (validation && !validation.approved) {
+        this.logger.info('⏸️ Risk manager rejected trade, skipping', {
+          pair,
+          reason: validation.reason,
+          riskLevel: validation.riskLevel
+        });
+        return;
+      }
+
       // ============ Execute Through Vincent with Advanced Policies ============
       const result = await this._executeEnhancedVincentTrade(enhancedTradeParams);
 
@@ -910,18 +1238,21 @@ export class TradingStrategy {
         await this._recordEnhancedTrade(pair, signal, enhancedTradeParams, result);
 
         // ============ Update Advanced Position Tracking ============
-        this._updateEnhancedPositionTracking(pair, enhancedTradeParams, result, signal);
+        const position = this._updateEnhancedPositionTracking(pair, enhancedTradeParams, result, signal);
 
         // ============ Set Dynamic Stop Loss and Take Profit ============
-        await this._setDynamicExitLevels(pair, signal, marketData);
+        await this._setDynamicExitLevels(pair, signal, marketData, position);
+        if (position) {
+          this.emit('position_opened', { ...position });
+        }
 
         this.logger.info('Enhanced trade executed successfully', {
           pair,
-          action: signal.action,
+          action: enhancedTradeParams.action,
           size: enhancedPositionSize,
           confidence: signal.confidence,
           strategy: signal.strategyBreakdown,
-          executionStrategy: executionStrategy.type
+          executionStrategy
         });
       }
     } catch (error) {
@@ -937,13 +1268,15 @@ export class TradingStrategy {
     for (const [pair, position] of this.currentPositions) {
       try {
         // ============ Get Current Market Data ============
-        const currentData = await this._getMultiTimeframeData(pair);
-        const currentPrice = currentData['1s']?.price || currentData['5s']?.price;
-
-        if (!currentPrice) continue;
+        const currentData = await this._getMultiTimeframeData(position.pair || pair);
+        if (this.priceOracle.isStale(position.pair || pair)) {
+          this.logger.debug('Price is stale, holding position until it refreshes', { pair });
+          continue;
+        }
+        const currentPrice = this.priceOracle.getPrice(position.pair || pair);
 
         // ============ Calculate Current P&L ============
-        const pnlPercent = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
+        const pnlPercent = calculatePnLPercent(position.side, position.entryPrice, currentPrice);
         position.currentPnL = pnlPercent;
         position.maxPnL = Math.max(position.maxPnL || 0, pnlPercent);
         position.minPnL = Math.min(position.minPnL || 0, pnlPercent);
@@ -987,6 +1320,12 @@ export class TradingStrategy {
       exitType = 'TAKE_PROFIT';
     }
 
+    if (position.trailingStop !== undefined && position.currentPnL <= position.trailingStop) {
+      exitReasons.push('TRAILING_STOP');
+      shouldExit = true;
+      exitType = 'TRAILING_STOP';
+    }
+
     // ============ Advanced Technical Exit Signals ============
     const technicalExit = await this._checkTechnicalExitSignals(position, marketData);
     if (technicalExit.shouldExit) {
@@ -996,7 +1335,7 @@ export class TradingStrategy {
     }
 
     // ============ Time-Based Exits for Scalping ============
-    const positionAge = Date.now() - position.entryTime;
+    const positionAge = this.now() - position.entryTime;
     const maxScalpingTime = this._getMaxScalpingTime(position.confidence);
 
     if (positionAge > maxScalpingTime) {
@@ -1019,12 +1358,19 @@ export class TradingStrategy {
     }
 
     // ============ Risk Management Override ============
-    if (this.riskManager && !this.riskManager.canOpenPosition(position.pair, { confidence: 0.5 })) {
+    if (this.riskManager?.isLossLimitBreached()) {
       exitReasons.push('RISK_OVERRIDE');
       shouldExit = true;
       exitType = 'RISK_OVERRIDE';
     }
 
+    // ============ Gaia Exit Signal ============
+    if (!shouldExit && await this._getGaiaExitSignal(position, marketData)) {
+      exitReasons.push('AI_EXIT');
+      shouldExit = true;
+      exitType = 'AI_EXIT';
+    }
+
     return {
       shouldExit,
       exitType,
@@ -1033,6 +1379,57 @@ export class TradingStrategy {
     };
   }
 
+  /**
+     * @notice Ask Gaia whether to close a position
+     * @dev Sent at exit priority, so it runs ahead of queued entry signals and background
+     *      analyses. Checked at most once per `gaiaExitInterval` for each position.
+     * @param {Object} position - Position data
+     * @param {Object} marketData - Current multi-timeframe market data
+     * @returns {Object|null} Gaia's quick signal when it confidently calls for closing, otherwise null
+     */
+  async _getGaiaExitSignal (position, marketData) {
+    if (!this.gaia || this.now() - (position.lastGaiaExitCheck || 0) < this.gaiaExitInterval) {
+      return null;
+    }
+    position.lastGaiaExitCheck = this.now();
+
+    try {
+      const indicators = await this._calculateAdvancedIndicators(position.pair, marketData);
+      const signal = await this.gaia.getQuickTradingSignal(position.pair, {
+        rsi: indicators.rsi?.['1m'],
+        rsi5m: indicators.rsi?.['5m'],
+        macd: indicators.macd?.trend,
+        volumeSpike: indicators.volume?.spike,
+        bbPosition: indicators.bollingerBands?.position
+      }, {
+        regime: this.marketRegime.current
+      }, {
+        priority: REQUEST_PRIORITIES.EXIT,
+        signal: this.analysisController.signal
+      });
+
+      // Null (reply failed schema validation) and fallback signals are no signal; the position is held
+      const closes = signal && !signal.fallback && signal.signal === getExitAction(position.side);
+      return closes && signal.confidence >= this.gaiaExitConfidence ? signal : null;
+    } catch (error) {
+      if (error.code === SCHEDULER_ERRORS.CANCELLED) {
+        this.logger.debug(`Gaia exit check for ${position.pair} cancelled`, { reason: error.message });
+        return null;
+      }
+      this.logger.error(`Failed to get Gaia exit signal for ${position.pair}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * @notice Get the open positions on a trading pair
+   * @param {string} pair - Trading pair
+   * @returns {Array} [positionKey, position] entries
+   */
+  _getPairPositions (pair) {
+    return Array.from(this.currentPositions).filter(([, position]) => position.pair === pair);
+  }
+
   // ============ Advanced Analytics and Calculations ============
 
   /**
@@ -1086,27 +1483,37 @@ export class TradingStrategy {
 
   /**
      * @notice Get multi-timeframe data for comprehensive analysis
+     * @dev Reads OHLCV bars from the market data feed for every timeframe in trading.json.
+     *      Timeframes without bars yet are omitted, so callers must handle missing keys.
      * @param {string} pair - Trading pair
-     * @returns {Object} Multi-timeframe price and volume data
+     * @returns {Object} Per-timeframe { price, open, high, low, close, volume, timestamp, bars }
      */
   async _getMultiTimeframeData (pair) {
     try {
-      // In production, this would fetch from multiple timeframes
-      // For now, simulating multi-timeframe data structure
-      const basePrice = 50000 + Math.random() * 2000; // Simulated price
-      const timeframes = ['1s', '5s', '15s', '1m', '5m'];
-
       const multiTimeframeData = {};
 
-      for (const tf of timeframes) {
-        const variance = tf === '1s' ? 0.001 : tf === '5s' ? 0.005 : 0.01;
+      for (const tf of this.timeframes) {
+        const bars = this.marketDataFeed.getBars(pair, tf, this.barHistoryLimit);
+        if (bars.length === 0) continue;
+
+        const latest = bars[bars.length - 1];
         multiTimeframeData[tf] = {
-          price: basePrice * (1 + (Math.random() - 0.5) * variance),
-          volume: 1000000 + Math.random() * 500000,
-          timestamp: Date.now()
+          price: latest.close,
+          open: latest.open,
+          high: latest.high,
+          low: latest.low,
+          close: latest.close,
+          volume: latest.volume,
+          timestamp: latest.timestamp,
+          bars
         };
       }
 
+      if (Object.keys(multiTimeframeData).length === 0) {
+        this.logger.debug(`No market data available yet for ${pair}`, { feed: this.marketDataFeed.name });
+        return {};
+      }
+
       // Update cache
       this.marketData.priceData.set(pair, multiTimeframeData);
 
@@ -1119,58 +1526,112 @@ export class TradingStrategy {
 
   /**
      * @notice Calculate advanced technical indicators across timeframes
+     * @dev Feeds closed bars into the per-timeframe TechnicalIndicators engines and builds the
+     *      indicator object from them. Only indicators enabled in indicators.json are included,
+     *      each on its configured timeframes; `isReady` is false until some engine has enough bars.
      * @param {string} pair - Trading pair
      * @param {Object} multiTimeframeData - Multi-timeframe data
      * @returns {Object} Advanced technical indicators
      */
   async _calculateAdvancedIndicators (pair, multiTimeframeData) {
     try {
-      const indicators = {};
+      this._updateTimeframeIndicators(pair, multiTimeframeData);
 
-      // ============ Multi-Timeframe RSI ============
+      const settings = this.indicatorSettings;
+      const computed = {};
+      for (const [tf, engine] of this.indicators) {
+        if (engine.hasSufficientData(pair)) {
+          computed[tf] = engine.getIndicators(pair);
+        }
+      }
+
+      // First configured timeframe with enough data for a given indicator
+      const primaryTimeframe = (name) => settings[name].enabled
+        ? settings[name].timeframes.find(tf => computed[tf])
+        : undefined;
+
+      const indicators = this._getDefaultAdvancedIndicators();
       indicators.rsi = {};
-      for (const [tf] of Object.entries(multiTimeframeData)) {
-        indicators.rsi[tf] = 45 + Math.random() * 20; // Simulated RSI
+      indicators.weights = this._getIndicatorWeights();
+      indicators.timeframes = Object.keys(computed);
+      indicators.isReady = indicators.timeframes.length > 0;
+
+      // ============ Multi-Timeframe RSI ============
+      if (settings.rsi.enabled) {
+        for (const tf of settings.rsi.timeframes) {
+          if (computed[tf]?.rsi?.current !== undefined) {
+            indicators.rsi[tf] = computed[tf].rsi.current;
+          }
+        }
       }
 
       // ============ Advanced MACD with Histogram ============
-      indicators.macd = {
-        line: Math.random() * 20 - 10,
-        signal: Math.random() * 20 - 10,
-        histogram: Math.random() * 5 - 2.5,
-        trend: Math.random() > 0.5 ? 'BULLISH_CROSSOVER' : 'BEARISH_CROSSOVER'
-      };
+      const macdTf = primaryTimeframe('macd');
+      if (macdTf) {
+        const macd = computed[macdTf].macd;
+        const histogram = macd.current.histogram || 0;
+        indicators.macd = {
+          line: macd.current.MACD,
+          signal: macd.current.signal,
+          histogram,
+          trend: macd.bullishCrossover
+            ? 'BULLISH_CROSSOVER'
+            : macd.bearishCrossover
+              ? 'BEARISH_CROSSOVER'
+              : histogram > 0 ? 'BULLISH' : histogram < 0 ? 'BEARISH' : 'NEUTRAL',
+          timeframe: macdTf
+        };
+      }
 
       // ============ Bollinger Bands with Squeeze ============
-      indicators.bollingerBands = {
-        upper: multiTimeframeData['1m']?.price * 1.02 || 51000,
-        middle: multiTimeframeData['1m']?.price || 50000,
-        lower: multiTimeframeData['1m']?.price * 0.98 || 49000,
-        position: Math.random(), // 0 = lower band, 1 = upper band
-        squeeze: Math.random() > 0.7 // Boolean for squeeze detection
-      };
+      const bbTf = primaryTimeframe('bollingerBands');
+      if (bbTf) {
+        const bollinger = computed[bbTf].bollinger;
+        indicators.bollingerBands = {
+          upper: bollinger.current.upper,
+          middle: bollinger.current.middle,
+          lower: bollinger.current.lower,
+          position: bollinger.percentB, // 0 = lower band, 1 = upper band
+          squeeze: !!bollinger.squeeze,
+          timeframe: bbTf
+        };
+      }
 
       // ============ Volume Profile ============
-      indicators.volume = {
-        profile: this._calculateVolumeProfile(pair),
-        spike: Math.random() * 3, // Volume spike multiplier
-        trend: Math.random() > 0.5 ? 'INCREASING' : 'DECREASING'
-      };
+      const volumeTf = primaryTimeframe('volume');
+      if (volumeTf) {
+        const volume = computed[volumeTf].volume;
+        const bars = multiTimeframeData[volumeTf]?.bars || [];
+        indicators.volume = {
+          profile: this._calculateVolumeProfile(bars),
+          spike: Number.isFinite(volume.ratio) ? volume.ratio : 0, // Current / average volume
+          isSpike: !!volume.spike,
+          trend: volume.trend || 'NEUTRAL',
+          priceTrend: this._getPriceTrend(bars),
+          timeframe: volumeTf
+        };
+      }
 
       // ============ Momentum Indicators ============
-      indicators.momentum = {
-        roc: (Math.random() - 0.5) * 10, // Rate of change
-        stochastic: Math.random() * 100,
-        williams: Math.random() * -100,
-        divergence: Math.random() > 0.8 // Boolean for divergence detection
-      };
+      const stochasticTf = primaryTimeframe('stochastic');
+      const williamsTf = primaryTimeframe('williams');
+      const rsiTf = primaryTimeframe('rsi');
+      const momentumTf = stochasticTf || williamsTf || rsiTf;
+      if (momentumTf) {
+        const bars = multiTimeframeData[momentumTf]?.bars || [];
+        indicators.momentum = {
+          roc: this._calculateRateOfChange(bars, 10),
+          stochastic: stochasticTf ? computed[stochasticTf].stochastic?.current?.k ?? null : null,
+          williams: williamsTf
+            ? this._calculateWilliamsR(multiTimeframeData[williamsTf]?.bars || [], settings.williams.parameters.period || 14)
+            : null,
+          divergence: rsiTf ? this._detectRSIDivergence(computed[rsiTf].rsi.values, multiTimeframeData[rsiTf]?.bars || []) : null,
+          timeframe: momentumTf
+        };
+      }
 
       // ============ Custom Scalping Indicators ============
-      indicators.scalping = {
-        microTrend: Math.random() > 0.5 ? 'UP' : 'DOWN',
-        momentumScore: Math.random(),
-        velocityIndex: Math.random() * 2 - 1
-      };
+      indicators.scalping = this._calculateScalpingIndicators(multiTimeframeData[this.timeframes[0]]?.bars || []);
 
       return indicators;
     } catch (error) {
@@ -1180,38 +1641,257 @@ export class TradingStrategy {
   }
 
   /**
-     * @notice Analyze order book for microstructure signals
+     * @notice Feed newly closed bars into the per-timeframe indicator engines
+     * @dev The newest bar of each timeframe is still forming, so it is held back until it closes
      * @param {string} pair - Trading pair
-     * @returns {Object} Order book analysis
+     * @param {Object} multiTimeframeData - Multi-timeframe data from _getMultiTimeframeData
      */
-  async _analyzeOrderBook (pair) {
-    try {
-      // Simulated order book data - in production would fetch real data
-      const mockOrderBook = {
-        bidVolume: 1000000 + Math.random() * 500000,
-        askVolume: 1000000 + Math.random() * 500000,
-        bidPrice: 49950,
-        askPrice: 50050,
-        midPrice: 50000,
-        spread: 100,
-        pricelevels: Math.floor(50 + Math.random() * 50),
-        largeOrders: this._generateMockLargeOrders(),
-        imbalance: null, // Will be calculated
-        spreadTightness: null, // Will be calculated
-        largeOrderFlow: null // Will be calculated
+  _updateTimeframeIndicators (pair, multiTimeframeData) {
+    for (const [tf, engine] of this.indicators) {
+      const bars = multiTimeframeData[tf]?.bars;
+      if (!bars || bars.length < 2) continue;
+
+      const key = `${tf}:${pair}`;
+      const lastFed = this.lastIndicatorBar.get(key) ?? -Infinity;
+
+      try {
+        for (const bar of bars.slice(0, -1)) {
+          if (bar.timestamp <= lastFed) continue;
+          engine.addPriceData(pair, bar);
+          this.lastIndicatorBar.set(key, bar.timestamp);
+        }
+      } catch (error) {
+        this.logger.warn(`Failed to update ${tf} indicators for ${pair}`, { error: error.message });
+      }
+    }
+  }
+
+  /**
+     * @notice Resolve indicator settings from indicators.json against the strategy timeframes
+     * @param {Object} config - technicalIndicators section of indicators.json
+     * @returns {Object} indicator -> { enabled, timeframes, weight, parameters }
+     */
+  _resolveIndicatorSettings (config) {
+    const settings = {};
+
+    for (const name of ['rsi', 'macd', 'bollingerBands', 'volume', 'stochastic', 'williams']) {
+      const indicatorConfig = config[name] || {};
+      const configured = indicatorConfig.timeframes || this.timeframes;
+      const timeframes = configured.filter(tf => this.timeframes.includes(tf));
+      const enabled = indicatorConfig.enabled !== false && timeframes.length > 0;
+
+      if (configured.length !== timeframes.length) {
+        this.logger.warn(`Ignoring ${name} timeframes not provided by the market data feed`, {
+          ignored: configured.filter(tf => !this.timeframes.includes(tf))
+        });
+      }
+
+      settings[name] = {
+        enabled,
+        timeframes,
+        weight: enabled ? (indicatorConfig.weight ?? 0) : 0,
+        parameters: indicatorConfig.parameters || {}
       };
+    }
 
-      // Calculate derived metrics
-      mockOrderBook.imbalance = (mockOrderBook.bidVolume - mockOrderBook.askVolume) /
-                (mockOrderBook.bidVolume + mockOrderBook.askVolume);
+    return settings;
+  }
 
-      mockOrderBook.spreadTightness = 1 - (mockOrderBook.spread / mockOrderBook.midPrice);
+  /**
+     * @notice Indicator periods from indicators.json in the TechnicalIndicators shape
+     * @dev Parameters indicators.json leaves out keep the engine's trading-config defaults
+     * @returns {Object} indicator -> engine parameters
+     */
+  _getEngineParameters () {
+    const { rsi, macd, bollingerBands, volume, stochastic } = this.indicatorSettings;
+    const defined = (parameters) => Object.fromEntries(Object.entries(parameters).filter(([, value]) => value !== undefined));
 
-      mockOrderBook.largeOrderFlow = mockOrderBook.largeOrders.reduce((sum, order) => {
-        return sum + (order.side === 'BUY' ? order.size : -order.size);
-      }, 0);
+    return {
+      rsi: defined({
+        period: rsi.parameters.period,
+        overbought: rsi.parameters.overbought,
+        oversold: rsi.parameters.oversold
+      }),
+      macd: defined({
+        fastPeriod: macd.parameters.fastPeriod,
+        slowPeriod: macd.parameters.slowPeriod,
+        signalPeriod: macd.parameters.signalPeriod
+      }),
+      bollinger: defined({
+        period: bollingerBands.parameters.period,
+        stdDev: bollingerBands.parameters.standardDeviations
+      }),
+      volume: defined({ maPeriod: volume.parameters.movingAveragePeriod }),
+      stochastic: defined({
+        kPeriod: stochastic.parameters.kPeriod,
+        dPeriod: stochastic.parameters.dPeriod
+      })
+    };
+  }
+
+  /**
+     * @notice Timeframes needed by at least one enabled indicator
+     * @returns {Array<string>} Timeframes in strategy order
+     */
+  _getIndicatorTimeframes () {
+    const needed = new Set();
+    for (const setting of Object.values(this.indicatorSettings)) {
+      if (setting.enabled) setting.timeframes.forEach(tf => needed.add(tf));
+    }
+    return this.timeframes.filter(tf => needed.has(tf));
+  }
+
+  /**
+     * @notice Component weights for _analyzeTechnicalSignals
+     * @dev Stochastic and Williams %R both feed the momentum component
+     * @returns {Object} component -> weight
+     */
+  _getIndicatorWeights () {
+    const settings = this.indicatorSettings;
+    return {
+      rsi: settings.rsi.weight,
+      macd: settings.macd.weight,
+      bollingerBands: settings.bollingerBands.weight,
+      volume: settings.volume.weight,
+      momentum: settings.stochastic.weight + settings.williams.weight
+    };
+  }
+
+  /**
+     * @notice Volume-weighted price profile for a series of bars
+     * @param {Array} bars - OHLCV bars
+     * @returns {Object} VWAP, total volume and distance of the last close from VWAP
+     */
+  _calculateVolumeProfile (bars) {
+    const totalVolume = bars.reduce((sum, bar) => sum + bar.volume, 0);
+    const lastClose = bars[bars.length - 1]?.close;
+
+    if (!totalVolume || !lastClose) {
+      return { vwap: lastClose || null, totalVolume: 0, priceVsVwap: 0 };
+    }
+
+    const vwap = bars.reduce((sum, bar) => sum + ((bar.high + bar.low + bar.close) / 3) * bar.volume, 0) / totalVolume;
+    return { vwap, totalVolume, priceVsVwap: (lastClose - vwap) / vwap };
+  }
+
+  /**
+     * @notice Direction of the latest closed bar
+     * @param {Array} bars - OHLCV bars (last one still forming)
+     * @returns {string} UP, DOWN or FLAT
+     */
+  _getPriceTrend (bars) {
+    const closed = bars.slice(-3, -1);
+    if (closed.length < 2) return 'FLAT';
+    const change = closed[1].close - closed[0].close;
+    return change > 0 ? 'UP' : change < 0 ? 'DOWN' : 'FLAT';
+  }
+
+  /**
+     * @notice Percentage rate of change over a number of bars
+     * @param {Array} bars - OHLCV bars
+     * @param {number} period - Lookback in bars
+     * @returns {number} Rate of change in percent
+     */
+  _calculateRateOfChange (bars, period) {
+    if (bars.length <= period) return 0;
+    const current = bars[bars.length - 1].close;
+    const past = bars[bars.length - 1 - period].close;
+    return ((current - past) / past) * 100;
+  }
+
+  /**
+     * @notice Williams %R over a lookback window
+     * @param {Array} bars - OHLCV bars
+     * @param {number} period - Lookback in bars
+     * @returns {number|null} Williams %R in [-100, 0]
+     */
+  _calculateWilliamsR (bars, period) {
+    if (bars.length < period) return null;
+    const window = bars.slice(-period);
+    const highest = Math.max(...window.map(bar => bar.high));
+    const lowest = Math.min(...window.map(bar => bar.low));
+    if (highest === lowest) return -50;
+    return ((highest - window[window.length - 1].close) / (highest - lowest)) * -100;
+  }
+
+  /**
+     * @notice Detect price/RSI divergence over the last few closed bars
+     * @param {Array<number>} rsiValues - RSI series from TechnicalIndicators
+     * @param {Array} bars - OHLCV bars the RSI was computed on
+     * @param {number} lookback - Bars to compare
+     * @returns {string|null} BULLISH, BEARISH or null
+     */
+  _detectRSIDivergence (rsiValues, bars, lookback = 5) {
+    const closed = bars.slice(0, -1);
+    if (!rsiValues || rsiValues.length <= lookback || closed.length <= lookback) return null;
 
-      return mockOrderBook;
+    const priceChange = closed[closed.length - 1].close - closed[closed.length - 1 - lookback].close;
+    const rsiChange = rsiValues[rsiValues.length - 1] - rsiValues[rsiValues.length - 1 - lookback];
+
+    if (priceChange < 0 && rsiChange > 0) return 'BULLISH';
+    if (priceChange > 0 && rsiChange < 0) return 'BEARISH';
+    return null;
+  }
+
+  /**
+     * @notice Custom scalping indicators from the finest timeframe
+     * @dev Parameters come from customIndicators.velocityIndex and microTrendDetector in indicators.json
+     * @param {Array} bars - OHLCV bars of the finest timeframe
+     * @returns {Object} microTrend, momentumScore and velocityIndex
+     */
+  _calculateScalpingIndicators (bars) {
+    const custom = INDICATORS_CONFIG.customIndicators || {};
+    const trendParams = custom.microTrendDetector?.parameters || {};
+    const velocityParams = custom.velocityIndex?.parameters || {};
+    const shortPeriod = trendParams.shortPeriod || 5;
+    const longPeriod = trendParams.longPeriod || 20;
+    const threshold = trendParams.trendThreshold || 0.002;
+
+    const result = { microTrend: 'NEUTRAL', momentumScore: 0.5, velocityIndex: 0 };
+    if (bars.length <= longPeriod) return result;
+
+    const slope = (period) => {
+      const window = bars.slice(-period);
+      return (window[window.length - 1].close - window[0].close) / window[0].close;
+    };
+
+    if (custom.microTrendDetector?.enabled !== false) {
+      const shortSlope = slope(shortPeriod);
+      const longSlope = slope(longPeriod);
+      if (shortSlope > threshold && longSlope > 0) result.microTrend = 'UP';
+      else if (shortSlope < -threshold && longSlope < 0) result.microTrend = 'DOWN';
+      result.momentumScore = Math.min(Math.abs(shortSlope) / threshold, 1);
+    }
+
+    if (custom.velocityIndex?.enabled !== false) {
+      // Rate of change scaled by relative volume, squashed to [-1, 1]
+      const period = velocityParams.period || 10;
+      const window = bars.slice(-period);
+      const averageVolume = bars.reduce((sum, bar) => sum + bar.volume, 0) / bars.length;
+      const windowVolume = window.reduce((sum, bar) => sum + bar.volume, 0) / window.length;
+      const volumeWeight = averageVolume > 0 ? windowVolume / averageVolume : 1;
+      result.velocityIndex = Math.tanh(this._calculateRateOfChange(bars, period - 1) * volumeWeight);
+    }
+
+    return result;
+  }
+
+  /**
+     * @notice Analyze order book for microstructure signals
+     * @dev Falls back to neutral defaults when no order book feed is configured or the
+     *      pair's book is missing, out of sync or older than ORDER_BOOK_MAX_AGE_MS.
+     * @param {string} pair - Trading pair
+     * @returns {Object} Order book analysis
+     */
+  async _analyzeOrderBook (pair) {
+    try {
+      const analysis = this.orderBookFeed?.analyze(pair);
+      if (!analysis || this.now() - analysis.timestamp > this.orderBookMaxAge) {
+        return this._getDefaultOrderBookAnalysis();
+      }
+
+      this.marketData.orderBookData.set(pair, analysis);
+      return analysis;
     } catch (error) {
       this.logger.error(`Failed to analyze order book for ${pair}`, { error: error.message });
       return this._getDefaultOrderBookAnalysis();
@@ -1372,33 +2052,13 @@ export class TradingStrategy {
     }
   }
 
-  /**
-     * @notice Generate mock large orders for order book simulation
-     * @returns {Array} Array of mock large orders
-     */
-  _generateMockLargeOrders () {
-    const orders = [];
-    const numOrders = Math.floor(Math.random() * 5);
-
-    for (let i = 0; i < numOrders; i++) {
-      orders.push({
-        side: Math.random() > 0.5 ? 'BUY' : 'SELL',
-        size: 100000 + Math.random() * 500000,
-        price: 50000 + (Math.random() - 0.5) * 1000,
-        timestamp: Date.now()
-      });
-    }
-
-    return orders;
-  }
-
   /**
      * @notice Analyze recent performance for optimization
      * @returns {Object} Recent performance metrics
      */
   _analyzeRecentPerformance () {
     const recentTrades = this.tradeHistory.filter(trade =>
-      Date.now() - trade.entryTime < 600000 // Last 10 minutes
+      this.now() - trade.entryTime < 600000 // Last 10 minutes
     );
 
     if (recentTrades.length === 0) {
@@ -1462,8 +2122,9 @@ export class TradingStrategy {
       macd: { line: 0, signal: 0, histogram: 0, trend: 'NEUTRAL' },
       bollingerBands: { position: 0.5, squeeze: false },
       volume: { spike: 1, trend: 'NEUTRAL' },
-      momentum: { roc: 0, stochastic: 50, divergence: false },
-      scalping: { microTrend: 'NEUTRAL', momentumScore: 0.5, velocityIndex: 0 }
+      momentum: { roc: 0, stochastic: 50, williams: -50, divergence: null },
+      scalping: { microTrend: 'NEUTRAL', momentumScore: 0.5, velocityIndex: 0 },
+      isReady: false
     };
   }
 
@@ -1474,7 +2135,9 @@ export class TradingStrategy {
       largeOrderFlow: 0,
       bidVolume: 1000000,
       askVolume: 1000000,
-      largeOrders: []
+      pricelevels: 0,
+      largeOrders: [],
+      isDefault: true
     };
   }
 
@@ -1509,34 +2172,44 @@ export class TradingStrategy {
   }
 
   /**
-   * @notice Get volatility for a trading pair
-   * @param {string} _pair - Trading pair (unused in simple implementation)
+   * @notice Get realised volatility for a trading pair
+   * @dev Standard deviation of 1m close-to-close returns over the last 30 bars.
+   *      Falls back to 2% until enough bars are available.
+   * @param {string} pair - Trading pair
    * @returns {number} Volatility value
    */
-  _getVolatility (_pair) {
-    // Simple volatility calculation - could be enhanced with real data
-    return 0.02 + (Math.random() * 0.03); // Return 2-5% volatility
+  _getVolatility (pair) {
+    const closes = this.marketDataFeed.getBars(pair, '1m', 31).map(bar => bar.close);
+    if (closes.length < 3) {
+      return 0.02;
+    }
+
+    const returns = closes.slice(1).map((close, i) => (close - closes[i]) / closes[i]);
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
+    return Math.sqrt(variance);
   }
 
   /**
    * @notice Get liquidity for a trading pair
-   * @param {string} _pair - Trading pair (unused in simple implementation)
+   * @param {string} _pair - Trading pair (unused until order book depth is available)
    * @returns {number} Liquidity value
    */
   _getLiquidity (_pair) {
-    // Simple liquidity simulation - could be enhanced with real market data
-    return 100000 + (Math.random() * 900000); // Return 100k-1M liquidity
+    // No depth source yet; use the 500k sizing baseline so liquidity does not scale positions
+    return 500000;
   }
 
   /**
    * @notice Determine execution strategy based on signal and market data
    * @param {number} _signal - Trading signal (unused in simple implementation)
    * @param {Object} _marketData - Market data (unused in simple implementation)
-   * @returns {string} Execution strategy
+   * @param {number} positionSize - Entry notional in quote
+   * @returns {string} EXECUTION_ALGORITHMS value
    */
-  _determineExecutionStrategy (_signal, _marketData) {
-    // Simple execution strategy - could be enhanced with advanced algorithms
-    return 'MARKET'; // Always use market orders for simplicity
+  _determineExecutionStrategy (_signal, _marketData, positionSize = 0) {
+    const { algorithm, minParentSize } = this.executionConfig;
+    return positionSize >= minParentSize ? algorithm : EXECUTION_ALGORITHMS.MARKET;
   }
 
   /**
@@ -1549,17 +2222,22 @@ export class TradingStrategy {
    * @returns {Object} Enhanced trade parameters
    */
   _prepareEnhancedTradeParams (pair, signal, positionSize, _marketData, executionStrategy) {
-    const action = signal > 0 ? 'BUY' : 'SELL';
-    const price = this._getEstimatedPrice(pair);
+    const action = signal > 0 ? POSITION_SIDES.LONG : POSITION_SIDES.SHORT;
+    const price = this.priceOracle.getFreshPrice(pair, action);
 
     return {
       pair,
       action,
-      amount: positionSize,
+      positionEffect: POSITION_EFFECTS.OPEN,
+      // Amounts are in the token sold: quote for a long entry, base for a short entry
+      amount: action === POSITION_SIDES.LONG ? positionSize : positionSize / price,
+      notional: positionSize,
       price,
+      decisionPrice: price, // Signal-time price; kept by sliced child orders for cost analysis
       confidence: Math.abs(signal),
+      expectedEdge: this._getTakeProfitPercent(Math.abs(signal)), // Percent; price impact is weighed against it
       executionStrategy,
-      timestamp: Date.now()
+      timestamp: this.now()
     };
   }
 
@@ -1585,7 +2263,7 @@ export class TradingStrategy {
         signal,
         tradeParams,
         result,
-        entryTime: Date.now(),
+        entryTime: this.now(),
         marketRegime: this.marketRegime.current,
         confidence: tradeParams.confidence || Math.abs(signal),
         executionTime: result.executionTime || 0,
@@ -1623,20 +2301,30 @@ export class TradingStrategy {
    * @param {Object} tradeParams - Enhanced trade parameters
    * @param {Object} result - Trade execution result
    * @param {number} signal - Trading signal
+   * @returns {Object|undefined} The tracked position
    */
   _updateEnhancedPositionTracking (pair, tradeParams, result, signal) {
     try {
       if (!result.success) return;
 
-      const positionKey = `${pair}_${Date.now()}`;
+      const positionKey = `${pair}_${this.now()}`;
+      const isLong = tradeParams.action === POSITION_SIDES.LONG;
+      // Sliced entries can stop part-way; size the position on the share that filled
+      const fillRatio = result.result?.fillRatio ?? 1;
+      const filledAmount = tradeParams.amount * fillRatio;
       const position = {
+        id: positionKey,
         pair,
         action: tradeParams.action,
-        side: tradeParams.action, // Add side property for exit logic
-        amount: tradeParams.amount,
-        size: tradeParams.amount, // Add size property for exit logic
+        side: tradeParams.action, // BUY for longs, SELL for shorts
+        amount: filledAmount,
+        size: (tradeParams.notional ?? tradeParams.amount) * fillRatio, // Quote notional, used for P&L and risk
+        // Base tokens held by a long or owed by a short; exits trade this rather than the notional
+        quantity: isLong
+          ? result.result?.executedAmount ?? filledAmount / (result.result?.executedPrice || tradeParams.price)
+          : filledAmount,
         entryPrice: result.result?.executedPrice || tradeParams.price,
-        entryTime: Date.now(),
+        entryTime: this.now(),
         confidence: tradeParams.confidence || Math.abs(signal),
         marketRegime: this.marketRegime.current,
         tradeId: result.result?.transactionHash || result.tradeId,
@@ -1644,12 +2332,30 @@ export class TradingStrategy {
         currentPnL: 0,
         maxPnL: 0,
         minPnL: 0,
-        executionMethod: result.result?.executionMethod || 'DIRECT'
+        executionMethod: result.result?.executionMethod || 'DIRECT',
+        ...(result.result?.children && {
+          execution: {
+            parentId: result.tradeId,
+            fillRatio,
+            childOrders: result.result.children.filter(child => child.status === 'FILLED').length,
+            arrivalPrice: result.result.arrivalPrice
+          }
+        })
       };
 
       // Add to current positions
       this.currentPositions.set(positionKey, position);
 
+      // Register with the risk manager under the same key so correlation checks see it
+      this.riskManager?.registerPosition({
+        id: positionKey,
+        pair,
+        side: position.side,
+        size: position.size,
+        quantity: position.quantity,
+        entryPrice: position.entryPrice
+      });
+
       this.logger.info('📈 Enhanced position tracking updated', {
         pair,
         positionKey,
@@ -1659,6 +2365,8 @@ export class TradingStrategy {
         confidence: position.confidence?.toFixed(3) || 'N/A',
         totalOpenPositions: this.currentPositions.size
       });
+
+      return position;
     } catch (error) {
       this.logger.error('Failed to update enhanced position tracking', { error: error.message });
     }
@@ -1680,9 +2388,15 @@ export class TradingStrategy {
         status: '⚡ SENDING TO RECALL API'
       });
 
-      // Execute through Vincent with policy enforcement
+      // Execute through Vincent with policy enforcement when available; large entries go out in slices
       const startTime = Date.now();
-      const result = await this.vincent.executeTradeWithPolicies(tradeParams);
+      const sliced = tradeParams.executionStrategy && tradeParams.executionStrategy !== EXECUTION_ALGORITHMS.MARKET;
+      if (sliced) {
+        this.executionEngine.riskManager = this.riskManager || null;
+      }
+      const result = sliced
+        ? await this.executionEngine.execute(tradeParams, tradeParams.executionStrategy)
+        : await this._submitTrade(tradeParams);
       const executionTime = Date.now() - startTime;
 
       if (result.success) {
@@ -1731,13 +2445,73 @@ export class TradingStrategy {
     }
   }
 
+  /**
+   * @notice Execute a trade through the exchange client, submitting it to Vincent when configured
+   * @dev Every trade goes through RecallClient.executeTrade(), so live trades are quoted,
+   *      impact- and safety-checked and tracked there as well; with Vincent configured
+   *      only the final submission is handed to Vincent policy enforcement. Paper trading
+   *      always goes to the PaperExchange, since Vincent would execute on-chain.
+   * @param {Object} tradeParams - Trade parameters
+   * @returns {Object} Trade execution result { success, tradeId, executedPrice, quote, result }
+   */
+  async _submitTrade (tradeParams) {
+    const options = this.vincent && !this.recall.isPaperTrading
+      ? { submit: (recallParams, idempotencyKey) => this._submitToVincent({ ...tradeParams, idempotencyKey }, recallParams) }
+      : {};
+
+    const trade = await this.recall.executeTrade(tradeParams, options);
+    if (trade.status !== 'COMPLETED') {
+      return { success: false, tradeId: trade.id, reason: `Order ${trade.status.toLowerCase()}`, result: trade };
+    }
+
+    this.emit('trade_executed', { ...trade, decisionPrice: trade.decisionPrice ?? tradeParams.price });
+    return {
+      success: true,
+      tradeId: trade.id,
+      executedPrice: trade.executedPrice,
+      quote: trade.quote,
+      result: trade
+    };
+  }
+
+  /**
+   * @notice Submit a checked trade through Vincent policy enforcement
+   * @dev Sends the amount the Recall client settled on (covers are capped there) and its
+   *      reason, whose order tag lets the Recall client reconcile the order, and answers in
+   *      the Recall execute response shape. A fill without its own price or received
+   *      amount is taken at the trade's price.
+   * @param {Object} tradeParams - Trade parameters with the attempt's `idempotencyKey`
+   * @param {Object} recallParams - Trade mapped to the Recall format
+   * @returns {Object} Execute response { success, transaction }
+   */
+  async _submitToVincent (tradeParams, recallParams) {
+    const fromAmount = parseFloat(recallParams.amount);
+    const execution = await this.vincent.executeTradeWithPolicies({ ...tradeParams, amount: fromAmount, reason: recallParams.reason });
+    const fill = execution.result || {};
+    const price = parseFloat(fill.executedPrice) || tradeParams.price;
+
+    return {
+      success: true,
+      transaction: {
+        id: fill.transactionHash || execution.executionId,
+        price,
+        fromAmount,
+        toAmount: fill.executedAmount ?? (tradeParams.action === 'BUY' ? fromAmount / price : fromAmount * price),
+        gasUsed: fill.gasUsed,
+        timestamp: Date.now(),
+        success: true
+      }
+    };
+  }
+
   /**
    * @notice Set dynamic stop loss and take profit levels for a position
    * @param {string} pair - Trading pair
    * @param {number} signal - Trading signal
    * @param {Object} marketData - Market data for decision making
+   * @param {Object} position - Optional position to store the stop and target prices on
    */
-  async _setDynamicExitLevels (pair, signal, marketData) {
+  async _setDynamicExitLevels (pair, signal, marketData, position = null) {
     try {
       // For scalping strategy, use simple percentage-based exits
       const confidence = marketData?.confidence || Math.abs(signal);
@@ -1747,8 +2521,7 @@ export class TradingStrategy {
       const dynamicStopLoss = baseStopLoss * (2 - confidence); // Range: 0.3% to 0.6%
 
       // Dynamic take profit based on signal strength
-      const baseTakeProfit = parseFloat(process.env.TAKE_PROFIT_PERCENT) || 0.5;
-      const dynamicTakeProfit = baseTakeProfit * (1 + confidence); // Range: 0.5% to 1.0%
+      const dynamicTakeProfit = this._getTakeProfitPercent(confidence); // Range: 0.5% to 1.0%
 
       this.logger.debug('Dynamic exit levels set', {
         pair,
@@ -1757,8 +2530,11 @@ export class TradingStrategy {
         confidence: confidence.toFixed(3)
       });
 
-      // Store exit levels for position management
-      // In a full implementation, this would update position tracking
+      // Place the stop and target on the correct side of the entry for longs and shorts
+      if (position) {
+        Object.assign(position, getExitLevels(position.side, position.entryPrice, dynamicStopLoss, dynamicTakeProfit));
+      }
+
       return {
         stopLoss: dynamicStopLoss,
         takeProfit: dynamicTakeProfit,
@@ -1769,6 +2545,45 @@ export class TradingStrategy {
     }
   }
 
+  /**
+   * @notice Take-profit distance for a signal, which is also the edge an entry expects
+   * @param {number} confidence - Signal confidence (0-1)
+   * @returns {number} Take profit in percent of the entry price
+   */
+  _getTakeProfitPercent (confidence) {
+    const baseTakeProfit = parseFloat(process.env.TAKE_PROFIT_PERCENT) || 0.5;
+    return baseTakeProfit * (1 + confidence);
+  }
+
+  /**
+   * @notice Trail the stop of a profitable position behind its best P&L
+   * @dev Once the position has gained half the take-profit distance, the stop is raised
+   *      to lock in half of the best unrealised gain. The stop never moves down.
+   * @param {Object} position - Position data with currentPnL and maxPnL in percent
+   * @param {number} currentPrice - Current market price
+   * @param {Object} _marketData - Current market data (unused)
+   */
+  async _updateDynamicExitLevels (position, currentPrice, _marketData) {
+    try {
+      const takeProfit = parseFloat(process.env.TAKE_PROFIT_PERCENT) || 0.5;
+      if (position.maxPnL < takeProfit / 2) return;
+
+      const trailingStop = position.maxPnL / 2;
+      if (position.trailingStop === undefined || trailingStop > position.trailingStop) {
+        position.trailingStop = trailingStop;
+
+        this.logger.debug('Trailing stop raised', {
+          pair: position.pair,
+          currentPrice,
+          maxPnL: `${position.maxPnL.toFixed(3)}%`,
+          trailingStop: `${trailingStop.toFixed(3)}%`
+        });
+      }
+    } catch (error) {
+      this.logger.error('Failed to update dynamic exit levels', { error: error.message });
+    }
+  }
+
   /**
    * @notice Check technical indicators for exit signals
    * @param {Object} position - Position data
@@ -1799,20 +2614,20 @@ export class TradingStrategy {
       // Calculate current P&L percentage
       const pnlPercent = ((currentPrice - entryPrice) / entryPrice) * 100;
 
-      // Simple momentum reversal detection
-      if (position.action === 'BUY' && pnlPercent > 0.3) {
-        // Take profit on momentum reversal for long positions
-        if (Math.random() > 0.8) { // Simulate technical signal
-          signals.shouldExit = true;
-          signals.reason = 'MOMENTUM_REVERSAL';
-          signals.confidence = 0.6;
+      // Momentum reversal: take profit once the technical score turns against the position
+      const inProfit = position.action === 'BUY' ? pnlPercent > 0.3 : pnlPercent < -0.3;
+      if (inProfit) {
+        const indicators = await this._calculateAdvancedIndicators(position.pair, marketData);
+        if (!indicators.isReady) {
+          return signals;
         }
-      } else if (position.action === 'SELL' && pnlPercent > 0.3) {
-        // Take profit on momentum reversal for short positions
-        if (Math.random() > 0.8) { // Simulate technical signal
+
+        const { score } = this._analyzeTechnicalSignals(indicators);
+        const reversed = position.action === 'BUY' ? score < 0 : score > 0;
+        if (reversed) {
           signals.shouldExit = true;
           signals.reason = 'MOMENTUM_REVERSAL';
-          signals.confidence = 0.6;
+          signals.confidence = Math.min(0.9, 0.5 + Math.abs(score));
         }
       }
 
@@ -1856,50 +2671,58 @@ export class TradingStrategy {
       });
 
       // ============ Determine Exit Action ============
-      const exitAction = position.side === 'BUY' ? 'SELL' : 'BUY';
-      const exitSize = position.size;
+      const exitAction = getExitAction(position.side);
+      // Longs sell the base they hold; shorts spend quote to buy back what they owe
+      const exitSize = position.side === POSITION_SIDES.SHORT
+        ? position.quantity * currentPrice * (1 + SHORT_COVER_BUFFER)
+        : position.quantity ?? position.size;
 
       // ============ Prepare Exit Trade Parameters ============
       const exitTradeParams = {
         pair: position.pair, // Use actual trading pair, not position key
         action: exitAction,
+        positionEffect: POSITION_EFFECTS.CLOSE,
         amount: exitSize,
+        quantity: position.quantity,
         price: currentPrice,
+        decisionPrice: currentPrice,
         confidence: exitDecision.confidence,
         executionStrategy: 'MARKET',
-        timestamp: Date.now(),
+        timestamp: this.now(),
         exitReason: exitDecision.exitType,
         positionId: position.id
       };
 
       // ============ Execute Exit Trade ============
-      const exitResult = await this.vincent.executeTradeWithPolicies(exitTradeParams);
+      const exitResult = await this._submitTrade(exitTradeParams);
 
       if (exitResult.success) {
         // ============ Calculate Final P&L ============
         const priceDiff = exitResult.result.executedPrice - position.entryPrice;
         const sideMultiplier = position.side === 'BUY' ? 1 : -1;
-        const realizedPnL = (priceDiff * sideMultiplier * exitSize) / position.entryPrice * 100;
+        const realizedPnL = (priceDiff * sideMultiplier * position.size) / position.entryPrice * 100;
 
         // ============ Update Position as Closed ============
         const closedPosition = {
           ...position,
-          exitTime: Date.now(),
+          exitTime: this.now(),
           exitPrice: exitResult.result.executedPrice,
           exitReason: exitDecision.exitType,
           realizedPnL,
-          duration: Date.now() - position.entryTime,
+          duration: this.now() - position.entryTime,
           closed: true
         };
 
         // ============ Remove from Active Positions ============
         this.currentPositions.delete(pair);
+        this.riskManager?.closePosition(pair, exitDecision.exitType, exitResult.result.executedPrice);
 
         // ============ Add to Position History ============
         if (!this.positionHistory) {
           this.positionHistory = [];
         }
         this.positionHistory.push(closedPosition);
+        this.emit('position_closed', { ...closedPosition });
 
         // ============ Update Performance Metrics ============
         this.performanceMetrics.totalTrades++;
@@ -1920,7 +2743,7 @@ export class TradingStrategy {
 
         this.logger.info(`✅ Position closed successfully: ${pair}`, {
           realizedPnL: realizedPnL.toFixed(4),
-          duration: `${Math.round((Date.now() - position.entryTime) / 1000)}s`,
+          duration: `${Math.round((this.now() - position.entryTime) / 1000)}s`,
           exitReason: exitDecision.exitType
         });
       } else {
@@ -1929,7 +2752,7 @@ export class TradingStrategy {
         // ============ Handle Exit Failure ============
         // Mark position for retry or manual intervention
         position.exitAttempts = (position.exitAttempts || 0) + 1;
-        position.lastExitAttempt = Date.now();
+        position.lastExitAttempt = this.now();
         position.exitError = exitResult.error;
 
         if (position.exitAttempts >= 3) {
@@ -1988,7 +2811,11 @@ export class TradingStrategy {
 
       // ============ Get Current Price if Not Provided ============
       if (!currentPrice) {
-        currentPrice = this._getEstimatedPrice(position.pair);
+        currentPrice = this.priceOracle.getPrice(position.pair);
+      }
+      if (!currentPrice) {
+        this.logger.warn(`No price available to force close ${positionId}`);
+        return false;
       }
 
       // ============ Create Force Exit Decision ============
@@ -2058,8 +2885,10 @@ export class TradingStrategy {
     try {
       this.logger.info('🛑 Stopping enhanced trading strategy...');
 
-      // Stop the trading loop
+      // Stop the trading loop and any entry still being sliced
       this.isActive = false;
+      this.executionEngine.cancelAll('SHUTDOWN');
+      this.cancelPendingAnalyses('shutdown');
 
       // ============ Close All Open Positions ============
       if (this.currentPositions.size > 0) {
@@ -2068,8 +2897,10 @@ export class TradingStrategy {
         this.logger.info(`✅ Position closure results: ${closeResult.successCount}/${closeResult.total} positions closed successfully`);
       }
 
-      // Clear any timers/intervals if they exist
-      // (This trading strategy uses a while loop, so setting isActive=false is sufficient)
+      // ============ Stop Market Data Feed ============
+      // Stopped after positions are closed so exits still see current prices
+      await this.marketDataFeed.stop();
+      await this.orderBookFeed?.stop();
 
       this.logger.info('✅ Enhanced trading strategy stopped successfully');
     } catch (error) {
@@ -2094,11 +2925,13 @@ export class TradingStrategy {
       const reasonWeights = {
         TAKE_PROFIT: 0.9,
         STOP_LOSS: 0.95,
+        TRAILING_STOP: 0.9,
         MAX_TIME_HELD: 0.7,
         TECHNICAL_REVERSAL: 0.8,
         HIGH_VOLATILITY: 0.6,
         LOW_VOLUME: 0.5,
         RISK_OVERRIDE: 1.0,
+        AI_EXIT: 0.8,
         EMERGENCY_EXIT: 1.0
       };
 
@@ -0,0 +1,302 @@
+// ============ Constants ============
+const CORRELATION_METHODS = {
+  PEARSON: 'pearson',
+  EWMA: 'ewma'
+};
+
+const DEFAULT_OPTIONS = {
+  method: CORRELATION_METHODS.EWMA,
+  window: 120, // Returns kept per pair
+  sampleIntervalMs: 60000, // Width of the buckets returns are measured between
+  ewmaLambda: 0.94, // RiskMetrics decay
+  minSamples: 20 // Overlapping returns required before a correlation is reported
+};
+
+/**
+ * @title CorrelationMatrix
+ * @author Regav-AI Team
+ * @notice Rolling return series per pair and the correlation matrix computed from them
+ * @dev Prices are sampled into fixed-width time buckets (the last price in a bucket wins)
+ *      so pairs that tick at different rates still produce aligned log returns. A bucket's
+ *      return is recorded once the next bucket opens, and only when the bucket before it
+ *      was priced; gaps restart the series instead of smearing a multi-bucket move into
+ *      one sample. recompute() rebuilds the matrix from the overlapping returns of every
+ *      pair combination with both a plain Pearson and a zero-mean EWMA estimate; get()
+ *      reports the configured method.
+ */
+export class CorrelationMatrix {
+  constructor (options = {}) {
+    // ============ Configuration ============
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    if (!Object.values(CORRELATION_METHODS).includes(this.options.method)) {
+      throw new Error(`Unknown correlation method: ${this.options.method}`);
+    }
+
+    // ============ Series State ============
+    this.samples = new Map(); // pair -> { bucket, price, previousClose }
+    this.returns = new Map(); // pair -> [{ bucket, value }]
+
+    // ============ Matrix State ============
+    this.matrix = new Map(); // 'A|B' (sorted) -> { pearson, ewma, samples }
+    this.lastUpdate = null;
+  }
+
+  // ============ Series ============
+
+  /**
+     * @notice Record a price observation
+     * @param {string} pair Trading pair
+     * @param {number} price Observed price
+     * @param {number} timestamp Observation time in milliseconds
+     */
+  addPrice (pair, price, timestamp) {
+    if (!Number.isFinite(price) || price <= 0 || !Number.isFinite(timestamp)) {
+      return;
+    }
+
+    const bucket = Math.floor(timestamp / this.options.sampleIntervalMs);
+    const current = this.samples.get(pair);
+
+    if (!current) {
+      this.samples.set(pair, { bucket, price, previousClose: null });
+      return;
+    }
+    if (bucket < current.bucket) {
+      return; // Out-of-order observation
+    }
+    if (bucket === current.bucket) {
+      current.price = price;
+      return;
+    }
+
+    // ============ Close The Current Bucket ============
+    const isAdjacent = bucket === current.bucket + 1;
+    if (current.previousClose !== null) {
+      const series = this.returns.get(pair) || [];
+      series.push({ bucket: current.bucket, value: Math.log(current.price / current.previousClose) });
+      if (series.length > this.options.window) {
+        series.shift();
+      }
+      this.returns.set(pair, series);
+    }
+    if (!isAdjacent) {
+      this.returns.delete(pair); // Gap in the data, start the series over
+    }
+
+    this.samples.set(pair, { bucket, price, previousClose: isAdjacent ? current.price : null });
+  }
+
+  /**
+     * @notice Get the pairs that have at least one recorded price
+     * @return {Array<string>} Sorted pair names
+     */
+  getPairs () {
+    return Array.from(this.samples.keys()).sort();
+  }
+
+  /**
+     * @notice Get the recorded returns for a pair, oldest first
+     * @param {string} pair Trading pair
+     * @return {Array<object>} [{ bucket, value }] log returns per sample bucket
+     */
+  getReturns (pair) {
+    return (this.returns.get(pair) || []).map(r => ({ ...r }));
+  }
+
+  /**
+     * @notice Get a pair's return volatility per sample interval
+     * @dev Uses the same estimator as the correlations: sample standard deviation for
+     *      Pearson, zero-mean EWMA otherwise
+     * @param {string} pair Trading pair
+     * @return {number|null} Standard deviation of log returns, or null without enough data
+     */
+  getVolatility (pair) {
+    const values = (this.returns.get(pair) || []).map(r => r.value);
+    if (values.length < this.options.minSamples) {
+      return null;
+    }
+
+    if (this.options.method === CORRELATION_METHODS.PEARSON) {
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+      return Math.sqrt(variance);
+    }
+
+    let weight = 1;
+    let weightSum = 0;
+    let variance = 0;
+    for (let i = values.length - 1; i >= 0; i--) {
+      variance += weight * values[i] * values[i];
+      weightSum += weight;
+      weight *= this.options.ewmaLambda;
+    }
+    return Math.sqrt(variance / weightSum);
+  }
+
+  // ============ Matrix ============
+
+  /**
+     * @notice Rebuild the correlation matrix from the current return series
+     * @return {number} Number of pair combinations with enough overlapping returns
+     */
+  recompute () {
+    const pairs = this.getPairs();
+    const matrix = new Map();
+
+    for (let i = 0; i < pairs.length; i++) {
+      for (let j = i + 1; j < pairs.length; j++) {
+        const [x, y] = this._alignReturns(pairs[i], pairs[j]);
+        if (x.length < this.options.minSamples) {
+          continue;
+        }
+
+        matrix.set(this._key(pairs[i], pairs[j]), {
+          pearson: this._pearson(x, y),
+          ewma: this._ewma(x, y),
+          samples: x.length
+        });
+      }
+    }
+
+    this.matrix = matrix;
+    this.lastUpdate = Date.now();
+    return matrix.size;
+  }
+
+  /**
+     * @notice Get the correlation between two pairs using the configured method
+     * @param {string} pair1 First pair
+     * @param {string} pair2 Second pair
+     * @return {number|null} Correlation in [-1, 1], or null without enough data
+     */
+  get (pair1, pair2) {
+    if (pair1 === pair2) {
+      return 1;
+    }
+
+    const entry = this.matrix.get(this._key(pair1, pair2));
+    return entry ? entry[this.options.method] : null;
+  }
+
+  /**
+     * @notice Get the full matrix for reporting
+     * @return {object} { method, pairs, values: { A: { B: corr } }, samples: { A: { B: n } }, lastUpdate }
+     */
+  getMatrix () {
+    const pairs = this.getPairs();
+    const values = {};
+    const samples = {};
+
+    for (const pair1 of pairs) {
+      values[pair1] = {};
+      samples[pair1] = {};
+      for (const pair2 of pairs) {
+        values[pair1][pair2] = this.get(pair1, pair2);
+        samples[pair1][pair2] = pair1 === pair2
+          ? (this.returns.get(pair1) || []).length
+          : this.matrix.get(this._key(pair1, pair2))?.samples ?? 0;
+      }
+    }
+
+    return {
+      method: this.options.method,
+      pairs,
+      values,
+      samples,
+      lastUpdate: this.lastUpdate
+    };
+  }
+
+  /**
+     * @notice Drop all series and the computed matrix
+     */
+  reset () {
+    this.samples.clear();
+    this.returns.clear();
+    this.matrix.clear();
+    this.lastUpdate = null;
+  }
+
+  // ============ Estimators ============
+
+  /**
+     * @notice Pair up the returns two series share, oldest first
+     */
+  _alignReturns (pair1, pair2) {
+    const other = new Map((this.returns.get(pair2) || []).map(r => [r.bucket, r.value]));
+    const x = [];
+    const y = [];
+
+    for (const { bucket, value } of this.returns.get(pair1) || []) {
+      if (other.has(bucket)) {
+        x.push(value);
+        y.push(other.get(bucket));
+      }
+    }
+
+    return [x, y];
+  }
+
+  /**
+     * @notice Sample Pearson correlation
+     */
+  _pearson (x, y) {
+    const n = x.length;
+    const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+    const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+    for (let i = 0; i < n; i++) {
+      const dx = x[i] - meanX;
+      const dy = y[i] - meanY;
+      cov += dx * dy;
+      varX += dx * dx;
+      varY += dy * dy;
+    }
+
+    return this._ratio(cov, varX, varY);
+  }
+
+  /**
+     * @notice Exponentially weighted correlation with zero-mean returns (RiskMetrics style)
+     * @dev The newest return has weight 1 and each older one is scaled by ewmaLambda
+     */
+  _ewma (x, y) {
+    const n = x.length;
+    let weight = 1;
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+
+    for (let i = n - 1; i >= 0; i--) {
+      cov += weight * x[i] * y[i];
+      varX += weight * x[i] * x[i];
+      varY += weight * y[i] * y[i];
+      weight *= this.options.ewmaLambda;
+    }
+
+    return this._ratio(cov, varX, varY);
+  }
+
+  /**
+     * @notice Normalise a covariance, treating a flat series as uncorrelated
+     */
+  _ratio (cov, varX, varY) {
+    if (varX <= 0 || varY <= 0) {
+      return 0;
+    }
+    return Math.max(-1, Math.min(1, cov / Math.sqrt(varX * varY)));
+  }
+
+  /**
+     * @notice Order-independent key for a pair combination
+     */
+  _key (pair1, pair2) {
+    return pair1 < pair2 ? `${pair1}|${pair2}` : `${pair2}|${pair1}`;
+  }
+}
+
+export { CORRELATION_METHODS };
+export default CorrelationMatrix;
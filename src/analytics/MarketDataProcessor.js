@@ -1,6 +1,8 @@
 // ============ Imports ============
 import Logger from '../utils/Logger.js';
 import { CONFIG } from '../config/trading.js';
+import { REQUEST_PRIORITIES } from '../integrations/RequestScheduler.js';
+import { ANALYSIS_TYPES } from '../integrations/GaiaSchemas.js';
 
 // ============ Constants ============
 const NEWS_IMPACT_WEIGHTS = {
@@ -112,7 +114,7 @@ export class SentimentAnalyzer {
   /**
      * @notice Get comprehensive sentiment analysis for a trading pair
      * @param {string} pair - Trading pair (e.g., "BTC/USDT")
-     * @returns {Object} Complete sentiment analysis
+     * @returns {Object|null} Complete sentiment analysis, or null when no source gave a valid analysis
      */
   async getSentimentAnalysis (pair) {
     try {
@@ -124,6 +126,9 @@ export class SentimentAnalyzer {
 
       // Perform fresh analysis
       const sentiment = await this._analyzePairSentiment(pair);
+      if (!sentiment) {
+        return null; // No signal; nothing to cache or add to history
+      }
 
       // Cache the result
       this.sentimentCache.set(pair, {
@@ -144,7 +149,7 @@ export class SentimentAnalyzer {
   /**
      * @notice Analyze sentiment for specific trading pair
      * @param {string} pair - Trading pair
-     * @returns {Object} Sentiment analysis result
+     * @returns {Object|null} Sentiment analysis result, or null when every source failed
      */
   async _analyzePairSentiment (pair) {
     try {
@@ -158,9 +163,13 @@ export class SentimentAnalyzer {
       ]);
 
       // ============ Process Results ============
-      const news = newsAnalysis.status === 'fulfilled' ? newsAnalysis.value : this._getDefaultNews();
-      const social = socialAnalysis.status === 'fulfilled' ? socialAnalysis.value : this._getDefaultSocial();
-      const whale = whaleAnalysis.status === 'fulfilled' ? whaleAnalysis.value : this._getDefaultWhale();
+      // A source without a valid analysis is left out rather than counted as neutral
+      const news = newsAnalysis.status === 'fulfilled' ? newsAnalysis.value : null;
+      const social = socialAnalysis.status === 'fulfilled' ? socialAnalysis.value : null;
+      const whale = whaleAnalysis.status === 'fulfilled' ? whaleAnalysis.value : null;
+      if (!news && !social && !whale) {
+        return null;
+      }
 
       // ============ Calculate Composite Sentiment ============
       const compositeSentiment = this._calculateCompositeSentiment(news, social, whale);
@@ -193,7 +202,7 @@ export class SentimentAnalyzer {
   /**
      * @notice Analyze news sentiment using Gaia AI
      * @param {string} asset - Cryptocurrency asset
-     * @returns {Object} News sentiment analysis
+     * @returns {Object|null} News sentiment analysis, or null when Gaia gave no valid analysis
      */
   async _analyzeNews (asset) {
     try {
@@ -231,17 +240,12 @@ export class SentimentAnalyzer {
                 "catalysts": ["catalyst1", "catalyst2"]
             }`;
 
-      const analysis = await this.gaia.chat({
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert cryptocurrency news analyst with access to real-time news feeds, social media, and market data. Focus on factual analysis and impact assessment.'
-          },
-          { role: 'user', content: newsPrompt }
-        ]
+      const parsedNews = await this.gaia.analyze(ANALYSIS_TYPES.NEWS_SENTIMENT, newsPrompt, {
+        priority: REQUEST_PRIORITIES.SENTIMENT
       });
-
-      const parsedNews = this._parseGaiaResponse(analysis);
+      if (!parsedNews) {
+        return null;
+      }
 
       // Cache news data
       this.newsCache.set(Date.now(), {
@@ -251,17 +255,17 @@ export class SentimentAnalyzer {
       });
 
       return {
-        sentiment: parsedNews.overallSentiment || 0.5,
-        confidence: parsedNews.confidence || 0.5,
-        trend: parsedNews.trend || 'NEUTRAL',
-        impact: this._calculateNewsImpact(parsedNews.keyEvents || []),
-        events: parsedNews.keyEvents || [],
-        riskFactors: parsedNews.riskFactors || [],
-        catalysts: parsedNews.catalysts || []
+        sentiment: parsedNews.overallSentiment,
+        confidence: parsedNews.confidence,
+        trend: parsedNews.trend,
+        impact: this._calculateNewsImpact(parsedNews.keyEvents),
+        events: parsedNews.keyEvents,
+        riskFactors: parsedNews.riskFactors,
+        catalysts: parsedNews.catalysts
       };
     } catch (error) {
       this.logger.error(`Failed to analyze news for ${asset}`, { error: error.message });
-      return this._getDefaultNews();
+      return null;
     }
   }
 
@@ -277,7 +281,7 @@ export class SentimentAnalyzer {
     let totalWeight = 0;
 
     for (const event of events) {
-      const categoryWeight = NEWS_IMPACT_WEIGHTS[event.category] || 0.5;
+      const categoryWeight = NEWS_IMPACT_WEIGHTS[event.category];
       const timeWeight = event.timeframe === '1h'
         ? 1.0
         : event.timeframe === '6h' ? 0.8 : 0.6;
@@ -295,7 +299,7 @@ export class SentimentAnalyzer {
   /**
      * @notice Analyze social media sentiment using Gaia AI
      * @param {string} asset - Cryptocurrency asset
-     * @returns {Object} Social sentiment analysis
+     * @returns {Object|null} Social sentiment analysis, or null when Gaia gave no valid analysis
      */
   async _analyzeSocialSentiment (asset) {
     try {
@@ -341,17 +345,12 @@ export class SentimentAnalyzer {
                 "dominantThemes": ["theme1", "theme2"]
             }`;
 
-      const analysis = await this.gaia.chat({
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a social media sentiment analyst specializing in cryptocurrency communities. You have access to real-time social media data across all major platforms.'
-          },
-          { role: 'user', content: socialPrompt }
-        ]
+      const parsedSocial = await this.gaia.analyze(ANALYSIS_TYPES.SOCIAL_SENTIMENT, socialPrompt, {
+        priority: REQUEST_PRIORITIES.SENTIMENT
       });
-
-      const parsedSocial = this._parseGaiaResponse(analysis);
+      if (!parsedSocial) {
+        return null;
+      }
 
       // Cache social data
       this.socialCache.set(asset, {
@@ -360,20 +359,20 @@ export class SentimentAnalyzer {
       });
 
       return {
-        sentiment: parsedSocial.overallSentiment || 0.5,
-        confidence: parsedSocial.confidence || 0.5,
-        buzzLevel: parsedSocial.buzzLevel || 0.5,
-        trend: parsedSocial.trend || 'STABLE',
-        platforms: parsedSocial.platforms || {},
-        influencer: parsedSocial.influencerSentiment || 0.5,
-        community: parsedSocial.communitySentiment || 0.5,
-        fearGreed: parsedSocial.fearGreedIndex || 0.5,
-        viral: parsedSocial.viralContent || [],
-        themes: parsedSocial.dominantThemes || []
+        sentiment: parsedSocial.overallSentiment,
+        confidence: parsedSocial.confidence,
+        buzzLevel: parsedSocial.buzzLevel,
+        trend: parsedSocial.trend,
+        platforms: parsedSocial.platforms,
+        influencer: parsedSocial.influencerSentiment,
+        community: parsedSocial.communitySentiment,
+        fearGreed: parsedSocial.fearGreedIndex,
+        viral: parsedSocial.viralContent,
+        themes: parsedSocial.dominantThemes
       };
     } catch (error) {
       this.logger.error(`Failed to analyze social sentiment for ${asset}`, { error: error.message });
-      return this._getDefaultSocial();
+      return null;
     }
   }
 
@@ -382,7 +381,7 @@ export class SentimentAnalyzer {
   /**
      * @notice Analyze whale activity and its sentiment impact
      * @param {string} asset - Cryptocurrency asset
-     * @returns {Object} Whale activity sentiment analysis
+     * @returns {Object|null} Whale activity sentiment analysis, or null when Gaia gave no valid analysis
      */
   async _analyzeWhaleActivity (asset) {
     try {
@@ -425,31 +424,26 @@ export class SentimentAnalyzer {
                 "riskLevel": "HIGH" | "MEDIUM" | "LOW"
             }`;
 
-      const analysis = await this.gaia.chat({
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a blockchain analyst specializing in whale activity and large holder behavior. You have access to on-chain data, exchange flows, and derivative markets.'
-          },
-          { role: 'user', content: whalePrompt }
-        ]
+      const parsedWhale = await this.gaia.analyze(ANALYSIS_TYPES.WHALE_ACTIVITY, whalePrompt, {
+        priority: REQUEST_PRIORITIES.SENTIMENT
       });
-
-      const parsedWhale = this._parseGaiaResponse(analysis);
+      if (!parsedWhale) {
+        return null;
+      }
 
       return {
-        sentiment: parsedWhale.whaleSentiment || 0.5,
-        confidence: parsedWhale.confidence || 0.5,
-        activity: parsedWhale.activity || 'MEDIUM',
-        netFlow: parsedWhale.netFlow || 'NEUTRAL',
-        transactions: parsedWhale.largeTransactions || { count: 0, netSentiment: 0.5 },
-        exchangeFlows: parsedWhale.exchangeFlows || { net: 'NEUTRAL' },
-        smartMoney: parsedWhale.smartMoney || { sentiment: 0.5, activity: 'HOLDING' },
-        riskLevel: parsedWhale.riskLevel || 'MEDIUM'
+        sentiment: parsedWhale.whaleSentiment,
+        confidence: parsedWhale.confidence,
+        activity: parsedWhale.activity,
+        netFlow: parsedWhale.netFlow,
+        transactions: parsedWhale.largeTransactions,
+        exchangeFlows: parsedWhale.exchangeFlows,
+        smartMoney: parsedWhale.smartMoney,
+        riskLevel: parsedWhale.riskLevel
       };
     } catch (error) {
       this.logger.error(`Failed to analyze whale activity for ${asset}`, { error: error.message });
-      return this._getDefaultWhale();
+      return null;
     }
   }
 
@@ -457,22 +451,28 @@ export class SentimentAnalyzer {
 
   /**
      * @notice Calculate composite sentiment from all sources
-     * @param {Object} news - News sentiment data
-     * @param {Object} social - Social sentiment data
-     * @param {Object} whale - Whale activity data
+     * @param {Object} news - News sentiment data (null when unavailable)
+     * @param {Object} social - Social sentiment data (null when unavailable)
+     * @param {Object} whale - Whale activity data (null when unavailable)
      * @returns {Object} Composite sentiment analysis
      */
   _calculateCompositeSentiment (news, social, whale, pair = 'default') {
     try {
       // ============ Weighted Sentiment Calculation ============
+      // Weights are renormalized over the sources that returned an analysis
+      const sources = [
+        [news, this.weights.news],
+        [social, this.weights.social],
+        [whale, this.weights.whale]
+      ].filter(([source]) => source);
+      const sourceScore = sources.reduce((sum, [source, weight]) => sum + source.sentiment * weight, 0);
+      const sourceWeight = sources.reduce((sum, [, weight]) => sum + weight, 0);
       const weightedScore =
-                (news.sentiment * this.weights.news) +
-                (social.sentiment * this.weights.social) +
-                (whale.sentiment * this.weights.whale) +
-                (0.5 * this.weights.technical); // Technical placeholder
+                (sourceScore + (0.5 * this.weights.technical)) / // Technical placeholder
+                (sourceWeight + this.weights.technical);
 
       // ============ Confidence Calculation ============
-      const avgConfidence = (news.confidence + social.confidence + whale.confidence) / 3;
+      const avgConfidence = sources.reduce((sum, [source]) => sum + source.confidence, 0) / sources.length;
       const confidenceAdjustment = this._calculateConfidenceAdjustment(news, social, whale);
       const finalConfidence = Math.min(1.0, avgConfidence * confidenceAdjustment);
 
@@ -610,57 +610,6 @@ export class SentimentAnalyzer {
     }
   }
 
-  /**
-     * @notice Parse Gaia AI response into structured data
-     * @param {string} response - Raw AI response
-     * @returns {Object} Parsed structured data
-     */
-  _parseGaiaResponse (response) {
-    try {
-      // Try to extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-
-      // Fallback parsing for non-JSON responses
-      return this._parseTextResponse(response);
-    } catch (error) {
-      this.logger.warn('Failed to parse Gaia response', { response, error: error.message });
-      return {};
-    }
-  }
-
-  /**
-     * @notice Parse text response when JSON parsing fails
-     * @param {string} response - Text response
-     * @returns {Object} Extracted data
-     */
-  _parseTextResponse (response) {
-    const parsed = {
-      overallSentiment: 0.5,
-      confidence: 0.3
-    };
-
-    // Extract sentiment keywords
-    const bullishWords = ['bullish', 'positive', 'optimistic', 'good', 'strong'];
-    const bearishWords = ['bearish', 'negative', 'pessimistic', 'bad', 'weak'];
-
-    const lowerResponse = response.toLowerCase();
-    const bullishCount = bullishWords.filter(word => lowerResponse.includes(word)).length;
-    const bearishCount = bearishWords.filter(word => lowerResponse.includes(word)).length;
-
-    if (bullishCount > bearishCount) {
-      parsed.overallSentiment = 0.6 + (bullishCount * 0.1);
-      parsed.trend = 'BULLISH';
-    } else if (bearishCount > bullishCount) {
-      parsed.overallSentiment = 0.4 - (bearishCount * 0.1);
-      parsed.trend = 'BEARISH';
-    }
-
-    return parsed;
-  }
-
   // ============ Default Values ============
 
   _getDefaultSentiment (pair) {
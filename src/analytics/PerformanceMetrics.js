@@ -0,0 +1,119 @@
+// ============ Constants ============
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * @notice Share of trades that made money
+ * @param {Array<number>} tradePnLs Realised P&L per closed trade
+ * @return {number} Win rate between 0 and 1
+ */
+export function calculateWinRate (tradePnLs) {
+  if (tradePnLs.length === 0) {
+    return 0;
+  }
+  return tradePnLs.filter(pnl => pnl > 0).length / tradePnLs.length;
+}
+
+/**
+ * @notice Gross profit divided by gross loss
+ * @param {Array<number>} tradePnLs Realised P&L per closed trade
+ * @return {number} Profit factor; Infinity when there are wins and no losses, 0 with no wins
+ */
+export function calculateProfitFactor (tradePnLs) {
+  const grossProfit = tradePnLs.filter(pnl => pnl > 0).reduce((sum, pnl) => sum + pnl, 0);
+  const grossLoss = Math.abs(tradePnLs.filter(pnl => pnl < 0).reduce((sum, pnl) => sum + pnl, 0));
+
+  if (grossLoss === 0) {
+    return grossProfit > 0 ? Infinity : 0;
+  }
+  return grossProfit / grossLoss;
+}
+
+/**
+ * @notice Largest peak-to-trough decline of an equity curve
+ * @param {Array<number>} equityValues Account value at each step, oldest first
+ * @return {number} Maximum drawdown as a fraction of the running peak (0.05 = 5%)
+ */
+export function calculateMaxDrawdown (equityValues) {
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+
+  for (const value of equityValues) {
+    peak = Math.max(peak, value);
+    if (peak > 0) {
+      maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+    }
+  }
+  return maxDrawdown;
+}
+
+/**
+ * @notice Annualised Sharpe ratio of an equity curve (risk-free rate of zero)
+ * @param {Array<{timestamp: number, equity: number}>} equityCurve Equity samples, oldest first
+ * @return {number} Sharpe ratio, or 0 when returns have no variance
+ */
+export function calculateSharpeRatio (equityCurve) {
+  if (equityCurve.length < 3) {
+    return 0;
+  }
+
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    const previous = equityCurve[i - 1].equity;
+    if (previous > 0) {
+      returns.push((equityCurve[i].equity - previous) / previous);
+    }
+  }
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+  const stdDev = Math.sqrt(variance);
+  if (!(stdDev > 0)) {
+    return 0;
+  }
+
+  // Scale by the number of sampling periods per year implied by the curve spacing
+  const elapsed = equityCurve[equityCurve.length - 1].timestamp - equityCurve[0].timestamp;
+  const periodsPerYear = elapsed > 0 ? MS_PER_YEAR / (elapsed / returns.length) : returns.length;
+  return (mean / stdDev) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * @notice Summarise a trading run with the metrics reported by ScalpingAgent
+ * @param {object} params Run data
+ * @param {Array<number>} params.tradePnLs Realised P&L per closed trade
+ * @param {Array<{timestamp: number, equity: number}>} params.equityCurve Equity samples, oldest first
+ * @param {number} params.startingBalance Account value at the start of the run
+ * @return {object} Performance summary
+ */
+export function summarizePerformance ({ tradePnLs, equityCurve, startingBalance }) {
+  const currentBalance = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : startingBalance;
+  const totalProfit = currentBalance - startingBalance;
+  const totalTrades = tradePnLs.length;
+  const totalDuration = equityCurve.length > 1
+    ? equityCurve[equityCurve.length - 1].timestamp - equityCurve[0].timestamp
+    : 0;
+
+  return {
+    startingBalance,
+    currentBalance,
+    totalProfit,
+    totalTrades,
+    winningTrades: tradePnLs.filter(pnl => pnl > 0).length,
+    losingTrades: tradePnLs.filter(pnl => pnl < 0).length,
+    winRate: calculateWinRate(tradePnLs),
+    profitFactor: calculateProfitFactor(tradePnLs),
+    maxDrawdown: calculateMaxDrawdown(equityCurve.map(point => point.equity)),
+    sharpeRatio: calculateSharpeRatio(equityCurve),
+    finalMetrics: {
+      totalDuration,
+      annualizedReturn: startingBalance > 0 && totalDuration > 0
+        ? (totalProfit / startingBalance) * (MS_PER_YEAR / totalDuration)
+        : 0,
+      tradesPerHour: totalDuration > 0 ? totalTrades / (totalDuration / MS_PER_HOUR) : 0,
+      avgProfitPerTrade: totalTrades > 0
+        ? tradePnLs.reduce((sum, pnl) => sum + pnl, 0) / totalTrades
+        : 0
+    }
+  };
+}
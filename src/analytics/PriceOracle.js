@@ -0,0 +1,238 @@
+// ============ Imports ============
+import { EventEmitter } from 'events';
+import logger from '../utils/Logger.js';
+import { POSITION_EFFECTS, getPositionEffect } from '../utils/Positions.js';
+
+// ============ Constants ============
+const DEFAULT_MAX_AGE_MS = 15000;
+
+/**
+ * @title PriceOracle
+ * @author Regav-AI Team
+ * @notice Shared per-pair price cache for the strategy, risk manager and exchange clients
+ * @dev Tracks last traded price plus best bid/ask per pair with the time each was observed.
+ *      Attach a MarketDataFeed (last price from 'tick') and optionally an OrderBookFeed
+ *      (bid/ask from 'book'), or push prices with update(). A quote is stale when its
+ *      newest observation is older than `maxAgeMs` on the oracle clock; getFreshPrice()
+ *      refuses stale or missing prices so callers never trade on a guess; getTradePrice()
+ *      applies that to entries only, so a lagging feed cannot block a stop loss.
+ *
+ *      Events:
+ *      - 'price' (quote) after every update
+ */
+export class PriceOracle extends EventEmitter {
+  constructor (options = {}) {
+    super();
+
+    // ============ Configuration ============
+    this.maxAgeMs = options.maxAgeMs || parseInt(process.env.PRICE_MAX_AGE_MS) || DEFAULT_MAX_AGE_MS;
+    this.clock = options.clock || Date.now;
+
+    // ============ Oracle State ============
+    this.quotes = new Map(); // pair -> { pair, last, bid, ask, lastTimestamp, bookTimestamp, timestamp, source }
+    this.detachers = [];
+
+    if (options.marketDataFeed) {
+      this.attachMarketDataFeed(options.marketDataFeed);
+    }
+    if (options.orderBookFeed) {
+      this.attachOrderBookFeed(options.orderBookFeed);
+    }
+  }
+
+  // ============ Sources ============
+
+  /**
+     * @notice Take last prices from a market data feed
+     * @param {MarketDataFeed} feed Feed emitting 'tick' events
+     */
+  attachMarketDataFeed (feed) {
+    const onTick = ({ pair, price, timestamp }) => {
+      this.update(pair, { last: price, timestamp, source: feed.name });
+    };
+    feed.on('tick', onTick);
+    this.detachers.push(() => feed.off('tick', onTick));
+  }
+
+  /**
+     * @notice Take best bid/ask from an order book feed
+     * @param {OrderBookFeed} feed Feed emitting 'book' events
+     */
+  attachOrderBookFeed (feed) {
+    const onBook = ({ pair, timestamp }) => {
+      const book = feed.getBook(pair);
+      if (!book?.isSynced) {
+        return;
+      }
+
+      const { bid, ask } = book.getTopOfBook();
+      this.update(pair, { bid: bid?.price ?? null, ask: ask?.price ?? null, timestamp, source: feed.name });
+    };
+    feed.on('book', onBook);
+    this.detachers.push(() => feed.off('book', onBook));
+  }
+
+  /**
+     * @notice Stop listening to all attached feeds
+     */
+  detach () {
+    this.detachers.forEach(detach => detach());
+    this.detachers = [];
+  }
+
+  /**
+     * @notice Record a price observation
+     * @dev Fields left undefined keep their previous value
+     * @param {string} pair Trading pair
+     * @param {object} observation { last?, bid?, ask?, timestamp?, source? }
+     */
+  update (pair, { last, bid, ask, timestamp = this.clock(), source = 'manual' }) {
+    const previous = this.quotes.get(pair) ||
+      { pair, last: null, bid: null, ask: null, lastTimestamp: null, bookTimestamp: null, timestamp: null };
+    if (previous.timestamp !== null && timestamp < previous.timestamp) {
+      return; // Out-of-order observation
+    }
+
+    const hasLast = last !== undefined && last !== null;
+    const hasBook = bid !== undefined || ask !== undefined;
+    const quote = {
+      pair,
+      last: hasLast ? last : previous.last,
+      bid: hasBook ? bid : previous.bid,
+      ask: hasBook ? ask : previous.ask,
+      lastTimestamp: hasLast ? timestamp : previous.lastTimestamp,
+      bookTimestamp: hasBook ? timestamp : previous.bookTimestamp,
+      timestamp,
+      source
+    };
+    this.quotes.set(pair, quote);
+    this.emit('price', { ...quote });
+  }
+
+  // ============ Price Access ============
+
+  /**
+     * @notice Get the cached quote for a pair
+     * @dev `age` is measured from the newest observation. Bid, ask and mid are dropped once
+     *      the book itself is stale so a frozen book cannot outlive fresh trades.
+     * @param {string} pair Trading pair
+     * @return {object|null} { pair, last, bid, ask, mid, timestamp, age, isStale, source }
+     */
+  getQuote (pair) {
+    const quote = this.quotes.get(pair);
+    if (!quote) {
+      return null;
+    }
+
+    const now = this.clock();
+    const age = now - quote.timestamp;
+    const bookIsFresh = quote.bookTimestamp !== null && now - quote.bookTimestamp <= this.maxAgeMs;
+    const bid = bookIsFresh ? quote.bid : null;
+    const ask = bookIsFresh ? quote.ask : null;
+
+    return {
+      ...quote,
+      bid,
+      ask,
+      mid: bid && ask ? (bid + ask) / 2 : null,
+      age,
+      isStale: age > this.maxAgeMs
+    };
+  }
+
+  /**
+     * @notice Get the best available price for a pair, fresh or not
+     * @dev BUY prefers the ask and SELL the bid, falling back to mid and then last
+     * @param {string} pair Trading pair
+     * @param {string} side Optional 'BUY' or 'SELL'
+     * @return {number|null} Price or null when the pair has never been priced
+     */
+  getPrice (pair, side = null) {
+    const quote = this.getQuote(pair);
+    if (!quote) {
+      return null;
+    }
+
+    const sidePrice = side === 'BUY' ? quote.ask : side === 'SELL' ? quote.bid : null;
+    return sidePrice || quote.mid || quote.last;
+  }
+
+  /**
+     * @notice Check whether a pair's price is missing or too old to trade on
+     * @param {string} pair Trading pair
+     * @return {boolean} True when the price is missing or stale
+     */
+  isStale (pair) {
+    const quote = this.getQuote(pair);
+    return !quote || quote.isStale;
+  }
+
+  /**
+     * @notice Get a price that is safe to trade on
+     * @param {string} pair Trading pair
+     * @param {string} side Optional 'BUY' or 'SELL'
+     * @return {number} Price
+     */
+  getFreshPrice (pair, side = null) {
+    const quote = this.getQuote(pair);
+    if (!quote) {
+      throw new Error(`No price available for ${pair}`);
+    }
+    if (quote.isStale) {
+      logger.warn('Refusing stale price', { pair, age: quote.age, maxAge: this.maxAgeMs });
+      throw new Error(`Stale price for ${pair}: ${quote.age}ms old (max ${this.maxAgeMs}ms)`);
+    }
+    return this.getPrice(pair, side);
+  }
+
+  /**
+     * @notice Get the price to check a trade against
+     * @dev Entries need a fresh price (see getFreshPrice()). Exits fall back to the last
+     *      known price with a warning when the feed lags, since refusing a stop loss is
+     *      worse than checking it against an old price.
+     * @param {object} trade { pair, action, positionEffect? }
+     * @return {number|null} Price, or null for an exit on a pair that was never priced
+     */
+  getTradePrice (trade) {
+    const { pair, action } = trade;
+    if (getPositionEffect(trade) === POSITION_EFFECTS.OPEN) {
+      return this.getFreshPrice(pair, action);
+    }
+
+    const quote = this.getQuote(pair);
+    if (!quote || quote.isStale) {
+      logger.warn('Pricing exit on a stale price', { pair, age: quote?.age ?? null, maxAge: this.maxAgeMs });
+    }
+    return this.getPrice(pair, action);
+  }
+
+  // ============ Subscriptions ============
+
+  /**
+     * @notice Subscribe to price updates
+     * @param {string|Array<string>} pairs Pair, list of pairs, or '*' for all
+     * @param {Function} callback Called with each updated quote
+     * @return {Function} Unsubscribe function
+     */
+  subscribe (pairs, callback) {
+    const wanted = pairs === '*' ? null : new Set([].concat(pairs));
+    const listener = (quote) => {
+      if (!wanted || wanted.has(quote.pair)) {
+        callback(quote);
+      }
+    };
+
+    this.on('price', listener);
+    return () => this.off('price', listener);
+  }
+
+  /**
+     * @notice Get quotes for every priced pair
+     * @return {object} pair -> quote
+     */
+  getSnapshot () {
+    return Object.fromEntries(Array.from(this.quotes.keys(), pair => [pair, this.getQuote(pair)]));
+  }
+}
+
+export default PriceOracle;
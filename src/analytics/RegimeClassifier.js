@@ -0,0 +1,357 @@
+// ============ Imports ============
+import { timeframeToMs } from './feeds/index.js';
+
+// ============ Constants ============
+export const MARKET_REGIMES = {
+  TRENDING_BULL: 'TRENDING_BULL',
+  TRENDING_BEAR: 'TRENDING_BEAR',
+  RANGING: 'RANGING',
+  HIGH_VOLATILITY: 'HIGH_VOLATILITY',
+  LOW_VOLATILITY: 'LOW_VOLATILITY'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_DETECTION = {
+  volatilityThresholds: { low: 0.02, high: 0.08 },
+  trendStrengthThreshold: 0.25,
+  confidenceThreshold: 0.6
+};
+
+/**
+ * @title RegimeClassifier
+ * @author Regav-AI Team
+ * @notice Deterministic market regime classification from OHLCV bars
+ * @dev Features per pair, averaged across pairs:
+ *      - realizedVolatility: stdev of log close returns scaled to one day, so the
+ *        `volatilityThresholds` read as daily volatility (0.02 = 2%)
+ *      - trendStrength: Wilder ADX / 100, signed by +DI vs -DI (positive = up)
+ *      - liquidity: recent quote volume relative to the lookback average
+ *
+ *      A trend at or above `trendStrengthThreshold` wins, then high and low volatility,
+ *      otherwise the market is RANGING. A new regime only replaces the current one when
+ *      its confidence reaches `confidenceThreshold`, which damps flip-flopping at the
+ *      boundaries. The same bars always produce the same regime.
+ */
+export class RegimeClassifier {
+  constructor (options = {}) {
+    const detection = options.detection || {};
+
+    // ============ Configuration ============
+    this.volatilityThresholds = {
+      ...DEFAULT_DETECTION.volatilityThresholds,
+      ...detection.volatilityThresholds
+    };
+    this.trendStrengthThreshold = detection.trendStrengthThreshold ?? DEFAULT_DETECTION.trendStrengthThreshold;
+    this.confidenceThreshold = detection.confidenceThreshold ?? DEFAULT_DETECTION.confidenceThreshold;
+    this.timeframe = options.timeframe || '1m';
+    this.lookback = options.lookback || 60; // Bars used for volatility and liquidity
+    this.adxPeriod = options.adxPeriod || 14;
+    this.maxHistory = options.maxHistory || 500;
+
+    // ============ Regime State ============
+    this.current = null; // { regime, confidence, since, features }
+    this.history = []; // Closed segments { regime, confidence, start, end }
+  }
+
+  // ============ Feature Extraction ============
+
+  /**
+     * @notice Compute regime features for one pair
+     * @param {Array<object>} bars OHLCV bars, oldest first
+     * @return {object|null} { realizedVolatility, trendStrength, adx, liquidity } or null with too little data
+     */
+  computeFeatures (bars) {
+    if (!bars || bars.length < this.adxPeriod * 2 + 1) {
+      return null;
+    }
+
+    const window = bars.slice(-(this.lookback + 1));
+    return {
+      realizedVolatility: this._calculateRealizedVolatility(window),
+      ...this._calculateDirectionalTrend(bars),
+      liquidity: this._calculateLiquidity(window)
+    };
+  }
+
+  /**
+     * @notice Daily-scaled realized volatility of close-to-close log returns
+     * @param {Array<object>} bars OHLCV bars
+     * @return {number} Volatility as a fraction
+     */
+  _calculateRealizedVolatility (bars) {
+    const returns = [];
+    for (let i = 1; i < bars.length; i++) {
+      if (bars[i - 1].close > 0 && bars[i].close > 0) {
+        returns.push(Math.log(bars[i].close / bars[i - 1].close));
+      }
+    }
+    if (returns.length < 2) {
+      return 0;
+    }
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+    return Math.sqrt(variance) * Math.sqrt(MS_PER_DAY / timeframeToMs(this.timeframe));
+  }
+
+  /**
+     * @notice Wilder ADX with direction
+     * @param {Array<object>} bars OHLCV bars
+     * @return {object} { adx (0-100), trendStrength (-1 to 1) }
+     */
+  _calculateDirectionalTrend (bars) {
+    const period = this.adxPeriod;
+    let smoothedTr = 0;
+    let smoothedPlusDm = 0;
+    let smoothedMinusDm = 0;
+    let adx = null;
+    const dxValues = [];
+    let plusDi = 0;
+    let minusDi = 0;
+
+    for (let i = 1; i < bars.length; i++) {
+      const { high, low } = bars[i];
+      const previous = bars[i - 1];
+      const upMove = high - previous.high;
+      const downMove = previous.low - low;
+      const plusDm = upMove > downMove && upMove > 0 ? upMove : 0;
+      const minusDm = downMove > upMove && downMove > 0 ? downMove : 0;
+      const tr = Math.max(high - low, Math.abs(high - previous.close), Math.abs(low - previous.close));
+
+      if (i <= period) {
+        // Seed the smoothed sums with the first `period` values
+        smoothedTr += tr;
+        smoothedPlusDm += plusDm;
+        smoothedMinusDm += minusDm;
+        if (i < period) continue;
+      } else {
+        smoothedTr = smoothedTr - smoothedTr / period + tr;
+        smoothedPlusDm = smoothedPlusDm - smoothedPlusDm / period + plusDm;
+        smoothedMinusDm = smoothedMinusDm - smoothedMinusDm / period + minusDm;
+      }
+
+      plusDi = smoothedTr > 0 ? (smoothedPlusDm / smoothedTr) * 100 : 0;
+      minusDi = smoothedTr > 0 ? (smoothedMinusDm / smoothedTr) * 100 : 0;
+      const diSum = plusDi + minusDi;
+      const dx = diSum > 0 ? (Math.abs(plusDi - minusDi) / diSum) * 100 : 0;
+
+      if (adx === null) {
+        dxValues.push(dx);
+        if (dxValues.length === period) {
+          adx = dxValues.reduce((sum, value) => sum + value, 0) / period;
+        }
+      } else {
+        adx = (adx * (period - 1) + dx) / period;
+      }
+    }
+
+    const strength = (adx ?? 0) / 100;
+    return {
+      adx: adx ?? 0,
+      trendStrength: plusDi >= minusDi ? strength : -strength
+    };
+  }
+
+  /**
+     * @notice Liquidity proxy from quote volume
+     * @dev Mean quote volume of the most recent quarter of the window divided by the window
+     *      mean. Feeds without volume report 1 so liquidity never penalises them.
+     * @param {Array<object>} bars OHLCV bars
+     * @return {number} Relative liquidity (1 = average)
+     */
+  _calculateLiquidity (bars) {
+    const quoteVolumes = bars.map(bar => (bar.volume || 0) * bar.close);
+    const average = quoteVolumes.reduce((sum, value) => sum + value, 0) / quoteVolumes.length;
+    if (!(average > 0)) {
+      return 1;
+    }
+
+    const recent = quoteVolumes.slice(-Math.max(1, Math.floor(quoteVolumes.length / 4)));
+    return recent.reduce((sum, value) => sum + value, 0) / recent.length / average;
+  }
+
+  // ============ Classification ============
+
+  /**
+     * @notice Classify the market from bars of one or more pairs
+     * @param {object} barsByPair Map-like object of pair -> bars
+     * @return {object|null} { regime, confidence, features, pairs } or null with too little data
+     */
+  classify (barsByPair) {
+    const pairs = {};
+    for (const [pair, bars] of Object.entries(barsByPair)) {
+      const features = this.computeFeatures(bars);
+      if (features) {
+        pairs[pair] = features;
+      }
+    }
+
+    const samples = Object.values(pairs);
+    if (samples.length === 0) {
+      return null;
+    }
+
+    const average = (key) => samples.reduce((sum, features) => sum + features[key], 0) / samples.length;
+    const features = {
+      realizedVolatility: average('realizedVolatility'),
+      trendStrength: average('trendStrength'),
+      adx: average('adx'),
+      liquidity: average('liquidity')
+    };
+
+    const { regime, confidence } = this._classifyFeatures(features);
+    return { regime, confidence, features, pairs };
+  }
+
+  /**
+     * @notice Map averaged features to a regime and confidence
+     * @param {object} features Averaged features
+     * @return {object} { regime, confidence }
+     */
+  _classifyFeatures ({ realizedVolatility, trendStrength, liquidity }) {
+    const { low, high } = this.volatilityThresholds;
+    const trendThreshold = this.trendStrengthThreshold;
+    let regime = MARKET_REGIMES.RANGING;
+    let margin; // How far inside the regime's region the features sit, 0-1
+
+    if (Math.abs(trendStrength) >= trendThreshold) {
+      regime = trendStrength > 0 ? MARKET_REGIMES.TRENDING_BULL : MARKET_REGIMES.TRENDING_BEAR;
+      margin = (Math.abs(trendStrength) - trendThreshold) / Math.max(1 - trendThreshold, 1e-9);
+    } else if (realizedVolatility >= high) {
+      regime = MARKET_REGIMES.HIGH_VOLATILITY;
+      margin = (realizedVolatility - high) / high;
+    } else if (realizedVolatility <= low) {
+      regime = MARKET_REGIMES.LOW_VOLATILITY;
+      margin = (low - realizedVolatility) / low;
+    } else {
+      // Distance from the nearest boundary of the ranging region
+      const volatilityMargin = Math.min(realizedVolatility - low, high - realizedVolatility) / ((high - low) / 2);
+      const trendMargin = 1 - Math.abs(trendStrength) / trendThreshold;
+      margin = Math.min(volatilityMargin, trendMargin);
+    }
+
+    // Thin markets make every reading less reliable
+    const liquidityFactor = Math.min(1, 0.5 + 0.5 * liquidity);
+    const confidence = (0.5 + 0.45 * Math.min(1, Math.max(0, margin))) * liquidityFactor;
+
+    return { regime, confidence };
+  }
+
+  /**
+     * @notice Classify and record the result in the regime history
+     * @param {object} barsByPair Map-like object of pair -> bars
+     * @param {number} timestamp Time of the classification
+     * @return {object} Current regime state { regime, confidence, since, features, changed }
+     */
+  update (barsByPair, timestamp) {
+    const result = this.classify(barsByPair);
+    if (!result) {
+      return this.current ? { ...this.current, changed: false } : null;
+    }
+
+    if (!this.current) {
+      this.current = { ...result, since: timestamp };
+      return { ...this.current, changed: true };
+    }
+
+    const isNewRegime = result.regime !== this.current.regime;
+    if (isNewRegime && result.confidence < this.confidenceThreshold) {
+      // Not convinced yet; keep the current regime but refresh its features
+      this.current.features = result.features;
+      this.current.pairs = result.pairs;
+      return { ...this.current, changed: false };
+    }
+
+    if (isNewRegime) {
+      this.history.push({
+        regime: this.current.regime,
+        confidence: this.current.confidence,
+        start: this.current.since,
+        end: timestamp
+      });
+      if (this.history.length > this.maxHistory) {
+        this.history.shift();
+      }
+      this.current = { ...result, since: timestamp };
+    } else {
+      this.current = { ...result, since: this.current.since };
+    }
+
+    return { ...this.current, changed: isNewRegime };
+  }
+
+  // ============ Regime History ============
+
+  /**
+     * @notice Get past regimes and the current one, oldest first
+     * @param {number} now Time used to measure the open segment
+     * @return {Array<object>} Segments { regime, confidence, start, end, duration }
+     */
+  getHistory (now = Date.now()) {
+    const segments = this.history.map(segment => ({ ...segment, duration: segment.end - segment.start }));
+    if (this.current) {
+      segments.push({
+        regime: this.current.regime,
+        confidence: this.current.confidence,
+        start: this.current.since,
+        end: null,
+        duration: Math.max(0, now - this.current.since)
+      });
+    }
+    return segments;
+  }
+
+  /**
+     * @notice Summarise how long each regime lasts
+     * @param {number} now Time used to measure the open segment
+     * @return {object} regime -> { count, totalDuration, averageDuration }
+     */
+  getRegimeDurations (now = Date.now()) {
+    const durations = {};
+    for (const segment of this.getHistory(now)) {
+      const stats = durations[segment.regime] || { count: 0, totalDuration: 0, averageDuration: 0 };
+      stats.count++;
+      stats.totalDuration += segment.duration;
+      stats.averageDuration = stats.totalDuration / stats.count;
+      durations[segment.regime] = stats;
+    }
+    return durations;
+  }
+
+  /**
+     * @notice Empirical probabilities of moving from one regime to another
+     * @return {object} from -> { to -> probability }; rows sum to 1
+     */
+  getTransitionProbabilities () {
+    const sequence = this.history.map(segment => segment.regime);
+    if (this.current) {
+      sequence.push(this.current.regime);
+    }
+
+    const counts = {};
+    for (let i = 1; i < sequence.length; i++) {
+      const row = counts[sequence[i - 1]] || (counts[sequence[i - 1]] = {});
+      row[sequence[i]] = (row[sequence[i]] || 0) + 1;
+    }
+
+    const probabilities = {};
+    for (const [from, row] of Object.entries(counts)) {
+      const total = Object.values(row).reduce((sum, count) => sum + count, 0);
+      probabilities[from] = Object.fromEntries(
+        Object.entries(row).map(([to, count]) => [to, count / total])
+      );
+    }
+    return probabilities;
+  }
+
+  /**
+     * @notice Forget the current regime and its history
+     */
+  reset () {
+    this.current = null;
+    this.history = [];
+  }
+}
+
+export default RegimeClassifier;
@@ -11,14 +11,18 @@ import logger from '../utils/Logger.js';
  * @dev Calculates multiple technical indicators and generates trading signals
  */
 class TechnicalIndicators extends EventEmitter {
-  constructor () {
+  /**
+     * @param {object} parameters Per-indicator overrides in the shape of `this.indicators`,
+     *        e.g. { rsi: { period: 21 } }; anything left out comes from the trading config
+     */
+  constructor (parameters = {}) {
     super();
 
     // Configuration
     this.config = config.getTradingConfig();
 
     // Indicator configurations
-    this.indicators = {
+    const defaults = {
       rsi: {
         period: this.config.rsi.period,
         overbought: this.config.rsi.overbought,
@@ -46,6 +50,8 @@ class TechnicalIndicators extends EventEmitter {
         period: 14
       }
     };
+    this.indicators = Object.fromEntries(Object.entries(defaults)
+      .map(([name, settings]) => [name, { ...settings, ...parameters[name] }]));
 
     // Data storage for calculations
     this.priceData = new Map(); // symbol -> price history
@@ -414,9 +420,8 @@ class TechnicalIndicators extends EventEmitter {
         high: highs,
         low: lows,
         close: closes,
-        kPeriod: this.indicators.stochastic.kPeriod,
-        dPeriod: this.indicators.stochastic.dPeriod,
-        kSlowing: this.indicators.stochastic.kSlowing
+        period: this.indicators.stochastic.kPeriod,
+        signalPeriod: this.indicators.stochastic.dPeriod
       });
 
       const current = stochValues[stochValues.length - 1];
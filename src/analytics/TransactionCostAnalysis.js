@@ -0,0 +1,236 @@
+// ============ Imports ============
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import logger from '../utils/Logger.js';
+
+// ============ Constants ============
+const BPS = 10000;
+const DEFAULT_MAX_TRADES = 5000;
+
+const CSV_COLUMNS = [
+  'timestamp', 'tradeId', 'parentOrderId', 'pair', 'action', 'positionEffect',
+  'baseQuantity', 'notional', 'decisionPrice', 'quotePrice', 'executedPrice',
+  'delayBps', 'slippageBps', 'shortfallBps', 'shortfallUsd', 'fee', 'feeDragBps', 'gasUsed'
+];
+
+// ============ Trade Costs ============
+
+/**
+ * @notice Transaction costs of one executed trade
+ * @dev Prices are quote tokens per base and costs are signed so positive means the trade
+ *      did worse: paid more on a buy or received less on a sell.
+ *      - delay: decision (signal-time) price to quoted price
+ *      - slippage: quoted price to executed price
+ *      - implementation shortfall: decision price to executed price, plus fees
+ *      Fees are taken to be in the quote token, which the quote stablecoins make USD.
+ * @param {object} trade Completed trade from the exchange client's 'trade_executed' event
+ * @return {object|null} Cost record, or null when the trade has no executed price
+ */
+export function analyzeTrade (trade) {
+  const executedPrice = parseFloat(trade?.executedPrice);
+  if (!(executedPrice > 0)) {
+    return null;
+  }
+
+  const isBuy = String(trade.action).toUpperCase() === 'BUY';
+  const direction = isBuy ? 1 : -1;
+  const sold = parseFloat(trade.fromAmount ?? trade.amount) || 0;
+  const baseQuantity = isBuy ? sold / executedPrice : sold; // Gross of fees
+  const notional = baseQuantity * executedPrice;
+
+  const decisionPrice = parseFloat(trade.decisionPrice ?? trade.price) || null;
+  const quotePrice = parseFloat(trade.quote?.executionPrice) || null;
+  const fee = parseFloat(trade.fee) || 0;
+
+  const costBps = (from, to) => (from && to ? direction * ((to - from) / from) * BPS : null);
+  const feeDragBps = notional > 0 ? (fee / notional) * BPS : 0;
+  const priceShortfallBps = costBps(decisionPrice, executedPrice);
+
+  return {
+    timestamp: trade.filledAt || trade.timestamp || Date.now(),
+    tradeId: trade.orderId || trade.id,
+    pair: trade.pair,
+    action: trade.action,
+    positionEffect: trade.positionEffect || null,
+    parentOrderId: trade.parentOrderId || null,
+    baseQuantity,
+    notional,
+    decisionPrice,
+    quotePrice,
+    executedPrice,
+    delayBps: costBps(decisionPrice, quotePrice),
+    slippageBps: trade.slippageBps ?? costBps(quotePrice, executedPrice),
+    shortfallBps: priceShortfallBps === null ? null : priceShortfallBps + feeDragBps,
+    shortfallUsd: decisionPrice ? direction * (executedPrice - decisionPrice) * baseQuantity + fee : null,
+    fee,
+    feeDragBps,
+    gasUsed: parseFloat(trade.gasUsed) || 0
+  };
+}
+
+/**
+ * @notice Aggregate cost records
+ * @dev Bps averages are weighted by notional over the records that have the input, so
+ *      trades without a quote or decision price do not dilute them
+ * @param {Array<object>} records Records from analyzeTrade()
+ * @return {object} { trades, notional, fees, feeDragBps, delayBps, slippageBps, shortfallBps, shortfallUsd, quotedTrades }
+ */
+export function summarizeCosts (records) {
+  const weighted = (field) => {
+    const usable = records.filter(record => record[field] !== null && record.notional > 0);
+    const notional = usable.reduce((sum, record) => sum + record.notional, 0);
+    return notional > 0 ? usable.reduce((sum, record) => sum + record[field] * record.notional, 0) / notional : null;
+  };
+
+  const notional = records.reduce((sum, record) => sum + record.notional, 0);
+  const fees = records.reduce((sum, record) => sum + record.fee, 0);
+
+  return {
+    trades: records.length,
+    notional,
+    fees,
+    feeDragBps: notional > 0 ? (fees / notional) * BPS : 0,
+    delayBps: weighted('delayBps'),
+    slippageBps: weighted('slippageBps'),
+    shortfallBps: weighted('shortfallBps'),
+    shortfallUsd: records.reduce((sum, record) => sum + (record.shortfallUsd || 0), 0),
+    quotedTrades: records.filter(record => record.quotePrice !== null).length
+  };
+}
+
+/**
+ * @notice UTC hour a timestamp falls in, e.g. '2025-01-01T09:00Z'
+ */
+function getHourBucket (timestamp) {
+  return `${new Date(timestamp).toISOString().slice(0, 13)}:00Z`;
+}
+
+/**
+ * @title TransactionCostAnalyzer
+ * @author Regav-AI Team
+ * @notice Records the cost of every executed trade and reports it per pair and per hour
+ * @dev Attach it to an exchange client (RecallClient or PaperExchange) or the strategy and
+ *      it analyzes each 'trade_executed' event with analyzeTrade(). Strategy trades carry
+ *      the signal-time price as `decisionPrice` and the pre-trade quote as `quote`. Child
+ *      orders of a sliced entry keep the parent's decision price, so their shortfall
+ *      includes the drift while the parent was worked. A trade reported by more than one
+ *      source is recorded once, by trade id.
+ */
+export class TransactionCostAnalyzer {
+  /**
+     * @param {object} options
+     * @param {number} options.maxTrades Records kept, oldest dropped first
+     */
+  constructor (options = {}) {
+    // ============ Configuration ============
+    this.maxTrades = options.maxTrades || DEFAULT_MAX_TRADES;
+
+    // ============ Analyzer State ============
+    this.records = [];
+    this.tradeIds = new Set(); // Ids of the kept records
+    this.detachers = [];
+  }
+
+  // ============ Sources ============
+
+  /**
+     * @notice Analyze every trade a client executes
+     * @param {EventEmitter} client Client emitting 'trade_executed'
+     */
+  attach (client) {
+    const onTrade = (trade) => this.record(trade);
+    client.on('trade_executed', onTrade);
+    this.detachers.push(() => client.off('trade_executed', onTrade));
+  }
+
+  /**
+     * @notice Stop listening to every attached client
+     */
+  detach () {
+    this.detachers.forEach(detach => detach());
+    this.detachers = [];
+  }
+
+  /**
+     * @notice Analyze one executed trade
+     * @param {object} trade Completed trade
+     * @return {object|null} Cost record, or null when the trade could not be analyzed or was already recorded
+     */
+  record (trade) {
+    try {
+      const record = analyzeTrade(trade);
+      if (!record || (record.tradeId && this.tradeIds.has(record.tradeId))) {
+        return null;
+      }
+
+      this.records.push(record);
+      if (record.tradeId) {
+        this.tradeIds.add(record.tradeId);
+      }
+      if (this.records.length > this.maxTrades) {
+        this.tradeIds.delete(this.records.shift().tradeId);
+      }
+      return record;
+    } catch (error) {
+      logger.error('Failed to analyze trade costs', { tradeId: trade?.id, error: error.message });
+      return null;
+    }
+  }
+
+  // ============ Reports ============
+
+  /**
+     * @notice Cost report over every recorded trade
+     * @return {object} { generatedAt, summary, byPair, byHour, trades }
+     */
+  getReport () {
+    const group = (keyOf) => {
+      const groups = new Map();
+      for (const record of this.records) {
+        const key = keyOf(record);
+        groups.set(key, [...(groups.get(key) || []), record]);
+      }
+      return Object.fromEntries(Array.from(groups, ([key, records]) => [key, summarizeCosts(records)]));
+    };
+
+    return {
+      generatedAt: new Date().toISOString(),
+      summary: summarizeCosts(this.records),
+      byPair: group(record => record.pair),
+      byHour: group(record => getHourBucket(record.timestamp)),
+      trades: this.records.map(record => ({ ...record }))
+    };
+  }
+
+  /**
+     * @notice One CSV row per recorded trade
+     * @return {string} CSV with a header line
+     */
+  toCSV () {
+    const rows = this.records.map(record => CSV_COLUMNS.map(column => {
+      const value = column === 'timestamp' ? new Date(record.timestamp).toISOString() : record[column];
+      return value === null || value === undefined ? '' : String(value);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+     * @notice Write the JSON report and the per-trade CSV
+     * @param {string} directory Output directory (created if missing)
+     * @param {string} baseName File name without extension
+     * @return {object} { json, csv } paths written
+     */
+  writeReport (directory, baseName = `tca-${new Date().toISOString().replace(/[:.]/g, '-')}`) {
+    mkdirSync(directory, { recursive: true });
+    const paths = {
+      json: join(directory, `${baseName}.json`),
+      csv: join(directory, `${baseName}.csv`)
+    };
+
+    writeFileSync(paths.json, JSON.stringify(this.getReport(), null, 2));
+    writeFileSync(paths.csv, this.toCSV());
+    return paths;
+  }
+}
+
+export default TransactionCostAnalyzer;
@@ -0,0 +1,204 @@
+// ============ Constants ============
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  confidence: 0.95,
+  horizonMs: 60 * 60 * 1000 // One hour, the length of a competition round
+};
+
+/**
+ * @title ValueAtRisk
+ * @author Regav-AI Team
+ * @notice Historical and parametric Value-at-Risk and expected shortfall for a set of exposures
+ * @dev Exposures are signed USD values per pair (negative for shorts). The parametric
+ *      estimate treats returns as zero-mean normal with per-pair volatility and the
+ *      pairwise correlations supplied by the caller. The historical estimate replays the
+ *      aligned return buckets recorded by a CorrelationMatrix through the current
+ *      exposures. Both are scaled from the sample interval to the horizon by the square
+ *      root of time. Results are losses in USD, reported as positive numbers.
+ */
+export class ValueAtRisk {
+  /**
+     * @param {object} options
+     * @param {CorrelationMatrix} options.correlations Source of return series and measured volatility
+     * @param {Function} options.volatility (pair) => daily volatility used when a pair has no measured returns
+     * @param {Function} options.correlation (pair1, pair2) => correlation coefficient
+     * @param {number} options.confidence Confidence level, e.g. 0.95
+     * @param {number} options.horizonMs Risk horizon in milliseconds
+     */
+  constructor (options = {}) {
+    if (!options.correlations) {
+      throw new Error('ValueAtRisk requires a CorrelationMatrix');
+    }
+
+    this.correlations = options.correlations;
+    this.volatility = options.volatility || (() => 0.05);
+    this.correlation = options.correlation || ((pair1, pair2) => this.correlations.get(pair1, pair2) ?? 0);
+    this.confidence = options.confidence ?? DEFAULT_OPTIONS.confidence;
+    this.horizonMs = options.horizonMs ?? DEFAULT_OPTIONS.horizonMs;
+
+    if (!(this.confidence > 0.5 && this.confidence < 1)) {
+      throw new Error(`VaR confidence must be between 0.5 and 1, got ${this.confidence}`);
+    }
+  }
+
+  // ============ Estimation ============
+
+  /**
+     * @notice Estimate VaR and CVaR for a set of exposures
+     * @dev Exposures in the same pair are netted. The reported `var` and `cvar` are the
+     *      larger of the parametric and historical figures so neither model can hide a
+     *      risk the other sees.
+     * @param {Array<object>} exposures [{ pair, value }] signed USD exposure
+     * @return {object} { var, cvar, confidence, horizonMs, grossExposure, parametric, historical }
+     */
+  calculate (exposures) {
+    const netExposures = this._netExposures(exposures);
+    const grossExposure = Array.from(netExposures.values()).reduce((sum, value) => sum + Math.abs(value), 0);
+
+    const parametric = this._parametric(netExposures);
+    const historical = this._historical(netExposures);
+
+    return {
+      var: Math.max(parametric.var, historical?.var ?? 0),
+      cvar: Math.max(parametric.cvar, historical?.cvar ?? 0),
+      confidence: this.confidence,
+      horizonMs: this.horizonMs,
+      grossExposure,
+      parametric,
+      historical
+    };
+  }
+
+  /**
+     * @notice Variance-covariance estimate with zero-mean normal returns
+     * @return {object} { var, cvar, volatility } where volatility is the portfolio's USD standard deviation
+     */
+  _parametric (netExposures) {
+    const pairs = Array.from(netExposures.keys());
+    const sigmas = new Map(pairs.map(pair => [pair, this._horizonVolatility(pair)]));
+
+    let variance = 0;
+    for (const pair1 of pairs) {
+      for (const pair2 of pairs) {
+        const correlation = pair1 === pair2 ? 1 : this.correlation(pair1, pair2);
+        variance += netExposures.get(pair1) * netExposures.get(pair2) *
+          sigmas.get(pair1) * sigmas.get(pair2) * correlation;
+      }
+    }
+
+    const volatility = Math.sqrt(Math.max(0, variance));
+    const z = normalQuantile(this.confidence);
+
+    return {
+      var: z * volatility,
+      cvar: volatility * normalDensity(z) / (1 - this.confidence),
+      volatility
+    };
+  }
+
+  /**
+     * @notice Replay recorded returns through the current exposures
+     * @return {object|null} { var, cvar, samples }, or null without enough aligned history
+     */
+  _historical (netExposures) {
+    const pairs = Array.from(netExposures.keys());
+    if (pairs.length === 0) {
+      return null;
+    }
+
+    // ============ Align Return Buckets ============
+    const seriesByPair = pairs.map(pair => new Map(this.correlations.getReturns(pair).map(r => [r.bucket, r.value])));
+    const buckets = Array.from(seriesByPair[0].keys()).filter(bucket => seriesByPair.every(series => series.has(bucket)));
+    if (buckets.length < this.correlations.options.minSamples) {
+      return null;
+    }
+
+    // ============ Scenario P&L ============
+    const scale = Math.sqrt(this.horizonMs / this.correlations.options.sampleIntervalMs);
+    const pnls = buckets.map(bucket => pairs.reduce((sum, pair, i) => {
+      return sum + netExposures.get(pair) * (Math.exp(seriesByPair[i].get(bucket)) - 1);
+    }, 0) * scale).sort((a, b) => a - b);
+
+    const tailSize = Math.max(1, Math.floor(pnls.length * (1 - this.confidence)));
+    const tail = pnls.slice(0, tailSize);
+
+    return {
+      var: Math.max(0, -pnls[tailSize - 1]),
+      cvar: Math.max(0, -tail.reduce((sum, pnl) => sum + pnl, 0) / tail.length),
+      samples: pnls.length
+    };
+  }
+
+  // ============ Helpers ============
+
+  /**
+     * @notice A pair's return volatility over the horizon
+     * @dev Measured volatility is per sample interval; the fallback is treated as daily
+     */
+  _horizonVolatility (pair) {
+    const measured = this.correlations.getVolatility(pair);
+    if (measured !== null) {
+      return measured * Math.sqrt(this.horizonMs / this.correlations.options.sampleIntervalMs);
+    }
+    return this.volatility(pair) * Math.sqrt(this.horizonMs / DAY_MS);
+  }
+
+  /**
+     * @notice Sum signed exposures per pair
+     */
+  _netExposures (exposures) {
+    const net = new Map();
+    for (const { pair, value } of exposures) {
+      if (Number.isFinite(value) && value !== 0) {
+        net.set(pair, (net.get(pair) || 0) + value);
+      }
+    }
+    return net;
+  }
+}
+
+// ============ Normal Distribution ============
+
+/**
+ * @notice Standard normal density
+ * @param {number} x Point to evaluate
+ * @return {number} Density
+ */
+export function normalDensity (x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * @notice Inverse standard normal CDF
+ * @dev Acklam's rational approximation, accurate to about 1e-9 over (0, 1)
+ * @param {number} p Probability
+ * @return {number} Quantile
+ */
+export function normalQuantile (p) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const low = 0.02425;
+
+  if (p <= 0 || p >= 1) {
+    throw new Error(`Probability must be between 0 and 1, got ${p}`);
+  }
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+export default ValueAtRisk;
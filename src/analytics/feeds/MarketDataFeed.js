@@ -0,0 +1,311 @@
+// ============ Imports ============
+import { EventEmitter } from 'events';
+import logger from '../../utils/Logger.js';
+
+// ============ Constants ============
+export const DEFAULT_TIMEFRAMES = ['1s', '5s', '15s', '1m', '5m'];
+
+const TIMEFRAME_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * @notice Convert a timeframe label such as '15s' or '5m' to milliseconds
+ * @param {string} timeframe Timeframe label
+ * @return {number} Timeframe length in milliseconds
+ */
+export function timeframeToMs (timeframe) {
+  const match = /^(\d+)([smhd])$/.exec(String(timeframe).trim());
+  if (!match) {
+    throw new Error(`Invalid timeframe: ${timeframe}`);
+  }
+  return parseInt(match[1], 10) * TIMEFRAME_UNITS[match[2]];
+}
+
+/**
+ * @title MarketDataFeed
+ * @author Regav-AI Team
+ * @notice Base class for market data sources that supply per-pair OHLCV bars
+ * @dev Adapters push ticks or source bars through _ingest(); the base class aggregates
+ *      them into every configured timeframe and keeps a bounded history per pair.
+ *      Subclasses override _connect() and _disconnect() to manage their data source.
+ *
+ *      Events:
+ *      - 'tick'  { pair, price, volume, timestamp }
+ *      - 'bar'   { pair, timeframe, bar } emitted when a bar closes
+ *      - 'error' { pair, error }
+ */
+export class MarketDataFeed extends EventEmitter {
+  constructor (options = {}) {
+    super();
+
+    // ============ Configuration ============
+    this.name = options.name || 'base';
+    this.timeframes = options.timeframes || DEFAULT_TIMEFRAMES;
+    this.timeframeMs = new Map(this.timeframes.map(tf => [tf, timeframeToMs(tf)]));
+    this.maxBars = options.maxBars || 500;
+
+    // ============ Feed State ============
+    this.pairs = [];
+    this.isRunning = false;
+    this.bars = new Map(); // pair -> Map(timeframe -> bar[])
+    this.lastTicks = new Map(); // pair -> { price, volume, timestamp }
+
+    // ============ Metrics ============
+    this.metrics = {
+      ticksProcessed: 0,
+      barsClosed: 0,
+      errors: 0,
+      lastUpdate: null
+    };
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+     * @notice Start streaming data for the given pairs
+     * @param {Array<string>} pairs Trading pairs to track
+     */
+  async start (pairs = []) {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.pairs = [...pairs];
+    for (const pair of this.pairs) {
+      this._ensurePair(pair);
+    }
+
+    this.isRunning = true;
+    try {
+      await this._connect();
+    } catch (error) {
+      this.isRunning = false;
+      throw error;
+    }
+
+    logger.info('Market data feed started', {
+      feed: this.name,
+      pairs: this.pairs,
+      timeframes: this.timeframes
+    });
+  }
+
+  /**
+     * @notice Stop streaming data
+     */
+  async stop () {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    await this._disconnect();
+
+    logger.info('Market data feed stopped', {
+      feed: this.name,
+      ticksProcessed: this.metrics.ticksProcessed
+    });
+  }
+
+  /**
+     * @notice Connect to the underlying data source
+     * @dev Override in adapters
+     */
+  async _connect () {}
+
+  /**
+     * @notice Disconnect from the underlying data source
+     * @dev Override in adapters
+     */
+  async _disconnect () {}
+
+  // ============ Data Access ============
+
+  /**
+     * @notice Get OHLCV bars for a pair and timeframe, oldest first
+     * @param {string} pair Trading pair
+     * @param {string} timeframe Timeframe label
+     * @param {number} limit Maximum number of bars to return
+     * @return {Array<object>} Bars of shape { timestamp, open, high, low, close, volume }
+     */
+  getBars (pair, timeframe, limit = this.maxBars) {
+    const series = this.bars.get(pair)?.get(timeframe);
+    if (!series || series.length === 0) {
+      return [];
+    }
+    return series.slice(-limit).map(bar => ({ ...bar }));
+  }
+
+  /**
+     * @notice Get bars for every configured timeframe
+     * @param {string} pair Trading pair
+     * @param {number} limit Maximum number of bars per timeframe
+     * @return {object} Map of timeframe -> bars
+     */
+  getMultiTimeframeBars (pair, limit = this.maxBars) {
+    const result = {};
+    for (const tf of this.timeframes) {
+      result[tf] = this.getBars(pair, tf, limit);
+    }
+    return result;
+  }
+
+  /**
+     * @notice Get the most recent tick for a pair
+     * @param {string} pair Trading pair
+     * @return {object|null} Last tick or null when no data has arrived
+     */
+  getLatestTick (pair) {
+    const tick = this.lastTicks.get(pair);
+    return tick ? { ...tick } : null;
+  }
+
+  /**
+     * @notice Get the most recent price for a pair
+     * @param {string} pair Trading pair
+     * @return {number|null} Last traded price
+     */
+  getLatestPrice (pair) {
+    return this.lastTicks.get(pair)?.price ?? null;
+  }
+
+  /**
+     * @notice Check whether any data has been received for a pair
+     * @param {string} pair Trading pair
+     * @return {boolean} True when at least one tick was ingested
+     */
+  hasData (pair) {
+    return this.lastTicks.has(pair);
+  }
+
+  /**
+     * @notice Get feed metrics
+     * @return {object} Feed metrics
+     */
+  getMetrics () {
+    return {
+      feed: this.name,
+      isRunning: this.isRunning,
+      pairs: this.pairs.length,
+      ...this.metrics
+    };
+  }
+
+  /**
+     * @notice Drop all buffered data
+     */
+  reset () {
+    this.bars.clear();
+    this.lastTicks.clear();
+    this.metrics.ticksProcessed = 0;
+    this.metrics.barsClosed = 0;
+    this.metrics.errors = 0;
+    this.metrics.lastUpdate = null;
+  }
+
+  // ============ Ingestion ============
+
+  /**
+     * @notice Ingest a single trade/price tick
+     * @param {string} pair Trading pair
+     * @param {object} tick { price, volume, timestamp }
+     */
+  _ingestTick (pair, { price, volume = 0, timestamp = Date.now() }) {
+    this._ingest(pair, {
+      timestamp,
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      volume
+    });
+  }
+
+  /**
+     * @notice Ingest a source OHLCV bar and fold it into every configured timeframe
+     * @dev A source bar coarser than a target timeframe lands in a single target bar,
+     *      so finer timeframes only have real resolution when the source provides it.
+     * @param {string} pair Trading pair
+     * @param {object} bar { timestamp, open, high, low, close, volume }
+     */
+  _ingest (pair, bar) {
+    const { timestamp, open, high, low, close } = bar;
+    const volume = bar.volume || 0;
+
+    if (![open, high, low, close].every(Number.isFinite) || close <= 0) {
+      this.metrics.errors++;
+      logger.warn('Discarding invalid market data', { feed: this.name, pair, bar });
+      return;
+    }
+
+    const seriesByTimeframe = this._ensurePair(pair);
+
+    for (const [tf, tfMs] of this.timeframeMs) {
+      const series = seriesByTimeframe.get(tf);
+      const bucket = Math.floor(timestamp / tfMs) * tfMs;
+      const current = series[series.length - 1];
+
+      if (current && current.timestamp === bucket) {
+        current.high = Math.max(current.high, high);
+        current.low = Math.min(current.low, low);
+        current.close = close;
+        current.volume += volume;
+        continue;
+      }
+
+      if (current && bucket < current.timestamp) {
+        // Out-of-order data for an already closed bucket
+        continue;
+      }
+
+      if (current) {
+        this.metrics.barsClosed++;
+        this.emit('bar', { pair, timeframe: tf, bar: { ...current } });
+      }
+
+      series.push({ timestamp: bucket, open, high, low, close, volume });
+      if (series.length > this.maxBars) {
+        series.shift();
+      }
+    }
+
+    this.lastTicks.set(pair, { price: close, volume, timestamp });
+    this.metrics.ticksProcessed++;
+    this.metrics.lastUpdate = timestamp;
+
+    this.emit('tick', { pair, price: close, volume, timestamp });
+  }
+
+  /**
+     * @notice Record a data source error for a pair
+     * @param {string} pair Trading pair
+     * @param {Error} error Error raised by the source
+     */
+  _recordError (pair, error) {
+    this.metrics.errors++;
+    logger.warn('Market data feed error', { feed: this.name, pair, error: error.message });
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', { pair, error });
+    }
+  }
+
+  /**
+     * @notice Initialise bar storage for a pair
+     * @param {string} pair Trading pair
+     * @return {Map} Map of timeframe -> bars
+     */
+  _ensurePair (pair) {
+    let seriesByTimeframe = this.bars.get(pair);
+    if (!seriesByTimeframe) {
+      seriesByTimeframe = new Map(this.timeframes.map(tf => [tf, []]));
+      this.bars.set(pair, seriesByTimeframe);
+    }
+    return seriesByTimeframe;
+  }
+}
+
+export default MarketDataFeed;
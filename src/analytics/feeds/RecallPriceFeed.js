@@ -0,0 +1,72 @@
+// ============ Imports ============
+import { MarketDataFeed } from './MarketDataFeed.js';
+
+/**
+ * @title RecallPriceFeed
+ * @author Regav-AI Team
+ * @notice Market data feed that polls the Recall price endpoint for every tracked pair
+ * @dev The price endpoint only reports prices, so bars built from it carry zero volume.
+ */
+export class RecallPriceFeed extends MarketDataFeed {
+  constructor (options = {}) {
+    super({ ...options, name: 'recall' });
+
+    if (!options.recallClient) {
+      throw new Error('RecallPriceFeed requires a recallClient');
+    }
+
+    this.recallClient = options.recallClient;
+    this.pollInterval = options.pollInterval || parseInt(process.env.MARKET_DATA_POLL_INTERVAL) || 1000;
+    this.pollTimer = null;
+    this.isPolling = false;
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+     * @notice Take an initial snapshot and start polling
+     */
+  async _connect () {
+    await this._poll();
+    this.pollTimer = setInterval(() => this._poll(), this.pollInterval);
+  }
+
+  /**
+     * @notice Stop polling
+     */
+  async _disconnect () {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  // ============ Polling ============
+
+  /**
+     * @notice Fetch the latest price for every pair
+     * @dev Skips a cycle if the previous one is still in flight
+     */
+  async _poll () {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      await Promise.all(this.pairs.map(async pair => {
+        try {
+          const { price } = await this.recallClient.getPairPrice(pair);
+          // Bucket by observation time; the endpoint may serve a cached quote timestamp
+          this._ingestTick(pair, { price, volume: 0, timestamp: Date.now() });
+        } catch (error) {
+          this._recordError(pair, error);
+        }
+      }));
+    } finally {
+      this.isPolling = false;
+    }
+  }
+}
+
+export default RecallPriceFeed;
@@ -0,0 +1,281 @@
+// ============ Imports ============
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { MarketDataFeed } from './MarketDataFeed.js';
+import logger from '../../utils/Logger.js';
+
+// ============ Constants ============
+const REPLAY_MODES = {
+  REALTIME: 'realtime', // Replay with the original spacing divided by `speed`
+  STEP: 'step' // Caller advances the replay with next()
+};
+
+const TIMESTAMP_COLUMNS = ['timestamp', 'time', 'date', 'datetime'];
+const PAIR_COLUMNS = ['pair', 'symbol'];
+
+/**
+ * @title ReplayMarketDataFeed
+ * @author Regav-AI Team
+ * @notice Replays historical OHLCV bars from a CSV or JSONL file
+ * @dev CSV files need a header row with a timestamp column plus open, high, low, close
+ *      and optionally volume and pair/symbol. JSONL files hold one bar object per line
+ *      with the same field names. Timestamps may be ISO strings, epoch seconds or epoch
+ *      milliseconds. Files without a pair column are attributed to `options.pair`.
+ */
+export class ReplayMarketDataFeed extends MarketDataFeed {
+  constructor (options = {}) {
+    super({ ...options, name: 'replay' });
+
+    if (!options.filePath) {
+      throw new Error('ReplayMarketDataFeed requires a filePath');
+    }
+
+    this.filePath = options.filePath;
+    this.defaultPair = options.pair || null;
+    this.mode = options.mode || REPLAY_MODES.REALTIME;
+    this.speed = options.speed || 1;
+    this.from = options.from ? this._parseTimestamp(options.from) : null;
+    this.to = options.to ? this._parseTimestamp(options.to) : null;
+
+    this.rows = [];
+    this.cursor = 0;
+    this.isLoaded = false;
+    this.replayTimer = null;
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+     * @notice Load the replay file and, in realtime mode, start replaying
+     */
+  async _connect () {
+    await this.load();
+
+    if (this.mode === REPLAY_MODES.REALTIME) {
+      this._scheduleNext();
+    }
+  }
+
+  /**
+     * @notice Stop the replay timer
+     */
+  async _disconnect () {
+    if (this.replayTimer) {
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+    }
+  }
+
+  // ============ Replay Control ============
+
+  /**
+     * @notice Read and parse the replay file
+     * @return {number} Number of bars loaded for the tracked pairs
+     */
+  async load () {
+    if (this.isLoaded) {
+      return this.rows.length;
+    }
+
+    const content = await readFile(this.filePath, 'utf8');
+    const extension = path.extname(this.filePath).toLowerCase();
+    const parsed = extension === '.csv' ? this._parseCsv(content) : this._parseJsonl(content);
+
+    this.rows = parsed
+      .filter(row => this.pairs.length === 0 || this.pairs.includes(row.pair))
+      .filter(row => (this.from === null || row.timestamp >= this.from) && (this.to === null || row.timestamp <= this.to))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    this.cursor = 0;
+    this.isLoaded = true;
+
+    logger.info('Replay data loaded', {
+      file: this.filePath,
+      bars: this.rows.length,
+      from: this.rows[0] ? new Date(this.rows[0].timestamp).toISOString() : null,
+      to: this.rows.length ? new Date(this.rows[this.rows.length - 1].timestamp).toISOString() : null
+    });
+
+    return this.rows.length;
+  }
+
+  /**
+     * @notice Check whether more bars are left to replay
+     * @return {boolean} True when next() will return a bar
+     */
+  hasNext () {
+    return this.cursor < this.rows.length;
+  }
+
+  /**
+     * @notice Replay the next bar
+     * @return {object|null} The replayed bar ({ pair, timestamp, open, high, low, close, volume }) or null at the end
+     */
+  next () {
+    if (!this.hasNext()) {
+      return null;
+    }
+
+    const row = this.rows[this.cursor++];
+    this._ingest(row.pair, row);
+
+    if (!this.hasNext()) {
+      this.emit('end', { bars: this.rows.length });
+    }
+
+    return { ...row };
+  }
+
+  /**
+     * @notice Get the timestamp of the bar most recently replayed
+     * @return {number|null} Replay clock in milliseconds
+     */
+  getCurrentTime () {
+    return this.cursor > 0 ? this.rows[this.cursor - 1].timestamp : null;
+  }
+
+  /**
+     * @notice Get the timestamp of the bar next() will replay
+     * @return {number|null} Timestamp in milliseconds or null at the end
+     */
+  getNextTime () {
+    return this.hasNext() ? this.rows[this.cursor].timestamp : null;
+  }
+
+  /**
+     * @notice Rewind the replay to the first bar and clear aggregated data
+     */
+  rewind () {
+    this.cursor = 0;
+    this.reset();
+  }
+
+  /**
+     * @notice Schedule the next bar using the original spacing scaled by speed
+     */
+  _scheduleNext () {
+    if (!this.isRunning) {
+      return;
+    }
+
+    const current = this.next();
+    if (!current || !this.hasNext()) {
+      return;
+    }
+
+    const gap = this.rows[this.cursor].timestamp - current.timestamp;
+    this.replayTimer = setTimeout(() => this._scheduleNext(), Math.max(0, gap / this.speed));
+  }
+
+  // ============ Parsing ============
+
+  /**
+     * @notice Parse CSV content into bars
+     * @param {string} content File content
+     * @return {Array<object>} Parsed bars
+     */
+  _parseCsv (content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+    const rows = [];
+
+    for (let i = 1; i < lines.length; i++) {
+      const values = lines[i].split(',');
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = values[index]?.trim();
+      });
+
+      const row = this._normalizeRow(record, i + 1);
+      if (row) {
+        rows.push(row);
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+     * @notice Parse JSONL content into bars
+     * @param {string} content File content
+     * @return {Array<object>} Parsed bars
+     */
+  _parseJsonl (content) {
+    const rows = [];
+    const lines = content.split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      try {
+        const record = Object.fromEntries(
+          Object.entries(JSON.parse(line)).map(([key, value]) => [key.toLowerCase(), value])
+        );
+        const row = this._normalizeRow(record, index + 1);
+        if (row) {
+          rows.push(row);
+        }
+      } catch (error) {
+        logger.warn('Skipping malformed replay line', { file: this.filePath, line: index + 1, error: error.message });
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+     * @notice Normalise a raw record into a bar
+     * @param {object} record Record keyed by lower-case column name
+     * @param {number} lineNumber Source line for diagnostics
+     * @return {object|null} Normalised bar or null if the record is unusable
+     */
+  _normalizeRow (record, lineNumber) {
+    const timestampField = TIMESTAMP_COLUMNS.find(column => record[column] !== undefined);
+    const pairField = PAIR_COLUMNS.find(column => record[column] !== undefined);
+    const pair = pairField ? String(record[pairField]) : this.defaultPair;
+
+    const row = {
+      pair,
+      timestamp: timestampField ? this._parseTimestamp(record[timestampField]) : NaN,
+      open: parseFloat(record.open),
+      high: parseFloat(record.high),
+      low: parseFloat(record.low),
+      close: parseFloat(record.close),
+      volume: parseFloat(record.volume) || 0
+    };
+
+    if (!row.pair || !Number.isFinite(row.timestamp) || !Number.isFinite(row.close)) {
+      logger.warn('Skipping incomplete replay row', { file: this.filePath, line: lineNumber });
+      return null;
+    }
+
+    return row;
+  }
+
+  /**
+     * @notice Parse ISO strings, epoch seconds or epoch milliseconds
+     * @param {string|number|Date} value Timestamp value
+     * @return {number} Epoch milliseconds
+     */
+  _parseTimestamp (value) {
+    if (value instanceof Date) {
+      return value.getTime();
+    }
+
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+      return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+
+    return new Date(value).getTime();
+  }
+}
+
+export { REPLAY_MODES };
+export default ReplayMarketDataFeed;
@@ -0,0 +1,117 @@
+// ============ Imports ============
+import { MarketDataFeed } from './MarketDataFeed.js';
+
+// ============ Constants ============
+const DEFAULT_INITIAL_PRICES = {
+  'BTC/USDT': 43000,
+  'ETH/USDT': 2600,
+  'SOL/USDC': 95,
+  'XRP/USDT': 0.6,
+  'DOGE/USDT': 0.08
+};
+
+/**
+ * @notice Small deterministic PRNG (mulberry32) so synthetic runs are reproducible
+ * @param {number} state Initial 32-bit state
+ * @return {Function} Generator returning floats in [0, 1)
+ */
+function createRandom (state) {
+  let t = state >>> 0;
+  return () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), t | 1);
+    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @title SyntheticMarketDataFeed
+ * @author Regav-AI Team
+ * @notice In-memory feed generating geometric Brownian motion prices per pair
+ * @dev Intended for tests and dry runs. With the same `seed` and `startTime` the
+ *      generated series is identical between runs. Call step() to advance a virtual
+ *      clock synchronously, or start() with `realtime: true` to tick on a timer.
+ */
+export class SyntheticMarketDataFeed extends MarketDataFeed {
+  constructor (options = {}) {
+    super({ ...options, name: 'synthetic' });
+
+    this.initialPrices = { ...DEFAULT_INITIAL_PRICES, ...options.initialPrices };
+    this.volatility = options.volatility ?? 0.0005; // Per-tick standard deviation of log returns
+    this.drift = options.drift ?? 0; // Per-tick mean log return
+    this.baseVolume = options.baseVolume ?? 1000;
+    this.tickInterval = options.tickInterval || 1000;
+    this.realtime = options.realtime ?? false;
+    this.random = createRandom(options.seed ?? 42);
+
+    this.clock = options.startTime ?? Date.now();
+    this.prices = new Map(); // pair -> current price
+    this.tickTimer = null;
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+     * @notice Start ticking on a timer when running in realtime mode
+     */
+  async _connect () {
+    if (this.realtime) {
+      this.clock = Date.now();
+      this.tickTimer = setInterval(() => this.step(), this.tickInterval);
+    }
+  }
+
+  /**
+     * @notice Stop the realtime timer
+     */
+  async _disconnect () {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+
+  // ============ Generation ============
+
+  /**
+     * @notice Advance the virtual clock and emit one tick per pair
+     * @param {number} count Number of ticks to generate
+     * @return {number} Virtual clock after the last tick
+     */
+  step (count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.clock += this.tickInterval;
+      for (const pair of this.pairs) {
+        const price = this._nextPrice(pair);
+        const volume = this.baseVolume * (0.5 + this.random());
+        this._ingestTick(pair, { price, volume, timestamp: this.clock });
+      }
+    }
+    return this.clock;
+  }
+
+  /**
+     * @notice Generate the next GBM price for a pair
+     * @param {string} pair Trading pair
+     * @return {number} Next price
+     */
+  _nextPrice (pair) {
+    const previous = this.prices.get(pair) ?? this.initialPrices[pair] ?? 100;
+    const next = previous * Math.exp(this.drift + this.volatility * this._gaussian());
+    this.prices.set(pair, next);
+    return next;
+  }
+
+  /**
+     * @notice Standard normal sample via Box-Muller
+     * @return {number} Sample from N(0, 1)
+     */
+  _gaussian () {
+    const u1 = Math.max(this.random(), Number.EPSILON);
+    const u2 = this.random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+}
+
+export default SyntheticMarketDataFeed;
@@ -0,0 +1,48 @@
+// ============ Imports ============
+import { MarketDataFeed, DEFAULT_TIMEFRAMES, timeframeToMs } from './MarketDataFeed.js';
+import { RecallPriceFeed } from './RecallPriceFeed.js';
+import { ReplayMarketDataFeed, REPLAY_MODES } from './ReplayMarketDataFeed.js';
+import { SyntheticMarketDataFeed } from './SyntheticMarketDataFeed.js';
+
+// ============ Constants ============
+const FEED_TYPES = {
+  RECALL: 'recall',
+  REPLAY: 'replay',
+  SYNTHETIC: 'synthetic'
+};
+
+/**
+ * @notice Create a market data feed
+ * @dev The feed type defaults to MARKET_DATA_FEED, then 'recall'. Replay feeds read
+ *      MARKET_DATA_REPLAY_PATH when no filePath is given.
+ * @param {object} options Feed options plus `type` and, for Recall, `recallClient`
+ * @return {MarketDataFeed} Configured feed (not yet started)
+ */
+export function createMarketDataFeed (options = {}) {
+  const type = (options.type || process.env.MARKET_DATA_FEED || FEED_TYPES.RECALL).toLowerCase();
+
+  switch (type) {
+    case FEED_TYPES.RECALL:
+      return new RecallPriceFeed(options);
+    case FEED_TYPES.REPLAY:
+      return new ReplayMarketDataFeed({
+        ...options,
+        filePath: options.filePath || process.env.MARKET_DATA_REPLAY_PATH
+      });
+    case FEED_TYPES.SYNTHETIC:
+      return new SyntheticMarketDataFeed({ realtime: true, ...options });
+    default:
+      throw new Error(`Unknown market data feed type: ${type}`);
+  }
+}
+
+export {
+  FEED_TYPES,
+  REPLAY_MODES,
+  DEFAULT_TIMEFRAMES,
+  timeframeToMs,
+  MarketDataFeed,
+  RecallPriceFeed,
+  ReplayMarketDataFeed,
+  SyntheticMarketDataFeed
+};
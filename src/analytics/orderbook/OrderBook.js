@@ -0,0 +1,244 @@
+// ============ Constants ============
+const SIDES = {
+  BID: 'bids',
+  ASK: 'asks'
+};
+
+/**
+ * @title OrderBook
+ * @author Regav-AI Team
+ * @notice Level 2 order book for a single pair
+ * @dev Levels are kept as price -> size maps and rebuilt from a snapshot, then patched by
+ *      incremental updates where a size of 0 removes the level. When both the book and an
+ *      update carry a `sequence`, stale updates are ignored and a gap marks the book as
+ *      out of sync until the next snapshot.
+ */
+export class OrderBook {
+  constructor (pair) {
+    this.pair = pair;
+    this.bids = new Map(); // price -> size
+    this.asks = new Map(); // price -> size
+    this.sequence = null;
+    this.timestamp = null;
+    this.isSynced = false;
+  }
+
+  // ============ Updates ============
+
+  /**
+     * @notice Replace the book with a full snapshot
+     * @param {object} snapshot { bids: [[price, size]], asks: [[price, size]], sequence?, timestamp? }
+     */
+  applySnapshot ({ bids = [], asks = [], sequence = null, timestamp = Date.now() }) {
+    this.bids.clear();
+    this.asks.clear();
+    this._applyLevels(SIDES.BID, bids);
+    this._applyLevels(SIDES.ASK, asks);
+
+    this.sequence = sequence;
+    this.timestamp = timestamp;
+    this.isSynced = true;
+  }
+
+  /**
+     * @notice Apply an incremental update
+     * @param {object} update { bids: [[price, size]], asks: [[price, size]], sequence?, timestamp? }
+     * @return {boolean} True when the update was applied
+     */
+  applyUpdate ({ bids = [], asks = [], sequence = null, timestamp = Date.now() }) {
+    if (!this.isSynced) {
+      return false;
+    }
+
+    if (sequence !== null && this.sequence !== null) {
+      if (sequence <= this.sequence) {
+        return false; // Already reflected in the snapshot
+      }
+      if (sequence > this.sequence + 1) {
+        this.isSynced = false; // Missed updates; wait for a fresh snapshot
+        return false;
+      }
+    }
+
+    this._applyLevels(SIDES.BID, bids);
+    this._applyLevels(SIDES.ASK, asks);
+
+    this.sequence = sequence ?? this.sequence;
+    this.timestamp = timestamp;
+    return true;
+  }
+
+  /**
+     * @notice Set or remove price levels on one side
+     * @param {string} side 'bids' or 'asks'
+     * @param {Array} levels [[price, size]] or [{ price, size }]
+     */
+  _applyLevels (side, levels) {
+    const book = this[side];
+
+    for (const level of levels) {
+      const price = parseFloat(Array.isArray(level) ? level[0] : level.price);
+      const size = parseFloat(Array.isArray(level) ? level[1] : level.size);
+      if (!Number.isFinite(price) || price <= 0 || !Number.isFinite(size)) {
+        continue;
+      }
+
+      if (size <= 0) {
+        book.delete(price);
+      } else {
+        book.set(price, size);
+      }
+    }
+  }
+
+  // ============ Book Access ============
+
+  /**
+     * @notice Get sorted levels for one side, best first
+     * @param {string} side 'bids' or 'asks'
+     * @param {number} limit Maximum number of levels
+     * @return {Array<{price: number, size: number}>} Levels
+     */
+  getLevels (side, limit = Infinity) {
+    const direction = side === SIDES.BID ? -1 : 1;
+    return Array.from(this[side], ([price, size]) => ({ price, size }))
+      .sort((a, b) => (a.price - b.price) * direction)
+      .slice(0, limit);
+  }
+
+  /**
+     * @notice Get the best bid and ask
+     * @return {object} { bid, ask } levels, either may be null
+     */
+  getTopOfBook () {
+    return {
+      bid: this.getLevels(SIDES.BID, 1)[0] || null,
+      ask: this.getLevels(SIDES.ASK, 1)[0] || null
+    };
+  }
+
+  /**
+     * @notice Check whether both sides have at least one level
+     * @return {boolean} True when a mid price can be computed
+     */
+  isTwoSided () {
+    return this.bids.size > 0 && this.asks.size > 0;
+  }
+
+  // ============ Microstructure Metrics ============
+
+  /**
+     * @notice Mid price between the best bid and ask
+     * @return {number|null} Mid price
+     */
+  getMidPrice () {
+    const { bid, ask } = this.getTopOfBook();
+    return bid && ask ? (bid.price + ask.price) / 2 : null;
+  }
+
+  /**
+     * @notice Size-weighted mid price of the top of book
+     * @dev Leans towards the side with less resting size, where the next trade is more likely
+     * @return {number|null} Microprice
+     */
+  getMicroprice () {
+    const { bid, ask } = this.getTopOfBook();
+    if (!bid || !ask) {
+      return null;
+    }
+    return (bid.price * ask.size + ask.price * bid.size) / (bid.size + ask.size);
+  }
+
+  /**
+     * @notice Bid-ask spread in basis points of the mid price
+     * @return {number|null} Spread in bps
+     */
+  getSpreadBps () {
+    const { bid, ask } = this.getTopOfBook();
+    if (!bid || !ask) {
+      return null;
+    }
+    return ((ask.price - bid.price) / ((bid.price + ask.price) / 2)) * 10000;
+  }
+
+  /**
+     * @notice Depth-weighted bid/ask imbalance
+     * @dev Each level's notional is weighted by exp(-distance / decayBps) from the mid, so
+     *      liquidity near the touch dominates. Levels further than depthBps are ignored.
+     * @param {object} options { depthBps, decayBps }
+     * @return {object} { imbalance in [-1, 1], bidNotional, askNotional, levels }
+     */
+  getDepthImbalance ({ depthBps = 50, decayBps = 10 } = {}) {
+    const mid = this.getMidPrice();
+    if (!mid) {
+      return { imbalance: 0, bidNotional: 0, askNotional: 0, levels: 0 };
+    }
+
+    let weightedBid = 0;
+    let weightedAsk = 0;
+    let bidNotional = 0;
+    let askNotional = 0;
+    let levels = 0;
+
+    for (const side of [SIDES.BID, SIDES.ASK]) {
+      for (const [price, size] of this[side]) {
+        const distanceBps = (Math.abs(price - mid) / mid) * 10000;
+        if (distanceBps > depthBps) continue;
+
+        const notional = price * size;
+        const weighted = notional * Math.exp(-distanceBps / decayBps);
+        if (side === SIDES.BID) {
+          bidNotional += notional;
+          weightedBid += weighted;
+        } else {
+          askNotional += notional;
+          weightedAsk += weighted;
+        }
+        levels++;
+      }
+    }
+
+    const total = weightedBid + weightedAsk;
+    return {
+      imbalance: total > 0 ? (weightedBid - weightedAsk) / total : 0,
+      bidNotional,
+      askNotional,
+      levels
+    };
+  }
+
+  /**
+     * @notice Find resting levels much larger than the typical level in range
+     * @param {object} options { depthBps, multiplier, minNotional }
+     * @return {Array<object>} Large orders { side, price, quantity, size (notional) }
+     */
+  detectLargeOrders ({ depthBps = 50, multiplier = 5, minNotional = 0 } = {}) {
+    const mid = this.getMidPrice();
+    if (!mid) {
+      return [];
+    }
+
+    const inRange = [];
+    for (const side of [SIDES.BID, SIDES.ASK]) {
+      for (const [price, quantity] of this[side]) {
+        if ((Math.abs(price - mid) / mid) * 10000 <= depthBps) {
+          inRange.push({ side: side === SIDES.BID ? 'BUY' : 'SELL', price, quantity, size: price * quantity });
+        }
+      }
+    }
+    if (inRange.length === 0) {
+      return [];
+    }
+
+    const notionals = inRange.map(level => level.size).sort((a, b) => a - b);
+    const median = notionals[Math.floor(notionals.length / 2)];
+    const threshold = Math.max(minNotional, median * multiplier);
+
+    return inRange
+      .filter(level => level.size >= threshold)
+      .map(level => ({ ...level, timestamp: this.timestamp }));
+  }
+}
+
+export { SIDES };
+export default OrderBook;
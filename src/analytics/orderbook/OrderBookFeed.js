@@ -0,0 +1,230 @@
+// ============ Imports ============
+import { EventEmitter } from 'events';
+import { OrderBook } from './OrderBook.js';
+import logger from '../../utils/Logger.js';
+
+/**
+ * @title OrderBookFeed
+ * @author Regav-AI Team
+ * @notice Base class for sources of L2 order book data
+ * @dev Keeps one OrderBook per pair. Adapters push data through applySnapshot() and
+ *      applyUpdate() and override _connect() and _disconnect() to manage their source.
+ *      analyze() turns a book into the microstructure features used by TradingStrategy.
+ *
+ *      Events:
+ *      - 'book'   { pair, type, timestamp } after a snapshot or update is applied
+ *      - 'resync' { pair, sequence } when a sequence gap invalidates a book
+ */
+export class OrderBookFeed extends EventEmitter {
+  constructor (options = {}) {
+    super();
+
+    // ============ Configuration ============
+    this.name = options.name || 'base';
+    this.depthBps = options.depthBps ?? 50; // Levels further than this from mid are ignored
+    this.decayBps = options.decayBps ?? 10; // Distance at which a level's weight falls to 1/e
+    this.largeOrderMultiplier = options.largeOrderMultiplier ?? 5; // x median level notional
+    this.minLargeOrderNotional = options.minLargeOrderNotional ?? 0;
+
+    // ============ Feed State ============
+    this.pairs = [];
+    this.isRunning = false;
+    this.books = new Map(); // pair -> OrderBook
+
+    // ============ Metrics ============
+    this.metrics = {
+      snapshots: 0,
+      updates: 0,
+      droppedUpdates: 0,
+      resyncs: 0,
+      lastUpdate: null
+    };
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+     * @notice Start streaming order books for the given pairs
+     * @param {Array<string>} pairs Trading pairs to track
+     */
+  async start (pairs = []) {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.pairs = [...pairs];
+    this.isRunning = true;
+    try {
+      await this._connect();
+    } catch (error) {
+      this.isRunning = false;
+      throw error;
+    }
+
+    logger.info('Order book feed started', { feed: this.name, pairs: this.pairs });
+  }
+
+  /**
+     * @notice Stop streaming order books
+     */
+  async stop () {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    await this._disconnect();
+
+    logger.info('Order book feed stopped', { feed: this.name, ...this.metrics });
+  }
+
+  /**
+     * @notice Connect to the underlying data source
+     * @dev Override in adapters
+     */
+  async _connect () {}
+
+  /**
+     * @notice Disconnect from the underlying data source
+     * @dev Override in adapters
+     */
+  async _disconnect () {}
+
+  // ============ Ingestion ============
+
+  /**
+     * @notice Replace a pair's book with a full snapshot
+     * @param {string} pair Trading pair
+     * @param {object} snapshot { bids, asks, sequence?, timestamp? }
+     */
+  applySnapshot (pair, snapshot) {
+    const book = this._ensureBook(pair);
+    book.applySnapshot(snapshot);
+
+    this.metrics.snapshots++;
+    this.metrics.lastUpdate = book.timestamp;
+    this.emit('book', { pair, type: 'snapshot', timestamp: book.timestamp });
+  }
+
+  /**
+     * @notice Apply an incremental update to a pair's book
+     * @param {string} pair Trading pair
+     * @param {object} update { bids, asks, sequence?, timestamp? }
+     * @return {boolean} True when the update was applied
+     */
+  applyUpdate (pair, update) {
+    const book = this._ensureBook(pair);
+    const wasSynced = book.isSynced;
+
+    if (!book.applyUpdate(update)) {
+      this.metrics.droppedUpdates++;
+      if (wasSynced && !book.isSynced) {
+        this.metrics.resyncs++;
+        logger.warn('Order book sequence gap, waiting for snapshot', {
+          feed: this.name,
+          pair,
+          expected: book.sequence + 1,
+          received: update.sequence
+        });
+        this.emit('resync', { pair, sequence: update.sequence });
+      }
+      return false;
+    }
+
+    this.metrics.updates++;
+    this.metrics.lastUpdate = book.timestamp;
+    this.emit('book', { pair, type: 'update', timestamp: book.timestamp });
+    return true;
+  }
+
+  // ============ Data Access ============
+
+  /**
+     * @notice Get the book for a pair
+     * @param {string} pair Trading pair
+     * @return {OrderBook|null} Book or null when no data has arrived
+     */
+  getBook (pair) {
+    return this.books.get(pair) || null;
+  }
+
+  /**
+     * @notice Check whether a pair has a usable two-sided book
+     * @param {string} pair Trading pair
+     * @return {boolean} True when the book is synced and two-sided
+     */
+  hasBook (pair) {
+    const book = this.books.get(pair);
+    return !!book && book.isSynced && book.isTwoSided();
+  }
+
+  /**
+     * @notice Compute microstructure features for a pair
+     * @dev `bidVolume`, `askVolume` and large order `size` are quote notionals within depthBps.
+     * @param {string} pair Trading pair
+     * @return {object|null} Order book analysis, or null without a usable book
+     */
+  analyze (pair) {
+    if (!this.hasBook(pair)) {
+      return null;
+    }
+
+    const book = this.books.get(pair);
+    const { bid, ask } = book.getTopOfBook();
+    const midPrice = book.getMidPrice();
+    const spreadBps = book.getSpreadBps();
+    const depth = book.getDepthImbalance({ depthBps: this.depthBps, decayBps: this.decayBps });
+    const largeOrders = book.detectLargeOrders({
+      depthBps: this.depthBps,
+      multiplier: this.largeOrderMultiplier,
+      minNotional: this.minLargeOrderNotional
+    });
+
+    return {
+      pair,
+      timestamp: book.timestamp,
+      bidPrice: bid.price,
+      askPrice: ask.price,
+      midPrice,
+      microprice: book.getMicroprice(),
+      spread: ask.price - bid.price,
+      spreadBps,
+      spreadTightness: 1 - spreadBps / 10000,
+      bidVolume: depth.bidNotional,
+      askVolume: depth.askNotional,
+      imbalance: depth.imbalance,
+      pricelevels: depth.levels,
+      largeOrders,
+      largeOrderFlow: largeOrders.reduce((sum, order) => sum + (order.side === 'BUY' ? order.size : -order.size), 0)
+    };
+  }
+
+  /**
+     * @notice Get feed metrics
+     * @return {object} Feed metrics
+     */
+  getMetrics () {
+    return {
+      feed: this.name,
+      isRunning: this.isRunning,
+      books: this.books.size,
+      ...this.metrics
+    };
+  }
+
+  /**
+     * @notice Create the book for a pair on first use
+     * @param {string} pair Trading pair
+     * @return {OrderBook} Book
+     */
+  _ensureBook (pair) {
+    let book = this.books.get(pair);
+    if (!book) {
+      book = new OrderBook(pair);
+      this.books.set(pair, book);
+    }
+    return book;
+  }
+}
+
+export default OrderBookFeed;
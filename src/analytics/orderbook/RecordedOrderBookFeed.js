@@ -0,0 +1,218 @@
+// ============ Imports ============
+import { readFile } from 'fs/promises';
+import { OrderBookFeed } from './OrderBookFeed.js';
+import { REPLAY_MODES } from '../feeds/index.js';
+import logger from '../../utils/Logger.js';
+
+// ============ Constants ============
+const MESSAGE_TYPES = {
+  SNAPSHOT: 'snapshot',
+  UPDATE: 'update'
+};
+
+/**
+ * @title RecordedOrderBookFeed
+ * @author Regav-AI Team
+ * @notice Replays recorded L2 snapshots and updates from a JSONL file
+ * @dev One message per line:
+ *      {"type":"snapshot","pair":"BTC/USDT","timestamp":1735689600000,"sequence":1,
+ *       "bids":[[43000,1.2]],"asks":[[43001,0.8]]}
+ *      Updates use `"type":"update"` and only list changed levels; a size of 0 removes
+ *      the level. Timestamps may be ISO strings, epoch seconds or epoch milliseconds.
+ *      In step mode the caller advances the replay with next() or advanceTo(), which
+ *      keeps the books aligned with a ReplayMarketDataFeed clock.
+ */
+export class RecordedOrderBookFeed extends OrderBookFeed {
+  constructor (options = {}) {
+    super({ ...options, name: 'recorded' });
+
+    if (!options.filePath) {
+      throw new Error('RecordedOrderBookFeed requires a filePath');
+    }
+
+    this.filePath = options.filePath;
+    this.mode = options.mode || REPLAY_MODES.STEP;
+    this.speed = options.speed || 1;
+
+    this.messages = [];
+    this.cursor = 0;
+    this.isLoaded = false;
+    this.replayTimer = null;
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+     * @notice Load the recording and, in realtime mode, start replaying
+     */
+  async _connect () {
+    await this.load();
+
+    if (this.mode === REPLAY_MODES.REALTIME) {
+      this._scheduleNext();
+    }
+  }
+
+  /**
+     * @notice Stop the replay timer
+     */
+  async _disconnect () {
+    if (this.replayTimer) {
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+    }
+  }
+
+  // ============ Replay Control ============
+
+  /**
+     * @notice Read and parse the recording
+     * @return {number} Number of messages loaded for the tracked pairs
+     */
+  async load () {
+    if (this.isLoaded) {
+      return this.messages.length;
+    }
+
+    const content = await readFile(this.filePath, 'utf8');
+    const messages = [];
+
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      try {
+        const message = this._normalizeMessage(JSON.parse(line));
+        if (message) {
+          messages.push(message);
+        } else {
+          logger.warn('Skipping incomplete order book message', { file: this.filePath, line: index + 1 });
+        }
+      } catch (error) {
+        logger.warn('Skipping malformed order book line', { file: this.filePath, line: index + 1, error: error.message });
+      }
+    });
+
+    // Stable sort keeps the recorded order for messages sharing a timestamp
+    this.messages = messages
+      .filter(message => this.pairs.length === 0 || this.pairs.includes(message.pair))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    this.cursor = 0;
+    this.isLoaded = true;
+
+    logger.info('Order book recording loaded', { file: this.filePath, messages: this.messages.length });
+    return this.messages.length;
+  }
+
+  /**
+     * @notice Check whether more messages are left to replay
+     * @return {boolean} True when next() will apply a message
+     */
+  hasNext () {
+    return this.cursor < this.messages.length;
+  }
+
+  /**
+     * @notice Apply the next recorded message
+     * @return {object|null} The applied message or null at the end
+     */
+  next () {
+    if (!this.hasNext()) {
+      return null;
+    }
+
+    const message = this.messages[this.cursor++];
+    if (message.type === MESSAGE_TYPES.SNAPSHOT) {
+      this.applySnapshot(message.pair, message);
+    } else {
+      this.applyUpdate(message.pair, message);
+    }
+
+    if (!this.hasNext()) {
+      this.emit('end', { messages: this.messages.length });
+    }
+
+    return message;
+  }
+
+  /**
+     * @notice Apply every message recorded at or before a timestamp
+     * @param {number} timestamp Replay time in milliseconds
+     * @return {number} Number of messages applied
+     */
+  advanceTo (timestamp) {
+    let applied = 0;
+    while (this.hasNext() && this.messages[this.cursor].timestamp <= timestamp) {
+      this.next();
+      applied++;
+    }
+    return applied;
+  }
+
+  /**
+     * @notice Rewind to the first message and clear all books
+     */
+  rewind () {
+    this.cursor = 0;
+    this.books.clear();
+  }
+
+  /**
+     * @notice Schedule the next message using the recorded spacing scaled by speed
+     */
+  _scheduleNext () {
+    if (!this.isRunning) {
+      return;
+    }
+
+    const current = this.next();
+    if (!current || !this.hasNext()) {
+      return;
+    }
+
+    const gap = this.messages[this.cursor].timestamp - current.timestamp;
+    this.replayTimer = setTimeout(() => this._scheduleNext(), Math.max(0, gap / this.speed));
+  }
+
+  // ============ Parsing ============
+
+  /**
+     * @notice Normalise a raw recorded message
+     * @param {object} record Parsed JSON line
+     * @return {object|null} Message or null when unusable
+     */
+  _normalizeMessage (record) {
+    const type = String(record.type || '').toLowerCase();
+    const timestamp = this._parseTimestamp(record.timestamp ?? record.time);
+
+    if (!Object.values(MESSAGE_TYPES).includes(type) || !record.pair || !Number.isFinite(timestamp)) {
+      return null;
+    }
+
+    return {
+      type,
+      pair: String(record.pair),
+      timestamp,
+      sequence: Number.isFinite(record.sequence) ? record.sequence : null,
+      bids: Array.isArray(record.bids) ? record.bids : [],
+      asks: Array.isArray(record.asks) ? record.asks : []
+    };
+  }
+
+  /**
+     * @notice Parse ISO strings, epoch seconds or epoch milliseconds
+     * @param {string|number} value Timestamp value
+     * @return {number} Epoch milliseconds
+     */
+  _parseTimestamp (value) {
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+      return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+    return new Date(value).getTime();
+  }
+}
+
+export { MESSAGE_TYPES };
+export default RecordedOrderBookFeed;
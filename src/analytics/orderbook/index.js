@@ -0,0 +1,50 @@
+// ============ Imports ============
+import { OrderBook, SIDES } from './OrderBook.js';
+import { OrderBookFeed } from './OrderBookFeed.js';
+import { RecordedOrderBookFeed, MESSAGE_TYPES } from './RecordedOrderBookFeed.js';
+import { REPLAY_MODES } from '../feeds/index.js';
+
+// ============ Constants ============
+const ORDER_BOOK_FEED_TYPES = {
+  NONE: 'none',
+  RECORDED: 'recorded'
+};
+
+/**
+ * @notice Create an order book feed
+ * @dev The type defaults to ORDER_BOOK_FEED, then 'none'. Recorded feeds read
+ *      ORDER_BOOK_REPLAY_PATH when no filePath is given. Analysis settings fall back to
+ *      ORDER_BOOK_DEPTH_BPS and ORDER_BOOK_LARGE_ORDER_MULTIPLIER.
+ * @param {object} options Feed options plus `type`
+ * @return {OrderBookFeed|null} Configured feed (not yet started), or null when disabled
+ */
+export function createOrderBookFeed (options = {}) {
+  const type = (options.type || process.env.ORDER_BOOK_FEED || ORDER_BOOK_FEED_TYPES.NONE).toLowerCase();
+  const settings = {
+    depthBps: parseFloat(process.env.ORDER_BOOK_DEPTH_BPS) || undefined,
+    largeOrderMultiplier: parseFloat(process.env.ORDER_BOOK_LARGE_ORDER_MULTIPLIER) || undefined,
+    ...options
+  };
+
+  switch (type) {
+    case ORDER_BOOK_FEED_TYPES.NONE:
+      return null;
+    case ORDER_BOOK_FEED_TYPES.RECORDED:
+      return new RecordedOrderBookFeed({
+        mode: REPLAY_MODES.REALTIME,
+        ...settings,
+        filePath: options.filePath || process.env.ORDER_BOOK_REPLAY_PATH
+      });
+    default:
+      throw new Error(`Unknown order book feed type: ${type}`);
+  }
+}
+
+export {
+  ORDER_BOOK_FEED_TYPES,
+  SIDES,
+  MESSAGE_TYPES,
+  OrderBook,
+  OrderBookFeed,
+  RecordedOrderBookFeed
+};
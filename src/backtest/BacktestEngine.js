@@ -0,0 +1,260 @@
+// ============ Imports ============
+import { TradingStrategy } from '../agent/TradingStrategy.js';
+import { RiskManager } from '../agent/RiskManager.js';
+import { ReplayMarketDataFeed, REPLAY_MODES } from '../analytics/feeds/index.js';
+import { summarizePerformance } from '../analytics/PerformanceMetrics.js';
+import { PaperExchange } from '../integrations/PaperExchange.js';
+import Logger from '../utils/Logger.js';
+import tokenRegistry from '../utils/TokenRegistry.js';
+import { POSITION_EFFECTS, getPositionEffect, isShortTrade } from '../utils/Positions.js';
+
+// ============ Constants ============
+const DEFAULT_PAIRS = ['BTC/USDT', 'ETH/USDT', 'SOL/USDC', 'XRP/USDT', 'DOGE/USDT'].filter(pair => tokenRegistry.hasPair(pair));
+const DUST = 1e-12; // Lot quantities below this are treated as fully closed
+
+/**
+ * @title BacktestEngine
+ * @author Regav-AI Team
+ * @notice Replays historical OHLCV data through TradingStrategy and RiskManager
+ * @dev The replay feed is advanced one timestamp at a time. After each step the engine
+ *      runs one strategy cycle (entries for every pair, then position management) with
+ *      the strategy clock pinned to the replay time, so time-based exits behave as they
+ *      would live. Orders fill in a PaperExchange. Closed-trade P&L is matched
+ *      FIFO from the simulated fills and includes fees and slippage.
+ */
+export class BacktestEngine {
+  constructor (options = {}) {
+    if (!options.filePath) {
+      throw new Error('BacktestEngine requires a filePath');
+    }
+
+    // ============ Configuration ============
+    this.filePath = options.filePath;
+    this.pairs = options.pairs?.length ? options.pairs : DEFAULT_PAIRS;
+    this.from = options.from || null;
+    this.to = options.to || null;
+    this.initialBalance = options.initialBalance ?? 10000; // Per quote token
+    this.slippageBps = options.slippageBps ?? 5;
+    this.feeBps = options.feeBps ?? 10;
+    this.cycleInterval = options.cycleInterval || 0; // Minimum replay ms between strategy cycles
+    this.logger = options.logger || Logger.createMainLogger(options.logLevel || 'warn', false);
+
+    // ============ Run State ============
+    this.feed = null;
+    this.exchange = null;
+    this.riskManager = null;
+    this.strategy = null;
+    this.equityCurve = [];
+    this.tradePnLs = [];
+    this.openLots = new Map(); // 'pair:LONG|SHORT' -> [{ quantity, value }]
+    this.lastCorrelationUpdate = -Infinity;
+  }
+
+  // ============ Execution ============
+
+  /**
+     * @notice Run the backtest over the whole replay file
+     * @return {object} Backtest report with performance metrics
+     */
+  async run () {
+    this._setup();
+
+    try {
+      const bars = await this.feed.load();
+      if (bars === 0) {
+        throw new Error(`No bars found in ${this.filePath} for ${this.pairs.join(', ')}`);
+      }
+      await this.feed.start(this.pairs);
+      await this.exchange.initialize();
+
+      const startingBalance = this.exchange.getEquity();
+      this.riskManager.updatePortfolioValue(startingBalance);
+      this.equityCurve.push({ timestamp: this.feed.getNextTime(), equity: startingBalance });
+
+      let lastCycle = -Infinity;
+      let cycles = 0;
+
+      while (this.feed.hasNext()) {
+        const timestamp = this._advanceFeed();
+        if (timestamp - lastCycle < this.cycleInterval && this.feed.hasNext()) {
+          continue;
+        }
+
+        await this._runCycle(timestamp);
+        lastCycle = timestamp;
+        cycles++;
+      }
+
+      // ============ Flatten Remaining Positions ============
+      await this.strategy.closeAllPositions('BACKTEST_END');
+      this.equityCurve.push({ timestamp: this.feed.getCurrentTime(), equity: this.exchange.getEquity() });
+
+      return this._buildReport(startingBalance, bars, cycles);
+    } finally {
+      this.riskManager.stop();
+      await this.exchange.disconnect();
+      await this.feed.stop();
+    }
+  }
+
+  /**
+     * @notice Build the feed, paper exchange, risk manager and strategy
+     */
+  _setup () {
+    this.feed = new ReplayMarketDataFeed({
+      filePath: this.filePath,
+      mode: REPLAY_MODES.STEP,
+      from: this.from,
+      to: this.to
+    });
+    // load() filters by the tracked pairs, which are otherwise only set by start()
+    this.feed.pairs = [...this.pairs];
+
+    const clock = () => this.feed.getCurrentTime() ?? this.feed.getNextTime() ?? 0;
+    const quoteTokens = [...new Set(this.pairs.map(pair => pair.split('/')[1]))];
+
+    this.exchange = new PaperExchange({
+      marketDataFeed: this.feed,
+      slippageBps: this.slippageBps,
+      feeBps: this.feeBps,
+      clock,
+      initialBalances: Object.fromEntries(quoteTokens.map(token => [token, this.initialBalance]))
+    });
+    this.exchange.on('trade_executed', trade => this._recordFill(trade));
+
+    this.riskManager = new RiskManager();
+
+    this.strategy = new TradingStrategy({
+      recallClient: this.exchange,
+      marketDataFeed: this.feed,
+      orderBookFeed: null,
+      clock
+    }, this.logger);
+    this.strategy.tradingPairs = [...this.pairs];
+    this.strategy.riskManager = this.riskManager;
+    this.riskManager.setPriceOracle(this.strategy.priceOracle);
+    this.exchange.setPriceOracle(this.strategy.priceOracle);
+  }
+
+  /**
+     * @notice Replay every bar sharing the next timestamp
+     * @return {number} Replay time after the step
+     */
+  _advanceFeed () {
+    const timestamp = this.feed.getNextTime();
+    while (this.feed.hasNext() && this.feed.getNextTime() === timestamp) {
+      this.feed.next();
+    }
+    return timestamp;
+  }
+
+  /**
+     * @notice Run one strategy cycle at the current replay time
+     * @dev Mirrors the live loop: regime detection, entries for every pair, then exits.
+     *      The risk manager's correlation matrix is recomputed on replay time because its
+     *      own timer runs on the wall clock.
+     * @param {number} timestamp Replay time
+     */
+  async _runCycle (timestamp) {
+    this.riskManager.updatePortfolioValue(this.exchange.getEquity());
+    if (timestamp - this.lastCorrelationUpdate >= this.riskManager.config.correlationUpdateMs) {
+      this.riskManager.updateCorrelationMatrix();
+      this.lastCorrelationUpdate = timestamp;
+    }
+    await this.strategy._detectMarketRegime();
+
+    for (const pair of this.pairs) {
+      await this.strategy._processEnhancedTradingPair(pair, null);
+    }
+    await this.strategy._managePositionsAdvanced();
+
+    this.equityCurve.push({ timestamp, equity: this.exchange.getEquity() });
+  }
+
+  // ============ Trade Accounting ============
+
+  /**
+     * @notice Match fills into round trips, FIFO per pair and side
+     * @dev Opening fills add a lot with its base quantity and quote value: the cost
+     *      including fees for a long, the net proceeds for a short. Closing fills consume
+     *      lots of the same side and record one closed trade: proceeds minus cost for a
+     *      long, entry proceeds minus cover cost for a short.
+     * @param {object} trade Completed paper trade
+     */
+  _recordFill (trade) {
+    const isShort = isShortTrade(trade);
+    const key = `${trade.pair}:${isShort ? 'SHORT' : 'LONG'}`;
+    const lots = this.openLots.get(key) || [];
+    this.openLots.set(key, lots);
+
+    // Base quantity traded and quote paid (BUY) or received (SELL)
+    const isBuy = trade.action === 'BUY';
+    const quantity = isBuy ? trade.executedAmount : trade.fromAmount;
+    const value = isBuy ? trade.fromAmount : trade.executedAmount;
+
+    if (getPositionEffect(trade) === POSITION_EFFECTS.OPEN) {
+      lots.push({ quantity, value });
+      return;
+    }
+
+    let remaining = quantity;
+    let matchedValue = 0;
+    let matchedQuantity = 0;
+
+    while (remaining > DUST && lots.length > 0) {
+      const lot = lots[0];
+      const lotQuantity = Math.min(remaining, lot.quantity);
+      const lotValue = lot.value * (lotQuantity / lot.quantity);
+
+      matchedValue += lotValue;
+      matchedQuantity += lotQuantity;
+      lot.quantity -= lotQuantity;
+      lot.value -= lotValue;
+      remaining -= lotQuantity;
+
+      if (lot.quantity <= DUST) {
+        lots.shift();
+      }
+    }
+
+    if (matchedQuantity > 0) {
+      const exitValue = value * (matchedQuantity / quantity);
+      this.tradePnLs.push(isShort ? matchedValue - exitValue : exitValue - matchedValue);
+    }
+  }
+
+  /**
+     * @notice Assemble the backtest report
+     * @param {number} startingBalance Account value before the first cycle
+     * @param {number} bars Number of bars replayed
+     * @param {number} cycles Number of strategy cycles run
+     * @return {object} Backtest report
+     */
+  _buildReport (startingBalance, bars, cycles) {
+    const performance = summarizePerformance({
+      tradePnLs: this.tradePnLs,
+      equityCurve: this.equityCurve,
+      startingBalance
+    });
+    const exchangeMetrics = this.exchange.getMetrics();
+
+    return {
+      file: this.filePath,
+      pairs: this.pairs,
+      from: new Date(this.equityCurve[0].timestamp).toISOString(),
+      to: new Date(this.equityCurve[this.equityCurve.length - 1].timestamp).toISOString(),
+      bars,
+      cycles,
+      slippageBps: this.slippageBps,
+      feeBps: this.feeBps,
+      fills: exchangeMetrics.successfulTrades,
+      rejectedOrders: exchangeMetrics.failedTrades,
+      totalFees: exchangeMetrics.totalFees,
+      finalBalances: Object.fromEntries(this.exchange.balances),
+      performance,
+      equityCurve: this.equityCurve
+    };
+  }
+}
+
+export default BacktestEngine;
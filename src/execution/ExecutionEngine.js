@@ -0,0 +1,538 @@
+// ============ Imports ============
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/Logger.js';
+
+// ============ Constants ============
+const EXECUTION_ALGORITHMS = {
+  MARKET: 'MARKET', // One order for the whole size
+  TWAP: 'TWAP', // Equal slices at equal intervals over a fixed duration
+  ICEBERG: 'ICEBERG', // Only `displaySize` is ever working; the next slice follows the last fill
+  POV: 'POV' // Slices sized to a share of the market volume traded since the previous slice
+};
+
+const PARENT_STATES = {
+  WORKING: 'WORKING',
+  COMPLETED: 'COMPLETED',
+  PARTIALLY_FILLED: 'PARTIALLY_FILLED', // Stopped with part of the size filled
+  CANCELED: 'CANCELED' // Stopped before anything filled
+};
+
+const DEFAULT_EXECUTION_PARAMS = {
+  twap: { slices: 5, durationMs: 30000 },
+  iceberg: { displaySize: 500, intervalMs: 2000, variance: 0.2 },
+  pov: { participationRate: 0.1, intervalMs: 2000, maxDurationMs: 60000, minChildSize: 50 },
+  maxAdverseMovePercent: 0.3, // Cancel the remainder once the price runs this far from arrival
+  maxChildFailures: 2, // Cancel the remainder after this many consecutive failed children
+  maxExecutionMs: 120000 // Cancel whatever is still unfilled after this long
+};
+
+const FILL_TOLERANCE = 1e-9; // Remainders below this fraction of the parent count as filled
+
+/**
+ * @title ExecutionEngine
+ * @author Regav-AI Team
+ * @notice Splits large parent orders into child orders with TWAP, iceberg or POV slicing
+ * @dev Sits between the strategy and the exchange client: children go out through the
+ *      `submit` function, which takes trade params and resolves to
+ *      `{ success, tradeId, executedPrice, result }` like TradingStrategy._submitTrade().
+ *      Sizes in the config (`displaySize`, `minChildSize`) are quote notional; child
+ *      `amount`s are the matching share of the parent `amount`, in the token sold.
+ *
+ *      Before every child the parent is checked: an emergency stop, a price that moved
+ *      more than `maxAdverseMovePercent` against the order since arrival, a risk
+ *      manager rejection or repeated child failures cancel the remainder. A stale price
+ *      skips the slot instead. execute() resolves to one aggregated fill with the VWAP
+ *      as `executedPrice` and the filled share as `fillRatio`, so the position is sized
+ *      on what actually traded.
+ *
+ *      Events:
+ *      - 'child_filled' (parent, child) and 'child_failed' (parent, child)
+ *      - 'execution_completed' (parent) once a parent stops working, whatever its state
+ */
+export class ExecutionEngine extends EventEmitter {
+  /**
+     * @param {object} options
+     * @param {Function} options.submit Sends one child order
+     * @param {object} options.priceOracle Shared PriceOracle for arrival and adverse-move prices
+     * @param {object} options.riskManager Optional RiskManager asked to validate each child
+     * @param {object} options.marketDataFeed Feed whose 'tick' volume drives POV slicing
+     * @param {object} options.config Algorithm parameters, merged over the defaults
+     * @param {Function} options.clock Time source in milliseconds
+     * @param {Function} options.sleep Resolves after the given milliseconds
+     */
+  constructor (options = {}) {
+    super();
+
+    if (typeof options.submit !== 'function') {
+      throw new Error('ExecutionEngine requires a submit function');
+    }
+
+    // ============ Configuration ============
+    const config = options.config || {};
+    this.config = {
+      ...DEFAULT_EXECUTION_PARAMS,
+      ...config,
+      twap: { ...DEFAULT_EXECUTION_PARAMS.twap, ...config.twap },
+      iceberg: { ...DEFAULT_EXECUTION_PARAMS.iceberg, ...config.iceberg },
+      pov: { ...DEFAULT_EXECUTION_PARAMS.pov, ...config.pov }
+    };
+    this.clock = options.clock || Date.now;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    // ============ Core Dependencies ============
+    this.submit = options.submit;
+    this.priceOracle = options.priceOracle || null;
+    this.riskManager = options.riskManager || null;
+    this.marketDataFeed = options.marketDataFeed || null;
+
+    // ============ Execution State ============
+    this.parents = new Map(); // parent id -> parent order
+  }
+
+  // ============ Execution ============
+
+  /**
+     * @notice Work a parent order to completion or cancellation
+     * @param {object} tradeParams Parent trade params (pair, action, amount in the token sold, notional, price)
+     * @param {string} algorithm EXECUTION_ALGORITHMS value
+     * @param {object} overrides Per-order parameters for the algorithm (e.g. { slices: 10 })
+     * @return {object} Aggregated fill { success, tradeId, executedPrice, reason, result }
+     */
+  async execute (tradeParams, algorithm = EXECUTION_ALGORITHMS.TWAP, overrides = {}) {
+    const type = String(algorithm).toUpperCase();
+    if (!Object.values(EXECUTION_ALGORITHMS).includes(type)) {
+      throw new Error(`Unknown execution algorithm: ${algorithm}`);
+    }
+
+    const parent = this._createParent(tradeParams, type, overrides);
+    this.parents.set(parent.id, parent);
+
+    logger.info('Execution started', {
+      parentId: parent.id,
+      algorithm: type,
+      pair: parent.pair,
+      action: parent.action,
+      amount: parent.amount,
+      notional: parent.notional,
+      arrivalPrice: parent.arrivalPrice
+    });
+
+    try {
+      switch (type) {
+        case EXECUTION_ALGORITHMS.MARKET:
+          await this._sendChild(parent, parent.amount);
+          break;
+        case EXECUTION_ALGORITHMS.TWAP:
+          await this._runTwap(parent);
+          break;
+        case EXECUTION_ALGORITHMS.ICEBERG:
+          await this._runIceberg(parent);
+          break;
+        case EXECUTION_ALGORITHMS.POV:
+          await this._runPov(parent);
+          break;
+      }
+    } catch (error) {
+      logger.error('Execution algorithm failed', { parentId: parent.id, error: error.message });
+      parent.cancelReason = parent.cancelReason || error.message;
+    } finally {
+      parent.stopVolumeTracking?.();
+    }
+
+    return this._finish(parent);
+  }
+
+  /**
+     * @notice Stop a working parent before its next child
+     * @param {string} parentId Parent order ID
+     * @param {string} reason Cancellation reason
+     * @return {boolean} True when the parent was still working
+     */
+  cancel (parentId, reason = 'Canceled') {
+    const parent = this.parents.get(parentId);
+    if (!parent || parent.state !== PARENT_STATES.WORKING) {
+      return false;
+    }
+    parent.cancelReason = parent.cancelReason || reason;
+    return true;
+  }
+
+  /**
+     * @notice Cancel every working parent
+     * @param {string} reason Cancellation reason
+     * @return {number} Parents canceled
+     */
+  cancelAll (reason = 'Canceled') {
+    let canceled = 0;
+    for (const parentId of this.parents.keys()) {
+      if (this.cancel(parentId, reason)) {
+        canceled++;
+      }
+    }
+    return canceled;
+  }
+
+  /**
+     * @notice Get a parent order
+     * @param {string} parentId Parent order ID
+     * @return {object|null} Copy of the parent
+     */
+  getParent (parentId) {
+    const parent = this.parents.get(parentId);
+    return parent ? this._snapshot(parent) : null;
+  }
+
+  /**
+     * @notice Get the parents still being worked
+     * @return {Array<object>} Working parents
+     */
+  getWorkingParents () {
+    return Array.from(this.parents.values())
+      .filter(parent => parent.state === PARENT_STATES.WORKING)
+      .map(parent => this._snapshot(parent));
+  }
+
+  // ============ Algorithms ============
+
+  /**
+     * @notice Equal slices spread evenly over `durationMs`
+     */
+  async _runTwap (parent) {
+    const { slices, durationMs } = parent.params;
+    const count = Math.max(1, Math.floor(slices));
+    const interval = durationMs / count;
+
+    for (let i = 0; i < count && this._isWorking(parent); i++) {
+      if (i > 0) {
+        await this.sleep(interval);
+      }
+      // The last slice also picks up what earlier skipped or short slices left
+      const size = i === count - 1 ? this._remaining(parent) : Math.min(this._remaining(parent), parent.amount / count);
+      await this._sendChild(parent, size);
+    }
+  }
+
+  /**
+     * @notice Show `displaySize` at a time, replenishing after each fill
+     * @dev Each slice varies by up to `variance` so the clip size does not give the order away
+     */
+  async _runIceberg (parent) {
+    const { displaySize, intervalMs, variance } = parent.params;
+    const displayAmount = this._notionalToAmount(parent, displaySize);
+
+    while (this._isWorking(parent)) {
+      const jitter = 1 + (Math.random() * 2 - 1) * variance;
+      await this._sendChild(parent, Math.min(this._remaining(parent), displayAmount * jitter));
+      if (this._isWorking(parent)) {
+        await this.sleep(intervalMs);
+      }
+    }
+  }
+
+  /**
+     * @notice Trade `participationRate` of the volume the market prints
+     * @dev Volume comes from the market data feed's ticks. Whatever is left at
+     *      `maxDurationMs` is canceled: catching up in one clip would defeat the algorithm.
+     */
+  async _runPov (parent) {
+    const { participationRate, intervalMs, maxDurationMs, minChildSize } = parent.params;
+    const deadline = parent.startTime + maxDurationMs;
+    const minAmount = this._notionalToAmount(parent, minChildSize);
+
+    if (!this.marketDataFeed) {
+      throw new Error('POV execution requires a market data feed');
+    }
+    const takeVolume = this._trackVolume(parent);
+    let allowance = 0; // Participation earned but not yet traded, in the token sold
+
+    while (this._isWorking(parent)) {
+      if (this.clock() >= deadline) {
+        parent.cancelReason = `POV deadline reached after ${maxDurationMs}ms`;
+        break;
+      }
+      await this.sleep(intervalMs);
+
+      // Market volume is in base; sells spend base, buys spend quote
+      allowance += participationRate * takeVolume() * (parent.isBuy ? parent.arrivalPrice : 1);
+      const size = Math.min(this._remaining(parent), allowance);
+      if (size >= minAmount || (size > 0 && size === this._remaining(parent))) {
+        const child = await this._sendChild(parent, size);
+        if (child?.status === 'FILLED') {
+          allowance = Math.max(0, allowance - child.fromAmount);
+        }
+      }
+    }
+  }
+
+  // ============ Child Orders ============
+
+  /**
+     * @notice Check the parent, then send one child and record its fill
+     */
+  async _sendChild (parent, amount) {
+    if (!(amount > 0) || !(await this._checkParent(parent, amount))) {
+      return null;
+    }
+
+    const child = {
+      index: parent.children.length,
+      amount,
+      status: 'PENDING',
+      timestamp: this.clock()
+    };
+    parent.children.push(child);
+
+    const childParams = {
+      ...parent.tradeParams,
+      amount,
+      notional: parent.notional * (amount / parent.amount),
+      price: this.priceOracle?.getPrice(parent.pair, parent.action) ?? parent.tradeParams.price,
+      executionStrategy: EXECUTION_ALGORITHMS.MARKET,
+      parentOrderId: parent.id,
+      reason: `${parent.algorithm} ${child.index + 1} of parent ${parent.id}`
+    };
+
+    try {
+      const outcome = await this.submit(childParams);
+      if (!outcome?.success) {
+        throw new Error(outcome?.reason || 'Child order failed');
+      }
+
+      const trade = outcome.result || {};
+      const executedPrice = outcome.executedPrice ?? trade.executedPrice;
+      const sold = trade.fromAmount ?? amount;
+      const received = trade.executedAmount ?? (parent.isBuy ? sold / executedPrice : sold * executedPrice);
+
+      Object.assign(child, {
+        status: 'FILLED',
+        tradeId: outcome.tradeId,
+        transactionHash: trade.transactionHash,
+        executedPrice,
+        fromAmount: sold,
+        executedAmount: received
+      });
+      parent.filledAmount += sold;
+      parent.receivedAmount += received;
+      parent.baseFilled += parent.isBuy ? received : sold;
+      parent.quoteFilled += parent.isBuy ? sold : received;
+      parent.consecutiveFailures = 0;
+
+      this.emit('child_filled', this._snapshot(parent), { ...child });
+    } catch (error) {
+      Object.assign(child, { status: 'FAILED', error: error.message });
+      parent.consecutiveFailures++;
+      if (parent.consecutiveFailures >= this.config.maxChildFailures) {
+        parent.cancelReason = `${parent.consecutiveFailures} consecutive child orders failed: ${error.message}`;
+      }
+
+      logger.warn('Child order failed', { parentId: parent.id, index: child.index, amount, error: error.message });
+      this.emit('child_failed', this._snapshot(parent), { ...child });
+    }
+
+    return child;
+  }
+
+  /**
+     * @notice Risk checks run before every child
+     * @return {boolean} True when the child may go out; false skips it, and sets `cancelReason` when the parent must stop
+     */
+  async _checkParent (parent, amount) {
+    if (!this._isWorking(parent)) {
+      return false;
+    }
+
+    // ============ Execution Time Limit ============
+    if (this.clock() - parent.startTime > this.config.maxExecutionMs) {
+      parent.cancelReason = `Execution exceeded ${this.config.maxExecutionMs}ms`;
+      return false;
+    }
+
+    // ============ Emergency Stop ============
+    if (this.riskManager?.getRiskStatus?.().emergencyStop) {
+      parent.cancelReason = 'Emergency stop active';
+      return false;
+    }
+
+    // ============ Price Freshness ============
+    if (this.priceOracle?.isStale(parent.pair)) {
+      logger.debug('Stale price, skipping child slot', { parentId: parent.id, pair: parent.pair });
+      return false;
+    }
+
+    // ============ Adverse Move Since Arrival ============
+    const price = this.priceOracle?.getPrice(parent.pair, parent.action);
+    if (price && parent.arrivalPrice) {
+      const adverseMove = (parent.isBuy ? 1 : -1) * ((price - parent.arrivalPrice) / parent.arrivalPrice) * 100;
+      if (adverseMove > this.config.maxAdverseMovePercent) {
+        parent.cancelReason = `Price moved ${adverseMove.toFixed(3)}% against the order since arrival`;
+        return false;
+      }
+    }
+
+    // ============ Risk Manager Validation ============
+    if (this.riskManager?.validateTrade) {
+      // The risk manager values trades in base units; buys spend quote
+      const checkPrice = price ?? parent.arrivalPrice;
+      const validation = await this.riskManager.validateTrade({
+        ...parent.tradeParams,
+        amount: parent.isBuy ? amount / checkPrice : amount,
+        price: checkPrice
+      });
+      if (!validation.approved) {
+        parent.cancelReason = `Risk check failed: ${validation.reason}`;
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // ============ Helpers ============
+
+  /**
+     * @notice Build the parent order
+     */
+  _createParent (tradeParams, algorithm, overrides) {
+    const isBuy = tradeParams.action.toUpperCase() === 'BUY';
+    const arrivalPrice = this.priceOracle?.getPrice(tradeParams.pair, tradeParams.action) ?? tradeParams.price;
+    const defaults = this.config[algorithm.toLowerCase()] || {};
+
+    return {
+      id: uuidv4(),
+      algorithm,
+      params: { ...defaults, ...overrides },
+      tradeParams,
+      pair: tradeParams.pair,
+      action: tradeParams.action,
+      isBuy,
+      amount: tradeParams.amount,
+      // Parent notional in quote; buys spend quote already
+      notional: tradeParams.notional ?? (isBuy ? tradeParams.amount : tradeParams.amount * arrivalPrice),
+      arrivalPrice,
+      state: PARENT_STATES.WORKING,
+      children: [],
+      filledAmount: 0, // Token sold
+      receivedAmount: 0, // Token bought
+      baseFilled: 0,
+      quoteFilled: 0,
+      consecutiveFailures: 0,
+      cancelReason: null,
+      startTime: this.clock(),
+      endTime: null
+    };
+  }
+
+  /**
+     * @notice Settle the parent's final state and build the aggregated fill
+     */
+  _finish (parent) {
+    const filled = parent.filledAmount > 0;
+    parent.state = this._remaining(parent) <= parent.amount * FILL_TOLERANCE
+      ? PARENT_STATES.COMPLETED
+      : (filled ? PARENT_STATES.PARTIALLY_FILLED : PARENT_STATES.CANCELED);
+    parent.endTime = this.clock();
+
+    const vwap = parent.baseFilled > 0 ? parent.quoteFilled / parent.baseFilled : null;
+    const report = this._snapshot(parent);
+
+    const log = parent.state === PARENT_STATES.COMPLETED ? logger.info : logger.warn;
+    log.call(logger, 'Execution finished', {
+      parentId: parent.id,
+      algorithm: parent.algorithm,
+      state: parent.state,
+      children: parent.children.length,
+      fillRatio: report.fillRatio,
+      vwap,
+      arrivalPrice: parent.arrivalPrice,
+      cancelReason: parent.cancelReason
+    });
+    this.emit('execution_completed', report);
+    this.parents.delete(parent.id);
+
+    return {
+      success: filled,
+      tradeId: parent.id,
+      executedPrice: vwap,
+      reason: parent.cancelReason,
+      result: {
+        ...report,
+        status: parent.state,
+        executionMethod: parent.algorithm,
+        executedPrice: vwap,
+        executedAmount: parent.receivedAmount,
+        fromAmount: parent.filledAmount,
+        transactionHash: parent.children.find(child => child.status === 'FILLED')?.transactionHash
+      }
+    };
+  }
+
+  /**
+     * @notice Plain copy of a parent for events and reports
+     */
+  _snapshot (parent) {
+    return {
+      id: parent.id,
+      algorithm: parent.algorithm,
+      pair: parent.pair,
+      action: parent.action,
+      state: parent.state,
+      amount: parent.amount,
+      notional: parent.notional,
+      filledAmount: parent.filledAmount,
+      remainingAmount: this._remaining(parent),
+      fillRatio: parent.amount > 0 ? parent.filledAmount / parent.amount : 0,
+      arrivalPrice: parent.arrivalPrice,
+      averagePrice: parent.baseFilled > 0 ? parent.quoteFilled / parent.baseFilled : null,
+      children: parent.children.map(child => ({ ...child })),
+      cancelReason: parent.cancelReason,
+      startTime: parent.startTime,
+      endTime: parent.endTime
+    };
+  }
+
+  /**
+     * @notice Unfilled part of the parent in the token sold
+     */
+  _remaining (parent) {
+    return Math.max(0, parent.amount - parent.filledAmount);
+  }
+
+  /**
+     * @notice Whether the parent still has something to fill and no cancel pending
+     */
+  _isWorking (parent) {
+    return !parent.cancelReason && this._remaining(parent) > parent.amount * FILL_TOLERANCE;
+  }
+
+  /**
+     * @notice Convert a quote notional into the parent's sold-token amount
+     */
+  _notionalToAmount (parent, notional) {
+    return parent.notional > 0 ? parent.amount * (notional / parent.notional) : notional;
+  }
+
+  /**
+     * @notice Sum the pair's tick volume while a POV parent works
+     * @return {Function} Returns the base volume traded since it was last called
+     */
+  _trackVolume (parent) {
+    let volume = 0;
+    const onTick = (tick) => {
+      if (tick.pair === parent.pair) {
+        volume += tick.volume || 0;
+      }
+    };
+    this.marketDataFeed.on('tick', onTick);
+    parent.stopVolumeTracking = () => this.marketDataFeed.off('tick', onTick);
+
+    return () => {
+      const taken = volume;
+      volume = 0;
+      return taken;
+    };
+  }
+}
+
+export { EXECUTION_ALGORITHMS, PARENT_STATES };
+export default ExecutionEngine;
@@ -4,9 +4,10 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 // import { ethers } from 'ethers';
 import RecallClient from './integrations/RecallClient.js';
+import PaperExchange from './integrations/PaperExchange.js';
 import VincentClient from './integrations/VincentClient.js';
 import GaiaClient from './integrations/Gaia.Client.js';
-import { TradingStrategy } from './agent/TradingStrategy.js';
+import { TradingStrategy, createStrategyMarketDataFeed } from './agent/TradingStrategy.js';
 import { RiskManager } from './agent/RiskManager.js';
 import logger from './utils/Logger.js';
 // import config from './utils/Config.js';
@@ -58,6 +59,15 @@ function getRecallClient () {
   return new RecallClient();
 }
 
+function getPaperExchange (marketDataFeed) {
+  return new PaperExchange({
+    marketDataFeed,
+    initialBalance: parseFloat(process.env.PAPER_INITIAL_BALANCE) || 10000,
+    slippageBps: parseFloat(process.env.PAPER_SLIPPAGE_BPS) || 5,
+    feeBps: parseFloat(process.env.PAPER_FEE_BPS) || 10
+  });
+}
+
 function getVincentClient () {
   return new VincentClient();
 }
@@ -92,6 +102,7 @@ class EnhancedTradingAgent {
 
     // ============ Client Instances ============
     this.recallClient = null;
+    this.marketDataFeed = null;
     this.vincentClient = null;
     this.gaiaClient = null;
 
@@ -215,6 +226,14 @@ class EnhancedTradingAgent {
       // ============ Initialize Recall Client ============
       this.logger.info('Initializing Recall client...');
       this.recallClient = getRecallClient();
+
+      // ============ Swap in Paper Exchange for Sandbox Rehearsals ============
+      if (process.env.SIMULATION_MODE === 'true') {
+        this.marketDataFeed = createStrategyMarketDataFeed({ recallClient: this.recallClient });
+        this.recallClient = getPaperExchange(this.marketDataFeed);
+        await this.recallClient.initialize();
+        this.logger.warn('📝 SIMULATION_MODE enabled - trades fill on the paper exchange');
+      }
       this.logger.info('✅ Recall client initialized');
 
       // ============ Initialize Vincent Client with Consent Flow ============
@@ -380,12 +399,17 @@ class EnhancedTradingAgent {
       this.tradingStrategy = new TradingStrategy({
         recallClient: this.recallClient,
         vincentClient: this.vincentClient,
-        gaiaClient: this.gaiaClient
+        gaiaClient: this.gaiaClient,
+        marketDataFeed: this.marketDataFeed
       }, this.logger);
 
       // ============ Configure Strategy Parameters ============
       this.tradingStrategy.riskManager = this.riskManager;
 
+      // ============ Share One Price Oracle ============
+      this.riskManager.setPriceOracle(this.tradingStrategy.priceOracle);
+      this.recallClient.setPriceOracle(this.tradingStrategy.priceOracle);
+
       this.logger.info('✅ Enhanced trading strategy initialized');
     } catch (error) {
       this.logger.error('❌ Failed to initialize trading strategy', { error: error.message });
@@ -0,0 +1,169 @@
+// ============ Imports ============
+import tokenRegistry from '../utils/TokenRegistry.js';
+
+// ============ Constants ============
+const COMPETITION_STATUSES = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  ENDED: 'ended'
+};
+
+/**
+ * @notice Parse a date field into epoch milliseconds
+ */
+function toTime (value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * @notice Positive number or null
+ */
+function toLimit (value) {
+  const limit = parseFloat(value);
+  return limit > 0 ? limit : null;
+}
+
+// ============ Competitions ============
+
+/**
+ * @notice Normalize a competition from the Recall API
+ * @dev Accepts `allowedTokens` or `tokens` as symbols, addresses or `{ symbol, address }`
+ *      entries; an empty list means every token is allowed. Spending caps are read from
+ *      the competition when it carries them (`maxTradeAmount`, `maxDailySpend`).
+ * @param {object} raw Competition as returned by /api/competitions
+ * @return {object} { id, name, type, status, startTime, endTime, allowedTokens, allowedPairs, requiresInvite, maxTradeAmount, maxDailySpend, raw }
+ */
+export function normalizeCompetition (raw = {}) {
+  const tokens = raw.allowedTokens || raw.tokens || [];
+
+  return {
+    id: raw.id,
+    name: raw.name || raw.id,
+    type: raw.type || null,
+    status: raw.status ? String(raw.status).toLowerCase() : null,
+    startTime: toTime(raw.startDate ?? raw.startTime),
+    endTime: toTime(raw.endDate ?? raw.endTime),
+    allowedTokens: tokens.map(token => (typeof token === 'string' ? token : token.address || token.symbol)).filter(Boolean),
+    allowedPairs: raw.allowedPairs || null,
+    requiresInvite: Boolean(raw.requiresInvite || raw.inviteOnly),
+    maxTradeAmount: toLimit(raw.maxTradeAmount),
+    maxDailySpend: toLimit(raw.maxDailySpend),
+    raw
+  };
+}
+
+/**
+ * @notice Whether a competition allows trading a token
+ * @param {object} competition Normalized competition
+ * @param {object} token Token as returned by TokenRegistry.resolve()
+ * @return {boolean} True when the token is listed, or when the competition lists none
+ */
+export function isTokenAllowed (competition, token) {
+  if (competition.allowedTokens.length === 0) {
+    return true;
+  }
+
+  return competition.allowedTokens.some(allowed => (
+    allowed.startsWith('0x') || allowed.length > 20
+      ? allowed.toLowerCase() === token.address?.toLowerCase()
+      : tokenRegistry.getCanonicalSymbol(allowed) === tokenRegistry.getCanonicalSymbol(token.symbol)
+  ));
+}
+
+/**
+ * @notice Whether a competition allows trading a pair
+ * @param {object} competition Normalized competition
+ * @param {string} pair Trading pair
+ * @return {boolean} True when the pair is listed, or both of its tokens are allowed
+ */
+export function isPairAllowed (competition, pair) {
+  if (competition.allowedPairs) {
+    return competition.allowedPairs.includes(pair);
+  }
+
+  try {
+    const { base, quote } = tokenRegistry.resolvePair(pair);
+    return isTokenAllowed(competition, base) && isTokenAllowed(competition, quote);
+  } catch (error) {
+    return false; // Pairs the registry cannot resolve cannot be traded anyway
+  }
+}
+
+/**
+ * @notice Filter normalized competitions
+ * @param {Array<object>} competitions Normalized competitions
+ * @param {object} filter
+ * @param {string} filter.status Competition status (pending, active, ended)
+ * @param {string} filter.type Competition type, e.g. 'trading'
+ * @param {number} filter.startAfter Earliest start time (epoch ms)
+ * @param {number} filter.startBefore Latest start time (epoch ms)
+ * @param {Array<string>} filter.tokens Token symbols the competition must allow
+ * @param {Array<string>} filter.pairs Pairs the competition must allow
+ * @param {boolean} filter.openOnly Skip invite-only competitions
+ * @return {Array<object>} Matching competitions, earliest start first
+ */
+export function filterCompetitions (competitions, filter = {}) {
+  const { status, type, startAfter, startBefore, tokens = [], pairs = [], openOnly = false } = filter;
+
+  return competitions
+    .filter(competition => !status || competition.status === status.toLowerCase())
+    .filter(competition => !type || competition.type === type)
+    .filter(competition => !startAfter || (competition.startTime !== null && competition.startTime >= startAfter))
+    .filter(competition => !startBefore || (competition.startTime !== null && competition.startTime <= startBefore))
+    .filter(competition => !openOnly || !competition.requiresInvite)
+    .filter(competition => tokens.every(symbol => {
+      try {
+        return isTokenAllowed(competition, tokenRegistry.resolve(symbol));
+      } catch (error) {
+        return competition.allowedTokens.length === 0;
+      }
+    }))
+    .filter(competition => pairs.every(pair => isPairAllowed(competition, pair)))
+    .sort((a, b) => (a.startTime ?? Infinity) - (b.startTime ?? Infinity));
+}
+
+// ============ Trading Rules ============
+
+/**
+ * @notice Trading rules a competition puts on the agent
+ * @dev Explicit `overrides` win over the competition's own values, which win over the
+ *      configured defaults. `allowedPairs` keeps the candidate pairs the competition
+ *      allows, in candidate order.
+ * @param {object} competition Normalized competition
+ * @param {object} options
+ * @param {Array<string>} options.candidatePairs Pairs the agent is able to trade
+ * @param {object} options.defaults Default { maxTradeAmount, maxDailySpend }
+ * @param {object} options.overrides Rule overrides for this competition
+ * @return {object} { competitionId, name, allowedPairs, startTime, endTime, maxTradeAmount, maxDailySpend }
+ */
+export function buildCompetitionRules (competition, { candidatePairs = [], defaults = {}, overrides = {} } = {}) {
+  const allowedPairs = overrides.allowedPairs
+    ? candidatePairs.filter(pair => overrides.allowedPairs.includes(pair))
+    : candidatePairs.filter(pair => isPairAllowed(competition, pair));
+
+  return {
+    competitionId: competition.id,
+    name: competition.name,
+    allowedPairs,
+    startTime: toTime(overrides.startTime) ?? competition.startTime,
+    endTime: toTime(overrides.endTime) ?? competition.endTime,
+    maxTradeAmount: toLimit(overrides.maxTradeAmount) ?? competition.maxTradeAmount ?? toLimit(defaults.maxTradeAmount),
+    maxDailySpend: toLimit(overrides.maxDailySpend) ?? competition.maxDailySpend ?? toLimit(defaults.maxDailySpend)
+  };
+}
+
+/**
+ * @notice Whether a time falls inside the rules' trading window
+ * @param {object} rules Rules from buildCompetitionRules()
+ * @param {number} time Epoch milliseconds
+ * @return {boolean} True when trading is allowed at that time
+ */
+export function isWithinTradingWindow (rules, time = Date.now()) {
+  return (rules.startTime === null || time >= rules.startTime) && (rules.endTime === null || time <= rules.endTime);
+}
+
+export { COMPETITION_STATUSES };
@@ -1,6 +1,40 @@
 // ============ Imports ============
 import axios from 'axios';
 import Logger from '../utils/Logger.js';
+import { ANALYSIS_TYPES, validateAnalysis } from './GaiaSchemas.js';
+import { REQUEST_PRIORITIES, RequestScheduler, SCHEDULER_ERRORS, estimateTokens } from './RequestScheduler.js';
+import { PartialJsonParser, readChatStream } from './GaiaStream.js';
+import { MODEL_TIERS, ProviderRouter, parseProviders } from './LLMProviders.js';
+
+// ============ Constants ============
+
+// System prompt each analysis type is requested with
+const ANALYSTS = {
+  [ANALYSIS_TYPES.MARKET]: 'marketAnalyst',
+  [ANALYSIS_TYPES.SENTIMENT]: 'sentimentAnalyst',
+  [ANALYSIS_TYPES.RISK]: 'riskAssessor',
+  [ANALYSIS_TYPES.QUICK_SIGNAL]: 'marketAnalyst',
+  [ANALYSIS_TYPES.ARBITRAGE]: 'arbitrageDetector',
+  [ANALYSIS_TYPES.ML_PREDICTION]: 'mlPredictor',
+  [ANALYSIS_TYPES.NEWS_SENTIMENT]: 'sentimentAnalyst',
+  [ANALYSIS_TYPES.SOCIAL_SENTIMENT]: 'sentimentAnalyst',
+  [ANALYSIS_TYPES.WHALE_ACTIVITY]: 'sentimentAnalyst'
+};
+
+// Model tier (modelConfig.primary or .fast) each analysis type is requested with
+const ANALYSIS_ROUTES = {
+  [ANALYSIS_TYPES.MARKET]: MODEL_TIERS.PRIMARY,
+  [ANALYSIS_TYPES.SENTIMENT]: MODEL_TIERS.PRIMARY,
+  [ANALYSIS_TYPES.RISK]: MODEL_TIERS.PRIMARY,
+  [ANALYSIS_TYPES.QUICK_SIGNAL]: MODEL_TIERS.FAST,
+  [ANALYSIS_TYPES.ARBITRAGE]: MODEL_TIERS.PRIMARY,
+  [ANALYSIS_TYPES.ML_PREDICTION]: MODEL_TIERS.FAST,
+  [ANALYSIS_TYPES.NEWS_SENTIMENT]: MODEL_TIERS.PRIMARY,
+  [ANALYSIS_TYPES.SOCIAL_SENTIMENT]: MODEL_TIERS.PRIMARY,
+  [ANALYSIS_TYPES.WHALE_ACTIVITY]: MODEL_TIERS.PRIMARY
+};
+
+const SCHEMA_VALIDATION_FAILED = 'SCHEMA_VALIDATION_FAILED';
 
 /**
  * @title GaiaClient
@@ -20,17 +54,15 @@ export class GaiaClient {
       this.logger.warn('⚠️ No GAIA_API_KEY provided - some nodes may require authentication');
     }
 
-    // ============ HTTP Client Setup ============
-    this.httpClient = axios.create({
-      baseURL: this.nodeUrl,
-      timeout: 45000, // 45 seconds for complex AI analysis
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
-      },
-      // ============ Enhanced Error Handling ============
-      validateStatus: (status) => status < 500 // Accept 4xx as valid responses
+    // ============ LLM Providers with Health-Scored Failover ============
+    // The configured Gaia node first, then any other Gaia nodes or OpenAI-compatible
+    // endpoints (e.g. a local llama.cpp server) from GAIA_PROVIDERS
+    this.router = new ProviderRouter({
+      name: 'gaia',
+      providers: [
+        { name: 'gaia', url: this.nodeUrl, apiKey: this.apiKey, timeout: 45000 }, // 45 seconds for complex AI analysis
+        ...(options.providers ?? parseProviders(process.env.GAIA_PROVIDERS))
+      ]
     });
 
     // ============ Analysis Cache with TTL ============
@@ -38,16 +70,16 @@ export class GaiaClient {
     this.cacheTimeout = 45000; // 45 seconds cache for market data
     this.sentimentCacheTimeout = 120000; // 2 minutes for sentiment data
 
-    // ============ Rate Limiting (Conservative for Production) ============
-    this.requestCount = 0;
-    this.requestWindow = 60000; // 1 minute window
-    this.maxRequestsPerWindow = 25; // Conservative limit
-    this.lastWindowReset = Date.now();
-
-    // ============ Request Queue for High Volume ============
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-    this.maxQueueSize = 50;
+    // ============ Request Scheduling (Priorities, Deadlines, Token Budget) ============
+    this.requestWindow = 60000; // 1 minute token budget window
+    this.scheduler = new RequestScheduler({
+      name: 'gaia',
+      concurrency: options.maxConcurrentRequests ?? (parseInt(process.env.GAIA_MAX_CONCURRENT_REQUESTS) || 2),
+      tokensPerWindow: options.tokensPerMinute ?? (parseInt(process.env.GAIA_TOKENS_PER_MINUTE) || 60000),
+      windowMs: this.requestWindow,
+      maxQueueSize: 50,
+      deadlines: options.deadlines
+    });
 
     // ============ Enhanced System Prompts for Trading ============
     this.systemPrompts = {
@@ -106,7 +138,9 @@ Always respond in valid JSON format with precise risk calculations.`,
 
 Focus on opportunities with >0.15% profit potential executable within 5-10 minutes.
 Consider gas costs, slippage, and execution timing in all recommendations.
-Always respond in valid JSON format with specific execution parameters.`
+Always respond in valid JSON format with specific execution parameters.`,
+
+      mlPredictor: 'You are an advanced machine learning model specialized in cryptocurrency price prediction using technical, microstructure, and sentiment features.'
     };
 
     // ============ Model Configuration Based on Gaia Docs ============
@@ -132,6 +166,16 @@ Always respond in valid JSON format with specific execution parameters.`
       }
     };
 
+    // ============ Model Routing by Analysis Type ============
+    this.analysisRoutes = {
+      ...ANALYSIS_ROUTES,
+      ...this._parseAnalysisRoutes(process.env.GAIA_ANALYSIS_ROUTES),
+      ...options.analysisRoutes
+    };
+
+    // ============ Structured Output Validation ============
+    this.schemaRepairAttempts = options.schemaRepairAttempts ?? 1; // Re-prompts for a reply failing its schema
+
     // ============ Performance Metrics ============
     this.metrics = {
       totalRequests: 0,
@@ -139,15 +183,22 @@ Always respond in valid JSON format with specific execution parameters.`
       failedRequests: 0,
       avgResponseTime: 0,
       cacheHitRate: 0,
-      lastResponseTime: 0
+      lastResponseTime: 0,
+      cancelledRequests: 0,
+      streamedRequests: 0,
+      partialResponses: 0,
+      avgFirstFieldTime: 0,
+      schemaValidation: this._createSchemaMetrics()
     };
 
     this.isInitialized = false;
 
     this.logger.info('🤖 GaiaClient initialized', {
       nodeUrl: this.nodeUrl,
+      providers: this.router.providers.map(provider => provider.name),
       hasApiKey: !!this.apiKey,
-      maxRequests: this.maxRequestsPerWindow
+      tokensPerMinute: this.scheduler.tokensPerWindow,
+      maxConcurrentRequests: this.scheduler.concurrency
     });
   }
 
@@ -155,27 +206,25 @@ Always respond in valid JSON format with specific execution parameters.`
 
   /**
      * @notice Initialize Gaia client and test connectivity
-     * @dev Validates API connectivity and available models
+     * @dev Tests every provider and their models; succeeds when at least one provider answers
      */
   async initialize () {
     try {
       this.logger.info('🚀 Initializing Gaia client...');
 
-      // ============ Test Basic Connectivity ============
-      await this._testConnection();
+      // ============ Test Connectivity of Every Provider ============
+      const reachable = await this._testConnection();
 
       // ============ Verify Available Models ============
       await this._checkAvailableModels();
 
-      // ============ Start Request Queue Processor ============
-      this._startQueueProcessor();
-
       this.isInitialized = true;
       this.logger.info('✅ Gaia client initialized successfully');
 
       return {
         success: true,
         nodeUrl: this.nodeUrl,
+        providers: reachable,
         modelsAvailable: true,
         timestamp: Date.now()
       };
@@ -189,40 +238,71 @@ Always respond in valid JSON format with specific execution parameters.`
   }
 
   /**
-     * @notice Test connection to Gaia node with proper error handling
-     * @dev Validates node availability and basic functionality
+     * @notice Test connection to every provider
+     * @dev Failures lower a provider's health score, so traffic starts on reachable ones
+     * @returns {Array<string>} Names of the providers that answered
      */
   async _testConnection () {
+    const { providers } = this.router;
+    const results = await Promise.allSettled(providers.map(provider => this._testProvider(provider)));
+    const reachable = providers.filter((_, index) => results[index].status === 'fulfilled').map(provider => provider.name);
+
+    if (reachable.length === 0) {
+      throw results[0].reason;
+    }
+
+    if (reachable.length < providers.length) {
+      this.logger.warn('⚠️ Some LLM providers unreachable - failing over to the others', {
+        reachable,
+        unreachable: providers.filter(provider => !reachable.includes(provider.name)).map(provider => provider.name)
+      });
+    }
+
+    return reachable;
+  }
+
+  /**
+     * @notice Test connection to one provider with proper error handling
+     * @dev Validates node availability and basic functionality with the fast model
+     * @param {LLMProvider} provider - Provider to test
+     */
+  async _testProvider (provider) {
+    const model = provider.getModel(MODEL_TIERS.FAST, this.modelConfig.fast.name);
+
     try {
-      this.logger.debug('Testing Gaia node connectivity...');
+      this.logger.debug('Testing LLM provider connectivity...', { provider: provider.name });
 
       const testMessage = {
         messages: [
           { role: 'system', content: 'You are a helpful AI assistant.' },
           { role: 'user', content: 'Respond with "GAIA_OK" to confirm connectivity.' }
         ],
-        model: this.modelConfig.fast.name,
+        model,
         max_tokens: 20,
         temperature: 0.1
       };
 
       const startTime = Date.now();
-      const response = await this.httpClient.post('/chat/completions', testMessage);
+      const response = await provider.client.post('/chat/completions', testMessage);
       const responseTime = Date.now() - startTime;
 
       this.metrics.lastResponseTime = responseTime;
 
       if (response.status === 200 && response.data?.choices?.[0]?.message?.content) {
+        provider.recordSuccess(responseTime);
         this.logger.info('✅ Gaia connection test successful', {
+          provider: provider.name,
           responseTime: `${responseTime}ms`,
-          model: this.modelConfig.fast.name
+          model
         });
         return true;
       } else {
         throw new Error(`Invalid response format: ${JSON.stringify(response.data)}`);
       }
     } catch (error) {
+      provider.recordFailure(error);
       this.logger.error('❌ Gaia connection test failed', {
+        provider: provider.name,
         error: error.message,
         status: error.response?.status,
         data: error.response?.data
@@ -230,60 +310,70 @@ Always respond in valid JSON format with specific execution parameters.`
 
       // ============ Provide Detailed Error Context ============
       if (error.response?.status === 401) {
-        throw new Error('Authentication failed - check GAIA_API_KEY');
+        throw new Error(`Authentication failed for ${provider.name} - check its API key (GAIA_API_KEY for the main node)`);
       } else if (error.response?.status === 404) {
-        throw new Error('Gaia node not found - check GAIA_NODE_URL');
+        throw new Error(`${provider.name} not found - check its URL (GAIA_NODE_URL for the main node)`);
       } else if (error.code === 'ECONNREFUSED') {
-        throw new Error('Connection refused - Gaia node may be down');
+        throw new Error(`Connection refused - ${provider.name} may be down`);
       } else {
-        throw new Error(`Connection test failed: ${error.message}`);
+        throw new Error(`Connection test failed for ${provider.name}: ${error.message}`);
       }
     }
   }
 
   /**
-     * @notice Check available models on the Gaia node
-     * @dev Verifies that required models are available
+     * @notice Check available models on every provider
+     * @dev Verifies that the models each provider is routed to are available
+     * @returns {Object} Available model ids by provider name
      */
   async _checkAvailableModels () {
-    try {
-      this.logger.debug('Checking available Gaia models...');
-
-      const response = await this.httpClient.get('/models');
+    const available = {};
 
-      if (response.status === 200 && response.data?.data) {
-        const availableModels = response.data.data.map(model => model.id);
+    for (const provider of this.router.providers) {
+      try {
+        this.logger.debug('Checking available models...', { provider: provider.name });
 
-        this.logger.info('📋 Available Gaia models', {
-          models: availableModels,
-          count: availableModels.length
-        });
+        const response = await provider.client.get('/models');
 
-        // ============ Validate Required Models ============
-        const requiredModels = [this.modelConfig.primary.name, this.modelConfig.fast.name];
-        const missingModels = requiredModels.filter(model =>
-          !availableModels.some(available => available.includes(model))
-        );
+        if (response.status === 200 && response.data?.data) {
+          const availableModels = response.data.data.map(model => model.id);
 
-        if (missingModels.length > 0) {
-          this.logger.warn('⚠️ Some required models not found', {
-            missing: missingModels,
-            available: availableModels
+          this.logger.info('📋 Available models', {
+            provider: provider.name,
+            models: availableModels,
+            count: availableModels.length
           });
-          // Don't fail initialization, use available models
-        }
 
-        return availableModels;
-      } else {
-        this.logger.warn('⚠️ Could not retrieve model list - continuing with default models');
-        return [];
+          // ============ Validate Required Models ============
+          const requiredModels = provider.tiers.map(tier => provider.getModel(tier, this.modelConfig[tier].name));
+          const missingModels = requiredModels.filter(model =>
+            !availableModels.some(candidate => candidate.includes(model))
+          );
+
+          if (missingModels.length > 0) {
+            this.logger.warn('⚠️ Some required models not found', {
+              provider: provider.name,
+              missing: missingModels,
+              available: availableModels
+            });
+            // Don't fail initialization, use available models
+          }
+
+          available[provider.name] = availableModels;
+        } else {
+          this.logger.warn('⚠️ Could not retrieve model list - continuing with default models', { provider: provider.name });
+          available[provider.name] = [];
+        }
+      } catch (error) {
+        this.logger.warn('⚠️ Model check failed - continuing with default configuration', {
+          provider: provider.name,
+          error: error.message
+        });
+        available[provider.name] = [];
       }
-    } catch (error) {
-      this.logger.warn('⚠️ Model check failed - continuing with default configuration', {
-        error: error.message
-      });
-      return [];
     }
+
+    return available;
   }
 
   // ============ Core AI Analysis Methods ============
@@ -292,9 +382,10 @@ Always respond in valid JSON format with specific execution parameters.`
      * @notice Get comprehensive market analysis for scalping opportunities
      * @param {Array} tradingPairs - Trading pairs to analyze
      * @param {Object} marketData - Current market data context
-     * @returns {Object} Detailed market analysis with actionable insights
+     * @param {Object} options - { priority, deadline, signal } (default background priority)
+     * @returns {Object|null} Detailed market analysis with actionable insights, or null when the reply failed schema validation; rejects with `code: 'CANCELLED'` when `signal` is aborted
      */
-  async getMarketAnalysis (tradingPairs = ['BTC/USDT', 'ETH/USDT', 'SOL/USDC'], marketData = {}) {
+  async getMarketAnalysis (tradingPairs = ['BTC/USDT', 'ETH/USDT', 'SOL/USDC'], marketData = {}, options = {}) {
     this._ensureInitialized();
 
     try {
@@ -386,7 +477,11 @@ RESPOND IN THIS EXACT JSON FORMAT:
     "timestamp": "${Date.now()}"
 }`;
 
-      const analysis = await this._performAnalysis('marketAnalyst', prompt, this.modelConfig.primary);
+      const analysis = await this._performAnalysis(ANALYSIS_TYPES.MARKET, prompt, {
+        priority: options.priority || REQUEST_PRIORITIES.BACKGROUND,
+        deadline: options.deadline,
+        signal: options.signal
+      });
 
       // ============ Enhance Analysis with Additional Context ============
       const enhancedAnalysis = this._enhanceMarketAnalysis(analysis, marketData);
@@ -407,6 +502,13 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
       return enhancedAnalysis;
     } catch (error) {
+      if (this._isCancelled(error)) {
+        throw error;
+      }
+      if (this._isSchemaFailure(error)) {
+        return null; // Already logged; a neutral default would look like a real answer
+      }
+
       this.logger.error('❌ Failed to generate market analysis', {
         error: error.message,
         pairs: tradingPairs
@@ -419,7 +521,7 @@ RESPOND IN THIS EXACT JSON FORMAT:
      * @notice Get real-time sentiment analysis for trading decisions
      * @param {string} pair - Trading pair to analyze
      * @param {Object} contextData - Additional context for sentiment analysis
-     * @returns {Object} Comprehensive sentiment analysis
+     * @returns {Object|null} Comprehensive sentiment analysis, or null when the reply failed schema validation
      */
   async getSentimentAnalysis (pair, contextData = {}) {
     this._ensureInitialized();
@@ -505,7 +607,9 @@ RESPOND IN THIS EXACT JSON FORMAT:
     "timestamp": "${Date.now()}"
 }`;
 
-      const sentiment = await this._performAnalysis('sentimentAnalyst', prompt, this.modelConfig.primary);
+      const sentiment = await this._performAnalysis(ANALYSIS_TYPES.SENTIMENT, prompt, {
+        priority: REQUEST_PRIORITIES.SENTIMENT
+      });
 
       // ============ Add Sentiment Momentum Calculation ============
       const enhancedSentiment = this._enhanceSentimentAnalysis(sentiment, pair);
@@ -522,6 +626,10 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
       return enhancedSentiment;
     } catch (error) {
+      if (this._isSchemaFailure(error)) {
+        return null; // Already logged; a neutral default would look like a real answer
+      }
+
       this.logger.error('❌ Failed to generate sentiment analysis', {
         error: error.message,
         pair
@@ -533,7 +641,7 @@ RESPOND IN THIS EXACT JSON FORMAT:
   /**
      * @notice Get quantitative risk assessment for position sizing
      * @param {Object} portfolioData - Current portfolio and market state
-     * @returns {Object} Comprehensive risk assessment with recommendations
+     * @returns {Object|null} Comprehensive risk assessment with recommendations, or null when the reply failed schema validation
      */
   async getRiskAssessment (portfolioData = {}) {
     this._ensureInitialized();
@@ -633,7 +741,9 @@ RESPOND IN THIS EXACT JSON FORMAT:
     "timestamp": "${Date.now()}"
 }`;
 
-      const riskAssessment = await this._performAnalysis('riskAssessor', prompt, this.modelConfig.primary);
+      const riskAssessment = await this._performAnalysis(ANALYSIS_TYPES.RISK, prompt, {
+        priority: REQUEST_PRIORITIES.BACKGROUND
+      });
 
       // ============ Add Dynamic Risk Adjustments ============
       const enhancedRisk = this._enhanceRiskAssessment(riskAssessment, portfolioData);
@@ -649,6 +759,10 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
       return enhancedRisk;
     } catch (error) {
+      if (this._isSchemaFailure(error)) {
+        return null; // Already logged; a neutral default would look like a real answer
+      }
+
       this.logger.error('❌ Failed to generate risk assessment', {
         error: error.message,
         portfolio: portfolioData
@@ -664,9 +778,10 @@ RESPOND IN THIS EXACT JSON FORMAT:
      * @param {string} pair - Trading pair
      * @param {Object} technicalData - Current technical indicators
      * @param {Object} marketContext - Additional market context
-     * @returns {Object} Actionable trading signal
+     * @param {Object} options - { priority, deadline, signal, onPartial }; use REQUEST_PRIORITIES.EXIT for exit decisions (default entry)
+     * @returns {Object|null} Actionable trading signal, or null when the reply failed schema validation; rejects with `code: 'CANCELLED'` when `signal` is aborted
      */
-  async getQuickTradingSignal (pair, technicalData = {}, marketContext = {}) {
+  async getQuickTradingSignal (pair, technicalData = {}, marketContext = {}, options = {}) {
     this._ensureInitialized();
 
     try {
@@ -711,7 +826,12 @@ RESPOND IN THIS EXACT JSON FORMAT:
     "timestamp": "${Date.now()}"
 }`;
 
-      const signal = await this._performAnalysis('marketAnalyst', prompt, this.modelConfig.fast);
+      const signal = await this._performAnalysis(ANALYSIS_TYPES.QUICK_SIGNAL, prompt, {
+        priority: options.priority || REQUEST_PRIORITIES.ENTRY,
+        deadline: options.deadline,
+        signal: options.signal,
+        onPartial: options.onPartial
+      });
 
       this.logger.debug('⚡ Quick signal generated', {
         pair,
@@ -722,6 +842,13 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
       return signal;
     } catch (error) {
+      if (this._isCancelled(error)) {
+        throw error; // A default HOLD would look like a real answer
+      }
+      if (this._isSchemaFailure(error)) {
+        return null; // Already logged; same reason as above
+      }
+
       this.logger.error('❌ Failed to generate quick signal', {
         error: error.message,
         pair
@@ -734,7 +861,7 @@ RESPOND IN THIS EXACT JSON FORMAT:
      * @notice Detect cross-chain and cross-exchange arbitrage opportunities
      * @param {Array} exchanges - Exchanges to analyze
      * @param {Array} chains - Blockchain networks to analyze
-     * @returns {Object} Arbitrage opportunities with execution details
+     * @returns {Object|null} Arbitrage opportunities with execution details, or null when the reply failed schema validation
      */
   async getArbitrageOpportunities (exchanges = ['binance', 'uniswap', 'sushiswap'], chains = ['ethereum', 'polygon', 'arbitrum']) {
     this._ensureInitialized();
@@ -828,7 +955,9 @@ RESPOND IN THIS EXACT JSON FORMAT:
     "timestamp": "${Date.now()}"
 }`;
 
-      const arbitrageAnalysis = await this._performAnalysis('arbitrageDetector', prompt, this.modelConfig.primary);
+      const arbitrageAnalysis = await this._performAnalysis(ANALYSIS_TYPES.ARBITRAGE, prompt, {
+        priority: REQUEST_PRIORITIES.BACKGROUND
+      });
 
       // ============ Filter Profitable Opportunities ============
       const filteredOpportunities = this._filterArbitrageOpportunities(arbitrageAnalysis);
@@ -843,6 +972,10 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
       return filteredOpportunities;
     } catch (error) {
+      if (this._isSchemaFailure(error)) {
+        return null; // Already logged; a neutral default would look like a real answer
+      }
+
       this.logger.error('❌ Failed to generate arbitrage analysis', {
         error: error.message,
         exchanges,
@@ -852,73 +985,229 @@ RESPOND IN THIS EXACT JSON FORMAT:
     }
   }
 
+  /**
+     * @notice Get a machine-learning-style price prediction from strategy features
+     * @param {string} pair - Trading pair
+     * @param {Object} features - { indicators, orderBook, sentiment, marketRegime }
+     * @param {Object} options - { priority, deadline, signal, onPartial } (default entry priority)
+     * @returns {Object|null} Validated prediction, or null when none could be obtained; rejects with `code: 'CANCELLED'` when `signal` is aborted
+     */
+  async getPricePrediction (pair, features = {}, options = {}) {
+    this._ensureInitialized();
+
+    try {
+      const { indicators = {}, orderBook, sentiment, marketRegime } = features;
+      const prompt = `Analyze the following trading data and provide a machine learning-style prediction:
+
+PAIR: ${pair}
+
+TECHNICAL FEATURES:
+- RSI (1m): ${indicators.rsi?.['1m'] || 'N/A'}
+- MACD Signal: ${indicators.macd?.signal || 'N/A'}
+- Volume Spike: ${indicators.volume?.spike || 'N/A'}
+- Bollinger Position: ${indicators.bollingerBands?.position || 'N/A'}
+
+ORDER BOOK FEATURES:
+- Bid/Ask Imbalance: ${orderBook?.imbalance || 'N/A'}
+- Large Order Flow: ${orderBook?.largeOrderFlow || 'N/A'}
+- Spread Tightness: ${orderBook?.spreadTightness || 'N/A'}
+- Spread (bps): ${orderBook?.spreadBps?.toFixed(2) || 'N/A'}
+- Microprice: ${orderBook?.microprice || 'N/A'}
+
+SENTIMENT FEATURES:
+- Sentiment Score: ${sentiment?.score || 'N/A'}
+- News Impact: ${sentiment?.newsImpact || 'N/A'}
+- Social Momentum: ${sentiment?.socialMomentum || 'N/A'}
+
+MARKET REGIME: ${marketRegime?.current || 'N/A'}
+
+RESPOND IN THIS EXACT JSON FORMAT:
+{
+    "direction": "UP|DOWN|SIDEWAYS",
+    "confidence": 0.72,
+    "timeHorizon": "1-15 minutes",
+    "magnitude": 0.4,
+    "riskFactors": ["factor1", "factor2"],
+    "supportingEvidence": "key reasons"
+}`;
+
+      const prediction = await this._performAnalysis(ANALYSIS_TYPES.ML_PREDICTION, prompt, {
+        priority: options.priority || REQUEST_PRIORITIES.ENTRY,
+        deadline: options.deadline,
+        signal: options.signal,
+        onPartial: options.onPartial
+      });
+
+      this.logger.debug('🔮 Price prediction generated', {
+        pair,
+        direction: prediction.direction,
+        confidence: prediction.confidence
+      });
+
+      return prediction;
+    } catch (error) {
+      if (this._isCancelled(error)) {
+        throw error;
+      }
+
+      this.logger.error('❌ Failed to generate price prediction', {
+        error: error.message,
+        pair
+      });
+      return null;
+    }
+  }
+
+  /**
+     * @notice Run a schema-validated analysis with the caller's own prompt
+     * @dev For modules that write their prompts themselves, such as SentimentAnalyzer. The
+     *      system prompt, schema and model tier come from `analysisType`, and the prompt must
+     *      ask for that schema's JSON format.
+     * @param {string} analysisType - One of ANALYSIS_TYPES
+     * @param {string} prompt - Analysis prompt
+     * @param {Object} options - { priority, deadline, signal, onPartial } (default background priority)
+     * @returns {Object|null} Validated analysis, or null when the reply failed schema validation; rejects when Gaia cannot be reached, with `code: 'CANCELLED'` when `signal` is aborted
+     */
+  async analyze (analysisType, prompt, options = {}) {
+    this._ensureInitialized();
+
+    try {
+      return await this._performAnalysis(analysisType, prompt, {
+        priority: options.priority || REQUEST_PRIORITIES.BACKGROUND,
+        deadline: options.deadline,
+        signal: options.signal,
+        onPartial: options.onPartial
+      });
+    } catch (error) {
+      if (this._isSchemaFailure(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   // ============ Core Chat Interface with Enhanced Error Handling ============
 
   /**
-     * @notice Send chat request to Gaia node with comprehensive error handling
+     * @notice Send chat request to Gaia node through the request scheduler
+     * @dev Waits in the scheduler's queue by priority until a concurrency slot and enough
+     *      token budget are free; rejects with `code: 'DEADLINE_EXCEEDED'` when the request
+     *      waits longer than its deadline. Aborting `signal`, queued or in flight, rejects with
+     *      `code: 'CANCELLED'`.
+     *
+     *      With `stream` (implied by `onPartial`) the reply is read as server-sent events and
+     *      `onPartial(fields, allFields)` is called as each top-level JSON field completes, so
+     *      early fields such as `direction` or `confidence` can be used before the reply ends.
+     *      Partial fields are unvalidated; the resolved value is still the complete reply.
+     *
+     *      The request goes to the healthiest provider serving `tier` and fails over to the
+     *      next on provider errors; a streamed request that fails over may report fields again.
      * @param {Object} chatRequest - Chat request configuration
+     * @param {Object} options - { priority, deadline, signal, stream, onPartial, tier } (default: background priority and its deadline, primary tier)
      * @returns {string} AI response content
      */
-  async chat (chatRequest) {
+  async chat (chatRequest, options = {}) {
     this._ensureInitialized();
 
-    try {
-      // ============ Input Validation ============
-      if (!chatRequest.messages || !Array.isArray(chatRequest.messages)) {
-        throw new Error('Invalid chat request: messages array required');
-      }
+    // ============ Input Validation ============
+    if (!chatRequest.messages || !Array.isArray(chatRequest.messages)) {
+      throw new Error('Invalid chat request: messages array required');
+    }
+
+    const tier = this.modelConfig[options.tier] ? options.tier : MODEL_TIERS.PRIMARY;
+    const maxTokens = Math.min(chatRequest.max_tokens || this.modelConfig[tier].maxTokens, 4000);
+    return this.scheduler.schedule(reservation => this._sendChat(chatRequest, reservation, { ...options, tier }), {
+      priority: options.priority || REQUEST_PRIORITIES.BACKGROUND,
+      deadline: options.deadline,
+      signal: options.signal,
+      tokens: estimateTokens({ messages: chatRequest.messages, max_tokens: maxTokens }),
+      description: `chat ${chatRequest.model || this.modelConfig[tier].name}`
+    });
+  }
 
-      // ============ Rate Limiting Check ============
-      this._checkRateLimit();
+  /**
+     * @notice Send one chat request through the provider router with comprehensive error handling
+     * @param {Object} chatRequest - Chat request configuration
+     * @param {Object} reservation - Scheduler reservation, updated with the tokens actually used
+     * @param {Object} options - { signal, stream, onPartial, tier } as passed to chat()
+     * @returns {string} AI response content
+     */
+  async _sendChat (chatRequest, reservation = {}, options = {}) {
+    const stream = options.stream ?? typeof options.onPartial === 'function';
+    const tier = options.tier || MODEL_TIERS.PRIMARY;
+    const modelConfig = this.modelConfig[tier];
 
+    try {
       // ============ Prepare Request with Gaia-Compatible Format ============
       const request = {
         messages: chatRequest.messages,
-        model: chatRequest.model || this.modelConfig.primary.name,
-        max_tokens: Math.min(chatRequest.max_tokens || this.modelConfig.primary.maxTokens, 4000),
-        temperature: chatRequest.temperature ?? this.modelConfig.primary.temperature,
-        top_p: chatRequest.top_p ?? this.modelConfig.primary.topP,
-        stream: false, // Always use non-streaming for analysis
+        model: chatRequest.model || modelConfig.name,
+        max_tokens: Math.min(chatRequest.max_tokens || modelConfig.maxTokens, 4000),
+        temperature: chatRequest.temperature ?? modelConfig.temperature,
+        top_p: chatRequest.top_p ?? modelConfig.topP,
+        stream,
         frequency_penalty: 0.1, // Reduce repetition
         presence_penalty: 0.1 // Encourage diverse responses
       };
 
-      this.logger.debug('📤 Sending Gaia chat request', {
-        messageCount: request.messages.length,
-        model: request.model,
-        maxTokens: request.max_tokens
-      });
-
       const startTime = Date.now();
 
-      // ============ Execute Request with Timeout ============
-      const response = await this.httpClient.post('/chat/completions', request);
+      // ============ Execute on the Healthiest Provider, Failing Over ============
+      let provider;
+      const completion = await this.router.execute(tier, async (candidate) => {
+        provider = candidate;
+        const model = candidate.getModel(tier, request.model);
+
+        this.logger.debug('📤 Sending Gaia chat request', {
+          provider: candidate.name,
+          messageCount: request.messages.length,
+          model,
+          maxTokens: request.max_tokens,
+          stream
+        });
 
-      const responseTime = Date.now() - startTime;
-      this._updateMetrics(true, responseTime);
+        const response = await candidate.client.post('/chat/completions', { ...request, model }, {
+          signal: options.signal,
+          ...(stream && { responseType: 'stream', headers: { Accept: 'text/event-stream' } })
+        });
 
-      // ============ Validate Response Structure ============
-      if (!response.data || !response.data.choices || !response.data.choices[0]) {
-        throw new Error('Invalid response structure from Gaia');
-      }
+        const result = stream
+          ? await this._readStreamedCompletion(response, options, startTime)
+          : this._readCompletion(response);
+
+        if (!result.content) {
+          throw new Error('Empty response content from Gaia');
+        }
+        return result;
+      }, { signal: options.signal });
 
-      const choice = response.data.choices[0];
-      const content = choice.message?.content;
+      const responseTime = Date.now() - startTime;
+      this._updateMetrics(true, responseTime);
 
-      if (!content) {
-        throw new Error('Empty response content from Gaia');
+      // ============ Charge Actual Usage to the Token Budget ============
+      if (completion.usage?.total_tokens > 0) {
+        reservation.tokens = completion.usage.total_tokens;
       }
 
       // ============ Log Successful Response ============
       this.logger.debug('📥 Gaia response received', {
+        provider: provider.name,
         responseTime: `${responseTime}ms`,
-        contentLength: content.length,
-        finishReason: choice.finish_reason,
-        usage: response.data.usage
+        contentLength: completion.content.length,
+        finishReason: completion.finishReason,
+        usage: completion.usage,
+        stream
       });
 
-      return content;
+      return completion.content;
     } catch (error) {
+      // ============ Cancelled by the Caller ============
+      if (axios.isCancel(error) || error.code === SCHEDULER_ERRORS.CANCELLED) {
+        this.metrics.cancelledRequests++;
+        this.logger.debug('🚫 Gaia chat request cancelled', { model: chatRequest.model });
+        throw this._createCancelledError(options.signal);
+      }
+
       this._updateMetrics(false);
 
       // ============ Enhanced Error Handling with Context ============
@@ -956,72 +1245,108 @@ RESPOND IN THIS EXACT JSON FORMAT:
     }
   }
 
-  // ============ Request Queue Management ============
-
   /**
-     * @notice Start the request queue processor for handling high volume
-     * @dev Processes queued requests to prevent overwhelming the Gaia node
+     * @notice Read a non-streamed chat completion
+     * @param {Object} response - HTTP response
+     * @returns {Object} { content, finishReason, usage }
      */
-  _startQueueProcessor () {
-    if (this.isProcessingQueue) return;
+  _readCompletion (response) {
+    // ============ Validate Response Structure ============
+    if (!response.data || !response.data.choices || !response.data.choices[0]) {
+      throw new Error('Invalid response structure from Gaia');
+    }
 
-    this.isProcessingQueue = true;
+    const choice = response.data.choices[0];
+    return {
+      content: choice.message?.content,
+      finishReason: choice.finish_reason,
+      usage: response.data.usage
+    };
+  }
+
+  /**
+     * @notice Read a streamed chat completion, reporting JSON fields as they complete
+     * @param {Object} response - HTTP response with a stream body
+     * @param {Object} options - { signal, onPartial }
+     * @param {number} startTime - When the request was sent
+     * @returns {Object} { content, finishReason, usage }
+     */
+  async _readStreamedCompletion (response, options, startTime) {
+    this.metrics.streamedRequests++;
+    const parser = new PartialJsonParser();
+    let firstFieldTime = 0;
+
+    return readChatStream(response.data, {
+      signal: options.signal,
+      onContent: (content) => {
+        const fields = parser.push(content);
+        if (Object.keys(fields).length === 0 || !options.onPartial) {
+          return;
+        }
 
-    const processQueue = async () => {
-      while (this.requestQueue.length > 0 && this.isProcessingQueue) {
-        const { request, resolve, reject } = this.requestQueue.shift();
+        if (!firstFieldTime) {
+          firstFieldTime = Date.now() - startTime;
+          const partials = ++this.metrics.partialResponses;
+          this.metrics.avgFirstFieldTime = (this.metrics.avgFirstFieldTime * (partials - 1) + firstFieldTime) / partials;
+        }
 
         try {
-          const result = await this.chat(request);
-          resolve(result);
+          options.onPartial(fields, parser.getFields());
         } catch (error) {
-          reject(error);
+          // A failing consumer must not break the stream the full reply still depends on
+          this.logger.warn('⚠️ Partial response handler failed', { error: error.message });
         }
-
-        // ============ Small Delay Between Queued Requests ============
-        await this._sleep(100);
-      }
-
-      // ============ Continue Processing After Delay ============
-      if (this.isProcessingQueue) {
-        setTimeout(processQueue, 1000);
       }
-    };
+    });
+  }
 
-    processQueue();
-    this.logger.debug('🔄 Request queue processor started');
+  /**
+     * @notice Error for a request cancelled through its AbortSignal
+     * @param {AbortSignal} signal - Signal that was aborted
+     * @returns {Error} Error with `code: 'CANCELLED'`
+     */
+  _createCancelledError (signal) {
+    const reason = signal?.reason;
+    const error = new Error(`Gaia request cancelled: ${typeof reason === 'string' ? reason : reason?.message || 'aborted'}`);
+    error.code = SCHEDULER_ERRORS.CANCELLED;
+    return error;
   }
 
   /**
-     * @notice Add request to queue when rate limits are hit
-     * @param {Object} chatRequest - Chat request to queue
-     * @returns {Promise} Promise that resolves when request is processed
+     * @notice Whether an error comes from a cancelled request
+     * @param {Error} error - Error thrown by chat() or an analysis
+     * @returns {boolean} True when the request was cancelled
      */
-  async _queueRequest (chatRequest) {
-    if (this.requestQueue.length >= this.maxQueueSize) {
-      throw new Error('Request queue full - reduce request rate');
-    }
+  _isCancelled (error) {
+    return error?.code === SCHEDULER_ERRORS.CANCELLED;
+  }
 
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({ request: chatRequest, resolve, reject });
-      this.logger.debug('📋 Request queued', { queueSize: this.requestQueue.length });
-    });
+  /**
+     * @notice Whether an error comes from a reply that stayed invalid after repair
+     * @param {Error} error - Error thrown by an analysis
+     * @returns {boolean} True for a schema validation failure
+     */
+  _isSchemaFailure (error) {
+    return error?.code === SCHEMA_VALIDATION_FAILED;
   }
 
   // ============ Internal Analysis Enhancement Methods ============
 
   /**
      * @notice Perform AI analysis with enhanced error handling and retries
-     * @param {string} analystType - Type of analyst system prompt
+     * @param {string} analysisType - Analysis type (ANALYSIS_TYPES), selecting system prompt, schema and model tier
      * @param {string} prompt - Analysis prompt
-     * @param {Object} modelConfig - Model configuration to use
-     * @returns {Object} Parsed and enhanced analysis result
+     * @param {Object} schedule - { priority, deadline, signal, stream, onPartial } passed to chat()
+     * @returns {Object} Schema-validated analysis result
      */
-  async _performAnalysis (analystType, prompt, modelConfig = this.modelConfig.primary) {
+  async _performAnalysis (analysisType, prompt, schedule = {}) {
+    const tier = this.analysisRoutes[analysisType] || MODEL_TIERS.PRIMARY;
+    const modelConfig = this.modelConfig[tier];
+
     try {
-      const systemPrompt = this.systemPrompts[analystType];
+      const systemPrompt = this.systemPrompts[ANALYSTS[analysisType]];
       if (!systemPrompt) {
-        throw new Error(`Unknown analyst type: ${analystType}`);
+        throw new Error(`Unknown analysis type: ${analysisType}`);
       }
 
       // ============ Prepare Chat Request ============
@@ -1040,12 +1365,13 @@ RESPOND IN THIS EXACT JSON FORMAT:
       let lastError;
       for (let attempt = 1; attempt <= 3; attempt++) {
         try {
-          const response = await this.chat(chatRequest);
-          return this._parseAnalysisResponse(response, analystType);
+          const response = await this.chat(chatRequest, { ...schedule, tier });
+          return await this._getValidatedAnalysis(analysisType, chatRequest, response, { ...schedule, tier });
         } catch (error) {
           lastError = error;
 
-          if (attempt < 3 && (error.message.includes('rate limit') || error.message.includes('timeout') || error.message.includes('slow'))) {
+          const isTransient = error.message.includes('rate limit') || error.message.includes('timeout') || error.message.includes('slow');
+          if (attempt < 3 && error.code !== SCHEMA_VALIDATION_FAILED && !this._isCancelled(error) && isTransient) {
             this.logger.warn(`🔄 ${error.message.includes('rate limit') ? 'Rate limit' : 'Timeout'} hit, retrying attempt ${attempt + 1}/3`);
             await this._sleep(2000 * attempt); // Exponential backoff
             continue;
@@ -1056,7 +1382,11 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
       throw lastError;
     } catch (error) {
-      this.logger.error(`❌ Analysis failed for ${analystType}`, {
+      if (this._isCancelled(error)) {
+        throw error; // The caller asked for it; nothing failed
+      }
+
+      this.logger.error(`❌ Analysis failed for ${analysisType}`, {
         error: error.message,
         modelConfig: modelConfig.name
       });
@@ -1065,157 +1395,137 @@ RESPOND IN THIS EXACT JSON FORMAT:
   }
 
   /**
-     * @notice Parse and validate AI response with enhanced error handling
+     * @notice Validate a reply against its analysis schema, re-prompting the model to repair it
+     * @dev A reply that fails validation is sent back with the validation errors, up to
+     *      `schemaRepairAttempts` times. One still invalid after that is counted as a schema
+     *      failure and thrown, so callers never receive made-up values in its place.
+     * @param {string} analysisType - Analysis type
+     * @param {Object} chatRequest - Request the reply answers
      * @param {string} response - Raw AI response
-     * @param {string} analystType - Type of analysis for validation
-     * @returns {Object} Parsed and validated analysis
+     * @param {Object} schedule - { priority, deadline, signal, stream, onPartial } for repair requests
+     * @returns {Object} Validated analysis
      */
-  _parseAnalysisResponse (response, analystType = 'general') {
-    try {
-      // ============ Extract JSON from Response ============
-      let jsonStr = response.trim();
+  async _getValidatedAnalysis (analysisType, chatRequest, response, schedule = {}) {
+    const stats = this.metrics.schemaValidation[analysisType];
+    stats.responses++;
+
+    let reply = response;
+    let result = this._parseAnalysisResponse(reply, analysisType);
+
+    for (let repair = 1; result.errors.length > 0 && repair <= this.schemaRepairAttempts; repair++) {
+      this.logger.warn('⚠️ Analysis failed schema validation, requesting repair', {
+        analysisType,
+        repair,
+        errors: result.errors.slice(0, 5)
+      });
 
-      // Try to find JSON block markers
-      const jsonStart = jsonStr.indexOf('{');
-      const jsonEnd = jsonStr.lastIndexOf('}');
+      reply = await this.chat(this._createRepairRequest(chatRequest, reply, result.errors), schedule);
+      result = this._parseAnalysisResponse(reply, analysisType);
 
-      if (jsonStart !== -1 && jsonEnd !== -1 && jsonEnd > jsonStart) {
-        jsonStr = jsonStr.substring(jsonStart, jsonEnd + 1);
+      if (result.errors.length === 0) {
+        stats.repaired++;
+        return result.value;
       }
+    }
 
-      // ============ Parse and Validate JSON ============
-      const parsed = JSON.parse(jsonStr);
-
-      // ============ Add Metadata ============
-      parsed.analystType = analystType;
-      parsed.timestamp = parsed.timestamp || Date.now();
-      parsed.responseLength = response.length;
-
-      // ============ Validate Required Fields Based on Analysis Type ============
-      const validated = this._validateAnalysisResponse(parsed, analystType);
-
-      this.logger.debug('✅ Analysis response parsed successfully', {
-        analystType,
-        hasTimestamp: !!validated.timestamp,
-        confidence: validated.confidence || 'N/A'
-      });
-
-      return validated;
-    } catch (parseError) {
-      this.logger.warn('⚠️ JSON parsing failed, creating structured response', {
-        analystType,
-        responseLength: response.length,
-        error: parseError.message
-      });
-
-      // ============ Fallback: Create Structured Response ============
-      return this._createFallbackResponse(response, analystType, parseError);
+    if (result.errors.length > 0) {
+      stats.failed++;
+      const error = new Error(`Schema validation failed for ${analysisType}: ${result.errors.slice(0, 3).join('; ')}`);
+      error.code = SCHEMA_VALIDATION_FAILED;
+      error.validationErrors = result.errors;
+      throw error;
     }
+
+    stats.valid++;
+    return result.value;
   }
 
   /**
-     * @notice Validate analysis response based on expected structure
-     * @param {Object} parsed - Parsed JSON response
-     * @param {string} analystType - Type of analysis
-     * @returns {Object} Validated response with defaults for missing fields
+     * @notice Parse and validate AI response against the schema of its analysis type
+     * @param {string} response - Raw AI response
+     * @param {string} analysisType - Type of analysis for validation
+     * @returns {Object} { value, errors } with metadata added to a valid value
      */
-  _validateAnalysisResponse (parsed, analystType) {
-    const validated = { ...parsed };
-
-    // ============ Common Required Fields ============
-    validated.confidence = typeof parsed.confidence === 'number'
-      ? Math.max(0, Math.min(1, parsed.confidence))
-      : 0.5;
-    validated.timestamp = parsed.timestamp || Date.now();
-
-    // ============ Type-Specific Validation ============
-    switch (analystType) {
-      case 'marketAnalyst':
-        validated.marketRegime = parsed.marketRegime || 'ranging';
-        validated.overallTrend = parsed.overallTrend || 'sideways';
-        validated.riskLevel = typeof parsed.riskLevel === 'number' ? parsed.riskLevel : 0.5;
-        validated.scalpingOpportunities = Array.isArray(parsed.scalpingOpportunities)
-          ? parsed.scalpingOpportunities
-          : [];
-        break;
-
-      case 'sentimentAnalyst':
-        validated.sentimentScore = typeof parsed.sentimentScore === 'number'
-          ? Math.max(0, Math.min(1, parsed.sentimentScore))
-          : 0.5;
-        validated.sentiment = parsed.sentiment || 'neutral';
-        validated.pair = parsed.pair || 'Unknown';
-        break;
-
-      case 'riskAssessor':
-        validated.overallRisk = parsed.overallRisk || 'moderate';
-        validated.riskScore = typeof parsed.riskScore === 'number' ? parsed.riskScore : 0.5;
-        validated.positionSizing = parsed.positionSizing || {};
-        break;
-
-      case 'arbitrageDetector':
-        validated.opportunities = Array.isArray(parsed.opportunities)
-          ? parsed.opportunities
-          : [];
-        break;
+  _parseAnalysisResponse (response, analysisType) {
+    const { value, errors } = validateAnalysis(analysisType, response);
+    if (errors.length > 0) {
+      return { value: null, errors };
     }
 
-    return validated;
+    this.logger.debug('✅ Analysis response validated', {
+      analysisType,
+      confidence: value.confidence ?? 'N/A'
+    });
+
+    return {
+      value: {
+        ...value,
+        analysisType,
+        timestamp: value.timestamp || Date.now(),
+        responseLength: response.length
+      },
+      errors
+    };
   }
 
   /**
-     * @notice Create fallback response when JSON parsing fails
-     * @param {string} response - Original response text
-     * @param {string} analystType - Type of analysis
-     * @param {Error} parseError - JSON parsing error
-     * @returns {Object} Fallback structured response
+     * @notice Build the follow-up request asking the model to fix an invalid reply
+     * @param {Object} chatRequest - Original request
+     * @param {string} response - Invalid reply
+     * @param {Array<string>} errors - Validation errors
+     * @returns {Object} Chat request
      */
-  _createFallbackResponse (response, analystType, parseError) {
-    const baseResponse = {
-      analysis: response.substring(0, 500) + (response.length > 500 ? '...' : ''),
-      confidence: 0.3,
-      reasoning: 'Text-based analysis - JSON parsing failed',
-      timestamp: Date.now(),
-      parseError: parseError.message,
-      analystType,
-      fallback: true
+  _createRepairRequest (chatRequest, response, errors) {
+    return {
+      ...chatRequest,
+      messages: [
+        ...chatRequest.messages,
+        { role: 'assistant', content: response },
+        {
+          role: 'user',
+          content: `Your reply did not match the required JSON format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON object, using the field names, value ranges and allowed values of the requested format.`
+        }
+      ]
     };
+  }
 
-    // ============ Add Type-Specific Fallback Fields ============
-    switch (analystType) {
-      case 'marketAnalyst':
-        return {
-          ...baseResponse,
-          marketRegime: 'ranging',
-          overallTrend: 'sideways',
-          riskLevel: 0.5,
-          scalpingOpportunities: [],
-          supportResistance: {},
-          riskWarnings: ['AI analysis parsing failed']
-        };
+  /**
+     * @notice Empty schema validation counters for every analysis type
+     * @returns {Object} { [analysisType]: { responses, valid, repaired, failed } }
+     */
+  _createSchemaMetrics () {
+    return Object.fromEntries(Object.values(ANALYSIS_TYPES).map(type => [
+      type,
+      { responses: 0, valid: 0, repaired: 0, failed: 0 }
+    ]));
+  }
 
-      case 'sentimentAnalyst':
-        return {
-          ...baseResponse,
-          sentimentScore: 0.5,
-          sentiment: 'neutral',
-          pair: 'Unknown',
-          sentimentFactors: {},
-          keyDrivers: ['Analysis parsing failed']
-        };
+  /**
+     * @notice Parse analysis type to model tier routes
+     * @param {string|Object} routes - `type=tier` pairs separated by commas (GAIA_ANALYSIS_ROUTES), or an object
+     * @returns {Object} { [analysisType]: tier }
+     */
+  _parseAnalysisRoutes (routes) {
+    if (!routes) {
+      return {};
+    }
 
-      case 'riskAssessor':
-        return {
-          ...baseResponse,
-          overallRisk: 'moderate',
-          riskScore: 0.5,
-          positionSizing: { maxPositionPercent: 5 },
-          recommendations: ['Use conservative position sizing']
-        };
+    const entries = typeof routes === 'string'
+      ? routes.split(',').filter(route => route.trim()).map(route => route.split('=').map(part => part.trim()))
+      : Object.entries(routes);
 
-      default:
-        return baseResponse;
-    }
+    return Object.fromEntries(entries.map(([analysisType, tier]) => {
+      if (!Object.values(ANALYSIS_TYPES).includes(analysisType)) {
+        throw new Error(`Unknown analysis type in model routes: ${analysisType}`);
+      }
+      if (!Object.values(MODEL_TIERS).includes(tier)) {
+        throw new Error(`Unknown model tier for ${analysisType}: ${tier}`);
+      }
+      return [analysisType, tier];
+    }));
   }
 
   // ============ Analysis Enhancement Methods ============
@@ -1360,33 +1670,6 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
   // ============ Rate Limiting and Performance ============
 
-  /**
-     * @notice Check and enforce rate limiting with enhanced logic
-     * @dev Prevents API abuse and ensures stable performance
-     */
-  _checkRateLimit () {
-    const now = Date.now();
-
-    // ============ Reset Window if Needed ============
-    if (now - this.lastWindowReset > this.requestWindow) {
-      this.requestCount = 0;
-      this.lastWindowReset = now;
-    }
-
-    // ============ Check Current Limit ============
-    if (this.requestCount >= this.maxRequestsPerWindow) {
-      const waitTime = this.requestWindow - (now - this.lastWindowReset);
-      this.logger.warn('⚠️ Rate limit reached', {
-        requestCount: this.requestCount,
-        maxRequests: this.maxRequestsPerWindow,
-        waitTime: `${Math.ceil(waitTime / 1000)}s`
-      });
-      throw new Error(`Rate limit exceeded. Wait ${Math.ceil(waitTime / 1000)} seconds.`);
-    }
-
-    this.requestCount++;
-  }
-
   /**
      * @notice Update performance metrics
      * @param {boolean} success - Whether request was successful
@@ -1720,10 +2003,10 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
   /**
      * @notice Check if client is connected and ready
-     * @returns {boolean} Connection status
+     * @returns {boolean} True when initialized and a provider can take requests
      */
   isConnected () {
-    return this.isInitialized && this.httpClient;
+    return this.isInitialized && this.router.hasAvailableProvider();
   }
 
   /**
@@ -1731,17 +2014,15 @@ RESPOND IN THIS EXACT JSON FORMAT:
      * @returns {Object} Detailed rate limit information
      */
   getRateLimitStatus () {
-    const now = Date.now();
-    const timeSinceReset = now - this.lastWindowReset;
-    const timeToReset = Math.max(0, this.requestWindow - timeSinceReset);
+    const { tokenBudget } = this.scheduler.getStatus();
 
     return {
-      requestCount: this.requestCount,
-      maxRequests: this.maxRequestsPerWindow,
-      remainingRequests: Math.max(0, this.maxRequestsPerWindow - this.requestCount),
-      timeToReset: Math.ceil(timeToReset / 1000),
+      tokensUsed: tokenBudget.used,
+      maxTokens: tokenBudget.limit,
+      remainingTokens: tokenBudget.remaining,
+      timeToNextRelease: Math.ceil(tokenBudget.nextReleaseMs / 1000),
       windowDuration: this.requestWindow / 1000,
-      utilizationPercent: (this.requestCount / this.maxRequestsPerWindow) * 100
+      utilizationPercent: tokenBudget.utilizationPercent
     };
   }
 
@@ -1758,6 +2039,8 @@ RESPOND IN THIS EXACT JSON FORMAT:
         total: this.metrics.totalRequests,
         successful: this.metrics.successfulRequests,
         failed: this.metrics.failedRequests,
+        cancelled: this.metrics.cancelledRequests,
+        streamed: this.metrics.streamedRequests,
         successRate: this.metrics.totalRequests > 0
           ? (this.metrics.successfulRequests / this.metrics.totalRequests) * 100
           : 0
@@ -1767,9 +2050,16 @@ RESPOND IN THIS EXACT JSON FORMAT:
       performance: {
         avgResponseTime: Math.round(this.metrics.avgResponseTime),
         lastResponseTime: this.metrics.lastResponseTime,
+        avgFirstFieldTime: Math.round(this.metrics.avgFirstFieldTime),
         cacheHitRate: Math.round(this.metrics.cacheHitRate * 100)
       },
 
+      // ============ Structured Output Validation ============
+      schemaValidation: Object.fromEntries(Object.entries(this.metrics.schemaValidation).map(([type, stats]) => [type, {
+        ...stats,
+        failureRate: stats.responses > 0 ? (stats.failed / stats.responses) * 100 : 0
+      }])),
+
       // ============ Rate Limiting ============
       rateLimiting: rateLimitStatus,
 
@@ -1781,17 +2071,19 @@ RESPOND IN THIS EXACT JSON FORMAT:
       },
 
       // ============ Queue Status ============
-      queue: {
-        size: this.requestQueue.length,
-        maxSize: this.maxQueueSize,
-        isProcessing: this.isProcessingQueue
-      },
+      // Depth, running requests and wait times per priority
+      queue: this.scheduler.getStatus(),
+
+      // ============ Provider Status ============
+      // Health score, latency, error rate, failovers and breaker state per provider
+      providers: this.router.getStatus(),
 
       // ============ Configuration ============
       config: {
         nodeUrl: this.nodeUrl,
         primaryModel: this.modelConfig.primary.name,
         fastModel: this.modelConfig.fast.name,
+        analysisRoutes: { ...this.analysisRoutes },
         cacheTimeout: this.cacheTimeout / 1000,
         isInitialized: this.isInitialized
       },
@@ -1802,18 +2094,30 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
   /**
      * @notice Update rate limiting configuration
-     * @param {Object} config - New rate limit configuration
+     * @param {Object} config - { maxTokensPerWindow, requestWindow, maxConcurrentRequests, deadlines, cacheTimeout }
      */
   updateRateLimits (config) {
-    if (config.maxRequestsPerWindow && config.maxRequestsPerWindow > 0) {
-      this.maxRequestsPerWindow = config.maxRequestsPerWindow;
-      this.logger.info('📊 Max requests per window updated', {
-        newLimit: this.maxRequestsPerWindow
+    if (config.maxTokensPerWindow && config.maxTokensPerWindow > 0) {
+      this.scheduler.updateLimits({ tokensPerWindow: config.maxTokensPerWindow });
+      this.logger.info('📊 Token budget per window updated', {
+        newLimit: this.scheduler.tokensPerWindow
+      });
+    }
+
+    if (config.maxConcurrentRequests && config.maxConcurrentRequests > 0) {
+      this.scheduler.updateLimits({ concurrency: config.maxConcurrentRequests });
+      this.logger.info('🔀 Max concurrent requests updated', {
+        newLimit: this.scheduler.concurrency
       });
     }
 
+    if (config.deadlines) {
+      this.scheduler.updateLimits({ deadlines: config.deadlines });
+    }
+
     if (config.requestWindow && config.requestWindow > 0) {
       this.requestWindow = config.requestWindow;
+      this.scheduler.updateLimits({ windowMs: config.requestWindow });
       this.logger.info('⏱️ Request window updated', {
         newWindow: `${this.requestWindow / 1000}s`
       });
@@ -1829,9 +2133,14 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
   /**
      * @notice Update model configuration
-     * @param {Object} modelConfig - New model configuration
+     * @param {Object} modelConfig - { primary, fast, routes } where routes maps analysis types to tiers
      */
   updateModelConfig (modelConfig) {
+    if (modelConfig.routes) {
+      Object.assign(this.analysisRoutes, this._parseAnalysisRoutes(modelConfig.routes));
+      this.logger.info('🧭 Analysis model routes updated', { routes: this.analysisRoutes });
+    }
+
     if (modelConfig.primary) {
       Object.assign(this.modelConfig.primary, modelConfig.primary);
       this.logger.info('🤖 Primary model config updated', {
@@ -1867,7 +2176,12 @@ RESPOND IN THIS EXACT JSON FORMAT:
       failedRequests: 0,
       avgResponseTime: 0,
       cacheHitRate: 0,
-      lastResponseTime: 0
+      lastResponseTime: 0,
+      cancelledRequests: 0,
+      streamedRequests: 0,
+      partialResponses: 0,
+      avgFirstFieldTime: 0,
+      schemaValidation: this._createSchemaMetrics()
     };
 
     this.logger.info('📊 Performance metrics reset');
@@ -1875,19 +2189,13 @@ RESPOND IN THIS EXACT JSON FORMAT:
 
   /**
      * @notice Gracefully shutdown the client
-     * @dev Stops queue processing and clears resources
+     * @dev Rejects queued requests and clears resources
      */
   async shutdown () {
     this.logger.info('🛑 Shutting down GaiaClient...');
 
-    // ============ Stop Queue Processing ============
-    this.isProcessingQueue = false;
-
     // ============ Clear Pending Requests ============
-    while (this.requestQueue.length > 0) {
-      const { reject } = this.requestQueue.shift();
-      reject(new Error('Client shutting down'));
-    }
+    this.scheduler.clear('Client shutting down');
 
     // ============ Clear Cache ============
     this.analysisCache.clear();
@@ -1932,11 +2240,13 @@ RESPOND IN THIS EXACT JSON FORMAT:
       // ============ Connection Check ============
       if (this.isInitialized) {
         try {
-          await this._testConnection();
+          const reachable = await this._testConnection();
+          const total = this.router.providers.length;
           health.checks.connectivity = {
-            status: 'pass',
-            message: 'Gaia node reachable',
-            responseTime: this.metrics.lastResponseTime
+            status: reachable.length === total ? 'pass' : 'warn',
+            message: total > 1 ? `${reachable.length}/${total} providers reachable` : 'Gaia node reachable',
+            responseTime: this.metrics.lastResponseTime,
+            providers: this.router.getStatus()
           };
         } catch (error) {
           health.checks.connectivity = {
@@ -1949,8 +2259,8 @@ RESPOND IN THIS EXACT JSON FORMAT:
       // ============ Rate Limit Check ============
       const rateLimitStatus = this.getRateLimitStatus();
       health.checks.rateLimiting = {
-        status: rateLimitStatus.remainingRequests > 5 ? 'pass' : 'warn',
-        message: `${rateLimitStatus.remainingRequests} requests remaining`,
+        status: rateLimitStatus.utilizationPercent < 90 ? 'pass' : 'warn',
+        message: `${rateLimitStatus.remainingTokens} tokens remaining`,
         details: rateLimitStatus
       };
 
@@ -2021,7 +2331,7 @@ RESPOND IN THIS EXACT JSON FORMAT:
   async disconnect () {
     try {
       // ============ Clear Request Queue ============
-      this.requestQueue.length = 0;
+      this.scheduler.clear('Client disconnecting');
 
       // ============ Clear Cache ============
       this.cache.clear();
@@ -0,0 +1,237 @@
+// ============ Imports ============
+import Joi from 'joi';
+
+// ============ Constants ============
+
+// Analyses GaiaClient requests, each validated against its own schema
+const ANALYSIS_TYPES = {
+  MARKET: 'market',
+  SENTIMENT: 'sentiment',
+  RISK: 'risk',
+  QUICK_SIGNAL: 'quickSignal',
+  ARBITRAGE: 'arbitrage',
+  ML_PREDICTION: 'mlPrediction',
+  NEWS_SENTIMENT: 'newsSentiment',
+  SOCIAL_SENTIMENT: 'socialSentiment',
+  WHALE_ACTIVITY: 'whaleActivity'
+};
+
+// ============ Shared Fields ============
+const score = Joi.number().min(0).max(1);
+const price = Joi.number().positive().allow(null);
+const stringList = Joi.array().items(Joi.string().allow('')).default([]);
+const level = (...values) => Joi.string().lowercase().valid(...values);
+const label = (...values) => Joi.string().uppercase().valid(...values);
+
+// ============ Schemas ============
+
+// Fields the prompts ask for beyond these are kept as returned
+const ANALYSIS_SCHEMAS = {
+  [ANALYSIS_TYPES.MARKET]: Joi.object({
+    marketRegime: level('trending_bull', 'trending_bear', 'ranging', 'high_volatility', 'low_volatility').required(),
+    confidence: score.required(),
+    overallTrend: level('bullish', 'bearish', 'sideways').required(),
+    volatilityLevel: level('low', 'moderate', 'high', 'extreme'),
+    riskLevel: score.required(),
+    scalpingOpportunities: Joi.array().items(Joi.object({
+      pair: Joi.string().required(),
+      direction: level('buy', 'sell', 'hold').required(),
+      confidence: score.required(),
+      entryZone: price,
+      targetProfit: price,
+      stopLoss: price,
+      expectedMove: Joi.number()
+    }).unknown(true)).default([]),
+    arbitrageOpportunities: Joi.array().items(Joi.object().unknown(true)).default([]),
+    supportResistance: Joi.object().unknown(true).default({}),
+    newsImpact: Joi.object({
+      level: level('low', 'medium', 'high')
+    }).unknown(true),
+    riskWarnings: stringList,
+    optimalPairs: stringList
+  }).unknown(true),
+
+  [ANALYSIS_TYPES.SENTIMENT]: Joi.object({
+    pair: Joi.string().required(),
+    sentimentScore: score.required(),
+    sentiment: level('very_bearish', 'bearish', 'neutral', 'bullish', 'very_bullish').required(),
+    confidence: score.required(),
+    sentimentFactors: Joi.object().pattern(Joi.string(), Joi.object({
+      score
+    }).unknown(true)).default({}),
+    keyDrivers: stringList,
+    contraindicators: stringList,
+    tradingImpact: Joi.object({
+      direction: level('buy_pressure', 'sell_pressure', 'balanced'),
+      strength: level('weak', 'moderate', 'strong', 'extreme')
+    }).unknown(true),
+    riskFactors: stringList
+  }).unknown(true),
+
+  [ANALYSIS_TYPES.RISK]: Joi.object({
+    overallRisk: level('very_low', 'low', 'moderate', 'high', 'extreme').required(),
+    riskScore: score.required(),
+    confidence: score,
+    confidenceLevel: score,
+    riskComponents: Joi.object().pattern(Joi.string(), Joi.object({
+      score
+    }).unknown(true)).default({}),
+    positionSizing: Joi.object({
+      maxPositionPercent: Joi.number().min(0).max(100).required(),
+      recommendedSize: Joi.number().min(0).max(100),
+      maxConcurrentPositions: Joi.number().integer().min(0)
+    }).unknown(true).required(),
+    riskLimits: Joi.object({
+      stopLossPercent: Joi.number().positive(),
+      takeProfitPercent: Joi.number().positive(),
+      maxDailyDrawdown: Joi.number().positive()
+    }).unknown(true),
+    recommendations: stringList,
+    criticalWarnings: stringList,
+    mitigationStrategies: stringList
+  }).or('confidence', 'confidenceLevel').unknown(true),
+
+  [ANALYSIS_TYPES.QUICK_SIGNAL]: Joi.object({
+    signal: Joi.string().uppercase().valid('BUY', 'SELL', 'HOLD').required(),
+    confidence: score.required(),
+    strength: level('weak', 'moderate', 'strong', 'very_strong'),
+    entryPrice: price,
+    stopLoss: price,
+    takeProfit: price,
+    positionSize: Joi.number().min(0).max(1),
+    riskReward: Joi.number().min(0).allow(null),
+    invalidationLevel: price,
+    reasoning: Joi.string().allow('')
+  }).unknown(true),
+
+  [ANALYSIS_TYPES.ARBITRAGE]: Joi.object({
+    opportunities: Joi.array().items(Joi.object({
+      type: level('cross_exchange', 'cross_chain', 'triangular', 'temporal').required(),
+      pair: Joi.string().required(),
+      netProfitPercent: Joi.number().required(),
+      grossProfitPercent: Joi.number(),
+      confidence: score.required(),
+      liquidityDepth: Joi.number().min(0),
+      estimatedCosts: Joi.object().unknown(true)
+    }).unknown(true)).required(),
+    gasOptimization: Joi.object().unknown(true),
+    bridgeAnalysis: Joi.object().unknown(true),
+    executionStrategy: stringList
+  }).unknown(true),
+
+  [ANALYSIS_TYPES.ML_PREDICTION]: Joi.object({
+    direction: Joi.string().uppercase().valid('UP', 'DOWN', 'SIDEWAYS').required(),
+    confidence: score.required(),
+    timeHorizon: Joi.string(),
+    magnitude: Joi.alternatives(Joi.number(), Joi.string()),
+    riskFactors: stringList,
+    supportingEvidence: Joi.string().allow('')
+  }).unknown(true),
+
+  // Sources SentimentAnalyzer combines into a composite sentiment
+  [ANALYSIS_TYPES.NEWS_SENTIMENT]: Joi.object({
+    overallSentiment: score.required(),
+    confidence: score.required(),
+    trend: label('BULLISH', 'BEARISH', 'NEUTRAL').required(),
+    keyEvents: Joi.array().items(Joi.object({
+      headline: Joi.string().allow(''),
+      impact: score.required(),
+      category: label('REGULATION', 'ADOPTION', 'TECHNOLOGY', 'MARKET', 'CELEBRITY', 'FUD').required(),
+      timeframe: Joi.string().lowercase().valid('1h', '6h', '24h')
+    }).unknown(true)).default([]),
+    riskFactors: stringList,
+    catalysts: stringList
+  }).unknown(true),
+
+  [ANALYSIS_TYPES.SOCIAL_SENTIMENT]: Joi.object({
+    overallSentiment: score.required(),
+    confidence: score.required(),
+    buzzLevel: score.required(),
+    trend: label('INCREASING', 'DECREASING', 'STABLE').required(),
+    platforms: Joi.object().pattern(Joi.string(), Joi.object({
+      sentiment: score,
+      volume: score
+    }).unknown(true)).default({}),
+    influencerSentiment: score.required(),
+    communitySentiment: score.required(),
+    fearGreedIndex: score.required(),
+    viralContent: stringList,
+    dominantThemes: stringList
+  }).unknown(true),
+
+  [ANALYSIS_TYPES.WHALE_ACTIVITY]: Joi.object({
+    whaleSentiment: score.required(),
+    confidence: score.required(),
+    activity: label('HIGH', 'MEDIUM', 'LOW').required(),
+    netFlow: label('ACCUMULATION', 'DISTRIBUTION', 'NEUTRAL').required(),
+    largeTransactions: Joi.object({
+      count: Joi.number().integer().min(0).required(),
+      netSentiment: score.required()
+    }).unknown(true).required(),
+    exchangeFlows: Joi.object({
+      inflows: score,
+      outflows: score,
+      net: label('BULLISH', 'BEARISH', 'NEUTRAL').required()
+    }).unknown(true).required(),
+    smartMoney: Joi.object({
+      sentiment: score.required(),
+      activity: label('BUYING', 'SELLING', 'HOLDING').required()
+    }).unknown(true).required(),
+    riskLevel: label('HIGH', 'MEDIUM', 'LOW').required()
+  }).unknown(true)
+};
+
+// ============ Parsing and Validation ============
+
+/**
+ * @notice Parse the JSON object out of a model reply
+ * @dev Takes the outermost {...} so Markdown fences and surrounding prose are ignored
+ * @param {string} response Model reply
+ * @return {object} Parsed object
+ */
+export function extractJson (response) {
+  const text = String(response ?? '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('Response contains no JSON object');
+  }
+
+  const parsed = JSON.parse(text.substring(start, end + 1));
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Response JSON is not an object');
+  }
+  return parsed;
+}
+
+/**
+ * @notice Validate a model reply against the schema of its analysis type
+ * @dev Numeric strings are converted and enum values normalized in case; defaults fill
+ *      the optional lists. Out-of-range or missing required fields are errors, never
+ *      replaced with neutral values.
+ * @param {string} analysisType One of ANALYSIS_TYPES
+ * @param {string} response Model reply
+ * @return {object} { value, errors } where errors lists problems (empty when valid)
+ */
+export function validateAnalysis (analysisType, response) {
+  const schema = ANALYSIS_SCHEMAS[analysisType];
+  if (!schema) {
+    throw new Error(`No schema for analysis type: ${analysisType}`);
+  }
+
+  let parsed;
+  try {
+    parsed = extractJson(response);
+  } catch (error) {
+    return { value: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const { value, error } = schema.validate(parsed, { abortEarly: false, convert: true });
+  if (error) {
+    return { value: null, errors: error.details.map(detail => detail.message) };
+  }
+  return { value, errors: [] };
+}
+
+export { ANALYSIS_TYPES, ANALYSIS_SCHEMAS };
@@ -0,0 +1,262 @@
+// ============ Imports ============
+import { SCHEDULER_ERRORS } from './RequestScheduler.js';
+
+// ============ Constants ============
+const STREAM_DONE = '[DONE]';
+
+// ============ Incremental JSON ============
+
+/**
+ * @title PartialJsonParser
+ * @author Regav-AI Team
+ * @notice Picks the top-level fields out of a JSON object while it is still being streamed
+ * @dev Text before the first `{` (Markdown fences, prose) is skipped. A field is reported
+ *      once its value is complete: strings at the closing quote, objects and arrays at the
+ *      matching bracket, numbers and literals at the following `,` or `}`. Fields are not
+ *      validated; the complete reply is still checked against its schema.
+ */
+export class PartialJsonParser {
+  constructor () {
+    this.text = '';
+    this.position = 0;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.stringStart = -1;
+    this.expecting = 'key'; // key | colon | value | scalar, inside the top-level object
+    this.key = null;
+    this.valueStart = -1;
+    this.fields = {};
+    this.isComplete = false;
+  }
+
+  /**
+     * @notice Add streamed text
+     * @param {string} chunk Next part of the reply
+     * @return {object} Fields completed by this chunk (empty when none)
+     */
+  push (chunk) {
+    this.text += chunk;
+    const completed = {};
+
+    for (; this.position < this.text.length && !this.isComplete; this.position++) {
+      const char = this.text[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          this._endString(completed);
+        }
+        continue;
+      }
+
+      if (this.depth === 0) {
+        if (char === '{') {
+          this.depth = 1;
+        }
+        continue;
+      }
+
+      if (this.depth > 1) {
+        this._scanNested(char, completed);
+        continue;
+      }
+
+      this._scanTopLevel(char, completed);
+    }
+
+    return completed;
+  }
+
+  /**
+     * @notice Fields completed so far
+     * @return {object} Field values by name
+     */
+  getFields () {
+    return { ...this.fields };
+  }
+
+  // ============ Scanning ============
+
+  /**
+     * @notice Handle a character directly inside the top-level object
+     */
+  _scanTopLevel (char, completed) {
+    if (this.expecting === 'key') {
+      if (char === '"') {
+        this._startString();
+      } else if (char === '}') {
+        this._close();
+      }
+    } else if (this.expecting === 'colon') {
+      if (char === ':') {
+        this.expecting = 'value';
+      }
+    } else if (this.expecting === 'value') {
+      if (/\s/.test(char)) {
+        return;
+      }
+      this.valueStart = this.position;
+      if (char === '"') {
+        this._startString();
+      } else if (char === '{' || char === '[') {
+        this.depth++;
+      } else {
+        this.expecting = 'scalar';
+      }
+    } else if (char === ',' || char === '}') {
+      this._complete(this.text.substring(this.valueStart, this.position), completed);
+      if (char === '}') {
+        this._close();
+      }
+    }
+  }
+
+  /**
+     * @notice Handle a character inside a nested object or array value
+     */
+  _scanNested (char, completed) {
+    if (char === '"') {
+      this._startString();
+    } else if (char === '{' || char === '[') {
+      this.depth++;
+    } else if (char === '}' || char === ']') {
+      this.depth--;
+      if (this.depth === 1) {
+        this._complete(this.text.substring(this.valueStart, this.position + 1), completed);
+      }
+    }
+  }
+
+  _startString () {
+    this.inString = true;
+    this.stringStart = this.position;
+  }
+
+  /**
+     * @notice A string closed: a key, a complete string value, or part of a nested value
+     */
+  _endString (completed) {
+    if (this.depth !== 1) {
+      return;
+    }
+
+    const literal = this.text.substring(this.stringStart, this.position + 1);
+    if (this.expecting === 'key') {
+      this.key = this._parse(literal);
+      this.expecting = 'colon';
+    } else if (this.expecting === 'value') {
+      this._complete(literal, completed);
+    }
+  }
+
+  /**
+     * @notice Record a finished value; values that do not parse are left to schema validation
+     */
+  _complete (literal, completed) {
+    const value = this._parse(literal.trim());
+    if (value !== undefined && typeof this.key === 'string') {
+      this.fields[this.key] = value;
+      completed[this.key] = value;
+    }
+    this.key = null;
+    this.expecting = 'key';
+  }
+
+  _close () {
+    this.depth = 0;
+    this.isComplete = true;
+  }
+
+  _parse (literal) {
+    try {
+      return JSON.parse(literal);
+    } catch {
+      return undefined;
+    }
+  }
+}
+
+// ============ Server-Sent Events ============
+
+/**
+ * @notice Error for a stream stopped through its AbortSignal
+ */
+function createAbortError (signal) {
+  const reason = signal?.reason;
+  const error = new Error(`Stream aborted: ${typeof reason === 'string' ? reason : reason?.message || 'aborted'}`);
+  error.code = SCHEDULER_ERRORS.CANCELLED;
+  return error;
+}
+
+/**
+ * @notice Read an OpenAI-compatible chat completion event stream
+ * @dev Each `data:` event carries a chunk whose `choices[0].delta.content` continues the
+ *      reply; `data: [DONE]` ends it. Aborting `signal` destroys the stream, so the read
+ *      rejects with `code: 'CANCELLED'` instead of waiting for the server.
+ * @param {Readable} stream Response body
+ * @param {object} options
+ * @param {AbortSignal} options.signal Stops reading when aborted
+ * @param {Function} options.onContent Called with each piece of content as it arrives
+ * @return {Promise<object>} { content, finishReason, usage }
+ */
+export async function readChatStream (stream, options = {}) {
+  const { signal, onContent } = options;
+  const result = { content: '', finishReason: null, usage: null };
+
+  if (signal?.aborted) {
+    stream.destroy();
+    throw createAbortError(signal);
+  }
+
+  const onAbort = () => stream.destroy(createAbortError(signal));
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  stream.setEncoding('utf8'); // Keeps multi-byte characters split across chunks intact
+
+  try {
+    let buffer = '';
+    for await (const chunk of stream) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) {
+          continue; // Blank separators, comments and other event fields
+        }
+
+        const data = line.slice(5).trim();
+        if (data === STREAM_DONE) {
+          return result;
+        }
+
+        const event = JSON.parse(data);
+        const choice = event.choices?.[0];
+        const content = choice?.delta?.content;
+        if (content) {
+          result.content += content;
+          onContent?.(content);
+        }
+        if (choice?.finish_reason) {
+          result.finishReason = choice.finish_reason;
+        }
+        if (event.usage) {
+          result.usage = event.usage;
+        }
+      }
+    }
+
+    return result;
+  } catch (error) {
+    throw signal?.aborted ? createAbortError(signal) : error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+export default PartialJsonParser;
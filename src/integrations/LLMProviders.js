@@ -0,0 +1,363 @@
+// ============ Imports ============
+import axios from 'axios';
+import logger from '../utils/Logger.js';
+import CircuitBreaker, { CIRCUIT_STATES } from '../utils/CircuitBreaker.js';
+import { SCHEDULER_ERRORS } from './RequestScheduler.js';
+
+// ============ Constants ============
+
+// Model tiers of GaiaClient.modelConfig a request can be routed by
+const MODEL_TIERS = {
+  PRIMARY: 'primary',
+  FAST: 'fast'
+};
+
+const PROVIDER_ERRORS = {
+  NO_PROVIDER_AVAILABLE: 'NO_PROVIDER_AVAILABLE'
+};
+
+const HEALTH_SMOOTHING = 0.2; // Weight of the latest outcome in the health and latency averages
+
+// ============ Configuration ============
+
+/**
+ * @notice Parse provider definitions from a JSON array
+ * @dev Each entry is { name, url, apiKey, apiKeyEnv, models: { primary, fast }, tiers,
+ *      weight, timeout }. `apiKeyEnv` names an environment variable holding the key, so
+ *      keys stay out of the JSON.
+ * @param {string} json JSON array, e.g. the GAIA_PROVIDERS environment variable
+ * @return {Array<object>} Provider options (empty when unset)
+ */
+export function parseProviders (json) {
+  if (!json || !json.trim()) {
+    return [];
+  }
+
+  const entries = JSON.parse(json);
+  if (!Array.isArray(entries)) {
+    throw new Error('Provider list must be a JSON array');
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry?.url) {
+      throw new Error(`Provider ${index + 1} has no url`);
+    }
+    return {
+      ...entry,
+      apiKey: entry.apiKey || (entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : undefined)
+    };
+  });
+}
+
+/**
+ * @title LLMProvider
+ * @author Regav-AI Team
+ * @notice One OpenAI-compatible chat completion endpoint: a Gaia node, a hosted API or a
+ *         local llama.cpp server
+ * @dev Keeps its own HTTP client, circuit breaker and metrics. The health score is the
+ *      smoothed success rate discounted by smoothed latency against `latencyTargetMs`;
+ *      a provider without latency samples counts as being exactly at the target. Lost
+ *      health recovers with a time constant of `healthRecoveryMs`, so a provider that
+ *      stopped getting traffic after a few failures is tried again later.
+ */
+export class LLMProvider {
+  /**
+     * @param {object} options
+     * @param {string} options.name Provider name for logs and metrics
+     * @param {string} options.url Base URL ending in /v1
+     * @param {string} options.apiKey Bearer token, if the endpoint needs one
+     * @param {object} options.models Model names by tier, overriding GaiaClient.modelConfig
+     * @param {Array<string>} options.tiers Tiers this provider serves (default all)
+     * @param {number} options.weight Multiplier on the health score to prefer a provider
+     * @param {number} options.timeout Request timeout in milliseconds
+     * @param {number} options.latencyTargetMs Latency at which the score is halved
+     * @param {number} options.healthRecoveryMs Time constant of health recovery without traffic
+     * @param {object} options.breaker CircuitBreaker options
+     * @param {Function} options.clock Time source in milliseconds
+     */
+  constructor (options = {}) {
+    // ============ Configuration ============
+    this.name = options.name || new URL(options.url).host;
+    this.url = options.url;
+    this.models = options.models || {};
+    this.tiers = options.tiers || Object.values(MODEL_TIERS);
+    this.weight = options.weight ?? 1;
+    this.latencyTargetMs = options.latencyTargetMs ?? 5000;
+    this.healthRecoveryMs = options.healthRecoveryMs ?? 60000;
+    this.clock = options.clock || Date.now;
+
+    // ============ HTTP Client ============
+    this.client = axios.create({
+      baseURL: this.url,
+      timeout: options.timeout ?? 45000,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...(options.apiKey && { Authorization: `Bearer ${options.apiKey}` })
+      }
+    });
+
+    // ============ Circuit Breaker ============
+    this.breaker = new CircuitBreaker({
+      name: `llm-${this.name}`,
+      failureThreshold: 3,
+      resetTimeout: 30000,
+      clock: this.clock,
+      ...options.breaker
+    });
+    // A recovered provider competes on its new results, not the failures that opened it
+    this.breaker.on('state_change', (state) => {
+      if (state === CIRCUIT_STATES.CLOSED) {
+        this.health = 1;
+      }
+    });
+
+    // ============ Health and Metrics ============
+    this.health = 1;
+    this.healthUpdatedAt = this.clock();
+    this.avgLatency = null;
+    this.metrics = {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      failovers: 0,
+      lastLatency: null,
+      lastError: null
+    };
+  }
+
+  /**
+     * @notice Whether this provider serves a tier
+     * @param {string} tier One of MODEL_TIERS
+     * @return {boolean} True when configured for the tier
+     */
+  servesTier (tier) {
+    return this.tiers.includes(tier);
+  }
+
+  /**
+     * @notice Model to request for a tier
+     * @param {string} tier One of MODEL_TIERS
+     * @param {string} fallback Model name from GaiaClient.modelConfig
+     * @return {string} Provider-specific model name, or the fallback
+     */
+  getModel (tier, fallback) {
+    return this.models[tier] || fallback;
+  }
+
+  /**
+     * @notice Current health score
+     * @return {number} Score from 0 (failing) upward, 1 for a healthy provider at zero latency
+     */
+  getHealthScore () {
+    const latency = this.avgLatency ?? this.latencyTargetMs;
+    return this.weight * this.getHealth() / (1 + latency / this.latencyTargetMs);
+  }
+
+  /**
+     * @notice Smoothed success rate, recovered for the time since the last outcome
+     * @return {number} Health from 0 to 1
+     */
+  getHealth () {
+    const elapsed = this.clock() - this.healthUpdatedAt;
+    return 1 - (1 - this.health) * Math.exp(-elapsed / this.healthRecoveryMs);
+  }
+
+  /**
+     * @notice Move health toward an outcome (1 success, 0 failure)
+     */
+  _updateHealth (outcome) {
+    const health = this.getHealth();
+    this.health = health + HEALTH_SMOOTHING * (outcome - health);
+    this.healthUpdatedAt = this.clock();
+  }
+
+  /**
+     * @notice Record a successful request
+     * @param {number} latency Response time in milliseconds
+     */
+  recordSuccess (latency) {
+    this.metrics.requests++;
+    this.metrics.successes++;
+    this.metrics.lastLatency = latency;
+    this._updateHealth(1);
+    this.avgLatency = this.avgLatency === null ? latency : this.avgLatency + HEALTH_SMOOTHING * (latency - this.avgLatency);
+    this.breaker.recordSuccess();
+  }
+
+  /**
+     * @notice Record a failed request
+     * @param {Error} error Failure cause
+     */
+  recordFailure (error) {
+    this.metrics.requests++;
+    this.metrics.failures++;
+    this.metrics.lastError = { message: error.message, status: error.response?.status, timestamp: this.clock() };
+    this._updateHealth(0);
+    this.breaker.recordFailure(error);
+  }
+
+  /**
+     * @notice Get provider status and metrics
+     * @return {object} { name, url, tiers, models, healthScore, health, avgLatency, errorRate, breaker, ...metrics }
+     */
+  getStatus () {
+    return {
+      name: this.name,
+      url: this.url,
+      tiers: this.tiers,
+      models: this.models,
+      healthScore: this.getHealthScore(),
+      health: this.getHealth(),
+      avgLatency: this.avgLatency === null ? null : Math.round(this.avgLatency),
+      errorRate: this.metrics.requests > 0 ? (this.metrics.failures / this.metrics.requests) * 100 : 0,
+      breaker: this.breaker.getState().state,
+      ...this.metrics
+    };
+  }
+}
+
+/**
+ * @title ProviderRouter
+ * @author Regav-AI Team
+ * @notice Sends each request to the healthiest provider serving its tier, failing over to
+ *         the next one
+ * @dev Candidates are providers serving the tier whose breaker lets a request through:
+ *      half-open providers first, so recovery is probed with a real request that can still
+ *      fail over, then the rest by health score, ties in configured order. Cancellations
+ *      and 400 responses (a bad request, not a bad provider) are thrown without failover
+ *      and do not count against the provider.
+ */
+export class ProviderRouter {
+  /**
+     * @param {object} options
+     * @param {Array<object>} options.providers LLMProvider options, first is the default
+     * @param {string} options.name Router name for logs
+     * @param {Function} options.clock Time source in milliseconds
+     */
+  constructor (options = {}) {
+    this.name = options.name || 'llm';
+    this.clock = options.clock || Date.now;
+    this.providers = (options.providers || []).map(provider => (
+      provider instanceof LLMProvider ? provider : new LLMProvider({ clock: this.clock, ...provider })
+    ));
+
+    if (this.providers.length === 0) {
+      throw new Error('At least one LLM provider is required');
+    }
+  }
+
+  // ============ Routing ============
+
+  /**
+     * @notice Providers to try for a tier, in order
+     * @param {string} tier One of MODEL_TIERS
+     * @return {Array<LLMProvider>} Available providers
+     */
+  getCandidates (tier) {
+    return this.providers
+      .map((provider, index) => ({ provider, index }))
+      .filter(({ provider }) => provider.servesTier(tier) && provider.breaker.isAvailable())
+      .sort((a, b) => {
+        const probing = (b.provider.breaker.state === CIRCUIT_STATES.HALF_OPEN) - (a.provider.breaker.state === CIRCUIT_STATES.HALF_OPEN);
+        return probing || b.provider.getHealthScore() - a.provider.getHealthScore() || a.index - b.index;
+      })
+      .map(({ provider }) => provider);
+  }
+
+  /**
+     * @notice Run a request on the best provider, failing over on provider errors
+     * @param {string} tier One of MODEL_TIERS
+     * @param {Function} send Async (provider) => result, run once per provider tried
+     * @param {object} options
+     * @param {AbortSignal} options.signal Stops failing over once aborted
+     * @return {*} Result from the first provider that succeeded
+     */
+  async execute (tier, send, options = {}) {
+    const candidates = this.getCandidates(tier);
+    let lastError = null;
+
+    for (const [index, provider] of candidates.entries()) {
+      if (options.signal?.aborted || !provider.breaker.tryAcquire()) {
+        continue;
+      }
+
+      const startTime = this.clock();
+      try {
+        const result = await send(provider);
+        provider.recordSuccess(this.clock() - startTime);
+        return result;
+      } catch (error) {
+        if (!this.isProviderFailure(error)) {
+          provider.breaker.release();
+          throw error;
+        }
+
+        provider.recordFailure(error);
+        lastError = error;
+
+        if (index < candidates.length - 1) {
+          provider.metrics.failovers++;
+          logger.warn('LLM provider failed, failing over', {
+            router: this.name,
+            provider: provider.name,
+            next: candidates[index + 1].name,
+            tier,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    if (options.signal?.aborted && !lastError) {
+      const error = new Error('Request cancelled before a provider answered');
+      error.code = SCHEDULER_ERRORS.CANCELLED;
+      throw error;
+    }
+
+    throw lastError || this._createUnavailableError(tier);
+  }
+
+  /**
+     * @notice Whether an error says the provider, not the request, is at fault
+     * @param {Error} error Error from a provider request
+     * @return {boolean} True for network errors, timeouts, 5xx, 429, auth and missing models
+     */
+  isProviderFailure (error) {
+    if (axios.isCancel(error) || error.code === SCHEDULER_ERRORS.CANCELLED) {
+      return false;
+    }
+    return error.response?.status !== 400;
+  }
+
+  // ============ Status ============
+
+  /**
+     * @notice Whether any provider can take a request for a tier
+     * @param {string} tier One of MODEL_TIERS (default any)
+     * @return {boolean} True when a request would be sent
+     */
+  hasAvailableProvider (tier = null) {
+    return this.providers.some(provider => (!tier || provider.servesTier(tier)) && provider.breaker.isAvailable());
+  }
+
+  /**
+     * @notice Status and metrics of every provider
+     * @return {Array<object>} LLMProvider.getStatus() per provider, in configured order
+     */
+  getStatus () {
+    return this.providers.map(provider => provider.getStatus());
+  }
+
+  /**
+     * @notice Error for a tier with no provider to try
+     */
+  _createUnavailableError (tier) {
+    const error = new Error(`No LLM provider available for ${tier} requests`);
+    error.code = PROVIDER_ERRORS.NO_PROVIDER_AVAILABLE;
+    return error;
+  }
+}
+
+export { MODEL_TIERS, PROVIDER_ERRORS };
+export default ProviderRouter;
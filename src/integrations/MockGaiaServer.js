@@ -0,0 +1,539 @@
+// ============ Imports ============
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { appendFileSync, existsSync, readFileSync } from 'fs';
+import axios from 'axios';
+import logger from '../utils/Logger.js';
+
+// ============ Constants ============
+const DEFAULT_MODELS = ['llama', 'llama3b', 'nomic-embed-text-v1.5.f16'];
+const STREAM_CHUNK_SIZE = 16; // Characters of content per streamed event
+
+// Prompt parts that change on every call and would otherwise break fingerprints
+const VOLATILE_PATTERNS = [
+  /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, // ISO timestamps
+  /\b\d{13}\b/g // Epoch milliseconds
+];
+
+/**
+ * @notice Scripted replies, matched in order against the last user message
+ * @dev Each analysis prompt asks for its JSON format by field names, so a field unique to
+ *      the format identifies the analyst type. Replies satisfy the GaiaSchemas schemas.
+ */
+const DEFAULT_SCRIPTS = [
+  {
+    type: 'connectivity',
+    match: /GAIA_OK/,
+    response: 'GAIA_OK'
+  },
+  {
+    type: 'mlPrediction',
+    match: /"direction":\s*"UP\s*\|/,
+    response: {
+      direction: 'UP',
+      confidence: 0.74,
+      timeHorizon: '5-10 minutes',
+      magnitude: 0.35,
+      riskFactors: ['Thin order book'],
+      supportingEvidence: 'RSI recovering with bid-side imbalance'
+    }
+  },
+  {
+    type: 'quickSignal',
+    match: /"signal":\s*"BUY\|SELL\|HOLD"/,
+    response: {
+      signal: 'BUY',
+      confidence: 0.72,
+      strength: 'moderate',
+      entryPrice: null,
+      stopLoss: null,
+      takeProfit: null,
+      positionSize: 0.05,
+      timeframe: '3-5 minutes',
+      riskReward: 1.8,
+      reasoning: 'Oversold bounce with volume confirmation',
+      urgency: 'within_1min',
+      marketConditions: 'favorable'
+    }
+  },
+  {
+    type: 'market',
+    match: /"marketRegime":/,
+    response: {
+      marketRegime: 'ranging',
+      confidence: 0.7,
+      overallTrend: 'sideways',
+      volatilityLevel: 'moderate',
+      riskLevel: 0.45,
+      scalpingOpportunities: [
+        { pair: 'BTC/USDT', direction: 'buy', confidence: 0.7, timeframe: '3-7 minutes', expectedMove: 0.4, reasoning: 'Range support' }
+      ],
+      arbitrageOpportunities: [],
+      supportResistance: {},
+      newsImpact: { level: 'low', timeframe: '1hour', description: 'No scheduled events' },
+      riskWarnings: [],
+      optimalPairs: ['BTC/USDT', 'ETH/USDT'],
+      executionNotes: 'Scripted mock analysis'
+    }
+  },
+  {
+    type: 'sentiment',
+    match: /"sentimentScore":/,
+    response: {
+      pair: 'BTC/USDT',
+      sentimentScore: 0.62,
+      sentiment: 'bullish',
+      confidence: 0.68,
+      timeframe: '5-15 minutes',
+      momentumShift: 'consolidation',
+      sentimentFactors: {
+        social: { score: 0.64, impact: 'medium', signals: [] },
+        news: { score: 0.55, impact: 'low', recent: 'None' }
+      },
+      keyDrivers: ['Steady accumulation'],
+      contraindicators: [],
+      tradingImpact: { direction: 'buy_pressure', strength: 'moderate', duration: '5-15min' },
+      riskFactors: [],
+      actionable: 'Mildly bullish'
+    }
+  },
+  {
+    type: 'risk',
+    match: /"overallRisk":/,
+    response: {
+      overallRisk: 'moderate',
+      riskScore: 0.5,
+      riskComponents: {
+        volatilityRisk: { score: 0.5, level: 'moderate', impact: 'Normal sizing' }
+      },
+      positionSizing: { maxPositionPercent: 5, recommendedSize: 3, maxConcurrentPositions: 3, capitalAllocation: 'Balanced' },
+      riskLimits: { stopLossPercent: 0.8, takeProfitPercent: 1.2, maxDailyDrawdown: 3, maxPositionHoldTime: '8 minutes' },
+      recommendations: ['Keep position sizes moderate'],
+      criticalWarnings: [],
+      mitigationStrategies: ['Use trailing stops'],
+      confidenceLevel: 0.75
+    }
+  },
+  {
+    type: 'arbitrage',
+    match: /"opportunities":/,
+    response: {
+      opportunities: [],
+      gasOptimization: {},
+      bridgeAnalysis: {},
+      marketImpact: { liquidityWarnings: [] },
+      executionStrategy: []
+    }
+  },
+  {
+    type: 'news',
+    match: /"keyEvents":/,
+    response: { overallSentiment: 0.58, confidence: 0.6, trend: 'NEUTRAL', keyEvents: [], riskFactors: [], catalysts: [] }
+  },
+  {
+    type: 'social',
+    match: /"buzzLevel":/,
+    response: {
+      overallSentiment: 0.6,
+      confidence: 0.6,
+      buzzLevel: 0.4,
+      trend: 'STABLE',
+      platforms: {},
+      influencerSentiment: 0.6,
+      communitySentiment: 0.6,
+      fearGreedIndex: 0.55,
+      viralContent: [],
+      dominantThemes: []
+    }
+  },
+  {
+    type: 'whale',
+    match: /"whaleSentiment":/,
+    response: {
+      whaleSentiment: 0.55,
+      confidence: 0.6,
+      activity: 'MEDIUM',
+      netFlow: 'NEUTRAL',
+      largeTransactions: { count: 3, netSentiment: 0.55 },
+      exchangeFlows: { inflows: 0.4, outflows: 0.45, net: 'NEUTRAL' },
+      smartMoney: { sentiment: 0.55, activity: 'HOLDING' },
+      riskLevel: 'MEDIUM'
+    }
+  }
+];
+
+// ============ Fingerprints ============
+
+/**
+ * @notice Fingerprint of a chat request, used to key recorded responses
+ * @dev Hashes the roles and contents of the messages with timestamps removed, so the
+ *      same prompt matches its recording on later runs. Model and sampling settings are
+ *      not part of the fingerprint.
+ * @param {Array<object>} messages Chat messages
+ * @return {string} Hex SHA-256 fingerprint
+ */
+export function fingerprintRequest (messages = []) {
+  const normalized = messages.map(({ role, content }) => {
+    const text = VOLATILE_PATTERNS.reduce((value, pattern) => value.replace(pattern, '<time>'), String(content ?? ''));
+    return `${role}:${text.replace(/\s+/g, ' ').trim()}`;
+  });
+  return createHash('sha256').update(normalized.join('\n')).digest('hex');
+}
+
+/**
+ * @title MockGaiaServer
+ * @author Regav-AI Team
+ * @notice Local OpenAI-compatible stand-in for a Gaia node
+ * @dev Serves `/v1/models` and `/v1/chat/completions` (also without the `/v1` prefix).
+ *      A chat request is answered, in order of preference, from:
+ *      1. a recorded response with the same fingerprint (fingerprintRequest())
+ *      2. the upstream node when `upstreamUrl` is set, recording its reply
+ *      3. the scripted reply of the analyst type the prompt asks for
+ *      With `strict`, a request that has no recording gets a 404 instead of a script, so
+ *      tests notice prompts that changed. Recordings are JSONL lines of
+ *      { fingerprint, type, model, response }.
+ *
+ *      Requests with `stream: true` get the reply as server-sent events in small content
+ *      chunks, `chunkDelayMs` apart, ending with `data: [DONE]`.
+ */
+export class MockGaiaServer {
+  /**
+     * @param {object} options
+     * @param {number} options.port Port to listen on (0 picks a free one)
+     * @param {string} options.host Host to bind
+     * @param {Array<string>} options.models Model ids listed by /v1/models
+     * @param {string} options.recordingsPath JSONL file of recorded responses
+     * @param {string} options.upstreamUrl Gaia node to record from, e.g. https://llama8b.gaia.domains/v1
+     * @param {string} options.apiKey API key for the upstream node
+     * @param {object} options.scripts Replies by analyst type, replacing the defaults
+     * @param {boolean} options.strict Refuse requests without a recording
+     * @param {number} options.latencyMs Delay added to every chat response
+     * @param {number} options.chunkDelayMs Delay between streamed chunks
+     */
+  constructor (options = {}) {
+    // ============ Configuration ============
+    this.port = options.port ?? 8787;
+    this.host = options.host || '127.0.0.1';
+    this.models = options.models || DEFAULT_MODELS;
+    this.recordingsPath = options.recordingsPath || null;
+    this.upstreamUrl = options.upstreamUrl || null;
+    this.apiKey = options.apiKey || null;
+    this.strict = options.strict || false;
+    this.latencyMs = options.latencyMs || 0;
+    this.chunkDelayMs = options.chunkDelayMs || 0;
+    this.scripts = DEFAULT_SCRIPTS.map(script => (
+      options.scripts?.[script.type] === undefined ? script : { ...script, response: options.scripts[script.type] }
+    ));
+
+    // ============ Server State ============
+    this.server = null;
+    this.recordings = this._loadRecordings();
+    this.requests = []; // { fingerprint, type, source, model } per chat request, for assertions
+
+    // ============ Metrics ============
+    this.metrics = {
+      requests: 0,
+      replayed: 0,
+      recorded: 0,
+      scripted: 0,
+      unmatched: 0
+    };
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+     * @notice Start listening
+     * @return {string} Base URL to use as GAIA_NODE_URL, e.g. http://127.0.0.1:8787/v1
+     */
+  async start () {
+    this.server = createServer((req, res) => {
+      this._handleRequest(req, res).catch(error => {
+        logger.error('Mock Gaia request failed', { url: req.url, error: error.message });
+        this._sendJson(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.port = this.server.address().port;
+    logger.info('Mock Gaia server listening', {
+      url: this.getUrl(),
+      recordings: this.recordings.size,
+      upstream: this.upstreamUrl,
+      strict: this.strict
+    });
+    return this.getUrl();
+  }
+
+  /**
+     * @notice Stop listening
+     */
+  async stop () {
+    if (!this.server) {
+      return;
+    }
+    const closed = new Promise(resolve => this.server.close(resolve));
+    this.server.closeAllConnections(); // Keep-alive client sockets would hold close() open
+    await closed;
+    this.server = null;
+  }
+
+  /**
+     * @notice Base URL of the OpenAI-compatible API
+     * @return {string} URL ending in /v1
+     */
+  getUrl () {
+    return `http://${this.host}:${this.port}/v1`;
+  }
+
+  // ============ Responses ============
+
+  /**
+     * @notice Reply content for a chat request
+     * @param {object} request Chat completion request body
+     * @return {object|null} { content, type, source }, or null when nothing matches in strict mode
+     */
+  async getReply (request) {
+    const messages = request.messages || [];
+    const fingerprint = fingerprintRequest(messages);
+    const type = this._detectType(messages);
+    this.metrics.requests++;
+
+    let reply = null;
+    if (this.recordings.has(fingerprint)) {
+      this.metrics.replayed++;
+      reply = { content: this.recordings.get(fingerprint).response, type, source: 'recording' };
+    } else if (this.upstreamUrl) {
+      const content = await this._fetchUpstream(request);
+      this._saveRecording({ fingerprint, type, model: request.model, response: content });
+      this.metrics.recorded++;
+      reply = { content, type, source: 'upstream' };
+    } else if (!this.strict) {
+      const script = this.scripts.find(candidate => candidate.type === type);
+      this.metrics.scripted++;
+      reply = {
+        content: script ? this._formatScript(script.response) : '{}',
+        type,
+        source: 'script'
+      };
+    } else {
+      this.metrics.unmatched++;
+    }
+
+    this.requests.push({ fingerprint, type, source: reply?.source || 'unmatched', model: request.model });
+    return reply;
+  }
+
+  /**
+     * @notice Record a response for a set of messages without calling an upstream node
+     * @param {Array<object>} messages Chat messages
+     * @param {string|object} response Reply content, objects are sent as JSON
+     */
+  addRecording (messages, response) {
+    const fingerprint = fingerprintRequest(messages);
+    this.recordings.set(fingerprint, {
+      fingerprint,
+      type: this._detectType(messages),
+      response: this._formatScript(response)
+    });
+  }
+
+  /**
+     * @notice Get server status
+     * @return {object} { url, recordings, metrics }
+     */
+  getStatus () {
+    return {
+      url: this.server ? this.getUrl() : null,
+      recordings: this.recordings.size,
+      metrics: { ...this.metrics }
+    };
+  }
+
+  // ============ HTTP Handling ============
+
+  /**
+     * @notice Route one HTTP request
+     */
+  async _handleRequest (req, res) {
+    const path = new URL(req.url, 'http://localhost').pathname.replace(/^\/v1/, '');
+
+    if (req.method === 'GET' && path === '/models') {
+      this._sendJson(res, 200, {
+        object: 'list',
+        data: this.models.map(id => ({ id, object: 'model', owned_by: 'mock-gaia' }))
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && path === '/chat/completions') {
+      const request = await this._readJson(req);
+      if (!Array.isArray(request.messages)) {
+        this._sendJson(res, 400, { error: 'messages array required' });
+        return;
+      }
+
+      const reply = await this.getReply(request);
+      if (!reply) {
+        this._sendJson(res, 404, { error: 'No recorded response for this prompt', fingerprint: fingerprintRequest(request.messages) });
+        return;
+      }
+
+      if (this.latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+      }
+
+      if (request.stream) {
+        await this._sendStream(res, request, reply.content);
+        return;
+      }
+
+      this._sendJson(res, 200, {
+        id: `chatcmpl-mock-${this.metrics.requests}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: request.model || this.models[0],
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: reply.content },
+          finish_reason: 'stop'
+        }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      });
+      return;
+    }
+
+    this._sendJson(res, 404, { error: `Not found: ${req.method} ${path}` });
+  }
+
+  /**
+     * @notice Read a JSON request body
+     */
+  async _readJson (req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks).toString('utf8');
+    return body ? JSON.parse(body) : {};
+  }
+
+  /**
+     * @notice Send a JSON response
+     */
+  _sendJson (res, status, body) {
+    if (res.headersSent) {
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+     * @notice Send a reply as a chat completion event stream
+     */
+  async _sendStream (res, request, content) {
+    const id = `chatcmpl-mock-${this.metrics.requests}`;
+    const created = Math.floor(Date.now() / 1000);
+    const model = request.model || this.models[0];
+    const send = (delta, finishReason = null) => res.write(`data: ${JSON.stringify({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    })}\n\n`);
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    send({ role: 'assistant' });
+
+    for (let offset = 0; offset < content.length && !res.destroyed; offset += STREAM_CHUNK_SIZE) {
+      if (this.chunkDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+      }
+      send({ content: content.substring(offset, offset + STREAM_CHUNK_SIZE) });
+    }
+
+    if (!res.destroyed) {
+      send({}, 'stop');
+      res.end('data: [DONE]\n\n');
+    }
+  }
+
+  // ============ Helpers ============
+
+  /**
+     * @notice Analyst type a prompt asks for, from its last user message
+     * @return {string} Script type, or 'general' when no script matches
+     */
+  _detectType (messages) {
+    const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    return this.scripts.find(script => script.match.test(prompt))?.type || 'general';
+  }
+
+  /**
+     * @notice Reply content of a script: strings as-is, objects as JSON
+     */
+  _formatScript (response) {
+    return typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+  }
+
+  /**
+     * @notice Forward a chat request to the upstream node
+     * @return {string} Reply content
+     */
+  async _fetchUpstream (request) {
+    const response = await axios.post(`${this.upstreamUrl.replace(/\/$/, '')}/chat/completions`, { ...request, stream: false }, {
+      timeout: 60000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      }
+    });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('Empty response content from upstream Gaia node');
+    }
+    return content;
+  }
+
+  /**
+     * @notice Load recorded responses
+     * @return {Map} Recordings by fingerprint
+     */
+  _loadRecordings () {
+    const recordings = new Map();
+    if (!this.recordingsPath || !existsSync(this.recordingsPath)) {
+      return recordings;
+    }
+
+    const lines = readFileSync(this.recordingsPath, 'utf8').split('\n').filter(line => line.trim());
+    for (const line of lines) {
+      try {
+        const recording = JSON.parse(line);
+        recordings.set(recording.fingerprint, recording);
+      } catch (error) {
+        logger.warn('Skipping unreadable Gaia recording', { error: error.message });
+      }
+    }
+    return recordings;
+  }
+
+  /**
+     * @notice Keep a recording and append it to the recordings file
+     */
+  _saveRecording (recording) {
+    this.recordings.set(recording.fingerprint, recording);
+    if (this.recordingsPath) {
+      appendFileSync(this.recordingsPath, JSON.stringify(recording) + '\n');
+    }
+  }
+}
+
+export { DEFAULT_SCRIPTS };
+export default MockGaiaServer;
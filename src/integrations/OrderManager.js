@@ -0,0 +1,431 @@
+// ============ Imports ============
+import { EventEmitter } from 'events';
+import logger from '../utils/Logger.js';
+
+// ============ Constants ============
+const ORDER_STATES = {
+  NEW: 'NEW',
+  PARTIALLY_FILLED: 'PARTIALLY_FILLED',
+  FILLED: 'FILLED',
+  CANCELED: 'CANCELED',
+  EXPIRED: 'EXPIRED',
+  REJECTED: 'REJECTED'
+};
+
+const TIME_IN_FORCE = {
+  GTC: 'GTC', // Good till canceled
+  IOC: 'IOC', // Immediate or cancel: the unfilled remainder is canceled
+  FOK: 'FOK', // Fill or kill: anything short of a complete fill is canceled
+  GTD: 'GTD' // Good till date: expires at `expiresAt`
+};
+
+const TERMINAL_STATES = [ORDER_STATES.FILLED, ORDER_STATES.CANCELED, ORDER_STATES.EXPIRED, ORDER_STATES.REJECTED];
+
+const ALLOWED_TRANSITIONS = {
+  [ORDER_STATES.NEW]: Object.values(ORDER_STATES).filter(state => state !== ORDER_STATES.NEW),
+  [ORDER_STATES.PARTIALLY_FILLED]: [ORDER_STATES.PARTIALLY_FILLED, ORDER_STATES.FILLED, ORDER_STATES.CANCELED, ORDER_STATES.EXPIRED]
+};
+
+const FILL_TOLERANCE = 1e-6; // Remainders below this fraction of the order count as filled
+const DEFAULT_MAX_CLOSED_ORDERS = 1000;
+
+/**
+ * @notice Tag added to the Recall trade reason so history entries can be matched to orders
+ * @param {string} orderId Order ID
+ * @return {string} Tag, e.g. '[order:1234]'
+ */
+export function getOrderTag (orderId) {
+  return `[order:${orderId}]`;
+}
+
+/**
+ * @title OrderManager
+ * @author Regav-AI Team
+ * @notice Order lifecycle tracking with partial fills, cancels and time-in-force
+ * @dev Orders move NEW -> PARTIALLY_FILLED -> FILLED, or end CANCELED, EXPIRED or
+ *      REJECTED. Terminal orders never change state again; a fill that turns up for a
+ *      canceled or expired order during reconciliation is recorded but logged.
+ *      `amount` is in the token sold, as everywhere else in the trading interface, and
+ *      fills are measured against it.
+ *
+ *      Time in force defaults to IOC for market orders and GTC for limit orders. IOC and
+ *      FOK are settled by applyTimeInForce() once the submission returns; GTD orders are
+ *      expired by expireOrders(). Market orders cannot rest, so they accept IOC or FOK only.
+ *
+ *      Events:
+ *      - 'order_update' (order, previousState) on every transition
+ *      - 'order_new', 'order_partially_filled', 'order_filled', 'order_canceled',
+ *        'order_expired', 'order_rejected' (order, previousState)
+ */
+export class OrderManager extends EventEmitter {
+  constructor (options = {}) {
+    super();
+
+    // ============ Configuration ============
+    this.clock = options.clock || Date.now;
+    this.maxClosedOrders = options.maxClosedOrders ?? DEFAULT_MAX_CLOSED_ORDERS;
+
+    // ============ Order State ============
+    this.orders = new Map(); // orderId -> order
+    this.fillIndex = new Map(); // transactionId -> orderId
+  }
+
+  // ============ Order Creation ============
+
+  /**
+     * @notice Register a new order
+     * @param {object} params { id, pair, action, amount, orderType?, price?, timeInForce?, expiresAt? }
+     * @return {object} Order in state NEW
+     */
+  createOrder (params) {
+    const { id, pair, action, amount, price = null } = params;
+    const now = this.clock();
+    const orderType = (params.orderType || 'MARKET').toUpperCase();
+    const timeInForce = (params.timeInForce || (orderType === 'LIMIT' ? TIME_IN_FORCE.GTC : TIME_IN_FORCE.IOC)).toUpperCase();
+
+    // ============ Validate Order ============
+    if (!id) {
+      throw new Error('Order id is required');
+    }
+    if (this.orders.has(id)) {
+      throw new Error(`Duplicate order id: ${id}`);
+    }
+    if (!(amount > 0)) {
+      throw new Error('Order amount must be a positive number');
+    }
+    if (!Object.values(TIME_IN_FORCE).includes(timeInForce)) {
+      throw new Error(`Invalid time in force: ${params.timeInForce}. Must be one of: ${Object.values(TIME_IN_FORCE).join(', ')}`);
+    }
+    if (orderType === 'MARKET' && ![TIME_IN_FORCE.IOC, TIME_IN_FORCE.FOK].includes(timeInForce)) {
+      throw new Error(`Market orders cannot rest: time in force must be IOC or FOK, got ${timeInForce}`);
+    }
+    if (timeInForce === TIME_IN_FORCE.GTD && !(params.expiresAt > now)) {
+      throw new Error('GTD orders require an expiresAt in the future');
+    }
+
+    const order = {
+      id,
+      pair,
+      action,
+      orderType,
+      timeInForce,
+      amount,
+      limitPrice: orderType === 'LIMIT' ? price : null,
+      expiresAt: timeInForce === TIME_IN_FORCE.GTD ? params.expiresAt : null,
+      state: null,
+      filledAmount: 0,
+      receivedAmount: 0,
+      averagePrice: null,
+      fills: [],
+      reason: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.orders.set(id, order);
+    this._transition(order, ORDER_STATES.NEW);
+    return { ...order };
+  }
+
+  // ============ Fills ============
+
+  /**
+     * @notice Record an execution against an order
+     * @dev Fills are de-duplicated by transactionId, so replaying trade history is safe.
+     *      A fill without a usable `fromAmount` is taken to fill the remainder.
+     * @param {string} orderId Order ID
+     * @param {object} fill { transactionId, fromAmount, toAmount, price, timestamp }
+     * @return {object} Updated order
+     */
+  applyFill (orderId, fill) {
+    const order = this._getOrder(orderId);
+    if (fill.transactionId && this.fillIndex.has(fill.transactionId)) {
+      return { ...order };
+    }
+
+    const remaining = order.amount - order.filledAmount;
+    const fromAmount = Number.isFinite(fill.fromAmount) && fill.fromAmount > 0 ? fill.fromAmount : remaining;
+    const recorded = {
+      transactionId: fill.transactionId || null,
+      fromAmount,
+      toAmount: Number.isFinite(fill.toAmount) ? fill.toAmount : 0,
+      price: Number.isFinite(fill.price) ? fill.price : null,
+      timestamp: fill.timestamp || this.clock()
+    };
+
+    order.fills.push(recorded);
+    if (recorded.transactionId) {
+      this.fillIndex.set(recorded.transactionId, orderId);
+    }
+
+    order.filledAmount += recorded.fromAmount;
+    order.receivedAmount += recorded.toAmount;
+    order.averagePrice = this._averagePrice(order.fills);
+    order.updatedAt = this.clock();
+
+    if (this.isTerminal(order)) {
+      logger.warn('Fill recorded for a closed order', { orderId, state: order.state, transactionId: recorded.transactionId });
+      return { ...order };
+    }
+
+    const isFilled = order.amount - order.filledAmount <= order.amount * FILL_TOLERANCE;
+    this._transition(order, isFilled ? ORDER_STATES.FILLED : ORDER_STATES.PARTIALLY_FILLED);
+    return { ...order };
+  }
+
+  /**
+     * @notice Settle IOC and FOK orders once their submission has returned
+     * @dev Spot swaps cannot be unwound, so a FOK order that came back partially filled
+     *      keeps its fills; the remainder is canceled and the breach logged as an error.
+     * @param {string} orderId Order ID
+     * @return {object} Updated order
+     */
+  applyTimeInForce (orderId) {
+    const order = this._getOrder(orderId);
+    if (this.isTerminal(order)) {
+      return { ...order };
+    }
+
+    if (order.timeInForce === TIME_IN_FORCE.IOC) {
+      this._transition(order, ORDER_STATES.CANCELED, 'IOC remainder canceled');
+    } else if (order.timeInForce === TIME_IN_FORCE.FOK) {
+      if (order.filledAmount > 0) {
+        logger.error('FOK order only partially filled', { orderId, amount: order.amount, filledAmount: order.filledAmount });
+      }
+      this._transition(order, ORDER_STATES.CANCELED, 'FOK order not fully filled');
+    }
+
+    return { ...order };
+  }
+
+  // ============ Cancels, Rejects and Expiry ============
+
+  /**
+     * @notice Cancel an open order
+     * @param {string} orderId Order ID
+     * @param {string} reason Why the order was canceled
+     * @return {object} Canceled order
+     */
+  cancelOrder (orderId, reason = 'Canceled by user') {
+    const order = this._getOrder(orderId);
+    if (this.isTerminal(order)) {
+      throw new Error(`Order ${orderId} is already ${order.state}`);
+    }
+
+    this._transition(order, ORDER_STATES.CANCELED, reason);
+    return { ...order };
+  }
+
+  /**
+     * @notice Cancel every open order, optionally for one pair
+     * @param {object} filter { pair? }
+     * @param {string} reason Why the orders were canceled
+     * @return {Array<object>} Canceled orders
+     */
+  cancelAll (filter = {}, reason = 'Canceled by user') {
+    return this.getOpenOrders(filter.pair).map(order => this.cancelOrder(order.id, reason));
+  }
+
+  /**
+     * @notice Mark an order as rejected
+     * @param {string} orderId Order ID
+     * @param {string} reason Rejection reason
+     * @return {object} Updated order
+     */
+  rejectOrder (orderId, reason) {
+    const order = this._getOrder(orderId);
+    if (this.isTerminal(order)) {
+      return { ...order };
+    }
+
+    // An order that already traded cannot be rejected; stop it from resting instead
+    const state = order.filledAmount > 0 ? ORDER_STATES.CANCELED : ORDER_STATES.REJECTED;
+    this._transition(order, state, reason);
+    return { ...order };
+  }
+
+  /**
+     * @notice Expire GTD orders whose deadline has passed
+     * @param {number} now Current time in milliseconds
+     * @return {Array<object>} Expired orders
+     */
+  expireOrders (now = this.clock()) {
+    const expired = [];
+    for (const order of this.orders.values()) {
+      if (!this.isTerminal(order) && order.expiresAt !== null && order.expiresAt <= now) {
+        this._transition(order, ORDER_STATES.EXPIRED, 'Time in force expired');
+        expired.push({ ...order });
+      }
+    }
+    return expired;
+  }
+
+  // ============ Reconciliation ============
+
+  /**
+     * @notice Apply executed trades from the venue's trade history
+     * @dev Entries are matched by transaction id first, then by the order tag in their
+     *      `reason`. Unmatched entries (trades placed outside this client) are ignored.
+     *      GTD orders past their deadline are expired afterwards.
+     * @param {Array<object>} trades Trade history entries { id, fromAmount, toAmount, price, timestamp, reason }
+     * @return {object} { fills, expired } newly applied fills and expired orders
+     */
+  reconcile (trades = []) {
+    let fills = 0;
+
+    for (const trade of trades) {
+      if (!trade?.id || this.fillIndex.has(trade.id) || trade.success === false) {
+        continue;
+      }
+
+      const orderId = this._parseOrderTag(trade.reason);
+      if (!orderId || !this.orders.has(orderId)) {
+        continue;
+      }
+
+      this.applyFill(orderId, {
+        transactionId: trade.id,
+        fromAmount: parseFloat(trade.fromAmount),
+        toAmount: parseFloat(trade.toAmount),
+        price: parseFloat(trade.price),
+        timestamp: trade.timestamp ? new Date(trade.timestamp).getTime() : this.clock()
+      });
+      fills++;
+    }
+
+    return { fills, expired: this.expireOrders() };
+  }
+
+  // ============ Queries ============
+
+  /**
+     * @notice Get an order by id
+     * @param {string} orderId Order ID
+     * @return {object|null} Order or null when unknown
+     */
+  getOrder (orderId) {
+    const order = this.orders.get(orderId);
+    return order ? { ...order } : null;
+  }
+
+  /**
+     * @notice Get orders that can still fill
+     * @param {string} pair Optional pair filter
+     * @return {Array<object>} NEW and PARTIALLY_FILLED orders
+     */
+  getOpenOrders (pair = null) {
+    return Array.from(this.orders.values())
+      .filter(order => !this.isTerminal(order) && (!pair || order.pair === pair))
+      .map(order => ({ ...order }));
+  }
+
+  /**
+     * @notice Check whether an order has reached a final state
+     * @param {object} order Order
+     * @return {boolean} True for FILLED, CANCELED, EXPIRED and REJECTED
+     */
+  isTerminal (order) {
+    return TERMINAL_STATES.includes(order.state);
+  }
+
+  /**
+     * @notice Count orders per state
+     * @return {object} state -> count
+     */
+  getSummary () {
+    const summary = Object.fromEntries(Object.values(ORDER_STATES).map(state => [state, 0]));
+    for (const order of this.orders.values()) {
+      summary[order.state]++;
+    }
+    return summary;
+  }
+
+  /**
+     * @notice Load orders saved before a restart
+     * @dev No events are emitted; the orders resume in the state they were saved in
+     * @param {Array<object>} orders Order snapshots as emitted with 'order_update'
+     */
+  restoreOrders (orders) {
+    for (const order of orders) {
+      const restored = { ...order, fills: (order.fills || []).map(fill => ({ ...fill })) };
+      this.orders.set(restored.id, restored);
+      restored.fills.forEach(fill => fill.transactionId && this.fillIndex.set(fill.transactionId, restored.id));
+    }
+  }
+
+  /**
+     * @notice Forget every order
+     */
+  clear () {
+    this.orders.clear();
+    this.fillIndex.clear();
+  }
+
+  // ============ Helpers ============
+
+  /**
+     * @notice Move an order to a new state and emit the transition
+     */
+  _transition (order, state, reason = null) {
+    const previousState = order.state;
+    if (previousState !== null && !ALLOWED_TRANSITIONS[previousState]?.includes(state)) {
+      throw new Error(`Invalid order transition for ${order.id}: ${previousState} -> ${state}`);
+    }
+
+    order.state = state;
+    order.reason = reason ?? order.reason;
+    order.updatedAt = this.clock();
+
+    logger.debug('Order state changed', { orderId: order.id, pair: order.pair, from: previousState, to: state, reason });
+
+    const snapshot = { ...order, fills: order.fills.map(fill => ({ ...fill })) };
+    this.emit('order_update', snapshot, previousState);
+    this.emit(`order_${state.toLowerCase()}`, snapshot, previousState);
+
+    if (this.isTerminal(order)) {
+      this._pruneClosedOrders();
+    }
+  }
+
+  /**
+     * @notice Look up an order or throw
+     */
+  _getOrder (orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new Error(`Unknown order: ${orderId}`);
+    }
+    return order;
+  }
+
+  /**
+     * @notice Volume-weighted fill price
+     */
+  _averagePrice (fills) {
+    const priced = fills.filter(fill => fill.price !== null);
+    const volume = priced.reduce((sum, fill) => sum + fill.fromAmount, 0);
+    return volume > 0 ? priced.reduce((sum, fill) => sum + fill.price * fill.fromAmount, 0) / volume : null;
+  }
+
+  /**
+     * @notice Extract the order id from a tagged trade reason
+     */
+  _parseOrderTag (reason) {
+    const match = typeof reason === 'string' ? reason.match(/\[order:([^\]]+)\]/) : null;
+    return match ? match[1] : null;
+  }
+
+  /**
+     * @notice Keep at most `maxClosedOrders` terminal orders, dropping the oldest
+     */
+  _pruneClosedOrders () {
+    const closed = Array.from(this.orders.values()).filter(order => this.isTerminal(order));
+    for (const order of closed.slice(0, Math.max(0, closed.length - this.maxClosedOrders))) {
+      this.orders.delete(order.id);
+      order.fills.forEach(fill => fill.transactionId && this.fillIndex.delete(fill.transactionId));
+    }
+  }
+}
+
+export { ORDER_STATES, TIME_IN_FORCE };
+export default OrderManager;
@@ -0,0 +1,675 @@
+// ============ Imports ============
+import { EventEmitter } from 'events';
+import logger from '../utils/Logger.js';
+import { POSITION_EFFECTS, isShortTrade } from '../utils/Positions.js';
+import { OrderManager } from './OrderManager.js';
+
+// ============ Constants ============
+const DEFAULT_INITIAL_BALANCE = 10000; // Per quote stablecoin
+
+const STABLECOINS = ['USDT', 'USDC', 'DAI', 'USDbC'];
+
+const ORDER_TYPES = {
+  MARKET: 'MARKET',
+  LIMIT: 'LIMIT'
+};
+
+/**
+ * @title PaperExchange
+ * @author Regav-AI Team
+ * @notice Paper-trading implementation of the RecallClient trading interface
+ * @dev Keeps a virtual portfolio per token and fills orders against a market data feed,
+ *      so the same agent code can rehearse on live or replayed prices without sending
+ *      anything to /api/trade/execute. As with Recall, `amount` is denominated in the
+ *      token being sold: the quote token for a BUY and the base token for a SELL.
+ *
+ *      Market orders fill at the feed's latest price moved against the trader by
+ *      `slippageBps`. Limit orders (`orderType: 'LIMIT'`, `limitPrice`) fill immediately
+ *      when marketable; otherwise the sold amount is reserved and the order rests until
+ *      a feed tick crosses the limit, then fills at the limit price. `feeBps` is charged
+ *      on the received amount of every fill.
+ *
+ *      Every order is tracked by an OrderManager under its trade id, with the same time in
+ *      force rules as RecallClient: market orders are IOC unless FOK, a limit order that is
+ *      not marketable rests when GTC or GTD and is canceled when IOC or FOK, and GTD orders
+ *      expire on the first feed tick past `expiresAt`. Canceling or expiring a resting
+ *      order releases its reserved balance.
+ *
+ *      Shorts: a SELL with `positionEffect: 'OPEN'` may sell more base than the account
+ *      holds. The shortfall is borrowed, leaving a negative balance, as long as total
+ *      short exposure stays within account equity. A BUY with `positionEffect: 'CLOSE'`
+ *      and a `quantity` buys to cover: it spends only what is needed to repay up to
+ *      `quantity` of the borrowed base, treating `amount` as the most it may spend.
+ *      Resting limit orders cannot borrow.
+ *
+ *      Events mirror RecallClient:
+ *      - 'trade_executed' (completedTrade)
+ *      - 'trade_failed'   (failedTrade, error)
+ *      - 'order_update'   (order, previousState) on every order transition, plus one
+ *        event per state ('order_new', 'order_filled', 'order_canceled', ...)
+ */
+export class PaperExchange extends EventEmitter {
+  constructor (options = {}) {
+    super();
+
+    if (!options.marketDataFeed) {
+      throw new Error('PaperExchange requires a marketDataFeed');
+    }
+
+    // ============ Configuration ============
+    this.marketDataFeed = options.marketDataFeed;
+    this.priceOracle = options.priceOracle || null;
+    this.slippageBps = options.slippageBps ?? 5;
+    this.feeBps = options.feeBps ?? 10;
+    this.clock = options.clock || Date.now;
+    this.initialBalances = { ...(options.initialBalances || this._getDefaultBalances(options.initialBalance)) };
+    this.allowShorts = options.allowShorts ?? true;
+    this.isPaperTrading = true;
+
+    // ============ Account State ============
+    this.balances = new Map(Object.entries(this.initialBalances));
+    this.reserved = new Map(); // token -> amount held by resting orders
+    this.restingOrders = new Map(); // orderId -> order from _prepareOrder(), for matching
+    this.orderManager = new OrderManager({ clock: this.clock });
+    this.tradeHistory = [];
+    this.tradeCounter = 0;
+    this.isInitialized = false;
+    this.isConnected = false;
+
+    // ============ Metrics ============
+    this.metrics = {
+      totalTrades: 0,
+      successfulTrades: 0,
+      failedTrades: 0,
+      totalFees: 0,
+      totalVolume: 0
+    };
+
+    this._onTick = (tick) => this._matchOpenOrders(tick);
+
+    // Re-emit order transitions like RecallClient, so the agent journals paper orders too
+    this.orderManager.on('order_update', (order, previousState) => {
+      this.emit('order_update', order, previousState);
+      this.emit(`order_${order.state.toLowerCase()}`, order, previousState);
+    });
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+     * @notice Start matching resting orders against feed ticks
+     */
+  async initialize () {
+    if (this.isInitialized) {
+      return;
+    }
+
+    this.marketDataFeed.on('tick', this._onTick);
+    this.isInitialized = true;
+    this.isConnected = true;
+
+    logger.info('Paper exchange initialized', {
+      feed: this.marketDataFeed.name,
+      balances: this.initialBalances,
+      slippageBps: this.slippageBps,
+      feeBps: this.feeBps
+    });
+  }
+
+  /**
+     * @notice Stop matching and release the feed listener
+     */
+  async disconnect () {
+    this.marketDataFeed.off('tick', this._onTick);
+    this.isConnected = false;
+  }
+
+  // ============ Trading Operations ============
+
+  /**
+     * @notice Execute a market order or place a limit order
+     * @param {object} tradeParams Trade parameters ({ pair, action, amount, orderType?, limitPrice?, timeInForce?, expiresAt? })
+     * @return {object} Completed trade, or the open or canceled order when a limit order does not fill
+     */
+  async executeTrade (tradeParams) {
+    const tradeId = `paper_${++this.tradeCounter}`;
+    const timestamp = this.clock();
+    let isRegistered = false;
+
+    try {
+      const order = this._prepareOrder(tradeId, timestamp, tradeParams);
+      this.orderManager.createOrder({ ...order, price: order.limitPrice });
+      isRegistered = true;
+
+      // Refuses stale prices for entries like RecallClient; exits fall back to the last known price
+      const marketPrice = this.priceOracle?.getTradePrice(order) || this.marketDataFeed.getLatestPrice(order.pair);
+      if (!marketPrice) {
+        throw new Error(`No market price available for ${order.pair}`);
+      }
+
+      const available = this.getBalance(order.fromToken);
+      const shortfall = order.amount - available;
+      const isShortfall = shortfall > order.amount * 1e-9; // Tolerate float dust when selling a whole balance
+      if (isShortfall && !order.opensShort) {
+        throw new Error(`Insufficient ${order.fromToken} balance: ${available} < ${order.amount}`);
+      }
+      if (isShortfall) {
+        this._checkShortCapacity(order, shortfall, marketPrice);
+      }
+
+      // ============ Market and Marketable Limit Orders ============
+      const slippage = this.slippageBps / 10000;
+      const marketFill = order.isBuy ? marketPrice * (1 + slippage) : marketPrice * (1 - slippage);
+
+      if (order.orderType === ORDER_TYPES.MARKET) {
+        return this._fill(order, marketFill);
+      }
+      if (order.isBuy ? marketFill <= order.limitPrice : marketFill >= order.limitPrice) {
+        return this._fill(order, marketFill);
+      }
+
+      // ============ Unmarketable IOC and FOK Limit Orders ============
+      const settled = this.orderManager.applyTimeInForce(order.id);
+      if (this.orderManager.isTerminal(settled)) {
+        return { ...order, status: settled.state, orderId: order.id, orderState: settled.state, filledAmount: 0 };
+      }
+
+      // ============ Resting Limit Order ============
+      if (isShortfall) {
+        throw new Error(`Resting limit orders cannot borrow ${order.fromToken}; short with a marketable order`);
+      }
+      this.balances.set(order.fromToken, Math.max(0, available - order.amount));
+      this.reserved.set(order.fromToken, (this.reserved.get(order.fromToken) || 0) + order.amount);
+      this.restingOrders.set(order.id, order);
+
+      logger.info('Paper limit order placed', {
+        orderId: order.id,
+        pair: order.pair,
+        action: order.action,
+        amount: order.amount,
+        limitPrice: order.limitPrice
+      });
+
+      return { ...order, orderId: order.id, orderState: settled.state, filledAmount: 0 };
+    } catch (error) {
+      if (isRegistered) {
+        this.orderManager.rejectOrder(tradeId, error.message);
+      }
+      this._reject({ id: tradeId, timestamp, ...tradeParams, orderId: isRegistered ? tradeId : null }, error);
+      throw error;
+    }
+  }
+
+  /**
+     * @notice Cancel a resting limit order and release its reserved balance
+     * @param {string} orderId Order ID (the trade id returned by executeTrade)
+     * @param {string} reason Why the order was canceled
+     * @return {object} Canceled order
+     */
+  cancelOrder (orderId, reason = 'Canceled by user') {
+    const order = this.orderManager.cancelOrder(orderId, reason);
+    this._releaseOrder(orderId);
+    logger.info('Paper order canceled', { orderId, pair: order.pair, reason });
+    return order;
+  }
+
+  /**
+     * @notice Cancel every resting limit order, optionally for one pair
+     * @param {object} filter { pair? }
+     * @param {string} reason Why the orders were canceled
+     * @return {Array<object>} Canceled orders
+     */
+  cancelAll (filter = {}, reason = 'Canceled by user') {
+    return this.getOpenOrders(filter.pair).map(order => this.cancelOrder(order.id, reason));
+  }
+
+  /**
+     * @notice Get an order by id
+     * @param {string} orderId Order ID
+     * @return {object|null} Order or null when unknown
+     */
+  getOrder (orderId) {
+    return this.orderManager.getOrder(orderId);
+  }
+
+  /**
+     * @notice Get orders that can still fill
+     * @param {string} pair Optional pair filter
+     * @return {Array<object>} Open orders
+     */
+  getOpenOrders (pair = null) {
+    return this.orderManager.getOpenOrders(pair);
+  }
+
+  /**
+     * @notice Validate trade parameters and build an order
+     * @param {string} id Order identifier
+     * @param {number} timestamp Creation time
+     * @param {object} tradeParams Trade parameters
+     * @return {object} Normalised order
+     */
+  _prepareOrder (id, timestamp, tradeParams) {
+    const { pair, action, amount } = tradeParams;
+    const [base, quote] = (pair || '').split('/');
+    if (!base || !quote) {
+      throw new Error(`Invalid trading pair: ${pair}`);
+    }
+    if (!['BUY', 'SELL'].includes(action?.toUpperCase())) {
+      throw new Error(`Invalid trade action: ${action}. Must be 'BUY' or 'SELL'`);
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error(`Invalid trade amount: ${amount}`);
+    }
+
+    const orderType = (tradeParams.orderType || ORDER_TYPES.MARKET).toUpperCase();
+    const limitPrice = tradeParams.limitPrice ?? tradeParams.price;
+    if (orderType === ORDER_TYPES.LIMIT && !(limitPrice > 0)) {
+      throw new Error('Limit orders require a positive limitPrice');
+    }
+    if (!Object.values(ORDER_TYPES).includes(orderType)) {
+      throw new Error(`Unsupported order type: ${tradeParams.orderType}`);
+    }
+
+    const positionEffect = tradeParams.positionEffect?.toUpperCase();
+    if (positionEffect && !Object.values(POSITION_EFFECTS).includes(positionEffect)) {
+      throw new Error(`Invalid position effect: ${tradeParams.positionEffect}. Must be 'OPEN' or 'CLOSE'`);
+    }
+
+    const isBuy = action.toUpperCase() === 'BUY';
+    const isShort = isShortTrade(tradeParams);
+    if (isShort && !isBuy && !this.allowShorts) {
+      throw new Error('Short selling is disabled on this paper exchange');
+    }
+
+    return {
+      id,
+      timestamp,
+      ...tradeParams,
+      orderType,
+      limitPrice: orderType === ORDER_TYPES.LIMIT ? limitPrice : undefined,
+      isBuy,
+      opensShort: isShort && !isBuy,
+      coversShort: isShort && isBuy,
+      fromToken: isBuy ? quote : base,
+      toToken: isBuy ? base : quote,
+      status: 'OPEN'
+    };
+  }
+
+  /**
+     * @notice Settle an order at a price
+     * @param {object} order Order from _prepareOrder()
+     * @param {number} executedPrice Fill price
+     * @param {boolean} isReserved True when the sold amount was already reserved
+     * @return {object} Completed trade
+     */
+  _fill (order, executedPrice, isReserved = false) {
+    const { isBuy, fromToken, toToken } = order;
+    const amount = this._getFillAmount(order, executedPrice);
+
+    const grossAmount = isBuy ? amount / executedPrice : amount * executedPrice;
+    const executedAmount = grossAmount * (1 - this.feeBps / 10000);
+    const fee = (grossAmount - executedAmount) * (isBuy ? executedPrice : 1); // In quote token
+
+    if (isReserved) {
+      this._releaseReserved(order);
+      this.balances.set(fromToken, this.getBalance(fromToken) + order.amount - amount); // Refund an unspent cover budget
+    } else {
+      const remaining = this.getBalance(fromToken) - amount;
+      this.balances.set(fromToken, order.opensShort ? remaining : Math.max(0, remaining));
+    }
+    this.balances.set(toToken, this.getBalance(toToken) + executedAmount);
+
+    // ============ Record Fill and Settle Time In Force ============
+    this.orderManager.applyFill(order.id, {
+      transactionId: order.id,
+      fromAmount: amount,
+      toAmount: executedAmount,
+      price: executedPrice,
+      timestamp: this.clock()
+    });
+    let settled = this.orderManager.applyTimeInForce(order.id);
+    if (!this.orderManager.isTerminal(settled)) {
+      // A cover spends less than its budget; the refunded remainder cannot fill later
+      settled = this.orderManager.cancelOrder(order.id, 'Unspent cover budget released');
+    }
+
+    const completedTrade = {
+      ...order,
+      transactionHash: order.id,
+      executedPrice,
+      executedAmount,
+      fromAmount: amount,
+      profit: 0,
+      fee,
+      gasUsed: 0,
+      success: true,
+      status: 'COMPLETED',
+      orderId: order.id,
+      orderState: settled.state,
+      filledAmount: settled.filledAmount,
+      filledAt: this.clock(),
+      executionTime: 0
+    };
+    delete completedTrade.isBuy;
+    delete completedTrade.opensShort;
+    delete completedTrade.coversShort;
+
+    this.tradeHistory.push(completedTrade);
+    this.metrics.totalTrades++;
+    this.metrics.successfulTrades++;
+    this.metrics.totalFees += fee;
+    this.metrics.totalVolume += isBuy ? amount : executedAmount + fee;
+
+    logger.debug('Paper trade filled', {
+      tradeId: order.id,
+      pair: order.pair,
+      action: order.action,
+      amount,
+      executedPrice,
+      executedAmount,
+      fee
+    });
+
+    this.emit('trade_executed', completedTrade);
+    return completedTrade;
+  }
+
+  /**
+     * @notice Amount of the sold token a fill actually spends
+     * @dev Buy-to-cover orders spend only enough quote to repay the owed base, capped at
+     *      `quantity` and at the order amount
+     * @param {object} order Order from _prepareOrder()
+     * @param {number} executedPrice Fill price
+     * @return {number} Amount spent
+     */
+  _getFillAmount (order, executedPrice) {
+    const owed = -this.getBalance(order.toToken);
+    if (!order.coversShort || !(order.quantity > 0) || owed <= 0) {
+      return order.amount;
+    }
+
+    const coverQuantity = Math.min(order.quantity, owed);
+    return Math.min(order.amount, coverQuantity * executedPrice / (1 - this.feeBps / 10000));
+  }
+
+  /**
+     * @notice Refuse a short that would push total short exposure above account equity
+     * @param {object} order Short-opening order
+     * @param {number} shortfall Base amount that has to be borrowed
+     * @param {number} marketPrice Current price of the base token
+     */
+  _checkShortCapacity (order, shortfall, marketPrice) {
+    let exposure = shortfall * marketPrice;
+    for (const [token, amount] of this._getHoldings()) {
+      if (amount < 0) {
+        exposure += -amount * (this.getTokenValue(token) || 0);
+      }
+    }
+
+    const equity = this.getEquity();
+    if (exposure > equity) {
+      throw new Error(`Insufficient equity to short ${order.fromToken}: exposure ${exposure.toFixed(2)} > equity ${equity.toFixed(2)}`);
+    }
+  }
+
+  /**
+     * @notice Record and emit a rejected order
+     * @param {object} trade Trade parameters with id and timestamp
+     * @param {Error} error Rejection reason
+     */
+  _reject (trade, error) {
+    const failedTrade = {
+      ...trade,
+      status: 'FAILED',
+      error: error.message,
+      executionTime: 0
+    };
+
+    this.tradeHistory.push(failedTrade);
+    this.metrics.totalTrades++;
+    this.metrics.failedTrades++;
+
+    logger.debug('Paper trade rejected', { pair: trade.pair, error: error.message });
+    this.emit('trade_failed', failedTrade, error);
+  }
+
+  /**
+     * @notice Expire GTD orders past their deadline, then fill resting limit orders crossed by a feed tick
+     * @param {object} tick { pair, price }
+     */
+  _matchOpenOrders ({ pair, price }) {
+    if (this.restingOrders.size > 0) {
+      this.orderManager.expireOrders(this.clock()).forEach(order => this._releaseOrder(order.id));
+    }
+
+    for (const order of this.restingOrders.values()) {
+      if (order.pair !== pair) continue;
+
+      const crossed = order.isBuy ? price <= order.limitPrice : price >= order.limitPrice;
+      if (crossed) {
+        this.restingOrders.delete(order.id);
+        this._fill(order, order.limitPrice, true);
+      }
+    }
+  }
+
+  /**
+     * @notice Stop matching a resting order and return its reserved balance
+     * @param {string} orderId Order ID
+     */
+  _releaseOrder (orderId) {
+    const order = this.restingOrders.get(orderId);
+    if (!order) {
+      return;
+    }
+
+    this.restingOrders.delete(orderId);
+    this._releaseReserved(order);
+    this.balances.set(order.fromToken, this.getBalance(order.fromToken) + order.amount);
+  }
+
+  /**
+     * @notice Release the balance reserved by a resting order
+     * @param {object} order Resting order
+     */
+  _releaseReserved (order) {
+    const reserved = (this.reserved.get(order.fromToken) || 0) - order.amount;
+    this.reserved.set(order.fromToken, Math.max(0, reserved));
+  }
+
+  // ============ Account and Portfolio ============
+
+  /**
+     * @notice Get the available (unreserved) balance of a token
+     * @param {string} token Token symbol
+     * @return {number} Balance in token units
+     */
+  getBalance (token) {
+    return this.balances.get(token) || 0;
+  }
+
+  /**
+     * @notice Value a token in USD using the latest feed prices
+     * @dev Stablecoins are valued at 1. Other tokens use the first tracked pair quoting them in a stablecoin.
+     * @param {string} token Token symbol
+     * @return {number|null} USD price or null when no pair prices the token
+     */
+  getTokenValue (token) {
+    if (STABLECOINS.includes(token)) {
+      return 1;
+    }
+
+    for (const pair of this.marketDataFeed.pairs) {
+      const [base, quote] = pair.split('/');
+      if (base === token && STABLECOINS.includes(quote)) {
+        return this.marketDataFeed.getLatestPrice(pair);
+      }
+    }
+    return null;
+  }
+
+  /**
+     * @notice Get total account value in USD, including reserved balances
+     * @return {number} Sum of all holdings valued at the latest prices
+     */
+  getEquity () {
+    let equity = 0;
+    for (const [token, amount] of this._getHoldings()) {
+      equity += amount * (this.getTokenValue(token) || 0);
+    }
+    return equity;
+  }
+
+  /**
+     * @notice Get current portfolio value and balances
+     * @return {object} Portfolio information in the RecallClient shape
+     */
+  async getPortfolio () {
+    const startingValue = Object.values(this.initialBalances).reduce((sum, amount) => sum + amount, 0);
+    const totalValue = this.getEquity();
+    const snapshotTime = new Date(this.clock()).toISOString();
+
+    return {
+      totalValue,
+      tokens: Array.from(this._getHoldings(), ([symbol, amount]) => {
+        const price = this.getTokenValue(symbol) || 0;
+        return { symbol, token: symbol, amount, price, value: amount * price };
+      }),
+      pnl: totalValue - startingValue,
+      pnlPercentage: startingValue > 0 ? ((totalValue - startingValue) / startingValue) * 100 : 0,
+      source: 'paper',
+      snapshotTime,
+      lastUpdate: snapshotTime
+    };
+  }
+
+  /**
+     * @notice Get account information
+     * @return {object} Account info with the USD balance
+     */
+  getAccountInfo () {
+    const totalBalance = this.getEquity();
+    return {
+      agentId: 'paper',
+      name: 'Paper trading account',
+      totalBalance,
+      balance: totalBalance,
+      balances: Object.fromEntries(this._getHoldings())
+    };
+  }
+
+  /**
+     * @notice Get executed and failed trades, most recent last
+     * @param {number} limit Maximum number of trades to return
+     * @return {Array} Trades
+     */
+  async getTradeHistory (limit = 100) {
+    return this.tradeHistory.slice(-limit);
+  }
+
+  /**
+     * @notice Get the latest price for a pair from the feed
+     * @param {string} pair Trading pair
+     * @return {object} { pair, price, timestamp }
+     */
+  async getPairPrice (pair) {
+    const tick = this.marketDataFeed.getLatestTick(pair);
+    if (!tick) {
+      throw new Error(`No market price available for ${pair}`);
+    }
+    return { pair, price: tick.price, timestamp: tick.timestamp };
+  }
+
+  /**
+     * @notice Combine available and reserved balances per token
+     * @return {Map} token -> amount
+     */
+  _getHoldings () {
+    const holdings = new Map(this.balances);
+    for (const [token, amount] of this.reserved) {
+      holdings.set(token, (holdings.get(token) || 0) + amount);
+    }
+    return holdings;
+  }
+
+  /**
+     * @notice Build default balances for the stablecoins the bot trades against
+     * @param {number} amount Balance per stablecoin
+     * @return {object} token -> amount
+     */
+  _getDefaultBalances (amount = DEFAULT_INITIAL_BALANCE) {
+    return { USDT: amount, USDC: amount };
+  }
+
+  // ============ Storage ============
+
+  /**
+     * @notice Bucket storage is not persisted for paper trading
+     * @dev Keeps rehearsal data out of the agent's Recall buckets
+     * @param {string} bucketName Bucket name
+     * @return {object} Placeholder bucket
+     */
+  async getOrCreateBucket (bucketName) {
+    return { bucket: `paper_${bucketName}`, bucketId: `paper_${bucketName}`, name: bucketName };
+  }
+
+  /**
+     * @notice Discard objects written during paper trading
+     * @return {object} Success result
+     */
+  async addObject (_bucketName, _key, _data) {
+    return { success: true };
+  }
+
+  // ============ Status ============
+
+  /**
+     * @notice Get current client status
+     * @return {object} Client status information
+     */
+  getStatus () {
+    return {
+      isInitialized: this.isInitialized,
+      isConnected: this.isConnected,
+      paperTrading: true,
+      agentId: 'paper',
+      metrics: { ...this.metrics },
+      activeOrders: this.orderManager.getOpenOrders().length,
+      orders: this.orderManager.getSummary(),
+      totalTrades: this.tradeHistory.length,
+      portfolioValue: this.getEquity()
+    };
+  }
+
+  /**
+     * @notice Price market orders from a shared price oracle instead of the raw feed
+     * @param {PriceOracle} priceOracle Shared price oracle
+     */
+  setPriceOracle (priceOracle) {
+    this.priceOracle = priceOracle;
+  }
+
+  /**
+     * @notice Get competition data
+     * @return {object} Paper account summary in the RecallClient competition shape
+     */
+  getCompetitionData () {
+    return {
+      id: null,
+      isActive: false,
+      portfolioValue: this.getEquity()
+    };
+  }
+
+  /**
+     * @notice Get trading metrics
+     * @return {object} Current trading metrics
+     */
+  getMetrics () {
+    return { ...this.metrics };
+  }
+}
+
+export { ORDER_TYPES };
+export default PaperExchange;
@@ -0,0 +1,422 @@
+// ============ Imports ============
+import { EventEmitter } from 'events';
+import logger from '../utils/Logger.js';
+import { POSITION_SIDES } from '../utils/Positions.js';
+import tokenRegistry from '../utils/TokenRegistry.js';
+
+// ============ Constants ============
+const DEFAULT_RECONCILER_PARAMS = {
+  intervalSeconds: 60, // Time between reconciliation runs
+  tolerancePercent: 1.0, // Drift below this % of the expected holding is noise (fees, rounding)
+  minDriftValue: 1.0, // Drift worth less than this in USD is ignored
+  confirmations: 2, // Consecutive runs a drift must persist before it is flagged
+  autoCorrect: false, // Fix local state when a drift is flagged
+  quoteSymbols: [] // Tokens that only fund positions; their balance moves with every trade
+};
+
+const CORRECTION_ACTIONS = {
+  DROP_POSITION: 'DROP_POSITION',
+  REBASELINE: 'REBASELINE',
+  UPDATE_PORTFOLIO_VALUE: 'UPDATE_PORTFOLIO_VALUE'
+};
+
+// ============ Response Normalization ============
+
+/**
+ * @notice Normalize a portfolio response into one shape
+ * @dev Accepts the RecallClient and PaperExchange shape (`totalValue`, `tokens`) as well as
+ *      the raw balances API (`totalBalanceUsd`, `balances`) and plain `{ SYMBOL: amount }`
+ *      balance maps. Symbols are canonicalized through the token registry (ETH -> WETH)
+ *      and holdings of one token across chains are added up.
+ * @param {object} response Portfolio as returned by getPortfolio()
+ * @return {object} { totalValue, holdings: { SYMBOL: { amount, price, value } }, tokenCount, snapshotTime }
+ */
+export function normalizePortfolio (response = {}) {
+  const rawTokens = response?.tokens ?? response?.balances ?? [];
+  const entries = Array.isArray(rawTokens)
+    ? rawTokens
+    : Object.entries(rawTokens).map(([symbol, amount]) => (typeof amount === 'object' ? { symbol, ...amount } : { symbol, amount }));
+
+  const holdings = {};
+  for (const token of entries) {
+    const symbol = getBalanceSymbol(token);
+    if (!symbol) {
+      continue;
+    }
+
+    const amount = parseFloat(token.amount ?? token.balance ?? token.quantity) || 0;
+    const price = parseFloat(token.price ?? token.priceUsd) || 0;
+    const value = parseFloat(token.value ?? token.usdValue ?? token.valueUsd) || amount * price;
+
+    const holding = holdings[symbol] || { amount: 0, price: 0, value: 0 };
+    holding.amount += amount;
+    holding.value += value;
+    holding.price = price || holding.price;
+    holdings[symbol] = holding;
+  }
+
+  const summedValue = Object.values(holdings).reduce((sum, holding) => sum + holding.value, 0);
+  const totalValue = parseFloat(response?.totalValue ?? response?.totalBalanceUsd ?? response?.totalValueUsd);
+
+  return {
+    totalValue: Number.isFinite(totalValue) ? totalValue : summedValue,
+    holdings,
+    tokenCount: Object.keys(holdings).length,
+    snapshotTime: response?.snapshotTime || response?.lastUpdate || null
+  };
+}
+
+/**
+ * @notice Canonical symbol of a balance entry, looked up by address when no symbol is given
+ */
+function getBalanceSymbol (token) {
+  const symbol = token.symbol ?? token.specificSymbol ?? token.tokenSymbol;
+  if (symbol) {
+    return tokenRegistry.getCanonicalSymbol(symbol);
+  }
+
+  const address = token.tokenAddress ?? token.token ?? token.address;
+  if (!address) {
+    return null;
+  }
+  for (const network of tokenRegistry.networks.keys()) {
+    const match = tokenRegistry.findByAddress(address, network);
+    if (match) {
+      return match.symbol;
+    }
+  }
+  return address;
+}
+
+/**
+ * @title PortfolioReconciler
+ * @author Regav-AI Team
+ * @notice Periodically compares the venue's balances with the positions RiskManager tracks
+ * @dev Each base token has a baseline: the part of the holding no open position accounts
+ *      for, captured the first time the token is seen. A token's expected holding is its
+ *      baseline plus the quantity of open longs minus the quantity of open shorts (on Recall
+ *      a short sells base already held). Drift is the actual holding minus the expected one.
+ *
+ *      A drift beyond `tolerancePercent` and `minDriftValue` that persists for
+ *      `confirmations` consecutive runs is flagged, which rules out trades still in flight.
+ *      Every non-zero drift is logged with a structured diff. With `autoCorrect` a flagged
+ *      deficit drops the newest longs the holding no longer backs, a surplus drops the
+ *      newest shorts that never sold, and the baseline then absorbs what is left. Quote
+ *      tokens are not reconciled, as every trade moves them by its notional plus fees.
+ *
+ *      Events:
+ *      - 'drift' (discrepancy) for each flagged discrepancy
+ *      - 'corrected' (correction) for each change made to local state
+ *      - 'reconciled' (report) after every run
+ */
+export class PortfolioReconciler extends EventEmitter {
+  /**
+     * @param {object} options
+     * @param {object} options.client Client exposing getPortfolio() (RecallClient or PaperExchange)
+     * @param {object} options.riskManager RiskManager whose active positions are checked
+     * @param {object} options.tradingStrategy Optional TradingStrategy used to drop positions
+     */
+  constructor (options = {}) {
+    super();
+
+    if (!options.client || !options.riskManager) {
+      throw new Error('PortfolioReconciler requires a client and a riskManager');
+    }
+
+    // ============ Configuration ============
+    const { client, riskManager, tradingStrategy, ...params } = options;
+    this.config = {
+      ...DEFAULT_RECONCILER_PARAMS,
+      ...Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined))
+    };
+    this.quoteSymbols = new Set(this.config.quoteSymbols.map(symbol => tokenRegistry.getCanonicalSymbol(symbol)));
+
+    // ============ Core Dependencies ============
+    this.client = client;
+    this.riskManager = riskManager;
+    this.tradingStrategy = tradingStrategy || null;
+
+    // ============ Reconciliation State ============
+    this.baselines = new Map(); // symbol -> base amount not attributed to positions
+    this.pendingDrifts = new Map(); // symbol -> consecutive runs with drift beyond tolerance
+    this.lastReport = null;
+    this.runs = 0;
+    this.flagged = 0;
+    this.corrections = 0;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+     * @notice Run a reconciliation now and then every `intervalSeconds`
+     */
+  async start () {
+    if (this.timer) {
+      return;
+    }
+
+    await this.reconcile();
+    this.timer = setInterval(() => this.reconcile(), this.config.intervalSeconds * 1000);
+    logger.info('Portfolio reconciliation started', {
+      intervalSeconds: this.config.intervalSeconds,
+      tolerancePercent: this.config.tolerancePercent,
+      autoCorrect: this.config.autoCorrect
+    });
+  }
+
+  /**
+     * @notice Stop the periodic reconciliation
+     */
+  stop () {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ============ Reconciliation ============
+
+  /**
+     * @notice Compare the venue's balances with the tracked positions once
+     * @dev Runs do not overlap; a call while one is in progress returns null
+     * @return {object|null} Report { timestamp, portfolioValue, discrepancies, corrections, tokens }, or null on failure
+     */
+  async reconcile () {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    try {
+      const portfolio = normalizePortfolio(await this.client.getPortfolio());
+      const exposure = this._getPositionExposure();
+      const symbols = new Set([...Object.keys(portfolio.holdings), ...exposure.keys()]);
+
+      const tokens = [];
+      const discrepancies = [];
+      const corrections = [];
+
+      // ============ Token Holdings ============
+      for (const symbol of symbols) {
+        if (this.quoteSymbols.has(symbol)) {
+          continue;
+        }
+
+        const diff = this._diffToken(symbol, portfolio.holdings[symbol], exposure.get(symbol));
+        tokens.push(diff);
+        if (diff.drift === 0) {
+          continue;
+        }
+
+        if (!diff.exceedsTolerance) {
+          logger.debug('Portfolio drift within tolerance', diff);
+          continue;
+        }
+        if (!diff.confirmed) {
+          logger.info('Portfolio drift awaiting confirmation', diff);
+          continue;
+        }
+
+        discrepancies.push(diff);
+        logger.warn('Portfolio drift detected', diff);
+        this.emit('drift', diff);
+
+        if (this.config.autoCorrect) {
+          corrections.push(...this._correctToken(diff, exposure.get(symbol)));
+        }
+      }
+
+      // ============ Portfolio Value ============
+      const portfolioValue = this._diffPortfolioValue(portfolio.totalValue);
+      if (portfolioValue.exceedsTolerance) {
+        discrepancies.push(portfolioValue);
+        logger.warn('Portfolio value drift detected', portfolioValue);
+        this.emit('drift', portfolioValue);
+
+        if (this.config.autoCorrect) {
+          this.riskManager.updatePortfolioValue(portfolio.totalValue);
+          corrections.push({ action: CORRECTION_ACTIONS.UPDATE_PORTFOLIO_VALUE, from: portfolioValue.local, to: portfolio.totalValue });
+        }
+      }
+
+      for (const correction of corrections) {
+        logger.warn('Portfolio state corrected', correction);
+        this.emit('corrected', correction);
+      }
+
+      this.runs++;
+      this.flagged += discrepancies.length;
+      this.corrections += corrections.length;
+      this.lastReport = {
+        timestamp: Date.now(),
+        portfolioValue,
+        discrepancies,
+        corrections,
+        tokens
+      };
+      this.emit('reconciled', this.lastReport);
+      return this.lastReport;
+    } catch (error) {
+      logger.error('Portfolio reconciliation failed', { error: error.message });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+     * @notice Build the structured diff of one token and track its confirmation count
+     * @dev The first sighting sets the baseline to whatever the positions do not explain,
+     *      floored at zero so a holding below the open longs shows up as drift at once
+     */
+  _diffToken (symbol, holding = { amount: 0, price: 0 }, exposure = { long: 0, short: 0, positions: [] }) {
+    const held = holding.amount;
+    const net = exposure.long - exposure.short;
+    if (!this.baselines.has(symbol)) {
+      this.baselines.set(symbol, Math.max(0, held - net));
+    }
+
+    const baseline = this.baselines.get(symbol);
+    const expected = baseline + net;
+    const drift = Math.abs(held - expected) < 1e-12 ? 0 : held - expected;
+    const price = holding.price || exposure.price || 0;
+    const driftPercent = expected > 0 ? (Math.abs(drift) / expected) * 100 : (drift !== 0 ? 100 : 0);
+    const driftValue = Math.abs(drift) * price;
+    const exceedsTolerance = driftPercent > this.config.tolerancePercent && driftValue >= this.config.minDriftValue;
+
+    const checks = exceedsTolerance ? (this.pendingDrifts.get(symbol) || 0) + 1 : 0;
+    if (checks > 0) {
+      this.pendingDrifts.set(symbol, checks);
+    } else {
+      this.pendingDrifts.delete(symbol);
+    }
+
+    return {
+      symbol,
+      held,
+      expected,
+      baseline,
+      longQuantity: exposure.long,
+      shortQuantity: exposure.short,
+      drift,
+      driftPercent,
+      driftValue,
+      exceedsTolerance,
+      confirmed: checks >= this.config.confirmations,
+      checks,
+      positions: exposure.positions.map(position => position.id)
+    };
+  }
+
+  /**
+     * @notice Compare the venue's total value with the risk manager's portfolio value
+     */
+  _diffPortfolioValue (remote) {
+    const local = this.riskManager.portfolioValue || 0;
+    const drift = remote - local;
+    const driftPercent = local > 0 ? (Math.abs(drift) / local) * 100 : 0;
+    return {
+      symbol: 'PORTFOLIO_VALUE',
+      local,
+      remote,
+      drift,
+      driftPercent,
+      exceedsTolerance: local > 0 && driftPercent > this.config.tolerancePercent && Math.abs(drift) >= this.config.minDriftValue
+    };
+  }
+
+  /**
+     * @notice Bring local state in line with a confirmed token drift
+     * @return {Array<object>} Corrections made
+     */
+  _correctToken (diff, exposure = { positions: [] }) {
+    const corrections = [];
+    const tolerance = Math.max(diff.expected, diff.held) * this.config.tolerancePercent / 100;
+
+    // ============ Drop Positions The Holding Contradicts ============
+    // A deficit means longs that never filled (or were sold elsewhere); a surplus, shorts that never sold
+    const side = diff.drift < 0 ? POSITION_SIDES.LONG : POSITION_SIDES.SHORT;
+    const candidates = exposure.positions
+      .filter(position => position.side === side)
+      .sort((a, b) => b.entryTime - a.entryTime);
+
+    let remaining = Math.abs(diff.drift);
+    for (const position of candidates) {
+      if (remaining <= tolerance) {
+        break;
+      }
+      this._dropPosition(position.id);
+      remaining -= position.quantity;
+      corrections.push({ action: CORRECTION_ACTIONS.DROP_POSITION, symbol: diff.symbol, positionId: position.id, pair: position.pair, side, quantity: position.quantity });
+    }
+
+    // ============ Absorb The Rest Into The Baseline ============
+    const net = this._getPositionExposure().get(diff.symbol);
+    const baseline = Math.max(0, diff.held - ((net?.long || 0) - (net?.short || 0)));
+    if (baseline !== diff.baseline) {
+      corrections.push({ action: CORRECTION_ACTIONS.REBASELINE, symbol: diff.symbol, from: diff.baseline, to: baseline });
+    }
+    this.baselines.set(diff.symbol, baseline);
+    this.pendingDrifts.delete(diff.symbol);
+
+    return corrections;
+  }
+
+  /**
+     * @notice Remove a position from the strategy and the risk manager
+     */
+  _dropPosition (positionId) {
+    if (this.tradingStrategy && typeof this.tradingStrategy.dropPosition === 'function') {
+      this.tradingStrategy.dropPosition(positionId, 'RECONCILED_MISSING');
+    } else {
+      this.riskManager.removePosition(positionId, 'RECONCILED_MISSING');
+    }
+  }
+
+  /**
+     * @notice Open long and short base quantities per canonical base symbol
+     * @return {Map} symbol -> { long, short, price, positions }
+     */
+  _getPositionExposure () {
+    const exposure = new Map();
+    for (const position of this.riskManager.activePositions.values()) {
+      const symbol = tokenRegistry.getCanonicalSymbol(position.pair.split('/')[0]);
+      const quantity = position.quantity ?? position.size / position.entryPrice;
+      const entry = exposure.get(symbol) || { long: 0, short: 0, price: 0, positions: [] };
+
+      if (position.side === POSITION_SIDES.SHORT) {
+        entry.short += quantity;
+      } else {
+        entry.long += quantity;
+      }
+      entry.price = position.entryPrice;
+      entry.positions.push({ ...position, quantity });
+      exposure.set(symbol, entry);
+    }
+    return exposure;
+  }
+
+  // ============ Status ============
+
+  /**
+     * @notice Get reconciliation status
+     * @return {object} Counters, baselines and the last report
+     */
+  getStatus () {
+    return {
+      running: Boolean(this.timer),
+      runs: this.runs,
+      flagged: this.flagged,
+      corrections: this.corrections,
+      autoCorrect: this.config.autoCorrect,
+      baselines: Object.fromEntries(this.baselines),
+      pendingDrifts: Object.fromEntries(this.pendingDrifts),
+      lastReport: this.lastReport
+    };
+  }
+}
+
+export { CORRECTION_ACTIONS };
+export default PortfolioReconciler;
@@ -0,0 +1,49 @@
+// ============ Constants ============
+const BPS = 10000;
+
+// ============ Quoted Prices ============
+
+/**
+ * @notice Price a quote executes at, in quote tokens per base
+ * @param {string} action BUY or SELL
+ * @param {object} quote Recall quote { fromAmount, toAmount }
+ * @return {number} Execution price
+ */
+export function getQuoteExecutionPrice (action, quote) {
+  return action.toUpperCase() === 'BUY' ? quote.fromAmount / quote.toAmount : quote.toAmount / quote.fromAmount;
+}
+
+/**
+ * @notice Realized slippage of a fill against its quote
+ * @param {string} action BUY or SELL
+ * @param {object|null} quote Quote with `executionPrice`
+ * @param {number} executedPrice Fill price in quote tokens per base
+ * @return {number|null} Basis points, positive when the fill was worse than quoted
+ */
+export function getQuoteSlippageBps (action, quote, executedPrice) {
+  if (!quote?.executionPrice || !executedPrice) {
+    return null;
+  }
+  const direction = action.toUpperCase() === 'BUY' ? 1 : -1;
+  return direction * ((executedPrice - quote.executionPrice) / quote.executionPrice) * BPS;
+}
+
+// ============ Impact Limits ============
+
+/**
+ * @notice Refuse an entry whose quoted price impact is too high
+ * @dev Impact and edge are in percent. The edge limit only applies when the strategy
+ *      passed a positive `expectedEdge`.
+ * @param {object} quote Quote with `priceImpactPercent`
+ * @param {object} limits { maxPriceImpactPercent, maxImpactEdgeRatio, expectedEdge? }
+ */
+export function assertPriceImpact (quote, { maxPriceImpactPercent, maxImpactEdgeRatio, expectedEdge }) {
+  const impact = quote.priceImpactPercent;
+  if (impact > maxPriceImpactPercent) {
+    throw new Error(`Price impact ${impact.toFixed(3)}% exceeds maximum ${maxPriceImpactPercent}%`);
+  }
+
+  if (expectedEdge > 0 && impact > expectedEdge * maxImpactEdgeRatio) {
+    throw new Error(`Price impact ${impact.toFixed(3)}% exceeds ${maxImpactEdgeRatio}x the expected edge of ${expectedEdge.toFixed(3)}%`);
+  }
+}
@@ -5,8 +5,24 @@ import { EventEmitter } from 'events';
 import { ethers } from 'ethers';
 import config from '../utils/Config.js';
 import logger from '../utils/Logger.js';
+import { OrderManager, TIME_IN_FORCE, getOrderTag } from './OrderManager.js';
+import { COMPETITION_STATUSES, buildCompetitionRules, filterCompetitions, normalizeCompetition } from './CompetitionRules.js';
+import { ERROR_CATEGORIES, RequestExecutor, createIdempotencyKey } from './RequestExecutor.js';
+import { assertPriceImpact, getQuoteExecutionPrice, getQuoteSlippageBps } from './PriceImpact.js';
+import CircuitBreaker from '../utils/CircuitBreaker.js';
+import { POSITION_EFFECTS, getPositionEffect, getTradeNotional, isShortTrade } from '../utils/Positions.js';
+import tokenRegistry from '../utils/TokenRegistry.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// ============ Constants ============
+// Endpoint groups with their own circuit breaker, so a failing read does not block trading
+const ENDPOINT_GROUPS = {
+  TRADE: 'trade', // /api/trade/*: execution and quotes
+  PORTFOLIO: 'portfolio', // /api/agent/*: balances, trade history, profile
+  COMPETITION: 'competition', // /api/competitions/*
+  MARKET: 'market' // Prices and everything else
+};
+
 /**
  * @title Recall MCP Client
  * @author Regav-AI Team
@@ -27,6 +43,7 @@ class RecallClient extends EventEmitter {
     this.isConnected = false;
     this.toolkit = null;
     this.transport = null;
+    this.priceOracle = null; // Shared PriceOracle, injected with setPriceOracle()
 
     // ============ API Configuration ============
     this.apiConfig = {
@@ -35,10 +52,22 @@ class RecallClient extends EventEmitter {
       apiKey: this.config.apiKey || process.env.TRADING_SIM_API_KEY,
       privateKey: this.config.privateKey || process.env.RECALL_PRIVATE_KEY,
       timeout: 30000,
-      retryAttempts: 3,
-      retryDelay: 1000
+      retryAttempts: this.config.retryAttempts ?? 3,
+      retryBaseDelay: this.config.retryBaseDelay ?? 500,
+      retryMaxDelay: this.config.retryMaxDelay ?? 10000,
+      retryJitter: this.config.retryJitter ?? 0.5,
+      duplicateCheckLimit: 50 // Recent trades searched for an earlier attempt before a trade is retried
     };
 
+    // Classified retries with backoff; trades are only resent after a trade history check
+    this.requestExecutor = new RequestExecutor({
+      retryAttempts: this.apiConfig.retryAttempts,
+      baseDelay: this.apiConfig.retryBaseDelay,
+      maxDelay: this.apiConfig.retryMaxDelay,
+      jitter: this.apiConfig.retryJitter,
+      sleep: ms => this._sleep(ms)
+    });
+
     // ============ Competition Tracking ============
     this.competitionData = {
       id: null,
@@ -55,10 +84,20 @@ class RecallClient extends EventEmitter {
       isActive: false
     };
 
+    // Joined competitions by id (normalized) and local rule overrides; competitionData tracks the active one
+    this.competitions = new Map();
+    this.competitionRuleOverrides = new Map();
+
     // ============ Trade Tracking ============
     this.trades = new Map();
     this.tradeHistory = [];
-    this.activeOrders = new Map();
+    this.orderManager = new OrderManager();
+
+    // Re-emit order transitions so the agent only has to listen to the client
+    this.orderManager.on('order_update', (order, previousState) => {
+      this.emit('order_update', order, previousState);
+      this.emit(`order_${order.state.toLowerCase()}`, order, previousState);
+    });
 
     // ============ Performance Metrics ============
     this.metrics = {
@@ -83,13 +122,18 @@ class RecallClient extends EventEmitter {
       maxRequestsPerMinute: 60
     };
 
-    this.circuitBreaker = {
-      isOpen: false,
-      failures: 0,
-      maxFailures: 5,
-      resetTimeout: 30000, // 30 seconds
-      lastFailureTime: 0
-    };
+    // Requests refused with a 4xx reached a healthy endpoint, so they do not count as failures
+    this.circuitBreakers = Object.fromEntries(Object.values(ENDPOINT_GROUPS).map(group => {
+      const breaker = new CircuitBreaker({
+        name: `recall-${group}`,
+        failureThreshold: this.config.circuitBreakerFailures ?? 5,
+        resetTimeout: this.config.circuitBreakerResetMs ?? 30000,
+        halfOpenMaxProbes: this.config.circuitBreakerProbes ?? 1,
+        isFailure: error => error.classification?.category !== ERROR_CATEGORIES.CLIENT
+      });
+      breaker.on('state_change', (state) => this.emit(`circuit_breaker_${state.toLowerCase()}`, group));
+      return [group, breaker];
+    }));
 
     // ============ Account Information ============
     this.accountInfo = {
@@ -135,6 +179,7 @@ class RecallClient extends EventEmitter {
 
       // ============ Initialize Performance Monitoring ============
       this._startPerformanceMonitoring();
+      this._startOrderReconciliation();
 
       this.isInitialized = true;
       this.emit('initialized');
@@ -184,6 +229,21 @@ class RecallClient extends EventEmitter {
     if (this.config.network === 'sandbox') {
       this.apiConfig.baseUrl = this.apiConfig.sandboxUrl;
     }
+
+    // ============ Validate Trading Pairs ============
+    const unresolved = (this.tradingConfig.pairs || []).filter(pair => {
+      try {
+        tokenRegistry.resolvePair(pair);
+        return false;
+      } catch (error) {
+        logger.error('Trading pair has no configured token addresses', { pair, error: error.message });
+        return true;
+      }
+    });
+
+    if (unresolved.length > 0) {
+      throw new Error(`Trading pairs missing from networks.json: ${unresolved.join(', ')}`);
+    }
   }
 
   /**
@@ -455,12 +515,16 @@ class RecallClient extends EventEmitter {
     });
 
     // ============ Handle Circuit Breaker Events ============
-    this.on('circuit_breaker_open', () => {
-      logger.warn('Circuit breaker opened - pausing trading operations');
+    this.on('circuit_breaker_open', (group) => {
+      logger.warn(`Recall ${group} circuit breaker opened - pausing ${group} requests`);
     });
 
-    this.on('circuit_breaker_closed', () => {
-      logger.info('Circuit breaker closed - resuming trading operations');
+    this.on('circuit_breaker_half_open', (group) => {
+      logger.info(`Recall ${group} circuit breaker half-open - probing ${group} endpoint`);
+    });
+
+    this.on('circuit_breaker_closed', (group) => {
+      logger.info(`Recall ${group} circuit breaker closed - resuming ${group} requests`);
     });
 
     // ============ Handle Connection Events ============
@@ -477,8 +541,12 @@ class RecallClient extends EventEmitter {
   async _initializeCompetition () {
     try {
       if (this.config.competitionId) {
-        // ============ Join Specific Competition ============
-        await this._joinCompetition(this.config.competitionId);
+        // ============ Join Specific Competitions ============
+        // A comma-separated list joins every competition; the first one is traded
+        const competitionIds = this.config.competitionId.split(',').map(id => id.trim()).filter(Boolean);
+        for (const competitionId of competitionIds) {
+          await this._joinCompetition(competitionId, { activate: competitionId === competitionIds[0] });
+        }
       } else if (this.config.autoRegister) {
         // ============ Auto-Register for Available Competitions ============
         await this._autoRegisterCompetition();
@@ -498,39 +566,62 @@ class RecallClient extends EventEmitter {
 
   /**
      * @notice Execute a trade on the Recall network
-     * @param {object} tradeParams Trade parameters
-     * @return {object} Trade execution result
+     * @dev Every trade is tracked as an order in `orderManager` under the trade id.
+     *      Market orders default to IOC and limit orders to GTC; pass `timeInForce`
+     *      (GTC, IOC, FOK, GTD) and, for GTD, `expiresAt` to override. A limit order that
+     *      is not completely filled stays open until reconcileOrders() finds the rest in
+     *      the trade history, or it is canceled or expires.
+     *
+     *      Before submission the trade is quoted (see _checkPriceImpact()). The quote is
+     *      kept on the trade record, with `slippageBps` comparing the fill to it.
+     *
+     *      `options.submit` replaces the POST to /api/trade/execute, e.g. to send the trade
+     *      through Vincent policy enforcement. It is called with the Recall-format trade and
+     *      the trade's idempotency key once every check has passed, is retried under the
+     *      same duplicate guard as the API (see _executeTradeViaAPI()), and must resolve to
+     *      a Recall execute response ({ success, transaction }), so the order, metrics and
+     *      events are kept the same way.
+     * @param {object} tradeParams Trade parameters, optionally with the strategy's `expectedEdge` in percent
+     * @param {object} options { submit }
+     * @return {object} Trade execution result with { orderId, orderState, filledAmount, quote, slippageBps }
      */
-  async executeTrade (tradeParams) {
+  async executeTrade (tradeParams, options = {}) {
     const timer = logger.createPerformanceTimer('recall_trade_execution');
     const tradeId = uuidv4();
+    let order = null;
+    let quote = null;
 
     try {
       // ============ Pre-execution Validations ============
       this._validateTradeParams(tradeParams);
 
+      // ============ Register Order ============
+      const recallParams = this._mapTradeToRecallFormat({ ...tradeParams, id: tradeId });
+      order = this.orderManager.createOrder({ ...tradeParams, id: tradeId, amount: parseFloat(recallParams.amount) });
+
       // ============ Check Circuit Breaker ============
-      if (this.circuitBreaker.isOpen) {
-        throw new Error('Circuit breaker is open - trading suspended');
+      if (!this.circuitBreakers[ENDPOINT_GROUPS.TRADE].isAvailable()) {
+        throw new Error('Trade circuit breaker is open - trading suspended');
       }
 
       // ============ Check Rate Limits ============
       await this._checkRateLimit();
 
       // ============ Check Safety Limits ============
-      this._checkSafetyLimits(tradeParams);
+      await this._checkSafetyLimits(tradeParams);
+
+      // ============ Check Quoted Price Impact ============
+      quote = await this._checkPriceImpact(tradeParams, recallParams);
 
       // ============ Prepare Trade Execution ============
       const trade = {
         id: tradeId,
         timestamp: Date.now(),
         ...tradeParams,
+        quote,
         status: 'PENDING'
       };
 
-      // ============ Store Trade in Active Orders ============
-      this.activeOrders.set(tradeId, trade);
-
       logger.logTrade('info', 'Executing trade', {
         tradeId,
         pair: tradeParams.pair,
@@ -539,8 +630,18 @@ class RecallClient extends EventEmitter {
         price: tradeParams.price
       });
 
-      // ============ Execute Trade via Recall API ============
-      const result = await this._executeTradeViaAPI(trade);
+      // ============ Execute Trade via Recall API or the Caller's Submitter ============
+      const result = await this._executeTradeViaAPI(trade, recallParams, options.submit);
+
+      // ============ Record Fill and Settle Time In Force ============
+      this.orderManager.applyFill(tradeId, {
+        transactionId: result.transactionHash,
+        fromAmount: result.fromAmount,
+        toAmount: result.executedAmount,
+        price: result.executedPrice,
+        timestamp: result.timestamp
+      });
+      order = this.orderManager.applyTimeInForce(tradeId);
 
       // ============ Process Successful Trade ============
       const executionTime = timer({
@@ -553,15 +654,17 @@ class RecallClient extends EventEmitter {
         ...trade,
         ...result,
         status: 'COMPLETED',
+        orderId: tradeId,
+        orderState: order.state,
+        filledAmount: order.filledAmount,
+        slippageBps: getQuoteSlippageBps(tradeParams.action, quote, result.executedPrice),
         executionTime
       };
 
       // ============ Update Tracking ============
-      this.activeOrders.delete(tradeId);
       this.trades.set(tradeId, completedTrade);
       this.tradeHistory.push(completedTrade);
       this._updateMetrics(completedTrade);
-      this._updateCircuitBreaker(true);
 
       // ============ Log Successful Execution ============
       logger.logTradeSuccess({
@@ -588,17 +691,20 @@ class RecallClient extends EventEmitter {
         id: tradeId,
         timestamp: Date.now(),
         ...tradeParams,
+        quote,
         status: 'FAILED',
         error: error.message,
+        orderId: order ? tradeId : null,
         executionTime
       };
 
       // ============ Update Tracking ============
-      this.activeOrders.delete(tradeId);
+      if (order) {
+        this.orderManager.rejectOrder(tradeId, error.message);
+      }
       this.trades.set(tradeId, failedTrade);
       this.tradeHistory.push(failedTrade);
       this._updateMetrics(failedTrade);
-      this._updateCircuitBreaker(false);
 
       // ============ Log Trade Failure ============
       logger.logTradeFailure({
@@ -615,16 +721,30 @@ class RecallClient extends EventEmitter {
 
   /**
      * @notice Execute trade via Recall API
+     * @dev Every attempt carries the same idempotency key, derived from the trade id. A
+     *      failed attempt is only retried once the trade history shows it did not execute
+     *      (see _findExecutedTrade()), so a timeout cannot turn into a duplicate trade.
+     *      A caller's submitter is retried the same way through `requestExecutor`; it gets
+     *      the key with each attempt, and the order tag in `recallParams.reason` is what
+     *      the history check finds.
      * @param {object} trade Trade object
+     * @param {object} recallParams Trade already mapped to the Recall format
+     * @param {Function} submit Optional async (recallParams, idempotencyKey) => execute response used instead of the API
      * @return {object} Execution result
      */
-  async _executeTradeViaAPI (trade) {
+  async _executeTradeViaAPI (trade, recallParams = this._mapTradeToRecallFormat(trade), submit = null) {
     try {
-      // ============ Map Trade Parameters to Recall API Format ============
-      const recallParams = this._mapTradeToRecallFormat(trade);
-
-      // ============ Execute Trade Through Recall API ============
-      const response = await this._makeApiCall('POST', '/api/trade/execute', recallParams);
+      const idempotencyKey = createIdempotencyKey(trade.id);
+      const beforeRetry = () => this._findExecutedTrade(trade.id);
+
+      // ============ Execute Trade Through Recall API or the Submitter ============
+      const response = submit
+        ? await this.requestExecutor.execute(() => submit(recallParams, idempotencyKey), {
+          description: `trade submission ${trade.id}`,
+          idempotent: false,
+          beforeRetry
+        })
+        : await this._makeApiCall('POST', '/api/trade/execute', recallParams, { idempotencyKey, beforeRetry });
 
       // ============ Process and Validate Result ============
       if (!response.success) {
@@ -641,8 +761,34 @@ class RecallClient extends EventEmitter {
     }
   }
 
+  /**
+     * @notice Look for an earlier attempt of a trade in the Recall trade history
+     * @dev Matches the order tag that _mapTradeToRecallFormat() puts in the reason. Throws
+     *      when the history cannot be read, so the caller does not retry blind.
+     * @param {string} tradeId Trade ID
+     * @return {object|null} Execute response built from the executed trade, or null when none was found
+     */
+  async _findExecutedTrade (tradeId) {
+    const tag = getOrderTag(tradeId);
+    const history = await this.getTradeHistory(this.apiConfig.duplicateCheckLimit);
+    const transaction = (history || []).find(entry => entry.success !== false && entry.reason?.includes(tag));
+
+    if (!transaction) {
+      return null;
+    }
+
+    logger.warn('Trade found in history after a failed attempt', { tradeId, transactionId: transaction.id });
+    return { success: true, transaction };
+  }
+
   /**
      * @notice Map trade parameters to Recall API format
+     * @dev `amount` is in the token sold. Recall trades are spot swaps, so a short is
+     *      opened by selling base the agent already holds and covered by buying it back.
+     *      When a cover (BUY to close a short) carries the owed `quantity` and a price,
+     *      the spend is capped at that quantity plus the slippage tolerance so a generous
+     *      cover budget does not turn into a new long. The reason carries the order tag
+     *      used to match trade history back to the order.
      * @param {object} trade Trade object
      * @return {object} Recall-formatted trade parameters
      */
@@ -650,53 +796,55 @@ class RecallClient extends EventEmitter {
     const {
       pair,
       action, // 'BUY' or 'SELL'
-      amount,
       price,
+      quantity,
       orderType = 'MARKET',
       slippage = 0.005,
       reason
     } = trade;
 
-    // ============ Parse Trading Pair ============
-    const [baseToken, quoteToken] = pair.split('/');
+    // ============ Resolve Token Addresses ============
+    const tokens = this._getTokenAddresses(pair);
 
-    // ============ Determine Token Addresses Based on Trading Pair ============
-    const tokenAddresses = this._getTokenAddresses(baseToken, quoteToken);
+    // ============ Resolve Position Intent ============
+    const positionEffect = getPositionEffect(trade);
+    const isShort = isShortTrade(trade);
+    const intent = `${positionEffect} ${isShort ? 'SHORT' : 'LONG'}`;
+    const amount = isShort && action === 'BUY' && quantity > 0 && price > 0
+      ? Math.min(trade.amount, quantity * price * (1 + slippage))
+      : trade.amount;
 
     return {
-      fromToken: action === 'BUY' ? tokenAddresses.quote : tokenAddresses.base,
-      toToken: action === 'BUY' ? tokenAddresses.base : tokenAddresses.quote,
+      fromToken: action === 'BUY' ? tokens.quote : tokens.base,
+      toToken: action === 'BUY' ? tokens.base : tokens.quote,
       amount: amount.toString(),
-      reason: reason || `Scalping AI trade: ${action} ${amount} ${pair}${price ? ` at ${price}` : ''}`,
+      reason: `${reason || `Scalping AI trade: ${intent} ${action} ${amount} ${pair}${price ? ` at ${price}` : ''}`} ${getOrderTag(trade.id)}`,
       slippageTolerance: slippage.toString(), // Already in decimal format (0.005 = 0.5%)
+      ...(tokens.recallChain && {
+        fromChain: tokens.recallChain.chain,
+        toChain: tokens.recallChain.chain,
+        fromSpecificChain: tokens.recallChain.specificChain,
+        toSpecificChain: tokens.recallChain.specificChain
+      }),
       ...(price && orderType === 'LIMIT' && { limitPrice: price.toString() })
     };
   }
 
   /**
      * @notice Get token addresses for trading pair
-     * @param {string} baseToken Base token symbol
-     * @param {string} quoteToken Quote token symbol
-     * @return {object} Token addresses
-     */
-  _getTokenAddresses (baseToken, quoteToken) {
-    // ============ Token Address Mapping (Testnet/Mainnet) ============
-    const tokenAddresses = {
-      // Ethereum Mainnet addresses
-      ETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', // WETH
-      WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-      USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-      USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-      BTC: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', // WBTC
-      WBTC: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599'
-
-      // Add more token addresses as needed
-      // SOL, MATIC, etc. based on supported chains
-    };
+     * @dev Resolved through the TokenRegistry; throws when either token is not configured
+     *      on a common network rather than falling back to another token
+     * @param {string} pair Trading pair (e.g. 'SOL/USDC')
+     * @return {object} { base, quote, network, recallChain }
+     */
+  _getTokenAddresses (pair) {
+    const { base, quote, network, recallChain } = tokenRegistry.resolvePair(pair);
 
     return {
-      base: tokenAddresses[baseToken.toUpperCase()] || tokenAddresses.ETH,
-      quote: tokenAddresses[quoteToken.toUpperCase()] || tokenAddresses.USDC
+      base: base.address,
+      quote: quote.address,
+      network,
+      recallChain
     };
   }
 
@@ -777,26 +925,363 @@ class RecallClient extends EventEmitter {
     }
   }
 
+  // ============ Market Data ============
+
+  /**
+     * @notice Get the current USD price of a token from Recall
+     * @param {string} tokenAddress Token contract address
+     * @param {object} options Optional chain selection ({ chain, specificChain })
+     * @return {object} { price, symbol, timestamp }
+     */
+  async getTokenPrice (tokenAddress, options = {}) {
+    const { chain = 'evm', specificChain = 'eth' } = options;
+
+    const priceResponse = await this._makeApiCall('GET', '/api/price', {
+      token: tokenAddress,
+      chain,
+      specificChain
+    });
+
+    const price = parseFloat(priceResponse.price);
+    if (!priceResponse.success || !Number.isFinite(price) || price <= 0) {
+      throw new Error(`No price available for token ${tokenAddress}`);
+    }
+
+    return {
+      price,
+      symbol: priceResponse.symbol,
+      timestamp: priceResponse.timestamp ? new Date(priceResponse.timestamp).getTime() : Date.now()
+    };
+  }
+
+  /**
+     * @notice Get the current price of a trading pair expressed in the quote token
+     * @param {string} pair Trading pair (e.g. 'ETH/USDC')
+     * @return {object} { pair, price, timestamp }
+     */
+  async getPairPrice (pair) {
+    try {
+      const tokens = this._getTokenAddresses(pair);
+
+      const [base, quote] = await Promise.all([
+        this.getTokenPrice(tokens.base, tokens.recallChain || {}),
+        this.getTokenPrice(tokens.quote, tokens.recallChain || {})
+      ]);
+
+      return {
+        pair,
+        price: base.price / quote.price,
+        timestamp: Math.min(base.timestamp, quote.timestamp)
+      };
+    } catch (error) {
+      logger.error('Failed to get pair price', { pair, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+     * @notice Quote a swap without executing it
+     * @dev Price impact is measured against the USD prices Recall quotes for both tokens:
+     *      the share of the value sent that does not come back. When the response carries
+     *      no prices, Recall's own `slippage` estimate is used instead.
+     * @param {string} fromToken Address of the token sold
+     * @param {string} toToken Address of the token bought
+     * @param {number|string} amount Amount of `fromToken` to sell
+     * @param {object} options Optional chain selection ({ fromChain, toChain, fromSpecificChain, toSpecificChain })
+     * @return {object} { fromToken, toToken, fromAmount, toAmount, exchangeRate, fromPrice, toPrice, tradeAmountUsd, priceImpactPercent, timestamp }
+     */
+  async getQuote (fromToken, toToken, amount, options = {}) {
+    try {
+      const response = await this._makeApiCall('GET', '/api/trade/quote', {
+        fromToken,
+        toToken,
+        amount: amount.toString(),
+        ...options
+      });
+
+      const fromAmount = parseFloat(response.fromAmount ?? amount);
+      const toAmount = parseFloat(response.toAmount);
+      if (!Number.isFinite(toAmount) || toAmount <= 0) {
+        throw new Error(response.error || `No quote available for ${fromToken} -> ${toToken}`);
+      }
+
+      const fromPrice = parseFloat(response.prices?.fromToken);
+      const toPrice = parseFloat(response.prices?.toToken);
+      const hasPrices = fromPrice > 0 && toPrice > 0;
+      const priceImpactPercent = hasPrices
+        ? Math.max(0, (1 - (toAmount * toPrice) / (fromAmount * fromPrice)) * 100)
+        : Math.max(0, parseFloat(response.slippage) || 0);
+
+      return {
+        fromToken,
+        toToken,
+        fromAmount,
+        toAmount,
+        exchangeRate: parseFloat(response.exchangeRate) || toAmount / fromAmount,
+        fromPrice: hasPrices ? fromPrice : null,
+        toPrice: hasPrices ? toPrice : null,
+        tradeAmountUsd: parseFloat(response.tradeAmountUsd) || (hasPrices ? fromAmount * fromPrice : null),
+        priceImpactPercent,
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      logger.error('Failed to get trade quote', { fromToken, toToken, amount, error: error.message });
+      throw error;
+    }
+  }
+
+  // ============ Order Management ============
+
+  /**
+     * @notice Reconcile open orders against the Recall trade history
+     * @dev Applies fills found for open orders (matched by the order tag in the trade
+     *      reason) and expires GTD orders past their deadline
+     * @param {number} limit Number of recent trades to fetch
+     * @return {object} { fills, expired }
+     */
+  async reconcileOrders (limit = 100) {
+    if (this.orderManager.getOpenOrders().length === 0) {
+      return { fills: 0, expired: [] };
+    }
+
+    try {
+      const trades = await this.getTradeHistory(limit);
+      const result = this.orderManager.reconcile(trades || []);
+
+      if (result.fills > 0 || result.expired.length > 0) {
+        logger.info('Orders reconciled', { fills: result.fills, expired: result.expired.length });
+      }
+      return result;
+    } catch (error) {
+      logger.error('Failed to reconcile orders', { error: error.message });
+      return { fills: 0, expired: this.orderManager.expireOrders() };
+    }
+  }
+
+  /**
+     * @notice Cancel an open order
+     * @dev Recall swaps execute on submission, so this stops tracking the unfilled
+     *      remainder; fills found later are still recorded against the order
+     * @param {string} orderId Order ID (the trade id returned by executeTrade)
+     * @param {string} reason Why the order was canceled
+     * @return {object} Canceled order
+     */
+  cancelOrder (orderId, reason = 'Canceled by user') {
+    const order = this.orderManager.cancelOrder(orderId, reason);
+    logger.info('Order canceled', { orderId, pair: order.pair, reason });
+    return order;
+  }
+
+  /**
+     * @notice Cancel every open order, optionally for one pair
+     * @param {object} filter { pair? }
+     * @param {string} reason Why the orders were canceled
+     * @return {Array<object>} Canceled orders
+     */
+  cancelAll (filter = {}, reason = 'Canceled by user') {
+    const canceled = this.orderManager.cancelAll(filter, reason);
+    if (canceled.length > 0) {
+      logger.info('Orders canceled', { count: canceled.length, pair: filter.pair || 'all', reason });
+    }
+    return canceled;
+  }
+
+  /**
+     * @notice Get an order by id
+     * @param {string} orderId Order ID
+     * @return {object|null} Order or null when unknown
+     */
+  getOrder (orderId) {
+    return this.orderManager.getOrder(orderId);
+  }
+
+  /**
+     * @notice Get orders that can still fill
+     * @param {string} pair Optional pair filter
+     * @return {Array<object>} Open orders
+     */
+  getOpenOrders (pair = null) {
+    return this.orderManager.getOpenOrders(pair);
+  }
+
+  /**
+     * @notice Restore trade history and orders saved before a restart
+     * @dev Open orders pick up fills made while the agent was down on the next reconcileOrders()
+     * @param {object} saved { trades, orders }
+     */
+  restoreHistory ({ trades = [], orders = [] } = {}) {
+    for (const trade of trades) {
+      this.trades.set(trade.id, trade);
+    }
+    this.tradeHistory = [...trades, ...this.tradeHistory];
+    this.orderManager.restoreOrders(orders);
+
+    logger.info('Trade history restored', {
+      trades: trades.length,
+      openOrders: this.orderManager.getOpenOrders().length
+    });
+  }
+
+  /**
+     * @notice Start periodic order reconciliation
+     */
+  _startOrderReconciliation () {
+    const interval = (this.config.orderReconcileInterval || 15) * 1000; // Convert to milliseconds
+
+    this.orderReconciler = setInterval(() => {
+      this.reconcileOrders();
+    }, interval);
+
+    logger.info('Order reconciliation started', {
+      intervalSeconds: this.config.orderReconcileInterval || 15
+    });
+  }
+
   // ============ Competition Management ============
 
+  /**
+     * @notice List Recall competitions
+     * @dev `status` and `type` are sent to Recall; every filter is applied locally as well
+     *      (see filterCompetitions())
+     * @param {object} filter { status, type, startAfter, startBefore, tokens, pairs, openOnly }
+     * @return {Array<object>} Normalized competitions, earliest start first
+     */
+  async listCompetitions (filter = {}) {
+    const params = {
+      ...(filter.status && { status: filter.status }),
+      ...(filter.type && { type: filter.type })
+    };
+
+    try {
+      const response = await this._makeApiCall('GET', '/api/competitions', params);
+      const competitions = (response.competitions || []).map(normalizeCompetition);
+      return filterCompetitions(competitions, filter);
+    } catch (error) {
+      logger.error('Failed to list competitions', { filter, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+     * @notice Join a competition
+     * @param {string} competitionId Competition ID to join
+     * @param {object} options { activate } trade in it right away (default true)
+     * @return {object} Trading rules of the competition
+     */
+  async joinCompetition (competitionId, options = {}) {
+    await this._joinCompetition(competitionId, options);
+    return this.getCompetitionRules(competitionId);
+  }
+
+  /**
+     * @notice Trade in a joined competition
+     * @dev Updates `competitionData`, moves competition monitoring over and emits
+     *      'competition_changed' with the competition's trading rules
+     * @param {string} competitionId Joined competition ID
+     */
+  setActiveCompetition (competitionId) {
+    const competition = this.competitions.get(competitionId);
+    if (!competition) {
+      throw new Error(`Competition ${competitionId} has not been joined`);
+    }
+
+    this.competitionData = {
+      ...this.competitionData,
+      id: competition.id,
+      isActive: true,
+      name: competition.name,
+      description: competition.raw.description,
+      startDate: competition.raw.startDate,
+      endDate: competition.raw.endDate,
+      startTime: competition.startTime,
+      endTime: competition.endTime,
+      status: competition.status,
+      type: competition.type
+    };
+
+    if (this.competitionMonitor) {
+      clearInterval(this.competitionMonitor);
+      this._startCompetitionMonitoring();
+    }
+
+    logger.info('Active competition set', { competitionId, name: competition.name, joined: this.competitions.size });
+    this.emit('competition_changed', this.getCompetitionRules(competitionId));
+  }
+
+  /**
+     * @notice Trading rules of a joined competition
+     * @dev Defaults come from COMPETITION_MAX_TRADE_USD and COMPETITION_MAX_DAILY_SPEND_USD;
+     *      see buildCompetitionRules() for precedence
+     * @param {string} competitionId Competition ID (defaults to the active one)
+     * @param {Array<string>} candidatePairs Pairs the agent can trade (defaults to TRADING_PAIRS)
+     * @return {object|null} { competitionId, name, allowedPairs, startTime, endTime, maxTradeAmount, maxDailySpend }, or null when not joined
+     */
+  getCompetitionRules (competitionId = this.competitionData.id, candidatePairs = this.tradingConfig.pairs || []) {
+    const competition = this.competitions.get(competitionId);
+    if (!competition) {
+      return null;
+    }
+
+    return buildCompetitionRules(competition, {
+      candidatePairs,
+      defaults: {
+        maxTradeAmount: this.config.competitionMaxTradeUsd,
+        maxDailySpend: this.config.competitionMaxDailySpendUsd
+      },
+      overrides: this.competitionRuleOverrides.get(competitionId)
+    });
+  }
+
+  /**
+     * @notice Override trading rules of a competition locally
+     * @param {string} competitionId Competition ID
+     * @param {object} overrides { allowedPairs, startTime, endTime, maxTradeAmount, maxDailySpend }
+     */
+  setCompetitionRules (competitionId, overrides = {}) {
+    this.competitionRuleOverrides.set(competitionId, { ...this.competitionRuleOverrides.get(competitionId), ...overrides });
+
+    if (competitionId === this.competitionData.id && this.competitions.has(competitionId)) {
+      this.emit('competition_changed', this.getCompetitionRules(competitionId));
+    }
+  }
+
+  /**
+     * @notice Get joined competitions
+     * @return {Array<object>} Joined competitions with { active, rules }
+     */
+  getJoinedCompetitions () {
+    return Array.from(this.competitions.values()).map(competition => ({
+      ...competition,
+      active: competition.id === this.competitionData.id,
+      rules: this.getCompetitionRules(competition.id)
+    }));
+  }
+
   /**
      * @notice Join a specific competition
      * @param {string} competitionId Competition ID to join
+     * @param {object} options { activate } trade in it right away (default true)
      */
-  async _joinCompetition (competitionId) {
+  async _joinCompetition (competitionId, { activate = true } = {}) {
     try {
+      if (!this.accountInfo.agentId) {
+        await this._loadAccountInformation();
+      }
+
       const response = await this._makeApiCall('POST', `/api/competitions/${competitionId}/agents/${this.accountInfo.agentId}`);
 
       if (response.success) {
-        this.competitionData.id = competitionId;
-        this.competitionData.isActive = true;
-
         // ============ Get Competition Details ============
         await this._loadCompetitionDetails(competitionId);
 
+        if (activate || !this.competitionData.id) {
+          this.setActiveCompetition(competitionId);
+        }
+
         logger.logRecallOperation('JOIN_COMPETITION', {
           competitionId,
           agentId: this.accountInfo.agentId,
+          active: this.competitionData.id === competitionId,
           success: true
         });
       }
@@ -808,44 +1293,35 @@ class RecallClient extends EventEmitter {
 
   /**
      * @notice Load competition details
+     * @dev A competition whose details cannot be loaded is still tracked, without rules
+     *      beyond the configured defaults
      * @param {string} competitionId Competition ID
      */
   async _loadCompetitionDetails (competitionId) {
+    let competition = normalizeCompetition({ id: competitionId });
+
     try {
       const response = await this._makeApiCall('GET', `/api/competitions/${competitionId}`);
 
       if (response.success) {
-        const competition = response.competition;
-
-        this.competitionData = {
-          ...this.competitionData,
-          name: competition.name,
-          description: competition.description,
-          startDate: competition.startDate,
-          endDate: competition.endDate,
-          status: competition.status,
-          type: competition.type
-        };
+        competition = normalizeCompetition(response.competition);
       }
     } catch (error) {
       logger.error('Failed to load competition details', { error: error.message });
     }
+
+    this.competitions.set(competitionId, competition);
+    return competition;
   }
 
   /**
      * @notice Auto-register for available competitions
+     * @dev Joins the earliest active trading competition that needs no invite
      */
   async _autoRegisterCompetition () {
     try {
-      // ============ Get Available Competitions ============
-      const competitions = await this._getAvailableCompetitions();
-
       // ============ Find Suitable Competition ============
-      const suitableCompetition = competitions.find(comp =>
-        comp.status === 'active' &&
-                comp.type === 'trading' &&
-                !comp.requiresInvite
-      );
+      const [suitableCompetition] = await this._getAvailableCompetitions();
 
       if (suitableCompetition) {
         await this._joinCompetition(suitableCompetition.id);
@@ -863,18 +1339,16 @@ class RecallClient extends EventEmitter {
 
   /**
      * @notice Get available competitions
-     * @return {Array} Array of available competitions
+     * @return {Array} Active trading competitions that need no invite, earliest start first
      */
   async _getAvailableCompetitions () {
     try {
-      const response = await this._makeApiCall('GET', '/api/competitions', {
-        status: 'active',
-        type: 'trading'
+      return await this.listCompetitions({
+        status: COMPETITION_STATUSES.ACTIVE,
+        type: 'trading',
+        openOnly: true
       });
-
-      return response.competitions || [];
     } catch (error) {
-      logger.error('Failed to get available competitions', { error: error.message });
       return [];
     }
   }
@@ -1003,6 +1477,16 @@ class RecallClient extends EventEmitter {
     if (this.tradingConfig.pairs && !this.tradingConfig.pairs.includes(tradeParams.pair)) {
       logger.warn(`Trading pair ${tradeParams.pair} not in configured pairs list`);
     }
+
+    // ============ Validate Position Effect ============
+    if (tradeParams.positionEffect && !Object.values(POSITION_EFFECTS).includes(tradeParams.positionEffect.toUpperCase())) {
+      throw new Error(`Invalid position effect: ${tradeParams.positionEffect}. Must be 'OPEN' or 'CLOSE'`);
+    }
+
+    // ============ Validate Time In Force ============
+    if (tradeParams.timeInForce && !Object.values(TIME_IN_FORCE).includes(tradeParams.timeInForce.toUpperCase())) {
+      throw new Error(`Invalid time in force: ${tradeParams.timeInForce}. Must be one of: ${Object.values(TIME_IN_FORCE).join(', ')}`);
+    }
   }
 
   /**
@@ -1032,11 +1516,13 @@ class RecallClient extends EventEmitter {
 
   /**
      * @notice Check safety limits before trade execution
+     * @dev The position size is valued with getTradeNotional(): a BUY amount is already in
+     *      the quote stablecoin, a SELL amount is base and valued at the reference price
      * @param {object} tradeParams Trade parameters
      */
-  _checkSafetyLimits (tradeParams) {
+  async _checkSafetyLimits (tradeParams) {
     // ============ Check Position Size Limit ============
-    const positionValueUsd = tradeParams.amount * (tradeParams.price || this._getEstimatedPrice(tradeParams.pair));
+    const positionValueUsd = getTradeNotional(tradeParams, await this._getReferencePrice(tradeParams));
     if (positionValueUsd > this.tradingConfig.maxPositionSizeUsd) {
       throw new Error(`Position size ${positionValueUsd} exceeds maximum ${this.tradingConfig.maxPositionSizeUsd}`);
     }
@@ -1067,21 +1553,71 @@ class RecallClient extends EventEmitter {
   }
 
   /**
-     * @notice Get estimated price for trading pair
-     * @param {string} pair Trading pair
-     * @return {number} Estimated price
+     * @notice Quote the trade and refuse it when the price impact is too high
+     * @dev Entries are rejected when the quoted impact exceeds `maxPriceImpactPercent`, or
+     *      `maxImpactEdgeRatio` times the strategy's `expectedEdge` (both in percent), or
+     *      when no quote can be had. Exits are never blocked here, since refusing a stop
+     *      loss is worse than paying the impact; their quote is recorded all the same.
+     * @param {object} tradeParams Trade parameters
+     * @param {object} recallParams Trade mapped to the Recall format
+     * @return {object|null} Quote with the `executionPrice` in quote tokens per base, or null when quoting is disabled or failed for an exit
      */
-  _getEstimatedPrice (pair) {
-    // ============ Fallback Price Estimation ============
-    const priceMap = {
-      'BTC/USDT': 45000,
-      'ETH/USDT': 2500,
-      'SOL/USDC': 100,
-      'BTC/USDC': 45000,
-      'ETH/USDC': 2500
-    };
+  async _checkPriceImpact (tradeParams, recallParams) {
+    if (!this.config.preTradeQuote) {
+      return null;
+    }
 
-    return priceMap[pair] || 1000; // Default fallback
+    const isEntry = getPositionEffect(tradeParams) === POSITION_EFFECTS.OPEN;
+    let quote;
+    try {
+      const { fromToken, toToken, amount, fromChain, toChain, fromSpecificChain, toSpecificChain } = recallParams;
+      quote = await this.getQuote(fromToken, toToken, amount, { fromChain, toChain, fromSpecificChain, toSpecificChain });
+    } catch (error) {
+      if (isEntry) {
+        throw new Error(`No quote for ${tradeParams.pair}: ${error.message}`);
+      }
+      logger.warn('Exit proceeds without a quote', { pair: tradeParams.pair, error: error.message });
+      return null;
+    }
+
+    quote.executionPrice = getQuoteExecutionPrice(tradeParams.action, quote);
+    if (!isEntry) {
+      return quote;
+    }
+
+    // ============ Impact Limits ============
+    const { maxPriceImpactPercent, maxImpactEdgeRatio } = this.config;
+    assertPriceImpact(quote, { maxPriceImpactPercent, maxImpactEdgeRatio, expectedEdge: tradeParams.expectedEdge });
+
+    logger.debug('Trade quote accepted', {
+      pair: tradeParams.pair,
+      priceImpactPercent: quote.priceImpactPercent,
+      expectedEdge: tradeParams.expectedEdge,
+      executionPrice: quote.executionPrice
+    });
+    return quote;
+  }
+
+  /**
+     * @notice Get the price used for safety limits
+     * @dev Uses the shared PriceOracle when one is set, which throws on stale prices for
+     *      entries so the trade is refused; exits take the last known price instead (see
+     *      PriceOracle.getTradePrice()). Without an oracle price the caller's price is
+     *      trusted, then a live Recall quote is fetched.
+     * @param {object} tradeParams Trade parameters
+     * @return {number} Price of the pair in its quote token
+     */
+  async _getReferencePrice (tradeParams) {
+    const oraclePrice = this.priceOracle?.getTradePrice(tradeParams);
+    if (oraclePrice) {
+      return oraclePrice;
+    }
+    if (tradeParams.price) {
+      return tradeParams.price;
+    }
+
+    const { price } = await this.getPairPrice(tradeParams.pair);
+    return price;
   }
 
   /**
@@ -1115,38 +1651,6 @@ class RecallClient extends EventEmitter {
     return false;
   }
 
-  /**
-     * @notice Update circuit breaker state
-     * @param {boolean} success Whether the operation was successful
-     */
-  _updateCircuitBreaker (success) {
-    if (success) {
-      // ============ Reset Failure Count on Success ============
-      this.circuitBreaker.failures = 0;
-      if (this.circuitBreaker.isOpen) {
-        this.circuitBreaker.isOpen = false;
-        this.emit('circuit_breaker_closed');
-      }
-    } else {
-      // ============ Increment Failure Count ============
-      this.circuitBreaker.failures++;
-      this.circuitBreaker.lastFailureTime = Date.now();
-
-      // ============ Open Circuit Breaker if Threshold Exceeded ============
-      if (this.circuitBreaker.failures >= this.circuitBreaker.maxFailures) {
-        this.circuitBreaker.isOpen = true;
-        this.emit('circuit_breaker_open');
-
-        // ============ Auto-Reset After Timeout ============
-        setTimeout(() => {
-          this.circuitBreaker.isOpen = false;
-          this.circuitBreaker.failures = 0;
-          this.emit('circuit_breaker_closed');
-        }, this.circuitBreaker.resetTimeout);
-      }
-    }
-  }
-
   /**
      * @notice Update trading metrics
      * @param {object} trade Completed trade
@@ -1295,34 +1799,41 @@ class RecallClient extends EventEmitter {
 
   /**
      * @notice Make API call to Recall with retry logic
+     * @dev Retries go through `requestExecutor`: GET requests are retried on any retryable
+     *      error; other methods are only resent when the error shows the request never
+     *      reached Recall, or after `beforeRetry` confirms the earlier attempt did not
+     *      take effect. The whole retried call runs through the circuit breaker of the
+     *      endpoint's group (see _getCircuitBreaker()), which refuses it while open.
      * @param {string} method HTTP method
      * @param {string} endpoint API endpoint
      * @param {object} data Request data
+     * @param {object} options { idempotencyKey, beforeRetry }
      * @return {object} API response
      */
-  async _makeApiCall (method, endpoint, data = {}) {
-    let lastError;
-
-    for (let attempt = 1; attempt <= this.apiConfig.retryAttempts; attempt++) {
-      try {
-        const url = `${this.apiConfig.baseUrl}${endpoint}`;
-        const config = {
-          method,
-          url,
-          headers: {
-            Authorization: `Bearer ${this.apiConfig.apiKey}`,
-            'Content-Type': 'application/json',
-            'User-Agent': `${this.config.agentName}/1.0.0`
-          },
-          timeout: this.apiConfig.timeout
-        };
+  async _makeApiCall (method, endpoint, data = {}, options = {}) {
+    const { idempotencyKey = null, beforeRetry = null } = options;
+    const url = `${this.apiConfig.baseUrl}${endpoint}`;
+
+    const send = async (attempt) => {
+      const config = {
+        method,
+        url,
+        headers: {
+          Authorization: `Bearer ${this.apiConfig.apiKey}`,
+          'Content-Type': 'application/json',
+          'User-Agent': `${this.config.agentName}/1.0.0`,
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+        },
+        timeout: this.apiConfig.timeout
+      };
 
-        if (method !== 'GET') {
-          config.data = data;
-        } else {
-          config.params = data;
-        }
+      if (method !== 'GET') {
+        config.data = data;
+      } else {
+        config.params = data;
+      }
 
+      try {
         const response = await axios(config);
 
         // ============ Log Successful API Call ============
@@ -1335,56 +1846,40 @@ class RecallClient extends EventEmitter {
 
         return response.data;
       } catch (error) {
-        lastError = error;
-
         logger.error('Recall API call failed', {
           method,
           endpoint,
           error: error.message,
           status: error.response?.status,
-          attempt,
-          willRetry: attempt < this.apiConfig.retryAttempts
+          attempt
         });
-
-        // ============ Check if Error is Retryable ============
-        const isRetryable = this._isRetryableError(error);
-
-        if (!isRetryable || attempt === this.apiConfig.retryAttempts) {
-          break;
-        }
-
-        // ============ Wait Before Retry ============
-        await this._sleep(this.apiConfig.retryDelay * attempt);
+        throw error;
       }
-    }
+    };
 
-    throw lastError;
+    return this._getCircuitBreaker(endpoint).execute(() => this.requestExecutor.execute(send, {
+      description: `${method} ${endpoint}`,
+      idempotent: method === 'GET',
+      beforeRetry
+    }));
   }
 
   /**
-     * @notice Check if error is retryable
-     * @param {Error} error Error object
-     * @return {boolean} True if error is retryable
+     * @notice Circuit breaker guarding an endpoint
+     * @param {string} endpoint API endpoint
+     * @return {CircuitBreaker} Breaker of the endpoint's group
      */
-  _isRetryableError (error) {
-    // ============ Network Errors are Retryable ============
-    if (error.code === 'ECONNRESET' || error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      return true;
+  _getCircuitBreaker (endpoint) {
+    if (endpoint.startsWith('/api/trade')) {
+      return this.circuitBreakers[ENDPOINT_GROUPS.TRADE];
     }
-
-    // ============ Timeout Errors are Retryable ============
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      return true;
+    if (endpoint.startsWith('/api/agent')) {
+      return this.circuitBreakers[ENDPOINT_GROUPS.PORTFOLIO];
     }
-
-    // ============ HTTP Status Codes ============
-    if (error.response) {
-      const status = error.response.status;
-      // Retry on server errors (5xx) and rate limiting (429)
-      return status >= 500 || status === 429;
+    if (endpoint.startsWith('/api/competitions')) {
+      return this.circuitBreakers[ENDPOINT_GROUPS.COMPETITION];
     }
-
-    return false;
+    return this.circuitBreakers[ENDPOINT_GROUPS.MARKET];
   }
 
   /**
@@ -1438,7 +1933,6 @@ class RecallClient extends EventEmitter {
      */
   _handleTradeExecuted (trade) {
     logger.logTradeSuccess(trade);
-    this._updateCircuitBreaker(true);
   }
 
   /**
@@ -1448,7 +1942,6 @@ class RecallClient extends EventEmitter {
      */
   _handleTradeFailed (trade, error) {
     logger.logTradeFailure(trade, error);
-    this._updateCircuitBreaker(false);
   }
 
   /**
@@ -1474,17 +1967,24 @@ class RecallClient extends EventEmitter {
       competitionId: this.competitionData.id,
       competitionActive: this.competitionData.isActive,
       metrics: { ...this.metrics },
-      circuitBreaker: {
-        isOpen: this.circuitBreaker.isOpen,
-        failures: this.circuitBreaker.failures
-      },
-      activeOrders: this.activeOrders.size,
+      circuitBreakers: this.getCircuitBreakerStates(),
+      requests: { ...this.requestExecutor.metrics },
+      activeOrders: this.orderManager.getOpenOrders().length,
+      orders: this.orderManager.getSummary(),
       totalTrades: this.trades.size,
       credits: this.accountInfo.credits,
       portfolioValue: this.competitionData.portfolioValue
     };
   }
 
+  /**
+     * @notice Get the state of every endpoint circuit breaker
+     * @return {object} Breaker state by endpoint group (trade, portfolio, competition, market)
+     */
+  getCircuitBreakerStates () {
+    return Object.fromEntries(Object.entries(this.circuitBreakers).map(([group, breaker]) => [group, breaker.getState()]));
+  }
+
   /**
      * @notice Get competition data
      * @return {object} Current competition data
@@ -1493,6 +1993,14 @@ class RecallClient extends EventEmitter {
     return { ...this.competitionData };
   }
 
+  /**
+     * @notice Use a shared price oracle for safety limit checks
+     * @param {PriceOracle} priceOracle Shared price oracle
+     */
+  setPriceOracle (priceOracle) {
+    this.priceOracle = priceOracle;
+  }
+
   /**
      * @notice Get trading metrics
      * @return {object} Current trading metrics
@@ -1518,7 +2026,7 @@ class RecallClient extends EventEmitter {
      */
   resetState () {
     this.trades.clear();
-    this.activeOrders.clear();
+    this.orderManager.clear();
     this.tradeHistory = [];
 
     this.metrics = {
@@ -1654,6 +2162,11 @@ class RecallClient extends EventEmitter {
         this.performanceMonitor = null;
       }
 
+      if (this.orderReconciler) {
+        clearInterval(this.orderReconciler);
+        this.orderReconciler = null;
+      }
+
       // ============ Disconnect Toolkit ============
       if (this.toolkit && typeof this.toolkit.disconnect === 'function') {
         await this.toolkit.disconnect();
@@ -1676,12 +2189,11 @@ class RecallClient extends EventEmitter {
      * @dev Immediately stops all trading and sets emergency flag
      */
   emergencyStop () {
-    // ============ Open Circuit Breaker ============
-    this.circuitBreaker.isOpen = true;
-    this.circuitBreaker.failures = this.circuitBreaker.maxFailures;
+    // ============ Open Trade Circuit Breaker ============
+    this.circuitBreakers[ENDPOINT_GROUPS.TRADE].forceOpen('Emergency stop');
 
     // ============ Cancel All Active Orders ============
-    this.activeOrders.clear();
+    this.cancelAll({}, 'Emergency stop');
 
     // ============ Set Emergency Flag ============
     this.safetyConfig.emergencyStopEnabled = true;
@@ -1695,9 +2207,8 @@ class RecallClient extends EventEmitter {
      * @dev Resets emergency state and circuit breaker
      */
   resumeTrading () {
-    // ============ Reset Circuit Breaker ============
-    this.circuitBreaker.isOpen = false;
-    this.circuitBreaker.failures = 0;
+    // ============ Reset Trade Circuit Breaker ============
+    this.circuitBreakers[ENDPOINT_GROUPS.TRADE].reset();
 
     // ============ Clear Emergency Flag ============
     this.safetyConfig.emergencyStopEnabled = false;
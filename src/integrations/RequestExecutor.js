@@ -0,0 +1,220 @@
+// ============ Imports ============
+import logger from '../utils/Logger.js';
+
+// ============ Constants ============
+const ERROR_CATEGORIES = {
+  NETWORK: 'NETWORK', // Connection never made; the request was not delivered
+  CONNECTION_LOST: 'CONNECTION_LOST', // Connection dropped; the request may have been delivered
+  TIMEOUT: 'TIMEOUT', // No response in time; the request may have been processed
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER: 'SERVER',
+  CLIENT: 'CLIENT', // 4xx: resending the same request fails the same way
+  UNKNOWN: 'UNKNOWN'
+};
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * @notice Classify a failed request
+ * @dev `retryable` errors can succeed when sent again. `ambiguous` ones may already have
+ *      been processed by the server, so a request with side effects must not be resent
+ *      until it is known not to have happened.
+ * @param {Error} error Axios or network error
+ * @return {object} { category, retryable, ambiguous, status, retryAfterMs }
+ */
+export function classifyError (error) {
+  const status = error?.response?.status ?? null;
+  const classification = (category, retryable, ambiguous) => ({
+    category,
+    retryable,
+    ambiguous,
+    status,
+    retryAfterMs: parseRetryAfter(error?.response?.headers?.['retry-after'])
+  });
+
+  if (status !== null) {
+    if (status === 429) {
+      return classification(ERROR_CATEGORIES.RATE_LIMITED, true, false);
+    }
+    if (status === 408) {
+      return classification(ERROR_CATEGORIES.TIMEOUT, true, true);
+    }
+    if (status >= 500) {
+      // 503 means the server refused the work; other 5xx can fail after it was done
+      return classification(ERROR_CATEGORIES.SERVER, true, status !== 503);
+    }
+    return classification(ERROR_CATEGORIES.CLIENT, false, false);
+  }
+
+  if (NETWORK_ERROR_CODES.includes(error?.code)) {
+    return classification(ERROR_CATEGORIES.NETWORK, true, false);
+  }
+  if (error?.code === 'ECONNRESET' || error?.code === 'EPIPE') {
+    return classification(ERROR_CATEGORIES.CONNECTION_LOST, true, true);
+  }
+  if (TIMEOUT_ERROR_CODES.includes(error?.code) || /timeout/i.test(error?.message || '')) {
+    return classification(ERROR_CATEGORIES.TIMEOUT, true, true);
+  }
+
+  return classification(ERROR_CATEGORIES.UNKNOWN, false, false);
+}
+
+/**
+ * @notice Delay before a retry: exponential backoff with jitter
+ * @dev The exponential delay is capped at `maxDelay`, then up to `jitter` of it is
+ *      randomized away so clients that failed together do not retry together
+ * @param {number} attempt Attempt that just failed, starting at 1
+ * @param {object} options { baseDelay, maxDelay, jitter (0-1), random }
+ * @return {number} Delay in milliseconds
+ */
+export function getBackoffDelay (attempt, { baseDelay = 500, maxDelay = 10000, jitter = 0.5, random = Math.random } = {}) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay * (1 - jitter * random()));
+}
+
+/**
+ * @notice Idempotency key for a trade, derived from the client-generated trade id
+ * @dev The same trade always gets the same key, so every retry of it carries the key
+ *      the first attempt did
+ * @param {string} tradeId Trade ID
+ * @return {string} Idempotency key
+ */
+export function createIdempotencyKey (tradeId) {
+  return `trade-${tradeId}`;
+}
+
+/**
+ * @notice Retry-After header in milliseconds, or null when absent or unreadable
+ */
+function parseRetryAfter (value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * @title RequestExecutor
+ * @author Regav-AI Team
+ * @notice Sends requests with classified retries, exponential backoff and jitter
+ * @dev Fatal errors are thrown at once. Idempotent requests (reads) are retried on any
+ *      retryable error. Requests with side effects (trades) are only retried through a
+ *      `beforeRetry` check that looks for the earlier attempt on the server: when it
+ *      finds it, that result is returned instead of sending again, and when the check
+ *      itself fails the original error is thrown. Without a check, such requests are
+ *      only retried on errors where the server cannot have received them.
+ *      A 429 waits at least as long as its Retry-After header asks.
+ */
+export class RequestExecutor {
+  /**
+     * @param {object} options
+     * @param {number} options.retryAttempts Total attempts, including the first
+     * @param {number} options.baseDelay Delay after the first failure in milliseconds
+     * @param {number} options.maxDelay Cap on the delay in milliseconds
+     * @param {number} options.jitter Share of the delay randomized away (0-1)
+     * @param {Function} options.sleep Async sleep, injectable for tests and replays
+     * @param {Function} options.random Random source in [0, 1)
+     */
+  constructor (options = {}) {
+    // ============ Configuration ============
+    this.retryAttempts = Math.max(1, options.retryAttempts ?? 3);
+    this.baseDelay = options.baseDelay ?? 500;
+    this.maxDelay = options.maxDelay ?? 10000;
+    this.jitter = Math.min(1, Math.max(0, options.jitter ?? 0.5));
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.random = options.random || Math.random;
+
+    // ============ Metrics ============
+    this.metrics = {
+      requests: 0,
+      retries: 0,
+      failures: 0,
+      recovered: 0 // Retries avoided because beforeRetry found the earlier attempt
+    };
+  }
+
+  /**
+     * @notice Send a request, retrying it when that is safe
+     * @param {Function} send Async function performing one attempt, called with the attempt number
+     * @param {object} options
+     * @param {string} options.description Request description for logs
+     * @param {boolean} options.idempotent Whether sending the request twice is harmless
+     * @param {Function} options.beforeRetry Async check before a retry; a non-null result is returned as the response
+     * @return {*} Response of the successful attempt, or the beforeRetry result
+     */
+  async execute (send, options = {}) {
+    const { description = 'request', idempotent = true, beforeRetry = null } = options;
+    this.metrics.requests++;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send(attempt);
+      } catch (error) {
+        const classification = classifyError(error);
+        error.classification = classification;
+
+        if (!this._canRetry(classification, attempt, idempotent, beforeRetry)) {
+          this.metrics.failures++;
+          throw error;
+        }
+
+        const delay = Math.max(
+          getBackoffDelay(attempt, { baseDelay: this.baseDelay, maxDelay: this.maxDelay, jitter: this.jitter, random: this.random }),
+          classification.retryAfterMs || 0
+        );
+
+        logger.warn('Request failed, retrying', {
+          request: description,
+          category: classification.category,
+          status: classification.status,
+          attempt,
+          delay,
+          error: error.message
+        });
+        await this.sleep(delay);
+
+        // ============ Check for an Earlier Attempt ============
+        if (!idempotent && beforeRetry) {
+          let previous;
+          try {
+            previous = await beforeRetry(error, attempt);
+          } catch (checkError) {
+            logger.error('Could not verify earlier attempt, not retrying', {
+              request: description,
+              error: checkError.message
+            });
+            this.metrics.failures++;
+            throw error;
+          }
+
+          if (previous !== null && previous !== undefined) {
+            this.metrics.recovered++;
+            logger.warn('Earlier attempt already succeeded, not resending', { request: description, attempt });
+            return previous;
+          }
+        }
+
+        this.metrics.retries++;
+      }
+    }
+  }
+
+  /**
+     * @notice Whether a failed attempt may be followed by another
+     */
+  _canRetry (classification, attempt, idempotent, beforeRetry) {
+    if (!classification.retryable || attempt >= this.retryAttempts) {
+      return false;
+    }
+    return idempotent || Boolean(beforeRetry) || !classification.ambiguous;
+  }
+}
+
+export { ERROR_CATEGORIES };
+export default RequestExecutor;
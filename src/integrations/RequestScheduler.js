@@ -0,0 +1,425 @@
+// ============ Imports ============
+import logger from '../utils/Logger.js';
+
+// ============ Constants ============
+
+// Lower runs first: a queued exit decision always goes before an entry signal, and so on
+const REQUEST_PRIORITIES = {
+  EXIT: 'exit',
+  ENTRY: 'entry',
+  SENTIMENT: 'sentiment',
+  BACKGROUND: 'background'
+};
+
+const PRIORITY_ORDER = [
+  REQUEST_PRIORITIES.EXIT,
+  REQUEST_PRIORITIES.ENTRY,
+  REQUEST_PRIORITIES.SENTIMENT,
+  REQUEST_PRIORITIES.BACKGROUND
+];
+
+// Longest a request may wait in the queue before it is dropped, in milliseconds
+const DEFAULT_DEADLINES = {
+  [REQUEST_PRIORITIES.EXIT]: 5000,
+  [REQUEST_PRIORITIES.ENTRY]: 10000,
+  [REQUEST_PRIORITIES.SENTIMENT]: 30000,
+  [REQUEST_PRIORITIES.BACKGROUND]: 120000
+};
+
+const SCHEDULER_ERRORS = {
+  QUEUE_FULL: 'QUEUE_FULL',
+  DEADLINE_EXCEEDED: 'DEADLINE_EXCEEDED',
+  CANCELLED: 'CANCELLED'
+};
+
+/**
+ * @notice Estimate the tokens a chat request can use: its prompt plus its completion cap
+ * @dev Prompts are counted at roughly four characters per token
+ * @param {object} chatRequest Chat completion request
+ * @return {number} Estimated tokens
+ */
+export function estimateTokens (chatRequest = {}) {
+  const promptChars = (chatRequest.messages || []).reduce((sum, message) => sum + String(message.content ?? '').length, 0);
+  return Math.ceil(promptChars / 4) + (chatRequest.max_tokens || 0);
+}
+
+/**
+ * @title RequestScheduler
+ * @author Regav-AI Team
+ * @notice Priority queue for model requests with deadlines, a concurrency limit and a token budget
+ * @dev Requests run highest priority first and first-in-first-out within a priority. At most
+ *      `concurrency` run at once, and a request only starts while the tokens started in the
+ *      last `windowMs` plus its own estimate fit in `tokensPerWindow`. When the next request
+ *      does not fit, nothing of lower priority overtakes it, so budget freed up goes to the
+ *      most urgent work. A request still queued when its deadline passes is rejected with
+ *      `code: 'DEADLINE_EXCEEDED'` instead of running late, and one whose AbortSignal fires
+ *      while queued is rejected with `code: 'CANCELLED'`. Once started, the task itself is
+ *      responsible for honouring the signal.
+ *
+ *      A running task receives its reservation and may set `reservation.tokens` to the
+ *      tokens it actually used, which replaces the estimate in the budget.
+ */
+export class RequestScheduler {
+  /**
+     * @param {object} options
+     * @param {number} options.concurrency Requests allowed in flight at once
+     * @param {number} options.tokensPerWindow Token budget per window
+     * @param {number} options.windowMs Sliding budget window in milliseconds
+     * @param {number} options.maxQueueSize Queued requests allowed before new ones are refused
+     * @param {object} options.deadlines Queue deadline in milliseconds by priority
+     * @param {string} options.name Scheduler name for logs
+     * @param {Function} options.clock Time source in milliseconds
+     */
+  constructor (options = {}) {
+    // ============ Configuration ============
+    this.name = options.name || 'requests';
+    this.concurrency = Math.max(1, options.concurrency ?? 2);
+    this.tokensPerWindow = options.tokensPerWindow ?? 60000;
+    this.windowMs = options.windowMs ?? 60000;
+    this.maxQueueSize = options.maxQueueSize ?? 50;
+    this.deadlines = { ...DEFAULT_DEADLINES, ...options.deadlines };
+    this.clock = options.clock || Date.now;
+
+    // ============ Scheduler State ============
+    this.queues = Object.fromEntries(PRIORITY_ORDER.map(priority => [priority, []]));
+    this.running = 0;
+    this.reservations = []; // Tokens started within the window: { startedAt, tokens }
+    this.budgetTimer = null;
+
+    // ============ Metrics ============
+    this.metrics = Object.fromEntries(PRIORITY_ORDER.map(priority => [priority, {
+      scheduled: 0,
+      completed: 0,
+      failed: 0,
+      dropped: 0,
+      rejected: 0,
+      cancelled: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      started: 0
+    }]));
+  }
+
+  // ============ Scheduling ============
+
+  /**
+     * @notice Queue a request
+     * @param {Function} task Async function performing the request, called with its reservation
+     * @param {object} options
+     * @param {string} options.priority One of REQUEST_PRIORITIES (default background)
+     * @param {number} options.tokens Estimated tokens the request uses
+     * @param {number} options.deadline Milliseconds it may wait in the queue (default by priority)
+     * @param {string} options.description Request description for logs
+     * @param {AbortSignal} options.signal Removes the request from the queue when aborted
+     * @return {Promise} Result of the task
+     */
+  schedule (task, options = {}) {
+    const priority = this.queues[options.priority] ? options.priority : REQUEST_PRIORITIES.BACKGROUND;
+    const stats = this.metrics[priority];
+    stats.scheduled++;
+
+    if (options.signal?.aborted) {
+      stats.cancelled++;
+      return Promise.reject(this._createCancelledError(options.signal));
+    }
+
+    if (this.getQueueDepth() >= this.maxQueueSize) {
+      stats.rejected++;
+      return Promise.reject(this._createError(SCHEDULER_ERRORS.QUEUE_FULL, 'Request queue full - reduce request rate'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        task,
+        priority,
+        tokens: Math.max(0, options.tokens || 0),
+        description: options.description || 'request',
+        queuedAt: this.clock(),
+        resolve,
+        reject,
+        deadlineTimer: null,
+        signal: options.signal || null,
+        onAbort: null
+      };
+
+      const deadline = options.deadline ?? this.deadlines[priority];
+      if (deadline > 0 && Number.isFinite(deadline)) {
+        entry.deadlineTimer = setTimeout(() => this._expire(entry), deadline);
+      }
+
+      if (entry.signal) {
+        entry.onAbort = () => this._cancel(entry);
+        entry.signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.queues[priority].push(entry);
+      this._dispatch();
+    });
+  }
+
+  /**
+     * @notice Reject every queued request
+     * @param {string} reason Why the queue was cleared
+     * @return {number} Requests rejected
+     */
+  clear (reason = 'Scheduler cleared') {
+    let cleared = 0;
+    for (const priority of PRIORITY_ORDER) {
+      for (const entry of this.queues[priority].splice(0)) {
+        this._release(entry);
+        entry.reject(this._createError(SCHEDULER_ERRORS.CANCELLED, reason));
+        cleared++;
+      }
+    }
+
+    clearTimeout(this.budgetTimer);
+    this.budgetTimer = null;
+    return cleared;
+  }
+
+  /**
+     * @notice Change limits; queued requests are re-evaluated at once
+     * @param {object} limits { concurrency, tokensPerWindow, windowMs, maxQueueSize, deadlines }
+     */
+  updateLimits (limits = {}) {
+    if (limits.concurrency > 0) this.concurrency = limits.concurrency;
+    if (limits.tokensPerWindow > 0) this.tokensPerWindow = limits.tokensPerWindow;
+    if (limits.windowMs > 0) this.windowMs = limits.windowMs;
+    if (limits.maxQueueSize > 0) this.maxQueueSize = limits.maxQueueSize;
+    if (limits.deadlines) this.deadlines = { ...this.deadlines, ...limits.deadlines };
+    this._dispatch();
+  }
+
+  // ============ Status ============
+
+  /**
+     * @notice Requests waiting to run
+     * @return {number} Queue depth over every priority
+     */
+  getQueueDepth () {
+    return PRIORITY_ORDER.reduce((sum, priority) => sum + this.queues[priority].length, 0);
+  }
+
+  /**
+     * @notice Tokens reserved by requests started within the window
+     * @return {number} Tokens used
+     */
+  getTokensUsed () {
+    this._pruneReservations();
+    return this.reservations.reduce((sum, reservation) => sum + reservation.tokens, 0);
+  }
+
+  /**
+     * @notice Get scheduler status
+     * @return {object} { queueDepth, running, concurrency, maxQueueSize, tokenBudget, byPriority }
+     */
+  getStatus () {
+    const tokensUsed = this.getTokensUsed();
+    const oldest = this.reservations[0];
+
+    return {
+      queueDepth: this.getQueueDepth(),
+      running: this.running,
+      concurrency: this.concurrency,
+      maxQueueSize: this.maxQueueSize,
+      tokenBudget: {
+        used: tokensUsed,
+        limit: this.tokensPerWindow,
+        remaining: Math.max(0, this.tokensPerWindow - tokensUsed),
+        windowMs: this.windowMs,
+        nextReleaseMs: oldest ? Math.max(0, oldest.startedAt + this.windowMs - this.clock()) : 0,
+        utilizationPercent: (tokensUsed / this.tokensPerWindow) * 100
+      },
+      byPriority: Object.fromEntries(PRIORITY_ORDER.map(priority => {
+        const { totalWaitMs, started, ...stats } = this.metrics[priority];
+        const queue = this.queues[priority];
+        return [priority, {
+          ...stats,
+          started,
+          queued: queue.length,
+          avgWaitMs: started > 0 ? Math.round(totalWaitMs / started) : 0,
+          oldestWaitMs: queue.length > 0 ? this.clock() - queue[0].queuedAt : 0,
+          deadlineMs: this.deadlines[priority]
+        }];
+      }))
+    };
+  }
+
+  // ============ Dispatch ============
+
+  /**
+     * @notice Start queued requests while concurrency and the token budget allow
+     */
+  _dispatch () {
+    while (this.running < this.concurrency) {
+      const entry = this._peek();
+      if (!entry) {
+        return;
+      }
+
+      if (!this._fitsBudget(entry.tokens)) {
+        this._waitForBudget();
+        return;
+      }
+
+      this.queues[entry.priority].shift();
+      this._run(entry);
+    }
+  }
+
+  /**
+     * @notice Next request to run: the oldest of the highest priority
+     */
+  _peek () {
+    for (const priority of PRIORITY_ORDER) {
+      if (this.queues[priority].length > 0) {
+        return this.queues[priority][0];
+      }
+    }
+    return null;
+  }
+
+  /**
+     * @notice Run one request and dispatch the next when it settles
+     */
+  async _run (entry) {
+    this._release(entry);
+
+    const stats = this.metrics[entry.priority];
+    const waitMs = this.clock() - entry.queuedAt;
+    stats.started++;
+    stats.totalWaitMs += waitMs;
+    stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+
+    const reservation = { startedAt: this.clock(), tokens: entry.tokens };
+    this.reservations.push(reservation);
+    this.running++;
+
+    try {
+      const result = await entry.task(reservation);
+      stats.completed++;
+      entry.resolve(result);
+    } catch (error) {
+      stats.failed++;
+      entry.reject(error);
+    } finally {
+      this.running--;
+      this._dispatch();
+    }
+  }
+
+  /**
+     * @notice Drop a request whose deadline passed while it was queued
+     */
+  _expire (entry) {
+    if (!this._remove(entry)) {
+      return; // Already started
+    }
+
+    this.metrics[entry.priority].dropped++;
+
+    const waitedMs = this.clock() - entry.queuedAt;
+    logger.warn('Queued request dropped after its deadline', {
+      scheduler: this.name,
+      request: entry.description,
+      priority: entry.priority,
+      waitedMs
+    });
+    entry.reject(this._createError(SCHEDULER_ERRORS.DEADLINE_EXCEEDED, `Request dropped: deadline passed after ${waitedMs}ms in queue`));
+
+    this._dispatch(); // A dropped head may have been holding back others
+  }
+
+  /**
+     * @notice Drop a queued request whose AbortSignal fired
+     */
+  _cancel (entry) {
+    if (!this._remove(entry)) {
+      return; // Already started
+    }
+
+    this.metrics[entry.priority].cancelled++;
+    entry.reject(this._createCancelledError(entry.signal));
+    this._dispatch();
+  }
+
+  /**
+     * @notice Take a request out of its queue and release its timer and listener
+     * @return {boolean} Whether the request was still queued
+     */
+  _remove (entry) {
+    const queue = this.queues[entry.priority];
+    const index = queue.indexOf(entry);
+    if (index === -1) {
+      return false;
+    }
+
+    queue.splice(index, 1);
+    this._release(entry);
+    return true;
+  }
+
+  /**
+     * @notice Stop watching a request's deadline and AbortSignal
+     */
+  _release (entry) {
+    clearTimeout(entry.deadlineTimer);
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+  }
+
+  // ============ Token Budget ============
+
+  /**
+     * @notice Whether a request fits in the remaining budget
+     * @dev A request larger than the whole budget runs once nothing else is in the window
+     */
+  _fitsBudget (tokens) {
+    const used = this.getTokensUsed();
+    return used + tokens <= this.tokensPerWindow || this.reservations.length === 0;
+  }
+
+  /**
+     * @notice Dispatch again when the oldest reservation leaves the window
+     */
+  _waitForBudget () {
+    if (this.budgetTimer || this.reservations.length === 0) {
+      return;
+    }
+
+    const delay = Math.max(0, this.reservations[0].startedAt + this.windowMs - this.clock()) + 1;
+    this.budgetTimer = setTimeout(() => {
+      this.budgetTimer = null;
+      this._dispatch();
+    }, delay);
+  }
+
+  /**
+     * @notice Forget reservations older than the window
+     */
+  _pruneReservations () {
+    const cutoff = this.clock() - this.windowMs;
+    while (this.reservations.length > 0 && this.reservations[0].startedAt <= cutoff) {
+      this.reservations.shift();
+    }
+  }
+
+  /**
+     * @notice Error with a scheduler code
+     */
+  _createError (code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+     * @notice Error for a request cancelled through its AbortSignal
+     */
+  _createCancelledError (signal) {
+    const reason = signal?.reason;
+    return this._createError(SCHEDULER_ERRORS.CANCELLED, `Request cancelled: ${typeof reason === 'string' ? reason : reason?.message || 'aborted'}`);
+  }
+}
+
+export { REQUEST_PRIORITIES, SCHEDULER_ERRORS, DEFAULT_DEADLINES };
+export default RequestScheduler;
@@ -6,6 +6,7 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import config from '../utils/Config.js';
 import logger from '../utils/Logger.js';
+import tokenRegistry from '../utils/TokenRegistry.js';
 import { v4 as uuidv4 } from 'uuid';
 import {
   enhancedERC20TradingTool,
@@ -696,7 +697,7 @@ class VincentClient extends EventEmitter {
             '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
             '0x7dff46370e9ea5f0bad3c4e29711ad50062ea7a4' // SOL (wrapped)
           ],
-          competitionPairs: ['BTC/USDT', 'ETH/USDT', 'SOL/USDC', 'XRP/USDT', 'DOGE/USDT'], // Allowed trading pairs for competition
+          competitionPairs: ['BTC/USDT', 'ETH/USDT', 'SOL/USDC'], // Allowed trading pairs for competition
           allowedChains: [1, 10, 42161, 8453, 137],
           strictMode: true, // Strict enforcement for security
           allowUnknownTokens: false,
@@ -711,7 +712,7 @@ class VincentClient extends EventEmitter {
             '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
             '0x7dff46370e9ea5f0bad3c4e29711ad50062ea7a4' // SOL (wrapped)
           ],
-          competitionPairs: ['BTC/USDT', 'ETH/USDT', 'SOL/USDC', 'XRP/USDT', 'DOGE/USDT'], // Allowed trading pairs for competition
+          competitionPairs: ['BTC/USDT', 'ETH/USDT', 'SOL/USDC'], // Allowed trading pairs for competition
           allowedChains: [1, 10, 42161, 8453, 137],
           strictMode: true,
           allowUnknownTokens: false,
@@ -1163,6 +1164,8 @@ class VincentClient extends EventEmitter {
 
   /**
      * @notice Execute a trade with Vincent policy enforcement for competition
+     * @dev `tradeParams.idempotencyKey` is logged with every attempt so retries of one
+     *      trade can be told apart from new trades
      * @param {Object} tradeParams Trade parameters
      * @return {Object} Trade execution result with policy commitment and competition metrics
      */
@@ -1173,6 +1176,7 @@ class VincentClient extends EventEmitter {
     try {
       logger.logVincentOperation('TRADE_EXECUTION_START', {
         executionId,
+        idempotencyKey: tradeParams.idempotencyKey || null,
         tradeParams: {
           pair: tradeParams.pair,
           action: tradeParams.action,
@@ -1450,11 +1454,21 @@ class VincentClient extends EventEmitter {
       };
     }
 
-    // ============ Check Competition Duration ============
+    // ============ Check Competition Window ============
     const competitionStartTime = timePolicy.config.competitionStartTime;
     const competitionDuration = timePolicy.config.competitionDuration;
     const competitionEndTime = competitionStartTime + competitionDuration;
 
+    if (currentTime < competitionStartTime) {
+      return {
+        success: false,
+        policyId: 'competition-time-policy',
+        reason: `Competition${timePolicy.config.competitionId ? ` ${timePolicy.config.competitionId}` : ''} has not started. Current: ${new Date(currentTime).toISOString()}, Start: ${new Date(competitionStartTime).toISOString()}`,
+        violationType: 'COMPETITION_NOT_STARTED',
+        competitionMode: true
+      };
+    }
+
     if (currentTime > competitionEndTime) {
       return {
         success: false,
@@ -1779,35 +1793,26 @@ class VincentClient extends EventEmitter {
 
   /**
      * @notice Convert trade parameters to Vincent tool format
+     * @dev The token sold is resolved through the TokenRegistry on `tradeParams.chainId`
+     *      (default network otherwise); unknown symbols throw instead of being passed on.
+     *      A `reason` from the caller is kept, so trades routed through RecallClient carry
+     *      the order tag that reconciliation matches.
      * @param {Object} tradeParams Trade parameters
      * @return {Object} Vincent tool parameters
      */
   _convertToVincentToolParams (tradeParams) {
-    const { pair, action, amount } = tradeParams;
-    const [tokenA, tokenB] = pair.split('/');
+    const { pair, action, amount, chainId = tokenRegistry.defaultNetwork } = tradeParams;
+    const { base, quote } = tokenRegistry.resolvePair(pair, chainId);
 
     // ============ Determine Token Address Based on Action ============
-    const tokenAddress = action === 'BUY' ? tokenB : tokenA;
-
-    // ============ For Competition, Use Mock Token Addresses ============
-    const tokenAddressMap = {
-      BTC: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', // WBTC
-      ETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', // WETH
-      USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7', // USDT
-      USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
-      SOL: '0x7dff46370e9ea5f0bad3c4e29711ad50062ea7a4', // SOL (wrapped)
-      XRP: '0x1d2F0da169ceB9fC7B3144628dB156f3F6c60dBE', // XRP
-      DOGE: '0x4206931337dc273a630d328dA6441786BfaD668f' // DOGE
-    };
-
-    const resolvedTokenAddress = tokenAddressMap[tokenAddress] || tokenAddress;
+    const token = action === 'BUY' ? quote : base;
 
     return {
-      tokenAddress: resolvedTokenAddress,
+      tokenAddress: token.address,
       amountToSend: amount, // Vincent tool expects 'amountToSend', not 'amount'
       recipientAddress: this.ethersSigner.address, // Delegatee address
-      reason: `Competition AI Agent ${action} ${amount} ${pair} at ${new Date().toISOString()}`,
-      chainId: 1, // Ethereum mainnet
+      reason: tradeParams.reason || `Competition AI Agent ${action} ${amount} ${pair} at ${new Date().toISOString()}`,
+      chainId: token.chainId,
       deadline: Math.floor(Date.now() / 1000) + (15 * 60) // 15 minutes from now (matching your policy)
     };
   }
@@ -1946,7 +1951,7 @@ class VincentClient extends EventEmitter {
       tradesPerMinute: this._calculateTradesPerMinute(),
       totalTrades: this.recentTrades.length,
       remainingCompetitionTime: Math.max(0, competitionEndTime - currentTime),
-      competitionProgress: Math.min(1, (currentTime - competitionStartTime) / competitionDuration),
+      competitionProgress: Math.max(0, Math.min(1, (currentTime - competitionStartTime) / competitionDuration)),
       spendingUtilization: {
         daily: (this.spendingLimits.daily.spent / this.spendingLimits.daily.limit) * 100
       }
@@ -2381,6 +2386,56 @@ class VincentClient extends EventEmitter {
     };
   }
 
+  /**
+     * @notice Apply the trading rules of the active Recall competition
+     * @dev Sets the competition time policy window, the allowlisted pairs and, when the
+     *      rules carry them, the per-trade and daily spending limits. Cached permissions
+     *      were granted under the old rules, so they are dropped.
+     * @param {Object} rules Rules from RecallClient.getCompetitionRules()
+     */
+  applyCompetitionRules (rules) {
+    if (!rules) {
+      return;
+    }
+
+    // ============ Competition Window ============
+    const timePolicy = this.activePolicies.get('competition-time-policy');
+    if (timePolicy) {
+      const startTime = rules.startTime ?? timePolicy.config.competitionStartTime;
+      timePolicy.config.competitionId = rules.competitionId;
+      timePolicy.config.competitionStartTime = startTime;
+      if (rules.endTime !== null) {
+        timePolicy.config.competitionDuration = Math.max(0, rules.endTime - startTime);
+      }
+    }
+
+    // ============ Allowed Pairs ============
+    const tokenPolicy = this.activePolicies.get('token-allowlist-policy');
+    if (tokenPolicy) {
+      tokenPolicy.config.competitionPairs = [...rules.allowedPairs];
+      tokenPolicy.userParams.competitionPairs = [...rules.allowedPairs];
+    }
+
+    // ============ Spending Caps ============
+    if (rules.maxTradeAmount) {
+      this.spendingLimits.perTrade.limit = rules.maxTradeAmount;
+    }
+    if (rules.maxDailySpend) {
+      this.spendingLimits.daily.limit = rules.maxDailySpend;
+    }
+
+    this.permissionCache.clear();
+
+    logger.logVincentOperation('COMPETITION_RULES_APPLIED', {
+      competitionId: rules.competitionId,
+      allowedPairs: rules.allowedPairs,
+      startTime: rules.startTime,
+      endTime: rules.endTime,
+      perTradeLimit: this.spendingLimits.perTrade.limit,
+      dailyLimit: this.spendingLimits.daily.limit
+    });
+  }
+
   /**
      * @notice Emergency stop for competition
      * @param {string} reason Reason for emergency stop
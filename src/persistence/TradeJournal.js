@@ -0,0 +1,255 @@
+// ============ Imports ============
+import { closeSync, existsSync, fsyncSync, mkdirSync, openSync, readFileSync, renameSync, writeSync } from 'fs';
+import { join } from 'path';
+import logger from '../utils/Logger.js';
+
+// ============ Constants ============
+const JOURNAL_ENTRY_TYPES = {
+  ORDER: 'ORDER', // Order snapshot after a state change, including its fills
+  TRADE: 'TRADE', // Completed or failed trade from the execution client
+  POSITION_OPENED: 'POSITION_OPENED',
+  POSITION_CLOSED: 'POSITION_CLOSED',
+  RISK_STATE: 'RISK_STATE', // Risk manager balances, drawdown baseline and open positions
+  SNAPSHOT: 'SNAPSHOT' // Full replayed state written by compact()
+};
+
+const DEFAULT_FILE_NAME = 'journal.jsonl';
+const DEFAULT_MAX_TRADES = 1000;
+
+/**
+ * @title TradeJournal
+ * @author Regav-AI Team
+ * @notice Append-only JSONL journal of orders, trades, positions and risk state
+ * @dev Each record is one line `{ seq, type, timestamp, data }` written with a single
+ *      write and fsync, so a crash can at worst leave a truncated last line, which
+ *      replay() skips. replay() folds the records into the latest state: orders by id,
+ *      recent trades, open positions by id and the last risk state. compact() rewrites
+ *      the file as one SNAPSHOT record through a temporary file and an atomic rename,
+ *      keeping the journal bounded across restarts.
+ */
+export class TradeJournal {
+  /**
+     * @param {object} options
+     * @param {string} options.directory Directory holding the journal (created if missing)
+     * @param {string} options.fileName Journal file name
+     * @param {number} options.maxTrades Trades kept in the replayed state
+     * @param {Function} options.clock Time source in milliseconds
+     */
+  constructor (options = {}) {
+    if (!options.directory) {
+      throw new Error('TradeJournal requires a directory');
+    }
+
+    // ============ Configuration ============
+    this.directory = options.directory;
+    this.path = join(this.directory, options.fileName || DEFAULT_FILE_NAME);
+    this.maxTrades = options.maxTrades ?? DEFAULT_MAX_TRADES;
+    this.clock = options.clock || Date.now;
+
+    // ============ Journal State ============
+    this.fd = null;
+    this.seq = 0;
+  }
+
+  // ============ Writing ============
+
+  /**
+     * @notice Open the journal for appending
+     * @dev Continues the sequence numbers of an existing journal. A line cut short by a
+     *      crash is terminated first so the next record starts on a line of its own.
+     */
+  open () {
+    if (this.fd !== null) {
+      return;
+    }
+
+    mkdirSync(this.directory, { recursive: true });
+    const content = this._readContent();
+    this.seq = this._parseEntries(content).entries.reduce((max, entry) => Math.max(max, entry.seq || 0), 0);
+    this.fd = openSync(this.path, 'a');
+
+    if (content && !content.endsWith('\n')) {
+      writeSync(this.fd, '\n');
+    }
+  }
+
+  /**
+     * @notice Append a record and flush it to disk
+     * @param {string} type JOURNAL_ENTRY_TYPES value
+     * @param {object} data Record payload
+     * @return {object|null} The written entry, or null when the write failed
+     */
+  record (type, data) {
+    if (!Object.values(JOURNAL_ENTRY_TYPES).includes(type)) {
+      throw new Error(`Unknown journal entry type: ${type}`);
+    }
+
+    try {
+      this.open();
+      const entry = { seq: ++this.seq, type, timestamp: this.clock(), data };
+      writeSync(this.fd, `${JSON.stringify(entry)}\n`);
+      fsyncSync(this.fd);
+      return entry;
+    } catch (error) {
+      logger.error('Failed to write journal entry', { type, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+     * @notice Close the journal file
+     */
+  close () {
+    if (this.fd !== null) {
+      closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  // ============ Replay ============
+
+  /**
+     * @notice Rebuild the latest state from the journal
+     * @return {object} { orders, trades, positions, riskState, entries, skipped }
+     */
+  replay () {
+    const { entries, skipped } = this._parseEntries(this._readContent());
+    const state = this._emptyState();
+
+    for (const entry of entries) {
+      this._apply(state, entry);
+    }
+
+    if (skipped > 0) {
+      logger.warn('Skipped unreadable journal lines', { path: this.path, skipped });
+    }
+
+    return {
+      orders: Array.from(state.orders.values()),
+      trades: state.trades,
+      positions: Array.from(state.positions.values()),
+      riskState: state.riskState,
+      entries: entries.length,
+      skipped
+    };
+  }
+
+  /**
+     * @notice Replace the journal with a single snapshot of its replayed state
+     * @dev Terminal orders are dropped; only orders that can still fill matter on restart
+     * @param {Array<string>} openOrderStates Order states worth keeping
+     * @return {object} The snapshot state
+     */
+  compact (openOrderStates = ['NEW', 'PARTIALLY_FILLED']) {
+    this.open();
+    const { orders, trades, positions, riskState } = this.replay();
+    const snapshot = {
+      orders: orders.filter(order => openOrderStates.includes(order.state)),
+      trades,
+      positions,
+      riskState
+    };
+
+    this.close();
+    mkdirSync(this.directory, { recursive: true });
+
+    const entry = { seq: this.seq + 1, type: JOURNAL_ENTRY_TYPES.SNAPSHOT, timestamp: this.clock(), data: snapshot };
+    const tempPath = `${this.path}.tmp`;
+    const fd = openSync(tempPath, 'w');
+    try {
+      writeSync(fd, `${JSON.stringify(entry)}\n`);
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tempPath, this.path);
+
+    this.seq = entry.seq;
+    this.open();
+    return snapshot;
+  }
+
+  // ============ Helpers ============
+
+  /**
+     * @notice Read the raw journal, or '' when there is none yet
+     */
+  _readContent () {
+    return existsSync(this.path) ? readFileSync(this.path, 'utf8') : '';
+  }
+
+  /**
+     * @notice Parse every readable line of the journal
+     */
+  _parseEntries (content) {
+    const entries = [];
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        skipped++;
+      }
+    }
+
+    return { entries, skipped };
+  }
+
+  /**
+     * @notice Fold one entry into the replay state
+     */
+  _apply (state, { type, data }) {
+    switch (type) {
+      case JOURNAL_ENTRY_TYPES.SNAPSHOT:
+        Object.assign(state, this._emptyState());
+        data.orders.forEach(order => state.orders.set(order.id, order));
+        state.trades = data.trades || [];
+        data.positions.forEach(position => state.positions.set(position.id, position));
+        state.riskState = data.riskState || null;
+        break;
+      case JOURNAL_ENTRY_TYPES.ORDER:
+        state.orders.set(data.id, data);
+        break;
+      case JOURNAL_ENTRY_TYPES.TRADE: {
+        // A trade journaled by more than one source keeps its latest record
+        const index = state.trades.findIndex(trade => trade.id === data.id);
+        if (index !== -1) {
+          state.trades[index] = data;
+          break;
+        }
+        state.trades.push(data);
+        if (state.trades.length > this.maxTrades) {
+          state.trades.shift();
+        }
+        break;
+      }
+      case JOURNAL_ENTRY_TYPES.POSITION_OPENED:
+        state.positions.set(data.id, data);
+        break;
+      case JOURNAL_ENTRY_TYPES.POSITION_CLOSED:
+        state.positions.delete(data.id);
+        break;
+      case JOURNAL_ENTRY_TYPES.RISK_STATE:
+        state.riskState = data;
+        break;
+    }
+  }
+
+  /**
+     * @notice Empty replay state
+     */
+  _emptyState () {
+    return {
+      orders: new Map(),
+      trades: [],
+      positions: new Map(),
+      riskState: null
+    };
+  }
+}
+
+export { JOURNAL_ENTRY_TYPES };
+export default TradeJournal;
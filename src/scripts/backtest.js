@@ -0,0 +1,128 @@
+// ============ Strategy Backtest Script ============
+// File: scripts/backtest.js
+
+import { parseArgs } from 'util';
+import { writeFile } from 'fs/promises';
+import dotenv from 'dotenv';
+import { BacktestEngine } from '../backtest/BacktestEngine.js';
+
+// ============ Load Environment Variables ============
+dotenv.config();
+
+const USAGE = `Usage: npm run backtest -- --file <bars.csv|bars.jsonl> [options]
+
+Options:
+  --file <path>       OHLCV replay file (default: MARKET_DATA_REPLAY_PATH)
+  --from <time>       First bar to replay (ISO date or epoch)
+  --to <time>         Last bar to replay (ISO date or epoch)
+  --pairs <list>      Comma-separated pairs, e.g. BTC/USDT,ETH/USDT
+  --balance <usd>     Starting balance per quote token (default: 10000)
+  --slippage <bps>    Slippage applied to every fill (default: 5)
+  --fee <bps>         Fee charged on every fill (default: 10)
+  --interval <ms>     Minimum replay time between strategy cycles (default: every bar)
+  --output <path>     Write the full report, including the equity curve, as JSON
+  --log-level <lvl>   Strategy log level (default: warn)`;
+
+/**
+ * @notice Parse command line options into BacktestEngine options
+ * @param {Array<string>} argv Command line arguments
+ * @return {object} Engine options plus `output` and `help`
+ */
+function parseOptions (argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      file: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      pairs: { type: 'string' },
+      balance: { type: 'string' },
+      slippage: { type: 'string' },
+      fee: { type: 'string' },
+      interval: { type: 'string' },
+      output: { type: 'string' },
+      'log-level': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const number = (value) => value === undefined ? undefined : parseFloat(value);
+
+  return {
+    help: values.help,
+    output: values.output,
+    filePath: values.file || process.env.MARKET_DATA_REPLAY_PATH,
+    from: values.from,
+    to: values.to,
+    pairs: values.pairs?.split(',').map(pair => pair.trim()).filter(Boolean),
+    initialBalance: number(values.balance),
+    slippageBps: number(values.slippage),
+    feeBps: number(values.fee),
+    cycleInterval: number(values.interval),
+    logLevel: values['log-level']
+  };
+}
+
+/**
+ * @notice Print the backtest summary
+ * @param {object} report Report returned by BacktestEngine.run()
+ */
+function printReport (report) {
+  const { performance } = report;
+  const percent = (value) => `${(value * 100).toFixed(2)}%`;
+
+  console.log('='.repeat(60));
+  console.log('📊 BACKTEST REPORT');
+  console.log('='.repeat(60));
+  console.log(`📁 Data: ${report.file}`);
+  console.log(`🕐 Period: ${report.from} → ${report.to}`);
+  console.log(`💱 Pairs: ${report.pairs.join(', ')}`);
+  console.log(`📈 Bars: ${report.bars} | Cycles: ${report.cycles}`);
+  console.log(`⚙️ Slippage: ${report.slippageBps} bps | Fee: ${report.feeBps} bps`);
+  console.log('-'.repeat(60));
+  console.log(`💰 Starting Balance: $${performance.startingBalance.toFixed(2)}`);
+  console.log(`💰 Final Balance: $${performance.currentBalance.toFixed(2)}`);
+  console.log(`💵 Total Profit: $${performance.totalProfit.toFixed(2)}`);
+  console.log(`🔢 Closed Trades: ${performance.totalTrades} (${report.fills} fills, ${report.rejectedOrders} rejected)`);
+  console.log(`🎯 Win Rate: ${percent(performance.winRate)}`);
+  console.log(`⚖️ Profit Factor: ${Number.isFinite(performance.profitFactor) ? performance.profitFactor.toFixed(2) : '∞'}`);
+  console.log(`📉 Max Drawdown: ${percent(performance.maxDrawdown)}`);
+  console.log(`📐 Sharpe Ratio: ${performance.sharpeRatio.toFixed(2)}`);
+  console.log(`💸 Fees Paid: $${report.totalFees.toFixed(2)}`);
+  console.log(`⏱️ Trades/Hour: ${performance.finalMetrics.tradesPerHour.toFixed(2)}`);
+  console.log('='.repeat(60));
+}
+
+/**
+ * @notice Main execution function
+ */
+async function main () {
+  try {
+    const { help, output, ...options } = parseOptions(process.argv.slice(2));
+
+    if (help || !options.filePath) {
+      console.log(USAGE);
+      process.exit(help ? 0 : 1);
+    }
+
+    const engine = new BacktestEngine(options);
+    const report = await engine.run();
+
+    printReport(report);
+
+    if (output) {
+      await writeFile(output, JSON.stringify(report, null, 2));
+      console.log(`📝 Full report written to ${output}`);
+    }
+  } catch (error) {
+    console.error('Backtest failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// ============ Execute if Called Directly ============
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { parseOptions };
@@ -0,0 +1,166 @@
+// ============ Recall Competitions Script ============
+// File: scripts/competitions.js
+
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import RecallClient from '../integrations/RecallClient.js';
+import { buildCompetitionRules } from '../integrations/CompetitionRules.js';
+import config from '../utils/Config.js';
+
+// ============ Load Environment Variables ============
+dotenv.config();
+
+const USAGE = `Usage: npm run competitions -- <command> [options]
+
+Commands:
+  list                  List competitions
+  join <id>             Join a competition and print its trading rules
+
+List options:
+  --status <status>     pending, active or ended
+  --type <type>         Competition type, e.g. trading
+  --start-after <time>  Starting at or after this time (ISO date or epoch)
+  --start-before <time> Starting at or before this time (ISO date or epoch)
+  --tokens <list>       Comma-separated symbols the competition must allow
+  --pairs <list>        Comma-separated pairs the competition must allow
+  --open                Skip invite-only competitions
+  --json                Print JSON instead of a table`;
+
+/**
+ * @notice Parse a time option into epoch milliseconds
+ */
+function parseTime (value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * @notice Parse the command line
+ * @param {Array<string>} argv Command line arguments
+ * @return {object} { command, competitionId, filter, json, help }
+ */
+function parseOptions (argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      status: { type: 'string' },
+      type: { type: 'string' },
+      'start-after': { type: 'string' },
+      'start-before': { type: 'string' },
+      tokens: { type: 'string' },
+      pairs: { type: 'string' },
+      open: { type: 'boolean' },
+      json: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const list = (value) => value?.split(',').map(item => item.trim()).filter(Boolean);
+
+  return {
+    help: values.help,
+    command: positionals[0],
+    competitionId: positionals[1],
+    json: values.json,
+    filter: {
+      status: values.status,
+      type: values.type,
+      startAfter: parseTime(values['start-after']),
+      startBefore: parseTime(values['start-before']),
+      tokens: list(values.tokens),
+      pairs: list(values.pairs),
+      openOnly: values.open
+    }
+  };
+}
+
+/**
+ * @notice Format an epoch time for display
+ */
+function formatTime (time) {
+  return time ? new Date(time).toISOString() : '-';
+}
+
+/**
+ * @notice Print competitions with the pairs the agent could trade in each
+ * @param {Array<object>} competitions Normalized competitions
+ * @param {Array<string>} candidatePairs Configured trading pairs
+ */
+function printCompetitions (competitions, candidatePairs) {
+  if (competitions.length === 0) {
+    console.log('No competitions match.');
+    return;
+  }
+
+  for (const competition of competitions) {
+    const rules = buildCompetitionRules(competition, { candidatePairs });
+    console.log(`🏆 ${competition.name} (${competition.id})`);
+    console.log(`   ${competition.status || '-'} | ${competition.type || '-'}${competition.requiresInvite ? ' | invite only' : ''}`);
+    console.log(`   ${formatTime(competition.startTime)} → ${formatTime(competition.endTime)}`);
+    console.log(`   Tokens: ${competition.allowedTokens.length > 0 ? competition.allowedTokens.join(', ') : 'any'}`);
+    console.log(`   Tradable pairs: ${rules.allowedPairs.join(', ') || 'none'}`);
+  }
+}
+
+/**
+ * @notice Print the trading rules of a joined competition
+ * @param {object} rules Rules from RecallClient.getCompetitionRules()
+ */
+function printRules (rules) {
+  console.log(`✅ Joined ${rules.name} (${rules.competitionId})`);
+  console.log(`   Window: ${formatTime(rules.startTime)} → ${formatTime(rules.endTime)}`);
+  console.log(`   Pairs: ${rules.allowedPairs.join(', ') || 'none'}`);
+  console.log(`   Max trade: ${rules.maxTradeAmount ? `$${rules.maxTradeAmount}` : 'no cap'}`);
+  console.log(`   Max daily spend: ${rules.maxDailySpend ? `$${rules.maxDailySpend}` : 'no cap'}`);
+}
+
+/**
+ * @notice Main execution function
+ */
+async function main () {
+  try {
+    const { help, command, competitionId, filter, json } = parseOptions(process.argv.slice(2));
+
+    if (help || !['list', 'join'].includes(command) || (command === 'join' && !competitionId)) {
+      console.log(USAGE);
+      process.exit(help ? 0 : 1);
+    }
+
+    const client = new RecallClient();
+    const candidatePairs = config.get('trading').pairs;
+
+    if (command === 'list') {
+      const competitions = await client.listCompetitions(filter);
+      if (json) {
+        console.log(JSON.stringify(competitions.map(({ raw: _raw, ...competition }) => competition), null, 2));
+      } else {
+        printCompetitions(competitions, candidatePairs);
+      }
+      return;
+    }
+
+    const rules = await client.joinCompetition(competitionId);
+    if (json) {
+      console.log(JSON.stringify(rules, null, 2));
+    } else {
+      printRules(rules);
+    }
+  } catch (error) {
+    console.error('Competition command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// ============ Execute if Called Directly ============
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { parseOptions };
@@ -0,0 +1,100 @@
+// ============ Mock Gaia Server Script ============
+// File: scripts/mock-gaia-server.js
+
+import { parseArgs } from 'util';
+import { readFileSync } from 'fs';
+import dotenv from 'dotenv';
+import { MockGaiaServer } from '../integrations/MockGaiaServer.js';
+
+// ============ Load Environment Variables ============
+dotenv.config();
+
+const USAGE = `Usage: npm run mock:gaia -- [options]
+
+Options:
+  --port <port>         Port to listen on (default: 8787)
+  --host <host>         Host to bind (default: 127.0.0.1)
+  --recordings <path>   JSONL file of recorded responses to replay
+  --record <url>        Record unmatched prompts from this Gaia node (uses GAIA_API_KEY)
+  --scripts <path>      JSON file of replies by analyst type, replacing the defaults
+  --strict              Answer 404 to prompts without a recording
+  --latency <ms>        Delay added to every chat response
+  --chunk-delay <ms>    Delay between chunks of streamed responses
+
+Point the agent at it with GAIA_NODE_URL=http://127.0.0.1:8787/v1`;
+
+/**
+ * @notice Parse command line options into MockGaiaServer options
+ * @param {Array<string>} argv Command line arguments
+ * @return {object} Server options plus `help`
+ */
+function parseOptions (argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: 'string' },
+      host: { type: 'string' },
+      recordings: { type: 'string' },
+      record: { type: 'string' },
+      scripts: { type: 'string' },
+      strict: { type: 'boolean' },
+      latency: { type: 'string' },
+      'chunk-delay': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  return {
+    help: values.help,
+    port: values.port === undefined ? undefined : parseInt(values.port),
+    host: values.host,
+    recordingsPath: values.recordings,
+    upstreamUrl: values.record,
+    apiKey: values.record ? process.env.GAIA_API_KEY : undefined,
+    scripts: values.scripts ? JSON.parse(readFileSync(values.scripts, 'utf8')) : undefined,
+    strict: values.strict,
+    latencyMs: values.latency === undefined ? undefined : parseInt(values.latency),
+    chunkDelayMs: values['chunk-delay'] === undefined ? undefined : parseInt(values['chunk-delay'])
+  };
+}
+
+/**
+ * @notice Main execution function
+ */
+async function main () {
+  try {
+    const { help, ...options } = parseOptions(process.argv.slice(2));
+
+    if (help) {
+      console.log(USAGE);
+      process.exit(0);
+    }
+
+    if (options.upstreamUrl && !options.recordingsPath) {
+      throw new Error('--record needs --recordings to write to');
+    }
+
+    const server = new MockGaiaServer(options);
+    const url = await server.start();
+    console.log(`🤖 Mock Gaia node on ${url}`);
+
+    // ============ Graceful Shutdown ============
+    const shutdown = async () => {
+      await server.stop();
+      console.log('📊 Requests:', JSON.stringify(server.getStatus().metrics));
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    console.error('Mock Gaia server failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// ============ Execute if Called Directly ============
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { parseOptions };
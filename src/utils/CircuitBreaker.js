@@ -0,0 +1,274 @@
+// ============ Imports ============
+import { EventEmitter } from 'events';
+import logger from './Logger.js';
+
+// ============ Constants ============
+const CIRCUIT_STATES = {
+  CLOSED: 'CLOSED', // Requests flow; consecutive failures are counted
+  OPEN: 'OPEN', // Requests are refused until the reset timeout passes
+  HALF_OPEN: 'HALF_OPEN' // A limited number of probe requests test recovery
+};
+
+const CIRCUIT_OPEN_ERROR = 'CIRCUIT_OPEN';
+
+/**
+ * @title CircuitBreaker
+ * @author Regav-AI Team
+ * @notice Closed/open/half-open circuit breaker for one dependency or endpoint
+ * @dev `failureThreshold` consecutive failures open the breaker. Once `resetTimeout` has
+ *      passed it turns half-open on the next request check (there is no timer), and lets
+ *      at most `halfOpenMaxProbes` requests through at a time. `successThreshold` probe
+ *      successes close it again; a probe failure reopens it for another timeout. A breaker
+ *      opened with forceOpen() stays open until reset().
+ *
+ *      Use execute() to wrap a call, or tryAcquire() with recordSuccess()/recordFailure()
+ *      (or release() for an abandoned call) when the outcome is known elsewhere. Refused
+ *      calls throw an Error with `code: 'CIRCUIT_OPEN'`. Emits 'state_change' (state,
+ *      previousState, breaker).
+ */
+export class CircuitBreaker extends EventEmitter {
+  /**
+     * @param {object} options
+     * @param {string} options.name Breaker name for logs and status
+     * @param {number} options.failureThreshold Consecutive failures that open the breaker
+     * @param {number} options.resetTimeout Milliseconds open before probes are allowed
+     * @param {number} options.halfOpenMaxProbes Concurrent probe requests while half-open
+     * @param {number} options.successThreshold Probe successes needed to close
+     * @param {Function} options.isFailure Which errors count against the breaker (default: all)
+     * @param {Function} options.clock Time source in milliseconds
+     */
+  constructor (options = {}) {
+    super();
+
+    // ============ Configuration ============
+    this.name = options.name || 'default';
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeout = options.resetTimeout ?? 30000;
+    this.halfOpenMaxProbes = options.halfOpenMaxProbes ?? 1;
+    this.successThreshold = options.successThreshold ?? 1;
+    this.isFailure = options.isFailure || (() => true);
+    this.clock = options.clock || Date.now;
+
+    // ============ Breaker State ============
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.forced = false;
+    this.probesInFlight = 0;
+    this.probeSuccesses = 0;
+    this.lastFailure = null;
+
+    // ============ Metrics ============
+    this.metrics = {
+      successes: 0,
+      failures: 0,
+      rejections: 0,
+      opened: 0
+    };
+  }
+
+  // ============ Requests ============
+
+  /**
+     * @notice Run a call through the breaker
+     * @param {Function} fn Async call
+     * @return {*} Result of the call
+     */
+  async execute (fn) {
+    if (!this.tryAcquire()) {
+      throw this._createOpenError();
+    }
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.recordFailure(error);
+      } else {
+        this.recordSuccess(); // The dependency answered; the request itself was bad
+      }
+      throw error;
+    }
+
+    this.recordSuccess();
+    return result;
+  }
+
+  /**
+     * @notice Whether a request would be let through, without taking a probe slot
+     * @return {boolean} True when closed, or when a probe could be sent
+     */
+  isAvailable () {
+    this._refreshState();
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    return this.state === CIRCUIT_STATES.HALF_OPEN && this.probesInFlight < this.halfOpenMaxProbes;
+  }
+
+  /**
+     * @notice Let a request through when the breaker allows it
+     * @dev A request let through while half-open holds a probe slot until its outcome is
+     *      recorded, so every successful tryAcquire() must be followed by recordSuccess()
+     *      or recordFailure()
+     * @return {boolean} True when the request may be sent
+     */
+  tryAcquire () {
+    if (!this.isAvailable()) {
+      this.metrics.rejections++;
+      return false;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.probesInFlight++;
+    }
+    return true;
+  }
+
+  /**
+     * @notice Record a successful request
+     */
+  recordSuccess () {
+    this.metrics.successes++;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      if (++this.probeSuccesses >= this.successThreshold) {
+        this._transition(CIRCUIT_STATES.CLOSED);
+      }
+      return;
+    }
+
+    this.failures = 0;
+  }
+
+  /**
+     * @notice Record a failed request
+     * @param {Error} error Failure cause
+     */
+  recordFailure (error = null) {
+    this.metrics.failures++;
+    this.lastFailure = { message: error?.message || null, timestamp: this.clock() };
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      this._transition(CIRCUIT_STATES.OPEN);
+      return;
+    }
+
+    this.failures++;
+    if (this.state === CIRCUIT_STATES.CLOSED && this.failures >= this.failureThreshold) {
+      this._transition(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  /**
+     * @notice Give back a probe slot without recording an outcome
+     * @dev For a request let through by tryAcquire() that was abandoned before the
+     *      dependency answered, e.g. cancelled by the caller
+     */
+  release () {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+    }
+  }
+
+  // ============ Manual Control ============
+
+  /**
+     * @notice Open the breaker until reset() is called
+     * @param {string} reason Why it was opened
+     */
+  forceOpen (reason = 'Forced open') {
+    this.forced = true;
+    this.lastFailure = { message: reason, timestamp: this.clock() };
+    if (this.state !== CIRCUIT_STATES.OPEN) {
+      this._transition(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  /**
+     * @notice Close the breaker and clear its failure count
+     */
+  reset () {
+    this.forced = false;
+    this.failures = 0;
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this._transition(CIRCUIT_STATES.CLOSED);
+    }
+  }
+
+  // ============ Status ============
+
+  /**
+     * @notice Get breaker state
+     * @return {object} { name, state, failures, forced, openedAt, nextProbeAt, probesInFlight, lastFailure, metrics }
+     */
+  getState () {
+    this._refreshState();
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      forced: this.forced,
+      openedAt: this.openedAt,
+      nextProbeAt: this.state === CIRCUIT_STATES.OPEN && !this.forced ? this.openedAt + this.resetTimeout : null,
+      probesInFlight: this.probesInFlight,
+      lastFailure: this.lastFailure,
+      metrics: { ...this.metrics }
+    };
+  }
+
+  // ============ Helpers ============
+
+  /**
+     * @notice Move an open breaker to half-open once its reset timeout has passed
+     */
+  _refreshState () {
+    if (this.state === CIRCUIT_STATES.OPEN && !this.forced && this.clock() - this.openedAt >= this.resetTimeout) {
+      this._transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+  }
+
+  /**
+     * @notice Change state, resetting the counters the new state starts from
+     */
+  _transition (state) {
+    const previousState = this.state;
+    this.state = state;
+    this.probesInFlight = 0;
+    this.probeSuccesses = 0;
+
+    if (state === CIRCUIT_STATES.OPEN) {
+      this.openedAt = this.clock();
+      this.metrics.opened++;
+    } else if (state === CIRCUIT_STATES.CLOSED) {
+      this.failures = 0;
+      this.openedAt = null;
+    }
+
+    const log = state === CIRCUIT_STATES.OPEN ? 'warn' : 'info';
+    logger[log]('Circuit breaker state changed', {
+      breaker: this.name,
+      from: previousState,
+      to: state,
+      failures: this.failures,
+      lastFailure: this.lastFailure?.message
+    });
+    this.emit('state_change', state, previousState, this);
+  }
+
+  /**
+     * @notice Error thrown for a refused request
+     */
+  _createOpenError () {
+    const error = new Error(`Circuit breaker '${this.name}' is open`);
+    error.code = CIRCUIT_OPEN_ERROR;
+    error.breaker = this.name;
+    return error;
+  }
+}
+
+export { CIRCUIT_STATES, CIRCUIT_OPEN_ERROR };
+export default CircuitBreaker;
@@ -53,7 +53,20 @@ class ConfigManager {
       agentName: process.env.RECALL_AGENT_NAME || 'RegavAI-Scalping-Agent',
       competitionDuration: parseInt(process.env.COMPETITION_DURATION_MINUTES) || 60,
       autoRegister: process.env.COMPETITION_AUTO_REGISTER === 'true',
-      metricsInterval: parseInt(process.env.SUBMIT_METRICS_INTERVAL_SECONDS) || 30
+      metricsInterval: parseInt(process.env.SUBMIT_METRICS_INTERVAL_SECONDS) || 30,
+      orderReconcileInterval: parseInt(process.env.ORDER_RECONCILE_INTERVAL_SECONDS) || 15,
+      preTradeQuote: process.env.PRE_TRADE_QUOTE_ENABLED !== 'false',
+      maxPriceImpactPercent: parseFloat(process.env.MAX_PRICE_IMPACT_PERCENT) || 1.0,
+      maxImpactEdgeRatio: parseFloat(process.env.MAX_IMPACT_EDGE_RATIO) || 0.5,
+      retryAttempts: parseInt(process.env.RECALL_RETRY_ATTEMPTS) || 3,
+      retryBaseDelay: parseInt(process.env.RECALL_RETRY_BASE_DELAY_MS) || 500,
+      retryMaxDelay: parseInt(process.env.RECALL_RETRY_MAX_DELAY_MS) || 10000,
+      retryJitter: process.env.RECALL_RETRY_JITTER !== undefined ? parseFloat(process.env.RECALL_RETRY_JITTER) : 0.5,
+      circuitBreakerFailures: parseInt(process.env.CIRCUIT_BREAKER_FAILURES) || 5,
+      circuitBreakerResetMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_MS) || 30000,
+      circuitBreakerProbes: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_PROBES) || 1,
+      competitionMaxTradeUsd: parseFloat(process.env.COMPETITION_MAX_TRADE_USD) || null,
+      competitionMaxDailySpendUsd: parseFloat(process.env.COMPETITION_MAX_DAILY_SPEND_USD) || null
     };
 
     // Vincent (Lit Protocol) configuration
@@ -215,11 +228,33 @@ class ConfigManager {
       ssl: process.env.DATABASE_SSL === 'true'
     };
 
+    // Trade journal for restart recovery
+    this.config.persistence = {
+      journalEnabled: process.env.JOURNAL_ENABLED !== 'false',
+      journalDir: process.env.JOURNAL_DIR || 'data/journal',
+      reportDir: process.env.REPORT_DIR || 'data/reports'
+    };
+
+    // Portfolio reconciliation against the venue's balances
+    this.config.reconciliation = {
+      enabled: process.env.PORTFOLIO_RECONCILE_ENABLED !== 'false',
+      intervalSeconds: parseInt(process.env.PORTFOLIO_RECONCILE_INTERVAL_SECONDS) || 60,
+      tolerancePercent: parseFloat(process.env.PORTFOLIO_DRIFT_TOLERANCE_PERCENT) || 1.0,
+      minDriftValue: parseFloat(process.env.PORTFOLIO_DRIFT_MIN_USD) || 1.0,
+      confirmations: parseInt(process.env.PORTFOLIO_DRIFT_CONFIRMATIONS) || 2,
+      autoCorrect: process.env.PORTFOLIO_AUTO_CORRECT === 'true'
+    };
+
     // Development and testing configuration
     this.config.development = {
       testMode: process.env.TEST_MODE === 'true',
       simulationMode: process.env.SIMULATION_MODE === 'true',
       paperTrading: process.env.ENABLE_PAPER_TRADING === 'true',
+      paper: {
+        initialBalance: parseFloat(process.env.PAPER_INITIAL_BALANCE) || 10000,
+        slippageBps: parseFloat(process.env.PAPER_SLIPPAGE_BPS) || 5,
+        feeBps: parseFloat(process.env.PAPER_FEE_BPS) || 10
+      },
       debug: {
         trades: process.env.DEBUG_TRADES === 'true',
         sentiment: process.env.DEBUG_SENTIMENT === 'true',
@@ -330,7 +365,20 @@ class ConfigManager {
         agentName: Joi.string().required(),
         competitionDuration: Joi.number().min(1).max(1440).required(), // 1 minute to 24 hours
         autoRegister: Joi.boolean().required(),
-        metricsInterval: Joi.number().min(1).max(300).required() // 1 second to 5 minutes
+        metricsInterval: Joi.number().min(1).max(300).required(), // 1 second to 5 minutes
+        orderReconcileInterval: Joi.number().min(1).max(300).required(),
+        preTradeQuote: Joi.boolean().required(),
+        maxPriceImpactPercent: Joi.number().positive().max(100).required(),
+        maxImpactEdgeRatio: Joi.number().positive().max(10).required(),
+        retryAttempts: Joi.number().integer().min(1).max(10).required(),
+        retryBaseDelay: Joi.number().integer().min(0).required(),
+        retryMaxDelay: Joi.number().integer().min(0).required(),
+        retryJitter: Joi.number().min(0).max(1).required(),
+        circuitBreakerFailures: Joi.number().integer().min(1).max(100).required(),
+        circuitBreakerResetMs: Joi.number().integer().min(1000).required(),
+        circuitBreakerProbes: Joi.number().integer().min(1).max(10).required(),
+        competitionMaxTradeUsd: Joi.number().positive().allow(null),
+        competitionMaxDailySpendUsd: Joi.number().positive().allow(null)
       }).required(),
 
       vincent: Joi.object({
@@ -392,6 +440,15 @@ class ConfigManager {
         emergencyStopEnabled: Joi.boolean().required(),
         maxLossPercentage: Joi.number().positive().max(100).required(),
         circuitBreakerThreshold: Joi.number().positive().max(50).required()
+      }).required(),
+
+      reconciliation: Joi.object({
+        enabled: Joi.boolean().required(),
+        intervalSeconds: Joi.number().min(5).max(3600).required(),
+        tolerancePercent: Joi.number().positive().max(100).required(),
+        minDriftValue: Joi.number().min(0).required(),
+        confirmations: Joi.number().integer().min(1).max(10).required(),
+        autoCorrect: Joi.boolean().required()
       }).required()
     });
   }
@@ -0,0 +1,101 @@
+// ============ Constants ============
+
+/**
+ * @notice Position sides use the action that opens them: BUY is long, SELL is short
+ */
+const POSITION_SIDES = {
+  LONG: 'BUY',
+  SHORT: 'SELL'
+};
+
+const POSITION_EFFECTS = {
+  OPEN: 'OPEN',
+  CLOSE: 'CLOSE'
+};
+
+// ============ Trade Intent ============
+
+/**
+ * @notice Whether a trade opens or closes a position
+ * @dev Trades without `positionEffect` follow spot semantics: BUY opens a long and SELL
+ *      closes it. Bearish entries must say `positionEffect: 'OPEN'` explicitly.
+ * @param {object} trade { action, positionEffect? }
+ * @return {string} POSITION_EFFECTS value
+ */
+export function getPositionEffect ({ action, positionEffect }) {
+  if (positionEffect) {
+    return positionEffect.toUpperCase();
+  }
+  return action?.toUpperCase() === POSITION_SIDES.LONG ? POSITION_EFFECTS.OPEN : POSITION_EFFECTS.CLOSE;
+}
+
+/**
+ * @notice Whether a trade opens or covers a short position
+ * @param {object} trade { action, positionEffect? }
+ * @return {boolean} True for SELL-to-open and BUY-to-cover
+ */
+export function isShortTrade (trade) {
+  const opens = getPositionEffect(trade) === POSITION_EFFECTS.OPEN;
+  return (trade.action?.toUpperCase() === POSITION_SIDES.SHORT) === opens;
+}
+
+/**
+ * @notice Value of a trade in its quote token
+ * @dev `amount` is in the token sold: already quote for a BUY, base for a SELL
+ * @param {object} trade { action, amount }
+ * @param {number} price Price of the pair in its quote token
+ * @return {number} Quote-token value of the trade
+ */
+export function getTradeNotional ({ action, amount }, price) {
+  return action?.toUpperCase() === POSITION_SIDES.LONG ? amount : amount * price;
+}
+
+// ============ Position Math ============
+
+/**
+ * @notice +1 for longs, -1 for shorts
+ * @param {string} side Position side (BUY or SELL)
+ * @return {number} Direction multiplier
+ */
+export function getPositionDirection (side) {
+  return side === POSITION_SIDES.SHORT ? -1 : 1;
+}
+
+/**
+ * @notice The action that closes a position
+ * @param {string} side Position side (BUY or SELL)
+ * @return {string} SELL for longs, BUY for shorts
+ */
+export function getExitAction (side) {
+  return side === POSITION_SIDES.SHORT ? POSITION_SIDES.LONG : POSITION_SIDES.SHORT;
+}
+
+/**
+ * @notice Unrealised P&L of a position in percent of its entry price
+ * @param {string} side Position side (BUY or SELL)
+ * @param {number} entryPrice Entry price
+ * @param {number} price Current or exit price
+ * @return {number} Positive when the price has moved in the position's favour
+ */
+export function calculatePnLPercent (side, entryPrice, price) {
+  return getPositionDirection(side) * ((price - entryPrice) / entryPrice) * 100;
+}
+
+/**
+ * @notice Stop-loss and take-profit prices for a position
+ * @dev Longs stop below and target above the entry; shorts the reverse
+ * @param {string} side Position side (BUY or SELL)
+ * @param {number} entryPrice Entry price
+ * @param {number} stopLossPercent Stop distance in percent
+ * @param {number} takeProfitPercent Target distance in percent
+ * @return {object} { stopLoss, takeProfit } prices
+ */
+export function getExitLevels (side, entryPrice, stopLossPercent, takeProfitPercent) {
+  const direction = getPositionDirection(side);
+  return {
+    stopLoss: entryPrice * (1 - direction * stopLossPercent / 100),
+    takeProfit: entryPrice * (1 + direction * takeProfitPercent / 100)
+  };
+}
+
+export { POSITION_SIDES, POSITION_EFFECTS };
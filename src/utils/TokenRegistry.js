@@ -0,0 +1,226 @@
+// ============ Imports ============
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+// ============ Constants ============
+const NETWORKS_CONFIG_PATH = fileURLToPath(new URL('../configs/networks.json', import.meta.url));
+
+/**
+ * @title TokenRegistry
+ * @author Regav-AI Team
+ * @notice Resolves token symbols to contract addresses and decimals per chain
+ * @dev Built from `configs/networks.json`: addresses come from each network's `tokens`
+ *      map, and names, decimals and aliases (BTC -> WBTC, ETH -> WETH) from the top-level
+ *      `tokenMetadata` section. A token entry may also be an object
+ *      `{ address, decimals }` to override the shared metadata on one chain. Chains are
+ *      addressed by network name ('arbitrum') or chain id (42161). Lookups throw on
+ *      unknown symbols and chains instead of substituting a default token, so a pair
+ *      that is not configured can never trade something else.
+ */
+export class TokenRegistry {
+  /**
+     * @param {object} networksConfig Parsed networks.json ({ networks, defaultNetwork, tokenMetadata })
+     */
+  constructor (networksConfig = {}) {
+    // ============ Registry State ============
+    this.networks = new Map(); // network name -> { name, chainId, recallChain, tokens: Map(symbol -> token) }
+    this.aliases = new Map(); // alias -> canonical symbol
+    this.defaultNetwork = networksConfig.defaultNetwork || 'ethereum';
+
+    const metadata = networksConfig.tokenMetadata || {};
+    for (const [symbol, { aliases = [] }] of Object.entries(metadata)) {
+      for (const alias of aliases) {
+        this.aliases.set(alias.toUpperCase(), symbol.toUpperCase());
+      }
+    }
+
+    for (const [name, network] of Object.entries(networksConfig.networks || {})) {
+      const tokens = new Map();
+      for (const [symbol, entry] of Object.entries(network.tokens || {})) {
+        const token = typeof entry === 'string' ? { address: entry } : entry;
+        tokens.set(symbol.toUpperCase(), {
+          symbol: symbol.toUpperCase(),
+          name: token.name ?? metadata[symbol]?.name ?? symbol.toUpperCase(),
+          address: token.address,
+          decimals: token.decimals ?? metadata[symbol]?.decimals ?? null
+        });
+      }
+
+      this.networks.set(name, {
+        name,
+        chainId: network.chainId,
+        recallChain: network.recallChain || null,
+        tokens
+      });
+    }
+  }
+
+  // ============ Resolution ============
+
+  /**
+     * @notice Resolve a token symbol on a chain
+     * @param {string} symbol Token symbol or alias (e.g. 'BTC', 'WBTC')
+     * @param {string|number} chain Network name or chain id, defaults to the default network
+     * @return {object} { symbol, name, requestedSymbol, address, decimals, network, chainId, recallChain }
+     */
+  resolve (symbol, chain = this.defaultNetwork) {
+    const network = this.getNetwork(chain);
+    const canonical = this.getCanonicalSymbol(symbol);
+    const token = network.tokens.get(canonical);
+
+    if (!token) {
+      throw new Error(`Unknown token ${symbol} on ${network.name}`);
+    }
+    if (!Number.isInteger(token.decimals)) {
+      throw new Error(`No decimals configured for ${canonical} on ${network.name}`);
+    }
+
+    return {
+      ...token,
+      requestedSymbol: symbol,
+      network: network.name,
+      chainId: network.chainId,
+      recallChain: network.recallChain
+    };
+  }
+
+  /**
+     * @notice Resolve both sides of a trading pair
+     * @dev Without an explicit chain the default network is tried first, then every other
+     *      network in config order; the first one that lists both tokens wins
+     * @param {string} pair Trading pair (e.g. 'SOL/USDC')
+     * @param {string|number} chain Optional network name or chain id
+     * @return {object} { pair, base, quote, network, chainId, recallChain }
+     */
+  resolvePair (pair, chain = null) {
+    const [baseSymbol, quoteSymbol] = pair.split('/');
+    if (!baseSymbol || !quoteSymbol) {
+      throw new Error(`Invalid trading pair: ${pair}`);
+    }
+
+    const candidates = chain !== null
+      ? [this.getNetwork(chain).name]
+      : [this.defaultNetwork, ...Array.from(this.networks.keys()).filter(name => name !== this.defaultNetwork)];
+
+    for (const name of candidates) {
+      if (this.has(baseSymbol, name) && this.has(quoteSymbol, name)) {
+        const base = this.resolve(baseSymbol, name);
+        const quote = this.resolve(quoteSymbol, name);
+        return { pair, base, quote, network: name, chainId: base.chainId, recallChain: base.recallChain };
+      }
+    }
+
+    throw new Error(`No configured network lists both tokens of ${pair}${chain !== null ? ` on ${chain}` : ''}`);
+  }
+
+  /**
+     * @notice Check whether a symbol resolves on a chain
+     * @param {string} symbol Token symbol or alias
+     * @param {string|number} chain Network name or chain id
+     * @return {boolean} True when the token is listed
+     */
+  has (symbol, chain = this.defaultNetwork) {
+    const network = this._findNetwork(chain);
+    return Boolean(network?.tokens.has(this.getCanonicalSymbol(symbol)));
+  }
+
+  /**
+     * @notice Check whether both tokens of a trading pair resolve
+     * @param {string} pair Trading pair (e.g. 'SOL/USDC')
+     * @param {string|number} chain Optional network name or chain id, as for resolvePair()
+     * @return {boolean} True when resolvePair() would succeed
+     */
+  hasPair (pair, chain = null) {
+    try {
+      this.resolvePair(pair, chain);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+     * @notice Look a token up by contract address
+     * @param {string} address Token address (case-insensitive for EVM chains)
+     * @param {string|number} chain Network name or chain id
+     * @return {object|null} Token as returned by resolve(), or null when not listed
+     */
+  findByAddress (address, chain = this.defaultNetwork) {
+    const network = this._findNetwork(chain);
+    const wanted = address?.toLowerCase();
+    for (const token of network?.tokens.values() || []) {
+      if (token.address.toLowerCase() === wanted) {
+        return this.resolve(token.symbol, network.name);
+      }
+    }
+    return null;
+  }
+
+  /**
+     * @notice Map an alias to the symbol the networks list
+     * @param {string} symbol Token symbol or alias
+     * @return {string} Canonical upper-case symbol
+     */
+  getCanonicalSymbol (symbol) {
+    const upper = String(symbol).toUpperCase();
+    return this.aliases.get(upper) || upper;
+  }
+
+  // ============ Networks ============
+
+  /**
+     * @notice Get a network by name or chain id
+     * @param {string|number} chain Network name or chain id
+     * @return {object} { name, chainId, recallChain, tokens }
+     */
+  getNetwork (chain) {
+    const network = this._findNetwork(chain);
+    if (!network) {
+      throw new Error(`Unknown network: ${chain}`);
+    }
+    return network;
+  }
+
+  /**
+     * @notice Get every token address listed on a chain
+     * @param {string|number} chain Network name or chain id
+     * @param {Array<string>} symbols Optional symbols to restrict the list to
+     * @return {Array<string>} Token addresses
+     */
+  getAddresses (chain = this.defaultNetwork, symbols = null) {
+    const network = this.getNetwork(chain);
+    if (!symbols) {
+      return Array.from(network.tokens.values(), token => token.address);
+    }
+    return symbols.filter(symbol => this.has(symbol, network.name)).map(symbol => this.resolve(symbol, network.name).address);
+  }
+
+  /**
+     * @notice Find a network by name, then by chain id
+     */
+  _findNetwork (chain) {
+    if (this.networks.has(chain)) {
+      return this.networks.get(chain);
+    }
+    for (const network of this.networks.values()) {
+      if (String(network.chainId) === String(chain)) {
+        return network;
+      }
+    }
+    return null;
+  }
+}
+
+// ============ Default Registry ============
+
+/**
+ * @notice Build a registry from a networks.json file
+ * @param {string} path Path to the networks config, defaults to src/configs/networks.json
+ * @return {TokenRegistry} Registry
+ */
+export function loadTokenRegistry (path = NETWORKS_CONFIG_PATH) {
+  return new TokenRegistry(JSON.parse(readFileSync(path, 'utf8')));
+}
+
+const tokenRegistry = loadTokenRegistry();
+export default tokenRegistry;
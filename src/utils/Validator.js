@@ -103,10 +103,17 @@ class Validators {
       tradeParams: this.joi.object({
         pair: this.joi.tradingPair().required(),
         action: this.joi.string().valid('BUY', 'SELL', 'HOLD').required(),
+        positionEffect: this.joi.string().valid('OPEN', 'CLOSE').optional(),
         amount: this.joi.number().min(MIN_TRADE_AMOUNT).max(MAX_TRADE_AMOUNT).required(),
+        quantity: this.joi.number().positive().optional(),
         price: this.joi.number().positive().optional(),
+        orderType: this.joi.string().valid('MARKET', 'LIMIT').optional(),
+        timeInForce: this.joi.string().valid('GTC', 'IOC', 'FOK', 'GTD').optional(),
+        expiresAt: this.joi.number().integer().positive().when('timeInForce', { is: 'GTD', then: this.joi.required() }),
         stopLoss: this.joi.number().positive().optional(),
         takeProfit: this.joi.number().positive().optional(),
+        expectedEdge: this.joi.number().positive().optional(),
+        decisionPrice: this.joi.number().positive().optional(),
         timeframe: this.joi.string().valid(...SUPPORTED_TIMEFRAMES).default('1m'),
         confidence: this.joi.number().min(MIN_CONFIDENCE_SCORE).max(MAX_CONFIDENCE_SCORE).optional(),
         strategy: this.joi.string().max(50).optional(),
@@ -4,6 +4,14 @@
 
 import { createVincentPolicy } from '@lit-protocol/vincent-tool-sdk';
 import { z } from 'zod';
+import tokenRegistry from '../../utils/TokenRegistry.js';
+
+// ============ Defaults ============
+const DEFAULT_ALLOWED_CHAINS = [1, 10, 42161, 8453, 137]; // Multi-chain support
+const DEFAULT_ALLOWED_SYMBOLS = ['WBTC', 'WETH', 'USDT', 'USDC'];
+
+// Major tokens on every default chain, resolved from networks.json
+const DEFAULT_ALLOWED_TOKENS = DEFAULT_ALLOWED_CHAINS.flatMap(chainId => tokenRegistry.getAddresses(chainId, DEFAULT_ALLOWED_SYMBOLS));
 
 // ============ Parameter Schemas ============
 const toolParamsSchema = z.object({
@@ -14,14 +22,8 @@ const toolParamsSchema = z.object({
 });
 
 const userParamsSchema = z.object({
-  allowedTokens: z.array(z.string()).default([
-    '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', // WBTC
-    '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', // WETH
-    '0xdAC17F958D2ee523a2206206994597C13D831ec7', // USDT
-    '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
-    '0x7dff46370e9ea5f0bad3c4e29711ad50062ea7a4' // SOL (wrapped)
-  ]),
-  allowedChains: z.array(z.number()).default([1, 10, 42161, 8453, 137]), // Multi-chain support
+  allowedTokens: z.array(z.string()).default(DEFAULT_ALLOWED_TOKENS),
+  allowedChains: z.array(z.number()).default(DEFAULT_ALLOWED_CHAINS),
   strictMode: z.boolean().default(true), // Strict enforcement
   allowUnknownTokens: z.boolean().default(false), // Allow unknown tokens
   tokenCategories: z.object({
@@ -142,24 +144,13 @@ async function verifyTokenContract (tokenAddress, chainId) {
     // - Token is not on known scam lists
     // - Token has sufficient liquidity
 
-    // Known verified tokens for major chains
-    const verifiedTokens = {
-      1: [ // Ethereum
-        '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599', // WBTC
-        '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', // WETH
-        '0xdac17f958d2ee523a2206206994597c13d831ec7', // USDT
-        '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', // USDC
-        '0x7dff46370e9ea5f0bad3c4e29711ad50062ea7a4' // SOL
-      ]
-    };
-
-    const chainTokens = verifiedTokens[chainId] || [];
-    const normalizedAddress = normalizeTokenAddress(tokenAddress);
+    // Tokens listed in networks.json count as verified
+    const token = tokenRegistry.findByAddress(tokenAddress, chainId);
 
     return {
-      verified: chainTokens.includes(normalizedAddress),
-      symbol: getTokenSymbol(tokenAddress),
-      name: getTokenName(tokenAddress)
+      verified: token !== null,
+      symbol: token?.symbol || 'UNKNOWN',
+      name: token?.name || 'Unknown Token'
     };
   } catch (error) {
     return {
@@ -170,36 +161,6 @@ async function verifyTokenContract (tokenAddress, chainId) {
   }
 }
 
-/**
- * Get token symbol (simplified)
- */
-function getTokenSymbol (tokenAddress) {
-  const tokenSymbols = {
-    '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599': 'WBTC',
-    '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': 'WETH',
-    '0xdac17f958d2ee523a2206206994597c13d831ec7': 'USDT',
-    '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 'USDC',
-    '0x7dff46370e9ea5f0bad3c4e29711ad50062ea7a4': 'SOL'
-  };
-
-  return tokenSymbols[normalizeTokenAddress(tokenAddress)] || 'UNKNOWN';
-}
-
-/**
- * Get token name (simplified)
- */
-function getTokenName (tokenAddress) {
-  const tokenNames = {
-    '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599': 'Wrapped Bitcoin',
-    '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': 'Wrapped Ether',
-    '0xdac17f958d2ee523a2206206994597c13d831ec7': 'Tether USD',
-    '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 'USD Coin',
-    '0x7dff46370e9ea5f0bad3c4e29711ad50062ea7a4': 'Wrapped SOL'
-  };
-
-  return tokenNames[normalizeTokenAddress(tokenAddress)] || 'Unknown Token';
-}
-
 /**
  * Check if chain is supported
  */
@@ -11,6 +11,7 @@ import RecallClient from './src/integrations/RecallClient.js';
 import VincentClient from './src/integrations/VincentClient.js';
 import GaiaClient from './src/integrations/Gaia.Client.js';
 import { ScalpingAgent } from './src/agent/ScalpingAgent.js';
+import { normalizePortfolio } from './src/integrations/PortfolioReconciler.js';
 import Logger from './src/utils/Logger.js';
 
 // ============ Module Setup ============
@@ -89,18 +90,12 @@ class RecallTradingAgent {
       this.logger.info('✅ Scalping agent initialized');
 
       // ============ Verify Account Status ============
-      const portfolio = await this.recallClient.getPortfolio();
-      
-      // Debug: Log the actual response structure
-      this.logger.info('🔍 Portfolio Response Structure:', {
-        keys: Object.keys(portfolio || {}),
-        fullResponse: portfolio
-      });
-      
+      const portfolio = normalizePortfolio(await this.recallClient.getPortfolio());
+
       this.logger.info('💰 Portfolio Status:', {
-        totalValue: portfolio?.totalValue || portfolio?.totalBalanceUsd || 0,
-        tokenCount: portfolio?.tokens?.length || portfolio?.balances?.length || 0,
-        balances: portfolio?.balances || portfolio?.tokens || 'No balances data'
+        totalValue: portfolio.totalValue,
+        tokenCount: portfolio.tokenCount,
+        balances: portfolio.holdings
       });
 
       this.logger.info('🎉 Recall Trading Agent initialized successfully!');
@@ -205,11 +200,12 @@ class RecallTradingAgent {
       // Final status report
       if (this.recallClient) {
         try {
-          const portfolio = await this.recallClient.getPortfolio();
+          const response = await this.recallClient.getPortfolio();
+          const portfolio = normalizePortfolio(response);
           this.logger.info('📊 Final Portfolio Status:', {
             totalValue: portfolio.totalValue,
-            pnl: portfolio.pnl || 0,
-            tokenCount: portfolio.tokens ? portfolio.tokens.length : 0
+            pnl: response.pnl || 0,
+            tokenCount: portfolio.tokenCount
           });
         } catch (error) {
           this.logger.warn('Could not retrieve final portfolio status:', error.message);
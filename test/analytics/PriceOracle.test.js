@@ -0,0 +1,44 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PriceOracle } from '../../src/analytics/PriceOracle.js';
+
+/**
+ * @notice Oracle whose ETH/USDC price is `age` milliseconds old
+ */
+function createOracle (age) {
+  const clock = { now: 100000 };
+  const oracle = new PriceOracle({ maxAgeMs: 15000, clock: () => clock.now });
+  oracle.update('ETH/USDC', { last: 2500, timestamp: clock.now - age });
+  return oracle;
+}
+
+describe('PriceOracle.getTradePrice', () => {
+  it('prices entries and exits on a fresh price', () => {
+    const oracle = createOracle(1000);
+
+    assert.equal(oracle.getTradePrice({ pair: 'ETH/USDC', action: 'BUY' }), 2500);
+    assert.equal(oracle.getTradePrice({ pair: 'ETH/USDC', action: 'SELL' }), 2500);
+  });
+
+  it('refuses a stale price for entries, long or short', () => {
+    const oracle = createOracle(60000);
+
+    assert.throws(() => oracle.getTradePrice({ pair: 'ETH/USDC', action: 'BUY' }), /Stale price/);
+    assert.throws(() => oracle.getTradePrice({ pair: 'ETH/USDC', action: 'SELL', positionEffect: 'OPEN' }), /Stale price/);
+  });
+
+  it('falls back to the last known price for exits on a stale price', () => {
+    const oracle = createOracle(60000);
+
+    assert.equal(oracle.getTradePrice({ pair: 'ETH/USDC', action: 'SELL' }), 2500);
+    assert.equal(oracle.getTradePrice({ pair: 'ETH/USDC', action: 'BUY', positionEffect: 'CLOSE' }), 2500);
+  });
+
+  it('returns null for an exit on a pair it never priced', () => {
+    const oracle = createOracle(0);
+
+    assert.equal(oracle.getTradePrice({ pair: 'BTC/USDT', action: 'SELL' }), null);
+    assert.throws(() => oracle.getTradePrice({ pair: 'BTC/USDT', action: 'BUY' }), /No price available/);
+  });
+});
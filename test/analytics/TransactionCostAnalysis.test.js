@@ -0,0 +1,63 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { TransactionCostAnalyzer, analyzeTrade } from '../../src/analytics/TransactionCostAnalysis.js';
+
+/**
+ * @notice Completed BUY of 2500 USDC decided at 2500, quoted at 2505 and filled at 2510
+ */
+function createTrade (id = 'trade-1') {
+  return {
+    id,
+    pair: 'ETH/USDC',
+    action: 'BUY',
+    amount: 2500,
+    fromAmount: 2500,
+    decisionPrice: 2500,
+    quote: { executionPrice: 2505 },
+    executedPrice: 2510,
+    fee: 0
+  };
+}
+
+describe('analyzeTrade', () => {
+  it('splits the shortfall into delay and slippage', () => {
+    const record = analyzeTrade(createTrade());
+
+    assert.equal(record.tradeId, 'trade-1');
+    assert.equal(record.decisionPrice, 2500);
+    assert.equal(record.quotePrice, 2505);
+    assert.equal(Math.round(record.delayBps), 20);
+    assert.equal(Math.round(record.slippageBps), 20);
+    assert.equal(Math.round(record.shortfallBps), 40);
+  });
+
+  it('skips trades without an executed price', () => {
+    assert.equal(analyzeTrade({ ...createTrade(), executedPrice: undefined }), null);
+  });
+});
+
+describe('TransactionCostAnalyzer', () => {
+  it('records a trade reported by both the client and the strategy once', () => {
+    const analyzer = new TransactionCostAnalyzer();
+    const client = new EventEmitter();
+    analyzer.attach(client);
+
+    client.emit('trade_executed', createTrade());
+    assert.equal(analyzer.record(createTrade()), null);
+    analyzer.record(createTrade('trade-2'));
+
+    assert.deepEqual(analyzer.records.map(record => record.tradeId), ['trade-1', 'trade-2']);
+  });
+
+  it('forgets the ids of records it drops', () => {
+    const analyzer = new TransactionCostAnalyzer({ maxTrades: 1 });
+
+    analyzer.record(createTrade('trade-1'));
+    analyzer.record(createTrade('trade-2'));
+
+    assert.deepEqual(analyzer.records.map(record => record.tradeId), ['trade-2']);
+    assert.equal(analyzer.tradeIds.has('trade-1'), false);
+  });
+});
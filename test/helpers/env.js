@@ -0,0 +1,6 @@
+// ============ Test Environment ============
+// Config validates on import, so modules that log need these set before they load.
+// Import this first in every test file.
+process.env.NODE_ENV ??= 'test';
+process.env.LOG_LEVEL ??= 'error';
+process.env.VINCENT_APP_ID ??= 'test-app';
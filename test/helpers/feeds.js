@@ -0,0 +1,25 @@
+// ============ Test Feeds ============
+import { EventEmitter } from 'events';
+
+/**
+ * @notice Market data feed with prices the test sets
+ * @param {object} prices pair -> last price
+ * @return {EventEmitter} Feed with the MarketDataFeed methods PaperExchange uses
+ */
+export function createPriceFeed (prices = {}) {
+  const feed = new EventEmitter();
+  feed.name = 'test';
+  feed.pairs = Object.keys(prices);
+  feed.prices = { ...prices };
+  feed.getLatestPrice = pair => feed.prices[pair] ?? null;
+  feed.getLatestTick = pair => (pair in feed.prices ? { pair, price: feed.prices[pair], timestamp: Date.now() } : null);
+
+  /**
+   * @notice Move a price and emit the tick
+   */
+  feed.tick = (pair, price) => {
+    feed.prices[pair] = price;
+    feed.emit('tick', { pair, price, timestamp: Date.now() });
+  };
+  return feed;
+}
@@ -0,0 +1,83 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { PartialJsonParser, readChatStream } from '../../src/integrations/GaiaStream.js';
+import { SCHEDULER_ERRORS } from '../../src/integrations/RequestScheduler.js';
+
+/**
+ * @notice Server-sent event stream of chat completion chunks
+ */
+function chatStream (contents, { done = true } = {}) {
+  const events = contents.map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+  return Readable.from(done ? [...events, 'data: [DONE]\n\n'] : events);
+}
+
+describe('PartialJsonParser', () => {
+  it('reports each field once its value completes across chunks', () => {
+    const parser = new PartialJsonParser();
+
+    assert.deepEqual(parser.push('{"sig'), {});
+    assert.deepEqual(parser.push('nal": "BU'), {});
+    assert.deepEqual(parser.push('Y", "confidence": 0.'), { signal: 'BUY' });
+    assert.deepEqual(parser.push('8'), {}, 'a number is not complete until the next , or }');
+    assert.deepEqual(parser.push(', "urgent": true}'), { confidence: 0.8, urgent: true });
+
+    assert.equal(parser.isComplete, true);
+    assert.deepEqual(parser.getFields(), { signal: 'BUY', confidence: 0.8, urgent: true });
+  });
+
+  it('reports nested objects and arrays at their closing bracket', () => {
+    const parser = new PartialJsonParser();
+
+    assert.deepEqual(parser.push('{"levels": {"support": [1, 2], "note": "}]"'), {});
+    assert.deepEqual(parser.push('}, "pairs": ["BTC/USDT", ["ETH/USDT"]'), { levels: { support: [1, 2], note: '}]' } });
+    assert.deepEqual(parser.push(']}'), { pairs: ['BTC/USDT', ['ETH/USDT']] });
+  });
+
+  it('keeps escaped quotes and backslashes inside strings', () => {
+    const parser = new PartialJsonParser();
+
+    parser.push('{"reasoning": "says \\"sell\\" at \\\\ le');
+    assert.deepEqual(parser.getFields(), {});
+    parser.push('vel", "signal": "SELL"}');
+
+    assert.deepEqual(parser.getFields(), { reasoning: 'says "sell" at \\ level', signal: 'SELL' });
+  });
+
+  it('skips text around the object', () => {
+    const parser = new PartialJsonParser();
+
+    parser.push('Here is the analysis:\n```json\n{"signal": "HOLD"}\n```');
+    parser.push('{"signal": "BUY"}');
+
+    assert.equal(parser.isComplete, true);
+    assert.deepEqual(parser.getFields(), { signal: 'HOLD' });
+  });
+
+  it('leaves values that do not parse to schema validation', () => {
+    const parser = new PartialJsonParser();
+
+    parser.push('{"confidence": high, "signal": "BUY"}');
+
+    assert.deepEqual(parser.getFields(), { signal: 'BUY' });
+  });
+});
+
+describe('readChatStream', () => {
+  it('joins streamed content and reports each piece', async () => {
+    const pieces = [];
+
+    const result = await readChatStream(chatStream(['{"signal"', ': "BUY"}']), { onContent: piece => pieces.push(piece) });
+
+    assert.equal(result.content, '{"signal": "BUY"}');
+    assert.deepEqual(pieces, ['{"signal"', ': "BUY"}']);
+  });
+
+  it('rejects with CANCELLED when its signal aborts', async () => {
+    const controller = new AbortController();
+    controller.abort('shutdown');
+
+    await assert.rejects(readChatStream(chatStream(['{}']), { signal: controller.signal }), { code: SCHEDULER_ERRORS.CANCELLED });
+  });
+});
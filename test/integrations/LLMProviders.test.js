@@ -0,0 +1,130 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderRouter, MODEL_TIERS, PROVIDER_ERRORS } from '../../src/integrations/LLMProviders.js';
+import { CIRCUIT_STATES } from '../../src/utils/CircuitBreaker.js';
+import { SCHEDULER_ERRORS } from '../../src/integrations/RequestScheduler.js';
+
+/**
+ * @notice Error shaped like an axios response error
+ */
+function httpError (status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+}
+
+/**
+ * @notice Router over providers `a` and `b` with a clock the test moves
+ */
+function createRouter () {
+  const clock = { now: 0 };
+  const router = new ProviderRouter({
+    clock: () => clock.now,
+    providers: [
+      { name: 'a', url: 'http://a.invalid/v1' },
+      { name: 'b', url: 'http://b.invalid/v1' }
+    ]
+  });
+  return { router, clock };
+}
+
+/**
+ * @notice Send function answering by provider, recording which providers were tried
+ */
+function createSend (outcomes) {
+  const tried = [];
+  const send = async (provider) => {
+    tried.push(provider.name);
+    const outcome = outcomes[provider.name];
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  };
+  return { send, tried };
+}
+
+describe('ProviderRouter', () => {
+  it('fails over to the next provider on provider errors', async () => {
+    const { router } = createRouter();
+    const { send, tried } = createSend({ a: httpError(503), b: 'from b' });
+
+    assert.equal(await router.execute(MODEL_TIERS.PRIMARY, send), 'from b');
+
+    const [a, b] = router.getStatus();
+    assert.deepEqual(tried, ['a', 'b']);
+    assert.equal(a.failures, 1);
+    assert.equal(a.failovers, 1);
+    assert.equal(b.successes, 1);
+  });
+
+  it('prefers the healthier provider after a failure', async () => {
+    const { router } = createRouter();
+    await router.execute(MODEL_TIERS.PRIMARY, createSend({ a: httpError(503), b: 'ok' }).send);
+
+    assert.deepEqual(router.getCandidates(MODEL_TIERS.PRIMARY).map(provider => provider.name), ['b', 'a']);
+  });
+
+  it('throws 400 responses without failover or counting them against the provider', async () => {
+    const { router } = createRouter();
+    const badRequest = httpError(400);
+    const { send, tried } = createSend({ a: badRequest, b: 'from b' });
+
+    await assert.rejects(router.execute(MODEL_TIERS.PRIMARY, send), error => error === badRequest);
+
+    const [a] = router.getStatus();
+    assert.deepEqual(tried, ['a']);
+    assert.equal(a.failures, 0);
+    assert.equal(a.health, 1);
+  });
+
+  it('throws cancellations without failover', async () => {
+    const { router } = createRouter();
+    const cancelled = Object.assign(new Error('Stream aborted: shutdown'), { code: SCHEDULER_ERRORS.CANCELLED });
+    const { send, tried } = createSend({ a: cancelled, b: 'from b' });
+
+    await assert.rejects(router.execute(MODEL_TIERS.PRIMARY, send), error => error === cancelled);
+
+    assert.deepEqual(tried, ['a']);
+    assert.equal(router.getStatus()[0].failures, 0);
+  });
+
+  it('sends nothing once the signal is aborted', async () => {
+    const { router } = createRouter();
+    const { send, tried } = createSend({ a: 'from a' });
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(router.execute(MODEL_TIERS.PRIMARY, send, { signal: controller.signal }), { code: SCHEDULER_ERRORS.CANCELLED });
+    assert.deepEqual(tried, []);
+  });
+
+  it('skips a provider whose breaker opened and probes it again after the reset timeout', async () => {
+    const { router, clock } = createRouter();
+    const failing = createSend({ a: httpError(500), b: httpError(500) });
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await assert.rejects(router.execute(MODEL_TIERS.PRIMARY, failing.send), { response: { status: 500 } });
+    }
+
+    assert.equal(router.hasAvailableProvider(MODEL_TIERS.PRIMARY), false);
+    await assert.rejects(router.execute(MODEL_TIERS.PRIMARY, failing.send), { code: PROVIDER_ERRORS.NO_PROVIDER_AVAILABLE });
+
+    clock.now += 30000;
+    const recovering = createSend({ a: 'from a', b: 'from b' });
+    assert.equal(await router.execute(MODEL_TIERS.PRIMARY, recovering.send), 'from a');
+    assert.equal(router.providers[0].breaker.getState().state, CIRCUIT_STATES.CLOSED);
+  });
+
+  it('only routes a tier to providers serving it', async () => {
+    const router = new ProviderRouter({
+      providers: [
+        { name: 'large', url: 'http://large.invalid/v1', tiers: [MODEL_TIERS.PRIMARY] },
+        { name: 'small', url: 'http://small.invalid/v1', tiers: [MODEL_TIERS.FAST] }
+      ]
+    });
+
+    assert.deepEqual(router.getCandidates(MODEL_TIERS.FAST).map(provider => provider.name), ['small']);
+  });
+});
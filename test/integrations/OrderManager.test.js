@@ -0,0 +1,139 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderManager, ORDER_STATES, getOrderTag } from '../../src/integrations/OrderManager.js';
+
+/**
+ * @notice Order manager on a clock the test moves
+ */
+function createManager () {
+  const clock = { now: 100000 };
+  const manager = new OrderManager({ clock: () => clock.now });
+  const transitions = [];
+  manager.on('order_update', (order, previousState) => transitions.push(`${previousState}->${order.state}`));
+  return { manager, clock, transitions };
+}
+
+describe('OrderManager', () => {
+  describe('fills', () => {
+    it('fills an order and averages its fill prices', () => {
+      const { manager, transitions } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000, orderType: 'LIMIT', price: 2500 });
+
+      manager.applyFill('o1', { transactionId: 'tx1', fromAmount: 400, toAmount: 0.16, price: 2500 });
+      const order = manager.applyFill('o1', { transactionId: 'tx2', fromAmount: 600, toAmount: 0.24, price: 2510 });
+
+      assert.equal(order.state, ORDER_STATES.FILLED);
+      assert.equal(order.filledAmount, 1000);
+      assert.equal(order.averagePrice, 2506);
+      assert.deepEqual(transitions, ['null->NEW', 'NEW->PARTIALLY_FILLED', 'PARTIALLY_FILLED->FILLED']);
+    });
+
+    it('ignores a fill it already recorded', () => {
+      const { manager } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000, orderType: 'LIMIT', price: 2500 });
+
+      manager.applyFill('o1', { transactionId: 'tx1', fromAmount: 400 });
+      const order = manager.applyFill('o1', { transactionId: 'tx1', fromAmount: 400 });
+
+      assert.equal(order.filledAmount, 400);
+      assert.equal(order.state, ORDER_STATES.PARTIALLY_FILLED);
+    });
+
+    it('takes a fill without an amount to fill the remainder', () => {
+      const { manager } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000 });
+
+      assert.equal(manager.applyFill('o1', { transactionId: 'tx1' }).state, ORDER_STATES.FILLED);
+    });
+
+    it('reconciles trade history entries by their order tag', () => {
+      const { manager } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000, orderType: 'LIMIT', price: 2500 });
+
+      const result = manager.reconcile([
+        { id: 'tx1', fromAmount: '1000', toAmount: '0.4', price: '2500', reason: `Scalp ${getOrderTag('o1')}` },
+        { id: 'tx2', fromAmount: '50', reason: 'Placed elsewhere' }
+      ]);
+
+      assert.equal(result.fills, 1);
+      assert.equal(manager.getOrder('o1').state, ORDER_STATES.FILLED);
+    });
+  });
+
+  describe('time in force', () => {
+    it('cancels the remainder of an IOC order', () => {
+      const { manager } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000 });
+      manager.applyFill('o1', { transactionId: 'tx1', fromAmount: 600 });
+
+      const order = manager.applyTimeInForce('o1');
+
+      assert.equal(order.state, ORDER_STATES.CANCELED);
+      assert.equal(order.filledAmount, 600);
+      assert.equal(order.reason, 'IOC remainder canceled');
+    });
+
+    it('cancels an FOK order short of a complete fill', () => {
+      const { manager } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000, timeInForce: 'FOK' });
+
+      assert.equal(manager.applyTimeInForce('o1').state, ORDER_STATES.CANCELED);
+    });
+
+    it('leaves GTC orders open', () => {
+      const { manager } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000, orderType: 'LIMIT', price: 2500 });
+
+      assert.equal(manager.applyTimeInForce('o1').state, ORDER_STATES.NEW);
+      assert.equal(manager.getOpenOrders('ETH/USDC').length, 1);
+    });
+
+    it('expires GTD orders past their deadline', () => {
+      const { manager, clock } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000, orderType: 'LIMIT', price: 2500, timeInForce: 'GTD', expiresAt: clock.now + 1000 });
+
+      assert.deepEqual(manager.expireOrders(), []);
+      clock.now += 1000;
+
+      assert.deepEqual(manager.expireOrders().map(order => order.state), [ORDER_STATES.EXPIRED]);
+    });
+
+    it('refuses market orders that would rest', () => {
+      const { manager } = createManager();
+
+      assert.throws(() => manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000, timeInForce: 'GTC' }), /Market orders cannot rest/);
+    });
+  });
+
+  describe('cancels and rejects', () => {
+    it('refuses to cancel a closed order', () => {
+      const { manager } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000 });
+      manager.applyFill('o1', { transactionId: 'tx1' });
+
+      assert.throws(() => manager.cancelOrder('o1'), /already FILLED/);
+    });
+
+    it('cancels instead of rejecting an order that already traded', () => {
+      const { manager } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000 });
+      manager.createOrder({ id: 'o2', pair: 'ETH/USDC', action: 'BUY', amount: 1000 });
+      manager.applyFill('o2', { transactionId: 'tx1', fromAmount: 500 });
+
+      assert.equal(manager.rejectOrder('o1', 'Timed out').state, ORDER_STATES.REJECTED);
+      assert.equal(manager.rejectOrder('o2', 'Timed out').state, ORDER_STATES.CANCELED);
+    });
+
+    it('records a late fill on a canceled order without reopening it', () => {
+      const { manager } = createManager();
+      manager.createOrder({ id: 'o1', pair: 'ETH/USDC', action: 'BUY', amount: 1000, orderType: 'LIMIT', price: 2500 });
+      manager.cancelOrder('o1', 'Shutdown');
+
+      const order = manager.applyFill('o1', { transactionId: 'tx1', fromAmount: 1000 });
+
+      assert.equal(order.state, ORDER_STATES.CANCELED);
+      assert.equal(order.filledAmount, 1000);
+    });
+  });
+});
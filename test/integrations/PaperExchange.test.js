@@ -0,0 +1,140 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaperExchange } from '../../src/integrations/PaperExchange.js';
+import { PriceOracle } from '../../src/analytics/PriceOracle.js';
+import { createPriceFeed } from '../helpers/feeds.js';
+
+/**
+ * @notice Paper exchange holding 1 ETH, priced by an oracle whose price is `age` milliseconds old
+ */
+function createExchange ({ age = 0, clock = { now: 100000 } } = {}) {
+  const priceOracle = new PriceOracle({ maxAgeMs: 15000, clock: () => clock.now });
+  priceOracle.update('ETH/USDC', { last: 2500, timestamp: clock.now - age });
+
+  const exchange = new PaperExchange({
+    marketDataFeed: createPriceFeed({ 'ETH/USDC': 2500 }),
+    priceOracle,
+    initialBalances: { USDC: 10000, ETH: 1 },
+    slippageBps: 0,
+    feeBps: 0,
+    clock: () => clock.now
+  });
+  return exchange;
+}
+
+describe('PaperExchange', () => {
+  describe('stale prices', () => {
+    it('refuses entries', async () => {
+      const exchange = createExchange({ age: 60000 });
+
+      await assert.rejects(exchange.executeTrade({ pair: 'ETH/USDC', action: 'BUY', amount: 100 }), /Stale price/);
+      assert.equal(exchange.getBalance('USDC'), 10000);
+    });
+
+    it('fills exits at the last known price', async () => {
+      const exchange = createExchange({ age: 60000 });
+
+      const trade = await exchange.executeTrade({ pair: 'ETH/USDC', action: 'SELL', amount: 0.5, positionEffect: 'CLOSE' });
+
+      assert.equal(trade.status, 'COMPLETED');
+      assert.equal(trade.executedPrice, 2500);
+      assert.equal(exchange.getBalance('USDC'), 11250);
+    });
+  });
+
+  describe('orders', () => {
+    /**
+     * @notice Collect the order states an exchange emits
+     */
+    function recordStates (exchange) {
+      const states = [];
+      exchange.on('order_update', (order, previousState) => states.push(`${previousState}->${order.state}`));
+      return states;
+    }
+
+    it('tracks market orders like RecallClient', async () => {
+      const exchange = createExchange();
+      const states = recordStates(exchange);
+
+      const trade = await exchange.executeTrade({ pair: 'ETH/USDC', action: 'BUY', amount: 500 });
+
+      assert.deepEqual(states, ['null->NEW', 'NEW->FILLED']);
+      assert.equal(trade.orderId, trade.id);
+      assert.equal(trade.orderState, 'FILLED');
+      assert.equal(exchange.getOrder(trade.id).filledAmount, 500);
+    });
+
+    it('rejects orders that fail', async () => {
+      const exchange = createExchange();
+      const states = recordStates(exchange);
+
+      await assert.rejects(exchange.executeTrade({ pair: 'ETH/USDC', action: 'BUY', amount: 20000 }), /Insufficient USDC/);
+      assert.deepEqual(states, ['null->NEW', 'NEW->REJECTED']);
+    });
+
+    it('cancels resting limit orders synchronously and releases their balance', async () => {
+      const exchange = createExchange();
+      const order = await exchange.executeTrade({ pair: 'ETH/USDC', action: 'BUY', amount: 1000, orderType: 'LIMIT', limitPrice: 2400 });
+      assert.equal(exchange.getBalance('USDC'), 9000);
+      assert.equal(exchange.getOpenOrders('ETH/USDC').length, 1);
+
+      const canceled = exchange.cancelOrder(order.id, 'Test cancel');
+
+      assert.equal(canceled.state, 'CANCELED');
+      assert.equal(canceled.reason, 'Test cancel');
+      assert.equal(exchange.getBalance('USDC'), 10000);
+      assert.deepEqual(exchange.getOpenOrders(), []);
+      assert.throws(() => exchange.cancelOrder(order.id), /already CANCELED/);
+    });
+
+    it('cancels every resting order of a pair', async () => {
+      const exchange = createExchange();
+      await exchange.executeTrade({ pair: 'ETH/USDC', action: 'BUY', amount: 1000, orderType: 'LIMIT', limitPrice: 2400 });
+      await exchange.executeTrade({ pair: 'ETH/USDC', action: 'SELL', amount: 0.5, orderType: 'LIMIT', limitPrice: 2600 });
+
+      const canceled = exchange.cancelAll({ pair: 'ETH/USDC' }, 'Shutdown');
+
+      assert.deepEqual(canceled.map(order => order.state), ['CANCELED', 'CANCELED']);
+      assert.equal(exchange.getBalance('USDC'), 10000);
+      assert.equal(exchange.getBalance('ETH'), 1);
+    });
+
+    it('fills a resting limit order when a tick crosses it', async () => {
+      const exchange = createExchange();
+      await exchange.initialize();
+      const order = await exchange.executeTrade({ pair: 'ETH/USDC', action: 'BUY', amount: 1200, orderType: 'LIMIT', limitPrice: 2400 });
+
+      exchange.marketDataFeed.tick('ETH/USDC', 2390);
+
+      assert.equal(exchange.getOrder(order.id).state, 'FILLED');
+      assert.equal(exchange.getBalance('ETH'), 1.5);
+      await exchange.disconnect();
+    });
+
+    it('cancels an unmarketable IOC limit order instead of resting it', async () => {
+      const exchange = createExchange();
+
+      const order = await exchange.executeTrade({ pair: 'ETH/USDC', action: 'BUY', amount: 1000, orderType: 'LIMIT', limitPrice: 2400, timeInForce: 'IOC' });
+
+      assert.equal(order.orderState, 'CANCELED');
+      assert.equal(exchange.getBalance('USDC'), 10000);
+    });
+
+    it('expires GTD orders on the first tick past their deadline', async () => {
+      const clock = { now: 100000 };
+      const exchange = createExchange({ clock });
+      await exchange.initialize();
+      const order = await exchange.executeTrade({
+        pair: 'ETH/USDC', action: 'BUY', amount: 1000, orderType: 'LIMIT', limitPrice: 2400, timeInForce: 'GTD', expiresAt: clock.now + 1000
+      });
+
+      clock.now += 2000;
+      exchange.marketDataFeed.tick('ETH/USDC', 2450);
+
+      assert.equal(exchange.getOrder(order.id).state, 'EXPIRED');
+      assert.equal(exchange.getBalance('USDC'), 10000);
+      await exchange.disconnect();
+    });
+  });
+});
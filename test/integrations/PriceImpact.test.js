@@ -0,0 +1,44 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertPriceImpact, getQuoteExecutionPrice, getQuoteSlippageBps } from '../../src/integrations/PriceImpact.js';
+
+const LIMITS = { maxPriceImpactPercent: 1, maxImpactEdgeRatio: 0.5 };
+
+describe('PriceImpact', () => {
+  describe('assertPriceImpact', () => {
+    it('accepts an impact within both limits', () => {
+      assert.doesNotThrow(() => assertPriceImpact({ priceImpactPercent: 0.1 }, { ...LIMITS, expectedEdge: 0.4 }));
+    });
+
+    it('rejects an impact over the maximum', () => {
+      assert.throws(() => assertPriceImpact({ priceImpactPercent: 1.5 }, LIMITS), /Price impact 1.500% exceeds maximum 1%/);
+    });
+
+    it('rejects an impact that eats too much of the expected edge', () => {
+      assert.throws(
+        () => assertPriceImpact({ priceImpactPercent: 0.3 }, { ...LIMITS, expectedEdge: 0.4 }),
+        /exceeds 0.5x the expected edge of 0.400%/
+      );
+    });
+
+    it('skips the edge limit without an expected edge', () => {
+      assert.doesNotThrow(() => assertPriceImpact({ priceImpactPercent: 0.3 }, LIMITS));
+    });
+  });
+
+  describe('quoted prices', () => {
+    it('prices buys and sells in quote tokens per base', () => {
+      assert.equal(getQuoteExecutionPrice('BUY', { fromAmount: 2500, toAmount: 1 }), 2500);
+      assert.equal(getQuoteExecutionPrice('sell', { fromAmount: 2, toAmount: 5000 }), 2500);
+    });
+
+    it('measures slippage as positive when the fill was worse than quoted', () => {
+      const quote = { executionPrice: 2500 };
+
+      assert.equal(getQuoteSlippageBps('BUY', quote, 2525), 100);
+      assert.equal(getQuoteSlippageBps('SELL', quote, 2525), -100);
+      assert.equal(getQuoteSlippageBps('BUY', null, 2525), null);
+    });
+  });
+});
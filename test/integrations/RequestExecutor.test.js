@@ -0,0 +1,98 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestExecutor, classifyError, createIdempotencyKey, ERROR_CATEGORIES } from '../../src/integrations/RequestExecutor.js';
+
+/**
+ * @notice Error shaped like an axios timeout
+ */
+function timeoutError () {
+  return Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' });
+}
+
+/**
+ * @notice Executor that does not wait between attempts
+ */
+function createExecutor () {
+  return new RequestExecutor({ retryAttempts: 3, sleep: async () => {}, random: () => 0 });
+}
+
+/**
+ * @notice Trade submission failing with the given errors first, recording each attempt
+ */
+function createSubmission (...errors) {
+  const attempts = [];
+  const send = async (attempt) => {
+    attempts.push(attempt);
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return { success: true, transaction: { id: `tx-${attempt}` } };
+  };
+  return { send, attempts };
+}
+
+describe('RequestExecutor', () => {
+  it('returns the earlier attempt found by the history check instead of resending a trade', async () => {
+    const executor = createExecutor();
+    const { send, attempts } = createSubmission(timeoutError());
+    const earlier = { success: true, transaction: { id: 'tx-earlier' } };
+
+    const response = await executor.execute(send, { idempotent: false, beforeRetry: async () => earlier });
+
+    assert.equal(response, earlier);
+    assert.deepEqual(attempts, [1]);
+    assert.equal(executor.metrics.recovered, 1);
+  });
+
+  it('resends a trade once the history check shows the attempt did not execute', async () => {
+    const executor = createExecutor();
+    const { send, attempts } = createSubmission(timeoutError());
+
+    const response = await executor.execute(send, { idempotent: false, beforeRetry: async () => null });
+
+    assert.equal(response.transaction.id, 'tx-2');
+    assert.deepEqual(attempts, [1, 2]);
+  });
+
+  it('does not resend a trade when the history cannot be read', async () => {
+    const executor = createExecutor();
+    const error = timeoutError();
+    const { send, attempts } = createSubmission(error);
+
+    await assert.rejects(executor.execute(send, {
+      idempotent: false,
+      beforeRetry: async () => { throw new Error('history unavailable'); }
+    }), failure => failure === error);
+    assert.deepEqual(attempts, [1]);
+  });
+
+  it('does not resend a trade that may have executed when there is no history check', async () => {
+    const executor = createExecutor();
+    const { send, attempts } = createSubmission(timeoutError());
+
+    await assert.rejects(executor.execute(send, { idempotent: false }), /timeout/);
+    assert.deepEqual(attempts, [1]);
+  });
+
+  it('does not retry client errors', async () => {
+    const executor = createExecutor();
+    const badRequest = Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } });
+    const { send, attempts } = createSubmission(badRequest);
+
+    await assert.rejects(executor.execute(send), error => error.classification.category === ERROR_CATEGORIES.CLIENT);
+    assert.deepEqual(attempts, [1]);
+  });
+
+  it('classifies errors that may already have executed as ambiguous', () => {
+    assert.equal(classifyError(timeoutError()).ambiguous, true);
+    assert.equal(classifyError({ code: 'ECONNREFUSED' }).ambiguous, false);
+    assert.equal(classifyError({ response: { status: 503 } }).ambiguous, false);
+    assert.equal(classifyError({ response: { status: 502 } }).ambiguous, true);
+  });
+
+  it('derives the same idempotency key for every attempt of a trade', () => {
+    assert.equal(createIdempotencyKey('abc'), createIdempotencyKey('abc'));
+    assert.notEqual(createIdempotencyKey('abc'), createIdempotencyKey('abd'));
+  });
+});
@@ -0,0 +1,100 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { RequestScheduler, REQUEST_PRIORITIES, SCHEDULER_ERRORS } from '../../src/integrations/RequestScheduler.js';
+
+/**
+ * @notice Promise that settles when the test says so
+ */
+function deferred () {
+  let release;
+  const promise = new Promise(resolve => { release = resolve; });
+  return { promise, resolve: release };
+}
+
+describe('RequestScheduler', () => {
+  it('runs queued requests highest priority first, first in first out within a priority', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const blocker = deferred();
+    const order = [];
+
+    const running = scheduler.schedule(() => blocker.promise, { priority: REQUEST_PRIORITIES.BACKGROUND });
+    const queued = [
+      ['background', REQUEST_PRIORITIES.BACKGROUND],
+      ['sentiment', REQUEST_PRIORITIES.SENTIMENT],
+      ['entry-1', REQUEST_PRIORITIES.ENTRY],
+      ['exit', REQUEST_PRIORITIES.EXIT],
+      ['entry-2', REQUEST_PRIORITIES.ENTRY]
+    ].map(([name, priority]) => scheduler.schedule(async () => order.push(name), { priority }));
+
+    assert.equal(scheduler.getQueueDepth(), 5);
+    blocker.resolve();
+    await Promise.all([running, ...queued]);
+
+    assert.deepEqual(order, ['exit', 'entry-1', 'entry-2', 'sentiment', 'background']);
+    assert.equal(scheduler.getStatus().byPriority.entry.completed, 2);
+  });
+
+  it('drops a request still queued when its deadline passes', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const blocker = deferred();
+    let ran = false;
+
+    const running = scheduler.schedule(() => blocker.promise, { priority: REQUEST_PRIORITIES.BACKGROUND });
+    const late = scheduler.schedule(async () => { ran = true; }, { priority: REQUEST_PRIORITIES.ENTRY, deadline: 10 });
+
+    await assert.rejects(late, { code: SCHEDULER_ERRORS.DEADLINE_EXCEEDED });
+    blocker.resolve();
+    await running;
+
+    assert.equal(ran, false);
+    assert.equal(scheduler.getStatus().byPriority.entry.dropped, 1);
+  });
+
+  it('holds requests that do not fit the token budget without letting lower priorities overtake', async () => {
+    const windowMs = 50;
+    const scheduler = new RequestScheduler({ concurrency: 4, tokensPerWindow: 100, windowMs });
+    const started = [];
+    const task = name => async () => started.push({ name, at: Date.now() });
+
+    const firstAt = Date.now();
+    await scheduler.schedule(task('first'), { priority: REQUEST_PRIORITIES.ENTRY, tokens: 80 });
+    const entry = scheduler.schedule(task('entry'), { priority: REQUEST_PRIORITIES.ENTRY, tokens: 50 });
+    const background = scheduler.schedule(task('background'), { priority: REQUEST_PRIORITIES.BACKGROUND, tokens: 10 });
+
+    assert.equal(scheduler.getQueueDepth(), 2, 'a small request must not overtake the blocked head');
+    await Promise.all([entry, background]);
+
+    assert.deepEqual(started.map(({ name }) => name), ['first', 'entry', 'background']);
+    assert.ok(started[1].at - firstAt >= windowMs, 'the blocked request waits for the window to free budget');
+  });
+
+  it('counts the tokens a task reports instead of its estimate', async () => {
+    const scheduler = new RequestScheduler({ tokensPerWindow: 1000 });
+
+    await scheduler.schedule(async (reservation) => { reservation.tokens = 120; }, { tokens: 500 });
+
+    assert.equal(scheduler.getTokensUsed(), 120);
+  });
+
+  it('rejects cancelled requests without running them', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const blocker = deferred();
+    const controller = new AbortController();
+    let ran = false;
+
+    const running = scheduler.schedule(() => blocker.promise);
+    const queued = scheduler.schedule(async () => { ran = true; }, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(queued, { code: SCHEDULER_ERRORS.CANCELLED });
+    await assert.rejects(scheduler.schedule(async () => { ran = true; }, { signal: controller.signal }), { code: SCHEDULER_ERRORS.CANCELLED });
+    blocker.resolve();
+    await running;
+    await sleep(0);
+
+    assert.equal(ran, false);
+    assert.equal(scheduler.getQueueDepth(), 0);
+  });
+});
@@ -0,0 +1,97 @@
+import '../helpers/env.js';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { TradeJournal, JOURNAL_ENTRY_TYPES } from '../../src/persistence/TradeJournal.js';
+
+describe('TradeJournal', () => {
+  let directory;
+  let journal;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'trade-journal-'));
+    journal = new TradeJournal({ directory });
+  });
+
+  afterEach(() => {
+    journal.close();
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('replays orders, trades, positions and risk state', () => {
+    journal.record(JOURNAL_ENTRY_TYPES.ORDER, { id: 'o1', state: 'NEW' });
+    journal.record(JOURNAL_ENTRY_TYPES.ORDER, { id: 'o1', state: 'FILLED' });
+    journal.record(JOURNAL_ENTRY_TYPES.TRADE, { id: 't1', pair: 'BTC/USDT' });
+    journal.record(JOURNAL_ENTRY_TYPES.POSITION_OPENED, { id: 'p1' });
+    journal.record(JOURNAL_ENTRY_TYPES.POSITION_OPENED, { id: 'p2' });
+    journal.record(JOURNAL_ENTRY_TYPES.POSITION_CLOSED, { id: 'p1' });
+    journal.record(JOURNAL_ENTRY_TYPES.RISK_STATE, { currentBalance: 9900 });
+
+    const state = journal.replay();
+
+    assert.deepEqual(state.orders, [{ id: 'o1', state: 'FILLED' }]);
+    assert.deepEqual(state.trades, [{ id: 't1', pair: 'BTC/USDT' }]);
+    assert.deepEqual(state.positions, [{ id: 'p2' }]);
+    assert.deepEqual(state.riskState, { currentBalance: 9900 });
+    assert.equal(state.skipped, 0);
+  });
+
+  it('skips a line truncated by a crash and keeps appending after it', () => {
+    journal.record(JOURNAL_ENTRY_TYPES.POSITION_OPENED, { id: 'p1' });
+    journal.record(JOURNAL_ENTRY_TYPES.TRADE, { id: 't1' });
+    journal.close();
+    appendFileSync(journal.path, '{"seq":3,"type":"POSITION_OPENED","data":{"id":"p2"');
+
+    const restarted = new TradeJournal({ directory });
+    const replayed = restarted.replay();
+    assert.equal(replayed.entries, 2);
+    assert.equal(replayed.skipped, 1);
+    assert.deepEqual(replayed.positions, [{ id: 'p1' }]);
+
+    const entry = restarted.record(JOURNAL_ENTRY_TYPES.POSITION_CLOSED, { id: 'p1' });
+    restarted.close();
+
+    assert.equal(entry.seq, 3);
+    const lines = readFileSync(journal.path, 'utf8').trimEnd().split('\n');
+    assert.equal(lines.length, 4, 'the next record starts on a line of its own');
+    const afterRestart = new TradeJournal({ directory }).replay();
+    assert.deepEqual(afterRestart.positions, []);
+    assert.deepEqual(afterRestart.trades, [{ id: 't1' }]);
+    assert.equal(afterRestart.skipped, 1);
+  });
+
+  it('compacts to a single snapshot that keeps only open orders', () => {
+    journal.record(JOURNAL_ENTRY_TYPES.ORDER, { id: 'o1', state: 'FILLED' });
+    journal.record(JOURNAL_ENTRY_TYPES.ORDER, { id: 'o2', state: 'PARTIALLY_FILLED' });
+    journal.record(JOURNAL_ENTRY_TYPES.POSITION_OPENED, { id: 'p1' });
+
+    journal.compact();
+    journal.record(JOURNAL_ENTRY_TYPES.TRADE, { id: 't1' });
+
+    const lines = readFileSync(journal.path, 'utf8').trimEnd().split('\n');
+    assert.equal(JSON.parse(lines[0]).type, JOURNAL_ENTRY_TYPES.SNAPSHOT);
+    assert.equal(lines.length, 2);
+
+    const state = journal.replay();
+    assert.deepEqual(state.orders, [{ id: 'o2', state: 'PARTIALLY_FILLED' }]);
+    assert.deepEqual(state.positions, [{ id: 'p1' }]);
+    assert.deepEqual(state.trades, [{ id: 't1' }]);
+  });
+
+  it('keeps one trade per id when the client and the strategy both journal it', () => {
+    journal.record(JOURNAL_ENTRY_TYPES.TRADE, { id: 't1', status: 'COMPLETED' });
+    journal.record(JOURNAL_ENTRY_TYPES.TRADE, { id: 't2', status: 'COMPLETED' });
+    journal.record(JOURNAL_ENTRY_TYPES.TRADE, { id: 't1', status: 'COMPLETED', decisionPrice: 2500 });
+
+    assert.deepEqual(journal.replay().trades, [
+      { id: 't1', status: 'COMPLETED', decisionPrice: 2500 },
+      { id: 't2', status: 'COMPLETED' }
+    ]);
+  });
+
+  it('refuses unknown entry types', () => {
+    assert.throws(() => journal.record('UNKNOWN', {}), /Unknown journal entry type/);
+  });
+});
@@ -0,0 +1,123 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, CIRCUIT_STATES, CIRCUIT_OPEN_ERROR } from '../../src/utils/CircuitBreaker.js';
+
+/**
+ * @notice Breaker that opens after two failures, on a clock the test moves
+ */
+function createBreaker (options = {}) {
+  const clock = { now: 100000 };
+  const breaker = new CircuitBreaker({
+    name: 'test',
+    failureThreshold: 2,
+    resetTimeout: 1000,
+    clock: () => clock.now,
+    ...options
+  });
+  return { breaker, clock };
+}
+
+/**
+ * @notice Open a breaker and wait out its reset timeout
+ */
+function openAndWait ({ breaker, clock }) {
+  breaker.recordFailure(new Error('down'));
+  breaker.recordFailure(new Error('down'));
+  clock.now += 1000;
+}
+
+describe('CircuitBreaker', () => {
+  it('opens after consecutive failures and refuses calls', async () => {
+    const { breaker } = createBreaker();
+
+    breaker.recordFailure(new Error('down'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('down'));
+    assert.equal(breaker.getState().state, CIRCUIT_STATES.CLOSED);
+
+    breaker.recordFailure(new Error('down'));
+    assert.equal(breaker.getState().state, CIRCUIT_STATES.OPEN);
+    await assert.rejects(breaker.execute(async () => 'ok'), { code: CIRCUIT_OPEN_ERROR });
+    assert.equal(breaker.getState().metrics.rejections, 1);
+  });
+
+  it('turns half-open once the reset timeout has passed', () => {
+    const context = createBreaker();
+    context.breaker.recordFailure(new Error('down'));
+    context.breaker.recordFailure(new Error('down'));
+
+    context.clock.now += 999;
+    assert.equal(context.breaker.isAvailable(), false);
+
+    context.clock.now += 1;
+    assert.equal(context.breaker.isAvailable(), true);
+    assert.equal(context.breaker.getState().state, CIRCUIT_STATES.HALF_OPEN);
+  });
+
+  it('lets only halfOpenMaxProbes probes through at a time', () => {
+    const context = createBreaker({ halfOpenMaxProbes: 2 });
+    openAndWait(context);
+
+    assert.equal(context.breaker.tryAcquire(), true);
+    assert.equal(context.breaker.tryAcquire(), true);
+    assert.equal(context.breaker.tryAcquire(), false);
+  });
+
+  it('frees the probe slot of an abandoned call', () => {
+    const context = createBreaker();
+    openAndWait(context);
+
+    assert.equal(context.breaker.tryAcquire(), true);
+    context.breaker.release();
+
+    assert.equal(context.breaker.tryAcquire(), true);
+    assert.equal(context.breaker.getState().state, CIRCUIT_STATES.HALF_OPEN);
+  });
+
+  it('closes after successThreshold probe successes', () => {
+    const context = createBreaker({ successThreshold: 2 });
+    openAndWait(context);
+
+    context.breaker.tryAcquire();
+    context.breaker.recordSuccess();
+    assert.equal(context.breaker.getState().state, CIRCUIT_STATES.HALF_OPEN);
+
+    context.breaker.tryAcquire();
+    context.breaker.recordSuccess();
+    assert.equal(context.breaker.getState().state, CIRCUIT_STATES.CLOSED);
+  });
+
+  it('reopens for another timeout when a probe fails', () => {
+    const context = createBreaker();
+    const transitions = [];
+    context.breaker.on('state_change', (state, previousState) => transitions.push(`${previousState}->${state}`));
+    openAndWait(context);
+
+    context.breaker.tryAcquire();
+    context.breaker.recordFailure(new Error('still down'));
+
+    assert.equal(context.breaker.isAvailable(), false);
+    assert.equal(context.breaker.getState().nextProbeAt, context.clock.now + 1000);
+    assert.deepEqual(transitions, ['CLOSED->OPEN', 'OPEN->HALF_OPEN', 'HALF_OPEN->OPEN']);
+  });
+
+  it('does not count errors isFailure rejects', async () => {
+    const { breaker } = createBreaker({ failureThreshold: 1, isFailure: error => error.status !== 400 });
+
+    await assert.rejects(breaker.execute(async () => { throw Object.assign(new Error('bad request'), { status: 400 }); }));
+
+    assert.equal(breaker.getState().state, CIRCUIT_STATES.CLOSED);
+  });
+
+  it('stays open after forceOpen() until reset()', () => {
+    const { breaker, clock } = createBreaker();
+
+    breaker.forceOpen('Maintenance');
+    clock.now += 10000;
+    assert.equal(breaker.isAvailable(), false);
+
+    breaker.reset();
+    assert.equal(breaker.isAvailable(), true);
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTradeNotional } from '../../src/utils/Positions.js';
+
+describe('getTradeNotional', () => {
+  it('takes a BUY amount as already being in the quote token', () => {
+    // 100 USDC spent on ETH is worth 100, not 100 x the ETH price
+    assert.equal(getTradeNotional({ action: 'BUY', amount: 100 }, 2500), 100);
+    assert.equal(getTradeNotional({ action: 'buy', amount: 100, positionEffect: 'CLOSE' }, 2500), 100);
+  });
+
+  it('values a SELL amount of base at the price', () => {
+    assert.equal(getTradeNotional({ action: 'SELL', amount: 0.04 }, 2500), 100);
+    assert.equal(getTradeNotional({ action: 'SELL', amount: 0.04, positionEffect: 'OPEN' }, 2500), 100);
+  });
+
+  it('keeps a long entry within a 1000 USD position limit that a short of the same size also meets', () => {
+    const maxPositionSizeUsd = 1000;
+    const price = 2500;
+
+    assert.ok(getTradeNotional({ action: 'BUY', amount: 900 }, price) <= maxPositionSizeUsd);
+    assert.ok(getTradeNotional({ action: 'SELL', amount: 0.36, positionEffect: 'OPEN' }, price) <= maxPositionSizeUsd);
+    assert.ok(getTradeNotional({ action: 'SELL', amount: 0.5, positionEffect: 'OPEN' }, price) > maxPositionSizeUsd);
+  });
+});